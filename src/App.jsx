@@ -5,7 +5,8 @@ import Dashboard from "./features/dashboard/Dashboard";
 import TasksPage from "./features/tasks/TasksPage";
 import ProjectsPage from "./features/projects/ProjectsPage";
 import CalendarPage from "./features/calendar/CalendarPage";
-import ProjectCard from "./features/projects/projectCard";
+import ProjectCard from "./features/projects/ProjectCard";
+import TaskBoard from "./features/board/TaskBoard";
 import NotFound from "./features/NotFound";
 
 export default function App() {
@@ -17,6 +18,7 @@ export default function App() {
           <Route path="/" element={<Navigate to="/dashboard" replace />} />
           <Route path="/dashboard" element={<Dashboard />} />
           <Route path="/tasks" element={<TasksPage />} />
+          <Route path="/tasks/board" element={<TaskBoard />} />
           <Route path="/projects" element={<ProjectsPage />} />
           <Route path="/calendar" element={<CalendarPage />} />
           <Route path="/projects/:projectId" element={<ProjectCard />} />
@@ -0,0 +1,47 @@
+// The commands the app ships with. Imported once by AppShell - new features add theirs here
+// (or call registerCommands themselves).
+
+import { registerCommands } from "./commands";
+import { undo, redo } from "./history";
+import { createBackup } from "./backup";
+import { taskCommands } from "../features/tasks/taskCommands";
+import { projectCommands } from "../features/projects/projectCommands";
+import { downloadFile } from "../utils/files";
+import { todayKey } from "../utils/dates";
+
+const PAGES = [
+    { path: "/dashboard", name: "Dashboard" },
+    { path: "/tasks", name: "Tasks" },
+    { path: "/tasks/board", name: "Task board" },
+    { path: "/projects", name: "Projects" },
+    { path: "/calendar", name: "Calendar" },
+];
+
+export const appCommands = [
+    ...PAGES.map((page) => ({
+        id: `go:${page.path}`,
+        title: `Go to ${page.name}`,
+        group: "Navigation",
+        keywords: "open page view",
+        run: ({ navigate }) => navigate(page.path),
+    })),
+    { id: "history:undo", title: "Undo", group: "Edit", run: ({ dispatch }) => dispatch(undo()) },
+    { id: "history:redo", title: "Redo", group: "Edit", run: ({ dispatch }) => dispatch(redo()) },
+    {
+        id: "data:export",
+        title: "Export data",
+        group: "Data",
+        keywords: "download backup json save",
+        // A full backup - restore it from "Backup & restore" in the sidebar
+        run: ({ getState }) =>
+            downloadFile(
+                `simplitask-backup-${todayKey()}.json`,
+                JSON.stringify(createBackup(getState()), null, 2),
+                "application/json"
+            ),
+    },
+];
+
+registerCommands(appCommands);
+registerCommands(taskCommands);
+registerCommands(projectCommands);
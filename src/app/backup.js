@@ -0,0 +1,203 @@
+// Whole-workspace backups: a JSON file with the persisted slices plus some metadata, e.g.
+//   { format: "simplitask-backup", version: 9, exportedAt: "2026-10-19T09:00:00.000Z",
+//     counts: { tasks: 12, projects: 3 }, data: { tasks, projects, board } }
+// `version` is the persist SCHEMA_VERSION, so older backups go through the same migrations as
+// localStorage does. Backups from a newer version are refused rather than guessed at.
+
+import { createAction } from "@reduxjs/toolkit";
+import { SCHEMA_VERSION, migrate, pickPersisted } from "./persist";
+import { DEFAULT_WORKFLOW, categoryOf, statusFromProgress, validateWorkflow } from "../features/tasks/status";
+import { isValidRepeat } from "../features/tasks/recurrence";
+
+export const BACKUP_FORMAT = "simplitask-backup";
+
+// Replaces the tasks / projects / board slices in one go (undoable - see history.js)
+export const restoreWorkspace = createAction("workspace/restore");
+
+export function createBackup(state, now = new Date()) {
+    const data = pickPersisted(state);
+    return {
+        format: BACKUP_FORMAT,
+        version: SCHEMA_VERSION,
+        exportedAt: now.toISOString(),
+        counts: { tasks: data.tasks.tasks.length, projects: data.projects.projects.length },
+        data,
+    };
+}
+
+const isId = (v) => (typeof v === "string" && v !== "") || Number.isFinite(v);
+const optional = (check) => (v) => v === undefined || check(v);
+const isString = (v) => typeof v === "string";
+const isDateKey = (v) => v === "" || /^\d{4}-\d{2}-\d{2}$/.test(v);
+const isTimeKey = (v) => v === "" || /^([01]\d|2[0-3]):[0-5]\d$/.test(v);
+const isSubtask = (s) => Boolean(s) && isId(s.id) && isString(s.title) && typeof s.done === "boolean";
+
+// field -> [check(value, item), what it should be]
+const TASK_SCHEMA = {
+    id: [isId, "an id"],
+    name: [isString, "a string"],
+    date: [optional((v) => isString(v) && isDateKey(v)), "a YYYY-MM-DD date"],
+    startDate: [optional((v) => isString(v) && isDateKey(v)), "a YYYY-MM-DD date"],
+    project: [optional((v) => isString(v) || Number.isFinite(v)), "a project id"],
+    progress: [optional((v) => Number.isFinite(v) && v >= 0 && v <= 100), "a number from 0 to 100"],
+    status: [optional(isString), "a string"],
+    description: [optional(isString), "a string"],
+    allDay: [optional((v) => typeof v === "boolean"), "true or false"],
+    startTime: [optional((v) => isString(v) && isTimeKey(v)), "an HH:MM time"],
+    endTime: [optional((v) => isString(v) && isTimeKey(v)), "an HH:MM time"],
+    subtasks: [optional((v) => Array.isArray(v) && v.every(isSubtask)), "a list of { id, title, done } items"],
+    // Same rules the app stores them with, so a bad rule can't break the calendar later
+    repeat: [(v, task) => isValidRepeat(v, task.date), "a valid repeat rule (or null)"],
+    blockedBy: [optional((v) => Array.isArray(v) && v.every(isId)), "a list of task ids"],
+};
+
+const PROJECT_SCHEMA = {
+    id: [isId, "an id"],
+    name: [isString, "a string"],
+    due: [optional((v) => isString(v) && isDateKey(v)), "a YYYY-MM-DD date"],
+    status: [optional(isString), "a string"],
+    autoStatus: [optional((v) => typeof v === "boolean"), "true or false"],
+};
+
+function checkList(list, schema, path, errors) {
+    if (!Array.isArray(list)) {
+        errors.push(`${path} must be a list`);
+        return;
+    }
+    const ids = new Set();
+    list.forEach((item, i) => {
+        if (!item || typeof item !== "object") {
+            errors.push(`${path}[${i}] must be an object`);
+            return;
+        }
+        Object.entries(schema).forEach(([field, [check, expected]]) => {
+            if (!check(item[field], item)) errors.push(`${path}[${i}].${field} must be ${expected}`);
+        });
+        if (ids.has(item.id)) errors.push(`${path}[${i}] has a duplicate id "${item.id}"`);
+        ids.add(item.id);
+    });
+}
+
+// transitions: { statusId: [statusId, ...] }, all of them statuses the workflow has
+function checkTransitions(workflow, errors) {
+    const { transitions } = workflow;
+    if (!transitions || typeof transitions !== "object" || Array.isArray(transitions)) {
+        errors.push("The task workflow has no transitions");
+        return;
+    }
+    const ids = new Set(workflow.statuses.map((s) => s?.id));
+    Object.entries(transitions).forEach(([from, to]) => {
+        if (!ids.has(from)) errors.push(`Task workflow: transitions from unknown status "${from}"`);
+        if (!Array.isArray(to) || !to.every((id) => ids.has(id))) {
+            errors.push(`Task workflow: transitions from "${from}" must list known statuses`);
+        }
+    });
+}
+
+// Problems with (migrated) backup data, empty when it can be restored
+export function validateWorkspace(data) {
+    const errors = [];
+    if (!data || typeof data !== "object") return ["The backup has no data"];
+
+    checkList(data.tasks?.tasks, TASK_SCHEMA, "tasks", errors);
+    checkList(data.projects?.projects, PROJECT_SCHEMA, "projects", errors);
+
+    const workflow = data.tasks?.workflow;
+    if (workflow) {
+        if (!Array.isArray(workflow.statuses)) errors.push("The task workflow has no statuses");
+        else {
+            validateWorkflow(workflow).forEach((e) => errors.push(`Task workflow: ${e}`));
+            checkTransitions(workflow, errors);
+        }
+    }
+    return errors;
+}
+
+const MAX_ERRORS_SHOWN = 5;
+
+// File contents -> { meta, data } ready to preview, or throws an Error with a message for the user
+export function readBackup(text) {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch {
+        throw new Error("That file isn't valid JSON.");
+    }
+
+    // Plain { version, data } files (the localStorage shape) are accepted too
+    const looksLikeBackup = backup?.format === BACKUP_FORMAT || (backup?.format === undefined && backup?.data);
+    if (!looksLikeBackup) throw new Error("That file isn't a SimpliTask backup.");
+
+    const { version } = backup;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error("The backup doesn't say which version it's from, so it can't be restored safely.");
+    }
+    if (version > SCHEMA_VERSION) {
+        throw new Error(
+            `This backup was made by a newer version of SimpliTask (data version ${version}); ` +
+            `this one reads up to version ${SCHEMA_VERSION}. Update the app and try again.`
+        );
+    }
+
+    let data;
+    try {
+        data = migrate(backup.data, version);
+    } catch {
+        throw new Error(`The backup's data couldn't be read as version ${version} data.`);
+    }
+    const errors = validateWorkspace(data);
+    if (errors.length) {
+        const more = errors.length > MAX_ERRORS_SHOWN ? ` (and ${errors.length - MAX_ERRORS_SHOWN} more)` : "";
+        throw new Error(`The backup doesn't look right: ${errors.slice(0, MAX_ERRORS_SHOWN).join("; ")}${more}.`);
+    }
+
+    return {
+        meta: { version, exportedAt: backup.exportedAt ?? null },
+        data: { ...data, board: data.board ?? { wipLimits: {}, swimlanes: false } },
+    };
+}
+
+// Merges lists by id: items from `incoming` replace ones with the same id, new ones are appended
+const mergeById = (current, incoming) => {
+    const byId = new Map(incoming.map((item) => [String(item.id), item]));
+    const merged = current.map((item) => byId.get(String(item.id)) ?? item);
+    const known = new Set(current.map((item) => String(item.id)));
+    return [...merged, ...incoming.filter((item) => !known.has(String(item.id)))];
+};
+
+// The persisted slices as they'd be after restoring. "replace" swaps everything out;
+// "merge" adds / updates by id, keeps anything the backup doesn't have and keeps this
+// browser's workflow and board settings. Incoming tasks on a status this workflow doesn't
+// have get one from their progress instead, the same as addTask does
+export function applyBackup(current, incoming, mode) {
+    if (mode === "replace") return incoming;
+
+    const workflow = current.tasks.workflow ?? DEFAULT_WORKFLOW;
+    const tasks = incoming.tasks.tasks.map((t) =>
+        categoryOf(workflow, t.status) ? t : { ...t, status: statusFromProgress(t.progress, workflow) }
+    );
+    return {
+        tasks: { ...current.tasks, tasks: mergeById(current.tasks.tasks, tasks) },
+        projects: { ...current.projects, projects: mergeById(current.projects.projects, incoming.projects.projects) },
+        board: current.board,
+    };
+}
+
+const diffList = (before, after) => {
+    const beforeById = new Map(before.map((item) => [String(item.id), item]));
+    const afterIds = new Set(after.map((item) => String(item.id)));
+    return {
+        added: after.filter((item) => !beforeById.has(String(item.id))),
+        changed: after.filter((item) => {
+            const old = beforeById.get(String(item.id));
+            return old && JSON.stringify(old) !== JSON.stringify(item);
+        }),
+        removed: before.filter((item) => !afterIds.has(String(item.id))),
+    };
+};
+
+// { tasks: { added, changed, removed }, projects: { ... } } between two sets of persisted slices
+export const diffWorkspace = (before, after) => ({
+    tasks: diffList(before.tasks.tasks, after.tasks.tasks),
+    projects: diffList(before.projects.projects, after.projects.projects),
+});
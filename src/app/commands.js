@@ -0,0 +1,46 @@
+// Registry behind the command palette (Ctrl/Cmd+K).
+// Features add commands with registerCommands(source), where source is either an array of
+// commands or a function (state) => commands for lists that depend on the store
+// ("Open project X" for every project...).
+//
+// A command is { id, title, group?, keywords?, prompt?, run(ctx, input) }:
+//   ctx     - { dispatch, navigate, getState }
+//   prompt  - placeholder for a second step asking for text (e.g. the new task's name);
+//             the typed text is passed to run as `input`
+
+const sources = [];
+
+// Returns a function that removes the commands again
+export function registerCommands(source) {
+    sources.push(source);
+    return () => {
+        const i = sources.indexOf(source);
+        if (i !== -1) sources.splice(i, 1);
+    };
+}
+
+export const getCommands = (state) =>
+    sources.flatMap((source) => (typeof source === "function" ? source(state) : source));
+
+// Recently used command ids, most recent first. Kept in localStorage, separate from the app state
+export const RECENT_KEY = "simplitask:recent-commands";
+const RECENT_LIMIT = 10;
+
+export function loadRecent(storage = window.localStorage) {
+    try {
+        const ids = JSON.parse(storage.getItem(RECENT_KEY));
+        return Array.isArray(ids) ? ids : [];
+    } catch {
+        return [];
+    }
+}
+
+export function rememberCommand(id, storage = window.localStorage) {
+    const ids = [id, ...loadRecent(storage).filter((r) => r !== id)].slice(0, RECENT_LIMIT);
+    try {
+        storage.setItem(RECENT_KEY, JSON.stringify(ids));
+    } catch {
+        // Not worth bothering anyone about
+    }
+    return ids;
+}
@@ -0,0 +1,104 @@
+import { createAction } from "@reduxjs/toolkit";
+
+// Undo / redo for task and project changes.
+// Wraps the root reducer and keeps snapshots of the tasks + projects slices in state.history
+// (plus the board for a backup restore).
+// Snapshots are just references to the previous slice objects (they're immutable), so they're cheap.
+
+export const undo = createAction("history/undo");
+export const redo = createAction("history/redo");
+
+export const HISTORY_LIMIT = 50;
+
+// Every action on these slices is a user edit, so they're all undoable.
+// workspace/ is a backup restore, which swaps out both slices at once
+const UNDOABLE = /^(tasks|projects|workspace)\//;
+
+// Actions that get an "Undo" toast straight after them
+export const DESTRUCTIVE_ACTIONS = {
+    "tasks/removeTask": "Task deleted",
+    "tasks/removeTasks": "Tasks deleted",
+    "projects/removeProject": "Project deleted",
+    "workspace/restore": "Backup restored",
+};
+
+// `recorded` counts new entries (not undo/redo) so the UI can tell a fresh change apart
+const emptyHistory = { past: [], future: [], recorded: 0 };
+
+// Board settings aren't undoable on their own, but a backup restore replaces them too -
+// so entries for a restore also keep the board, and undoing it puts the old one back
+const WITH_BOARD = ["workspace/restore"];
+
+const snapshot = (state, type) => ({
+    tasks: state.tasks,
+    projects: state.projects,
+    ...(WITH_BOARD.includes(type) && { board: state.board }),
+    type,
+});
+
+export function withHistory(reducer) {
+    return (state, action) => {
+        const { history = emptyHistory, ...rest } = state ?? {};
+
+        if (action.type === undo.type) {
+            if (history.past.length === 0) return state;
+            const previous = history.past[history.past.length - 1];
+            return {
+                ...rest,
+                tasks: previous.tasks,
+                projects: previous.projects,
+                ...(previous.board && { board: previous.board }),
+                history: {
+                    past: history.past.slice(0, -1),
+                    future: [snapshot(rest, previous.type), ...history.future],
+                    recorded: history.recorded,
+                },
+            };
+        }
+
+        if (action.type === redo.type) {
+            if (history.future.length === 0) return state;
+            const [next, ...future] = history.future;
+            return {
+                ...rest,
+                tasks: next.tasks,
+                projects: next.projects,
+                ...(next.board && { board: next.board }),
+                history: {
+                    past: [...history.past, snapshot(rest, next.type)],
+                    future,
+                    recorded: history.recorded,
+                },
+            };
+        }
+
+        const nextState = reducer(state ? rest : undefined, action);
+        // A preloaded (saved) state comes without history - it's added on the first action
+        if (state?.history && nextState === rest) return state;
+
+        const changed =
+            state &&
+            (nextState.tasks !== rest.tasks ||
+                nextState.projects !== rest.projects ||
+                (WITH_BOARD.includes(action.type) && nextState.board !== rest.board));
+
+        if (!changed || !UNDOABLE.test(action.type)) {
+            return { ...nextState, history };
+        }
+
+        return {
+            ...nextState,
+            history: {
+                // The entry remembers which action it undoes (used for toasts/labels)
+                past: [...history.past, snapshot(rest, action.type)].slice(-HISTORY_LIMIT),
+                future: [],
+                recorded: history.recorded + 1,
+            },
+        };
+    };
+}
+
+export const selectCanUndo = (s) => s.history.past.length > 0;
+export const selectCanRedo = (s) => s.history.future.length > 0;
+export const selectLastChange = (s) => s.history.past[s.history.past.length - 1] ?? null;
+export const selectRecordedCount = (s) => s.history.recorded;
@@ -0,0 +1,155 @@
+// Saves the tasks + projects slices (plus board settings) to localStorage and reads them back on start-up.
+// Everything on disk is wrapped as { version, data } so the shape can change later:
+// bump SCHEMA_VERSION and add a migration that upgrades data from the previous version.
+
+import { toDateKey } from "../utils/dates";
+import { DEFAULT_WORKFLOW, statusFromProgress } from "../features/tasks/status";
+
+export const STORAGE_KEY = "simplitask:state";
+export const SCHEMA_VERSION = 9;
+
+// Older dates might be full ISO timestamps - keep just the local calendar day
+const toLocalDateKey = (value) => {
+    if (!value || /^\d{4}-\d{2}-\d{2}$/.test(value)) return value || "";
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? "" : toDateKey(date);
+};
+
+const mapTasks = (data, fn) => ({
+    ...data,
+    tasks: { ...data.tasks, tasks: data.tasks.tasks.map(fn) },
+});
+
+// migrations[n] upgrades data saved at version n - 1 to version n.
+// Version 0 is anything saved before versioning existed (the raw slices).
+export const migrations = {
+    1: (data) => ({
+        tasks: {
+            tasks: (data?.tasks?.tasks ?? []).map((t) => ({
+                ...t,
+                progress: Number(t.progress) || 0,
+            })),
+        },
+        projects: {
+            projects: data?.projects?.projects ?? [],
+        },
+    }),
+    // Tasks gained a Markdown description
+    2: (data) => mapTasks(data, (t) => ({ description: "", ...t })),
+    // Tasks gained a checklist of subtasks
+    3: (data) => mapTasks(data, (t) => ({ subtasks: [], ...t })),
+    // Tasks gained an optional repeat rule
+    4: (data) => mapTasks(data, (t) => ({ repeat: null, ...t })),
+    // Tasks gained optional start / end times; dates are plain local "YYYY-MM-DD" keys
+    5: (data) => mapTasks(data, (t) => ({
+        allDay: true,
+        startTime: "",
+        endTime: "",
+        ...t,
+        date: toLocalDateKey(t.date),
+    })),
+    // Tasks gained an explicit status (seeded from progress) and the workflow it belongs to
+    6: (data) => {
+        const next = mapTasks(data, (t) => ({ status: statusFromProgress(t.progress), ...t }));
+        return { ...next, tasks: { workflow: DEFAULT_WORKFLOW, ...next.tasks } };
+    },
+    // Projects can have their status worked out from their tasks (off for existing ones)
+    7: (data) => ({
+        ...data,
+        projects: { ...data.projects, projects: data.projects.projects.map((p) => ({ autoStatus: false, ...p })) },
+    }),
+    // Tasks gained an optional start date (for the project timeline)
+    8: (data) => mapTasks(data, (t) => ({ startDate: "", ...t })),
+    // "Blocked by" dependencies between tasks
+    9: (data) => mapTasks(data, (t) => ({ blockedBy: [], ...t })),
+};
+
+export function migrate(data, fromVersion) {
+    if (fromVersion > SCHEMA_VERSION) {
+        throw new Error(`Saved data is from a newer version (${fromVersion}) of SimpliTask`);
+    }
+
+    let result = data;
+    for (let v = fromVersion + 1; v <= SCHEMA_VERSION; v++) {
+        result = migrations[v](result);
+    }
+    return result;
+}
+
+// Only the slices listed here are written to storage
+export function pickPersisted(state) {
+    return {
+        tasks: state.tasks,
+        projects: state.projects,
+        board: state.board,
+    };
+}
+
+// Where a save that couldn't be loaded is kept, so starting fresh never throws it away
+export const unreadableKey = (version) => `${STORAGE_KEY}:unreadable-${version}`;
+
+// Version of the raw saved string (0 = from before versioning, null = not JSON)
+function savedVersion(raw) {
+    try {
+        const saved = JSON.parse(raw);
+        return Number.isInteger(saved?.version) ? saved.version : 0;
+    } catch {
+        return null;
+    }
+}
+
+export function loadState(storage = window.localStorage) {
+    let raw = null;
+    try {
+        raw = storage.getItem(STORAGE_KEY);
+        if (!raw) return undefined;
+
+        const saved = JSON.parse(raw);
+        const version = Number.isInteger(saved?.version) ? saved.version : 0;
+        const data = version === 0 ? saved : saved.data;
+
+        return migrate(data, version);
+    } catch (err) {
+        // A broken save shouldn't stop the app from loading - start fresh instead,
+        // but keep a copy of what was there so it can still be recovered
+        console.warn("Could not restore saved state:", err);
+        if (raw) {
+            try {
+                storage.setItem(unreadableKey(savedVersion(raw) ?? "corrupt"), raw);
+            } catch (copyErr) {
+                console.warn("Could not keep a copy of the unreadable save:", copyErr);
+            }
+        }
+        return undefined;
+    }
+}
+
+export function saveState(state, storage = window.localStorage) {
+    try {
+        storage.setItem(
+            STORAGE_KEY,
+            JSON.stringify({ version: SCHEMA_VERSION, data: pickPersisted(state) })
+        );
+    } catch (err) {
+        // Quota exceeded / private mode etc.
+        console.warn("Could not save state:", err);
+    }
+}
+
+// Writes to storage whenever a persisted slice changes. A save from a newer version of the
+// app (opened in an older tab, say) is never overwritten - this version can't read it.
+// The saved version is only checked once, here, rather than parsing the whole save on every change.
+export function persistStore(store, storage = window.localStorage) {
+    let last = pickPersisted(store.getState());
+    const newerSave = savedVersion(storage.getItem(STORAGE_KEY)) > SCHEMA_VERSION;
+    if (newerSave) console.warn("Not saving: storage holds data from a newer version of SimpliTask");
+
+    return store.subscribe(() => {
+        const next = pickPersisted(store.getState());
+        const changed = Object.keys(next).some((key) => next[key] !== last[key]);
+        if (!changed || newerSave) return;
+
+        last = next;
+        saveState(store.getState(), storage);
+    });
+}
@@ -0,0 +1,50 @@
+// Registry for single-key shortcuts ("n", "j", "g d"...). Components register what they handle
+// with the useShortcuts hook while they're mounted; ShortcutManager listens for keys and shows
+// the "?" overlay from whatever is registered right now.
+//
+// A binding is { keys, label, run }. keys is the KeyboardEvent.key value, or two of them
+// separated by a space for a sequence ("g d" = press g, then d).
+
+const sources = [];
+
+// Page-level bindings win over global ones with the same keys (e.g. "n" on the tasks page
+// opens the form directly instead of navigating there)
+export function registerShortcuts(group, getBindings, { global = false } = {}) {
+    const source = { group, getBindings, priority: global ? 0 : 1 };
+    sources.push(source);
+    return () => {
+        const i = sources.indexOf(source);
+        if (i !== -1) sources.splice(i, 1);
+    };
+}
+
+// [{ group, keys, label, run }] - one entry per key, the binding that would actually fire
+export function activeShortcuts() {
+    const seen = new Set();
+    return [...sources]
+        .sort((a, b) => b.priority - a.priority)
+        .flatMap((source) => source.getBindings().map((b) => ({ ...b, group: source.group })))
+        .filter((b) => {
+            if (seen.has(b.keys)) return false;
+            seen.add(b.keys);
+            return true;
+        });
+}
+
+// Inputs you type into - checkboxes, radios and buttons keep shortcuts working after a click
+const TEXT_INPUTS = ["text", "search", "email", "url", "tel", "number", "password", "date", "time", "datetime-local", "month", "week"];
+
+// Typing in a form field must never trigger a shortcut
+export const isTextField = (el) =>
+    Boolean(el?.isContentEditable) ||
+    ["TEXTAREA", "SELECT"].includes(el?.tagName) ||
+    (el?.tagName === "INPUT" && TEXT_INPUTS.includes(el.type));
+
+// Nor can keys pressed while a modal dialog is up reach the page behind it
+export const inModal = (el) =>
+    Boolean(el?.closest?.('[aria-modal="true"]') || document.querySelector('[aria-modal="true"]'));
+
+const KEY_NAMES = { Delete: "Del", ArrowUp: "↑", ArrowDown: "↓", " ": "Space" };
+
+// "g d" -> ["g", "d"], with friendlier names for the overlay
+export const describeKeys = (keys) => keys.split(" ").map((k) => KEY_NAMES[k] ?? k);
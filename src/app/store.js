@@ -1,10 +1,21 @@
-import { configureStore } from "@reduxjs/toolkit";
+import { combineReducers, configureStore } from "@reduxjs/toolkit";
 import tasksReducer from "../features/tasks/tasksSlice"
 import projectsReducer from "../features/projects/projectsSlice"
+import boardReducer from "../features/board/boardSlice"
+import { loadState, persistStore } from "./persist"
+import { withHistory } from "./history"
 
-export const store = configureStore({
-    reducer: {
+export const rootReducer = withHistory(
+    combineReducers({
         tasks: tasksReducer,
-        projects: projectsReducer
-    }
-})
\ No newline at end of file
+        projects: projectsReducer,
+        board: boardReducer
+    })
+)
+
+export const store = configureStore({
+    reducer: rootReducer,
+    preloadedState: loadState()
+})
+
+persistStore(store)
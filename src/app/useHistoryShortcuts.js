@@ -0,0 +1,29 @@
+import { useEffect } from "react";
+import { useDispatch } from "react-redux";
+import { undo, redo } from "./history";
+import { isTextField } from "./shortcuts";
+
+// Ctrl/Cmd+Z = undo, Ctrl/Cmd+Shift+Z (or Ctrl+Y) = redo.
+// Skipped inside text fields so the browser's own text undo still works there.
+
+export default function useHistoryShortcuts() {
+    const dispatch = useDispatch();
+
+    useEffect(() => {
+        const onKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || isTextField(e.target)) return;
+            const key = e.key.toLowerCase();
+
+            if (key === "z" && !e.shiftKey) {
+                e.preventDefault();
+                dispatch(undo());
+            } else if ((key === "z" && e.shiftKey) || key === "y") {
+                e.preventDefault();
+                dispatch(redo());
+            }
+        };
+
+        window.addEventListener("keydown", onKeyDown);
+        return () => window.removeEventListener("keydown", onKeyDown);
+    }, [dispatch]);
+}
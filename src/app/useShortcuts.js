@@ -0,0 +1,14 @@
+import { useEffect, useLayoutEffect, useRef } from "react";
+import { registerShortcuts } from "./shortcuts";
+
+// Registers keyboard shortcuts for as long as the calling component is mounted.
+// `bindings` can change every render (handlers close over current state) - the latest ones are used.
+export default function useShortcuts(group, bindings, { global = false } = {}) {
+    const latest = useRef(bindings);
+
+    useLayoutEffect(() => {
+        latest.current = bindings;
+    });
+
+    useEffect(() => registerShortcuts(group, () => latest.current, { global }), [group, global]);
+}
@@ -1,8 +1,16 @@
 import Sidebar from "./Sidebar";
 import TopBar from "./TopBar";
+import UndoToast from "./UndoToast";
+import DependencyWarning from "./DependencyWarning";
+import CommandPalette from "./CommandPalette";
+import ShortcutManager from "./ShortcutManager";
+import useHistoryShortcuts from "../app/useHistoryShortcuts";
+import "../app/appCommands";
 import "../styles/globals.css"; 
 
 const AppShell = ({ children }) => {
+  useHistoryShortcuts();
+
   return (
     <div className="shell">
       
@@ -19,6 +27,11 @@ const AppShell = ({ children }) => {
           <main className="content">{children}</main>
         </div>
       </div>
+
+      <UndoToast />
+      <DependencyWarning />
+      <CommandPalette />
+      <ShortcutManager />
     </div>
   );
 };
@@ -0,0 +1,166 @@
+import { useState } from "react";
+import { useDispatch, useSelector, useStore } from "react-redux";
+import { applyBackup, createBackup, diffWorkspace, readBackup, restoreWorkspace } from "../app/backup";
+import { pickPersisted } from "../app/persist";
+import { downloadFile, readTextFile } from "../utils/files";
+import { todayKey } from "../utils/dates";
+import "./BackupDialog.css";
+
+const plural = (n, word) => `${n} ${n === 1 ? word : `${word}s`}`;
+
+// One group of the preview, e.g. "Added: 3 tasks" with the names underneath
+function DiffList({ label, items, noun }) {
+    if (items.length === 0) return null;
+    return (
+        <li>
+            {label}: {plural(items.length, noun)}
+            <ul className="backup-names">
+                {items.map((item) => (
+                    <li key={item.id}>{item.name || "(untitled)"}</li>
+                ))}
+            </ul>
+        </li>
+    );
+}
+
+// Download the whole workspace as JSON, or restore one - the file is checked and the changes
+// previewed first, and the restore itself can be undone like any other edit
+export default function BackupDialog({ onClose }) {
+    const dispatch = useDispatch();
+    const store = useStore();
+    const tasks = useSelector((s) => s.tasks);
+    const projects = useSelector((s) => s.projects);
+    const board = useSelector((s) => s.board);
+    const [fileName, setFileName] = useState("");
+    const [backup, setBackup] = useState(null); // readBackup() result
+    const [error, setError] = useState("");
+    const [mode, setMode] = useState("merge");
+    const [restored, setRestored] = useState(false);
+
+    const handleExport = () => {
+        const data = createBackup(store.getState());
+        downloadFile(`simplitask-backup-${todayKey()}.json`, JSON.stringify(data, null, 2), "application/json");
+    };
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        setFileName(file.name);
+        setRestored(false);
+        try {
+            setBackup(readBackup(await readTextFile(file)));
+            setError("");
+        } catch (err) {
+            setBackup(null);
+            setError(err.message);
+        }
+    };
+
+    const before = pickPersisted({ tasks, projects, board });
+    const after = backup && applyBackup(before, backup.data, mode);
+    const diff = after && diffWorkspace(before, after);
+    const unchanged = diff && Object.values(diff).every((d) => !d.added.length && !d.changed.length && !d.removed.length);
+
+    const handleRestore = () => {
+        dispatch(restoreWorkspace(after));
+        setBackup(null);
+        setFileName("");
+        setRestored(true);
+    };
+
+    return (
+        <div className="dialog-backdrop" onClick={onClose}>
+            <div
+                className="dialog backup-dialog"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="backup-title"
+                onClick={(e) => e.stopPropagation()}
+                onKeyDown={(e) => e.key === "Escape" && onClose()}
+            >
+                <h2 id="backup-title">Backup &amp; restore</h2>
+
+                <section aria-label="Back up">
+                    <h3>Back up</h3>
+                    <p className="muted">Downloads every task and project, plus your workflow and board settings.</p>
+                    <button className="link-btn" type="button" onClick={handleExport}>
+                        Download backup
+                    </button>
+                </section>
+
+                <section aria-label="Restore">
+                    <h3>Restore</h3>
+                    <label className="backup-file">
+                        Backup file
+                        <input type="file" accept=".json,application/json" onChange={handleFile} />
+                    </label>
+                    {error && <p className="backup-error" role="alert">{fileName}: {error}</p>}
+                    {restored && <p role="status">Backup restored. Undo puts your previous tasks, projects and board settings back.</p>}
+
+                    {backup && (
+                        <>
+                            <p className="muted">
+                                {fileName}
+                                {backup.meta.exportedAt && `, saved ${new Date(backup.meta.exportedAt).toLocaleString()}`}
+                                {": "}
+                                {plural(backup.data.tasks.tasks.length, "task")},{" "}
+                                {plural(backup.data.projects.projects.length, "project")}
+                            </p>
+
+                            <fieldset className="backup-mode">
+                                <legend>How to restore</legend>
+                                <label>
+                                    <input
+                                        type="radio"
+                                        name="backup-mode"
+                                        checked={mode === "merge"}
+                                        onChange={() => setMode("merge")}
+                                    />
+                                    Merge by id - add new items, update matching ones, keep the rest
+                                </label>
+                                <label>
+                                    <input
+                                        type="radio"
+                                        name="backup-mode"
+                                        checked={mode === "replace"}
+                                        onChange={() => setMode("replace")}
+                                    />
+                                    Replace everything with the backup
+                                </label>
+                            </fieldset>
+
+                            {unchanged ? (
+                                <p>Nothing would change - this backup matches what's here.</p>
+                            ) : (
+                                <div className="backup-preview">
+                                    {[["tasks", "task"], ["projects", "project"]].map(([key, noun]) => (
+                                        <section key={key} aria-label={`${noun} changes`}>
+                                            <h4>{key === "tasks" ? "Tasks" : "Projects"}</h4>
+                                            <ul>
+                                                <DiffList label="Added" items={diff[key].added} noun={noun} />
+                                                <DiffList label="Changed" items={diff[key].changed} noun={noun} />
+                                                <DiffList label="Removed" items={diff[key].removed} noun={noun} />
+                                            </ul>
+                                        </section>
+                                    ))}
+                                </div>
+                            )}
+                        </>
+                    )}
+                </section>
+
+                <div className="dialog-actions">
+                    <button className="link-btn" type="button" onClick={onClose}>
+                        Close
+                    </button>
+                    {backup && (
+                        <button className="link-btn" type="button" disabled={unchanged} onClick={handleRestore}>
+                            Restore
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,193 @@
+import { useEffect, useId, useMemo, useRef, useState } from "react";
+import { useDispatch, useStore } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import { getCommands, loadRecent, rememberCommand } from "../app/commands";
+import { fuzzyMatch } from "../utils/fuzzy";
+import Highlight from "./Highlight";
+import "./CommandPalette.css"
+
+const MAX_RESULTS = 50;
+
+// Best match on the title, falling back to the keywords (which aren't highlighted)
+const matchCommand = (query, command) => {
+    const title = fuzzyMatch(query, command.title);
+    const keywords = fuzzyMatch(query, command.keywords);
+    if (title && (!keywords || title.score >= keywords.score)) return title;
+    return keywords && { score: keywords.score - 1, indices: [] };
+};
+
+// Ctrl/Cmd+K opens a searchable list of everything the app can do (see app/commands.js).
+// Commands with a `prompt` ask for some text first, e.g. the new task's name.
+export default function CommandPalette() {
+    const dispatch = useDispatch();
+    const navigate = useNavigate();
+    const store = useStore();
+    const listId = useId();
+
+    const [open, setOpen] = useState(false);
+    const [q, setQ] = useState("");
+    const [active, setActive] = useState(0);
+    const [pending, setPending] = useState(null); // Command waiting for its prompt to be filled in
+    const [recent, setRecent] = useState(() => loadRecent());
+    const returnFocus = useRef(null);
+
+    const close = () => {
+        setOpen(false);
+        setQ("");
+        setPending(null);
+        returnFocus.current?.focus?.();
+    };
+
+    useEffect(() => {
+        const onKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "k") return;
+            e.preventDefault();
+            if (!open) returnFocus.current = document.activeElement;
+            setOpen((o) => !o);
+            setQ("");
+            setPending(null);
+        };
+
+        window.addEventListener("keydown", onKeyDown);
+        return () => window.removeEventListener("keydown", onKeyDown);
+    }, [open]);
+
+    // The list is built when the palette opens, so "Open project ..." etc. reflect the current state
+    const commands = useMemo(() => (open ? getCommands(store.getState()) : []), [open, store]);
+
+    // Recently used first; with a query, best match first and recency breaks near-ties
+    const results = useMemo(() => {
+        const recency = (c) => {
+            const i = recent.indexOf(c.id);
+            return i === -1 ? 0 : recent.length - i;
+        };
+
+        if (!q.trim()) {
+            return commands
+                .map((command) => ({ command, indices: [] }))
+                .sort((a, b) => recency(b.command) - recency(a.command))
+                .slice(0, MAX_RESULTS);
+        }
+        return commands
+            .map((command) => {
+                const match = matchCommand(q, command);
+                return match && { command, indices: match.indices, score: match.score + recency(command) };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_RESULTS);
+    }, [commands, q, recent]);
+
+    useEffect(() => setActive(0), [q]);
+
+    useEffect(() => {
+        if (!open || pending) return;
+        document.getElementById(`${listId}-${active}`)?.scrollIntoView?.({ block: "nearest" });
+    });
+
+    if (!open) return null;
+
+    const run = (command, input) => {
+        setRecent(rememberCommand(command.id));
+        close();
+        command.run({ dispatch, navigate, getState: store.getState }, input);
+    };
+
+    const choose = (command) => {
+        if (!command) return;
+        if (command.prompt) {
+            setPending(command);
+            setQ("");
+        } else {
+            run(command);
+        }
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === "Escape") {
+            e.preventDefault();
+            // From a prompt, Escape goes back to the list
+            if (pending) {
+                setPending(null);
+                setQ("");
+            } else {
+                close();
+            }
+            return;
+        }
+
+        if (pending) {
+            if (e.key === "Enter" && q.trim()) {
+                e.preventDefault();
+                run(pending, q.trim());
+            }
+            return;
+        }
+
+        if (e.key === "ArrowDown" && results.length) {
+            e.preventDefault();
+            setActive((i) => (i + 1) % results.length);
+        } else if (e.key === "ArrowUp" && results.length) {
+            e.preventDefault();
+            setActive((i) => (i - 1 + results.length) % results.length);
+        } else if (e.key === "Enter") {
+            e.preventDefault();
+            choose(results[active]?.command);
+        }
+    };
+
+    return (
+        <div className="dialog-backdrop palette-backdrop" onMouseDown={close}>
+            <div
+                className="palette"
+                role="dialog"
+                aria-modal="true"
+                aria-label="Command palette"
+                onMouseDown={(e) => e.stopPropagation()}
+            >
+                {pending && <div className="palette-prompt-title">{pending.title}</div>}
+
+                <input
+                    autoFocus
+                    type="text"
+                    role="combobox"
+                    aria-label={pending ? pending.prompt : "Type a command"}
+                    placeholder={pending ? `${pending.prompt}...` : "Type a command..."}
+                    aria-autocomplete="list"
+                    aria-expanded={!pending && results.length > 0}
+                    aria-controls={listId}
+                    aria-activedescendant={!pending && results.length ? `${listId}-${active}` : undefined}
+                    value={q}
+                    onChange={(e) => setQ(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                />
+
+                {pending ? (
+                    <p className="palette-hint">Enter to confirm, Esc to go back</p>
+                ) : results.length ? (
+                    <ul className="palette-results" id={listId} role="listbox" aria-label="Commands">
+                        {results.map(({ command, indices }, i) => (
+                            <li
+                                key={command.id}
+                                id={`${listId}-${i}`}
+                                role="option"
+                                aria-selected={i === active}
+                                className={i === active ? "active" : ""}
+                                onMouseEnter={() => setActive(i)}
+                                onClick={() => choose(command)}
+                            >
+                                <span>
+                                    <Highlight text={command.title} indices={indices} />
+                                    {command.prompt && "…"}
+                                </span>
+                                {command.group && <span className="palette-group">{command.group}</span>}
+                            </li>
+                        ))}
+                    </ul>
+                ) : (
+                    <p className="palette-hint">No matching commands</p>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,73 @@
+import { useEffect, useRef, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { selectLastChange, undo } from "../app/history";
+import { selectScheduleConflicts } from "../features/tasks/dependencies";
+import "./DependencyWarning.css"
+
+const WARNING_MS = 8000;
+
+const conflictKey = ({ task, blocker }) => `${task.id}>${blocker.id}`;
+const sameKeys = (a, b) => a.length === b.length && a.every((c, i) => conflictKey(c) === conflictKey(b[i]));
+
+// Warns when a change (usually a blocker's due date moving later) leaves a task starting
+// before something it waits on is due. Clashes that were already there on load stay quiet.
+export default function DependencyWarning() {
+    const dispatch = useDispatch();
+    const conflicts = useSelector(selectScheduleConflicts);
+    const lastChange = useSelector(selectLastChange);
+    const seen = useRef(null);
+    const [fresh, setFresh] = useState([]);
+    // The history entry of the change that caused the warning - Undo only makes sense while it's the last one
+    const [cause, setCause] = useState(null);
+
+    useEffect(() => {
+        const keys = new Set(conflicts.map(conflictKey));
+        const previous = seen.current;
+        seen.current = keys;
+        if (!previous) return;
+
+        const added = conflicts.filter((c) => !previous.has(conflictKey(c)));
+        if (added.length) setCause(lastChange);
+        // Fixed clashes drop out of a warning that's still showing. Unrelated edits leave the
+        // same list, so keep the old array then - a new one would restart the timer
+        setFresh((shown) => {
+            const next = [...shown.filter((c) => keys.has(conflictKey(c))), ...added];
+            return sameKeys(shown, next) ? shown : next;
+        });
+    }, [conflicts, lastChange]);
+
+    useEffect(() => {
+        if (fresh.length === 0) return;
+        const timer = setTimeout(() => setFresh([]), WARNING_MS);
+        return () => clearTimeout(timer);
+    }, [fresh]);
+
+    if (fresh.length === 0) return null;
+
+    const handleUndo = () => {
+        dispatch(undo());
+        setFresh([]);
+    };
+
+    return (
+        <div className="dependency-warning" role="alert">
+            <ul>
+                {fresh.map(({ task, blocker }) => (
+                    <li key={conflictKey({ task, blocker })}>
+                        "{task.name}" now starts before its blocker "{blocker.name}" is due ({blocker.date})
+                    </li>
+                ))}
+            </ul>
+            <button
+                className="undo-btn"
+                type="button"
+                onClick={handleUndo}
+                disabled={lastChange !== cause}
+                title={lastChange !== cause ? "Other changes have been made since" : undefined}
+            >
+                Undo
+            </button>
+            <button className="dismiss-btn" type="button" onClick={() => setFresh([])} aria-label="Dismiss">✕</button>
+        </div>
+    );
+}
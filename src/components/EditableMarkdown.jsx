@@ -0,0 +1,45 @@
+import { useState } from "react";
+import Markdown from "./Markdown";
+import MarkdownEditor from "./MarkdownEditor";
+
+// Rendered description with an "Edit description" button that swaps in the editor
+export default function EditableMarkdown({ value = "", onSave, emptyText = "No description" }) {
+    const [editing, setEditing] = useState(false);
+    const [draft, setDraft] = useState(value);
+
+    const startEdit = () => {
+        setDraft(value);
+        setEditing(true);
+    };
+
+    const save = () => {
+        onSave(draft);
+        setEditing(false);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === "Escape") setEditing(false);
+        if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) save();
+    };
+
+    if (editing) {
+        return (
+            <div className="editable-markdown">
+                <MarkdownEditor value={draft} onChange={setDraft} onKeyDown={handleKeyDown} autoFocus />
+                <div className="editable-markdown-actions">
+                    <button className="save-btn" type="button" onClick={save}>Save</button>
+                    <button className="link-btn" type="button" onClick={() => setEditing(false)}>Cancel</button>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="editable-markdown">
+            {value.trim() ? <Markdown text={value} /> : <p className="muted">{emptyText}</p>}
+            <button className="link-btn" type="button" onClick={startEdit}>
+                Edit description
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,9 @@
+import { highlightParts } from "../utils/fuzzy";
+
+// Text with the matched characters (from fuzzyMatch) wrapped in <mark>
+export default function Highlight({ text = "", indices }) {
+    if (!indices?.length) return text;
+    return highlightParts(text, indices).map((part, i) =>
+        part.match ? <mark key={i}>{part.text}</mark> : part.text
+    );
+}
@@ -0,0 +1,11 @@
+import { useMemo } from "react";
+import { renderMarkdown } from "../utils/markdown";
+import "./Markdown.css"
+
+export default function Markdown({ text, className = "" }) {
+    const html = useMemo(() => renderMarkdown(text), [text]);
+    if (!html) return null;
+
+    // Safe to inject - renderMarkdown sanitises the output
+    return <div className={`markdown ${className}`} dangerouslySetInnerHTML={{ __html: html }} />;
+}
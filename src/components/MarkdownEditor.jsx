@@ -0,0 +1,49 @@
+import { useState } from "react";
+import Markdown from "./Markdown";
+import "./Markdown.css"
+
+// Textarea with a Write / Preview toggle
+export default function MarkdownEditor({ value, onChange, placeholder = "Description (Markdown supported)", autoFocus, onKeyDown }) {
+    const [tab, setTab] = useState("write");
+
+    return (
+        <div className="markdown-editor">
+            <div className="markdown-tabs" role="tablist">
+                <button
+                    type="button"
+                    role="tab"
+                    aria-selected={tab === "write"}
+                    className={tab === "write" ? "active" : ""}
+                    onClick={() => setTab("write")}
+                >
+                    Write
+                </button>
+                <button
+                    type="button"
+                    role="tab"
+                    aria-selected={tab === "preview"}
+                    className={tab === "preview" ? "active" : ""}
+                    onClick={() => setTab("preview")}
+                >
+                    Preview
+                </button>
+            </div>
+
+            {tab === "write" ? (
+                <textarea
+                    value={value}
+                    onChange={(e) => onChange(e.target.value)}
+                    onKeyDown={onKeyDown}
+                    placeholder={placeholder}
+                    aria-label="Description"
+                    rows={4}
+                    autoFocus={autoFocus}
+                />
+            ) : (
+                <div className="markdown-preview">
+                    {value.trim() ? <Markdown text={value} /> : <p className="muted">Nothing to preview</p>}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,34 +1,153 @@
-import { useMemo, useState, useRef, useEffect } from "react";
+import { useMemo, useState, useRef, useEffect, useId } from "react";
 import { useSelector } from "react-redux";
 import { useNavigate } from "react-router-dom";
+import { fuzzyMatch } from "../utils/fuzzy";
+import { isQuery, compileQuery } from "../features/tasks/query";
+import { selectWorkflow } from "../features/tasks/status";
+import useShortcuts from "../app/useShortcuts";
+import Highlight from "./Highlight";
 import searchIcon from "../assets/search-interface-symbol.png"
 import "./Searchbar.css"
 
+const MAX_PER_GROUP = 8;
+const SNIPPET_CHARS = 30; // Context shown either side of a description match
+
+// Descriptions are long, so they only match on a plain substring - a scattered fuzzy
+// match would find almost anything in a paragraph of text
+function descriptionMatch(query, description) {
+    const text = (description ?? "").replace(/\s+/g, " ").trim();
+    const q = query.trim().toLowerCase();
+    const at = text.toLowerCase().indexOf(q);
+    if (!q || at === -1) return null;
+
+    const start = Math.max(0, at - SNIPPET_CHARS);
+    const end = Math.min(text.length, at + q.length + SNIPPET_CHARS);
+    const snippet = `${start > 0 ? "…" : ""}${text.slice(start, end)}${end < text.length ? "…" : ""}`;
+    const offset = at - start + (start > 0 ? 1 : 0);
+    return { snippet, indices: Array.from(q, (_, i) => offset + i) };
+}
+
+const byScore = (a, b) => b.score - a.score;
+
 export default function Searchbar() {
     const [q, setQ] = useState("");
+    const [active, setActive] = useState(0);
     const tasks = useSelector((s) => s.tasks.tasks);
+    const projects = useSelector((s) => s.projects.projects);
+    const workflow = useSelector(selectWorkflow);
     const searchRef = useRef(null);
+    const inputRef = useRef(null);
+    const listId = useId();
     const nav = useNavigate();
 
+    useShortcuts("General", [
+        { keys: "/", label: "Search", run: () => inputRef.current?.focus() },
+    ], { global: true });
+
+    // Anything using the query syntax (project:"x", due:<..., -term...) is filtered instead of fuzzy searched
+    const query = useMemo(
+        () => (isQuery(q) ? compileQuery(q, { projects, workflow }) : null),
+        [q, projects, workflow]
+    );
+
+    // [{ type, label, items: [{ id, name, indices, snippet?, path }] }] - empty groups are left out
+    const groups = useMemo(() => {
+        if (!q.trim()) return [];
+
+        if (query) {
+            if (query.errors.length) return [];
+            const matches = tasks.filter(query.predicate);
+            if (!matches.length) return [];
+            return [
+                {
+                    type: "query",
+                    label: "Query",
+                    items: [{
+                        id: "all",
+                        name: `Show all ${matches.length} matching ${matches.length === 1 ? "task" : "tasks"} in Tasks`,
+                        path: `/tasks?${new URLSearchParams({ query: q.trim() })}`,
+                    }],
+                },
+                {
+                    type: "task",
+                    label: "Tasks",
+                    items: matches.slice(0, MAX_PER_GROUP).map((t) => ({
+                        id: t.id,
+                        name: t.name,
+                        path: `/tasks?editId=${t.id}&field=name`,
+                    })),
+                },
+            ];
+        }
+
+        const taskResults = tasks
+            .map((t) => {
+                const name = fuzzyMatch(q, t.name);
+                if (name) return { id: t.id, name: t.name, indices: name.indices, score: name.score };
+                // Description-only hits go below every name match
+                const desc = descriptionMatch(q, t.description);
+                return desc && { id: t.id, name: t.name, snippet: desc, score: -1 };
+            })
+            .filter(Boolean)
+            .sort(byScore)
+            .slice(0, MAX_PER_GROUP)
+            .map((r) => ({ ...r, path: `/tasks?editId=${r.id}&field=name` }));
+
+        const projectResults = projects
+            .map((p) => {
+                const match = fuzzyMatch(q, p.name);
+                return match && { id: p.id, name: p.name, indices: match.indices, score: match.score };
+            })
+            .filter(Boolean)
+            .sort(byScore)
+            .slice(0, MAX_PER_GROUP)
+            .map((r) => ({ ...r, path: `/projects/${r.id}` }));
 
-    const results = useMemo(() => {
-        const query = q.trim().toLowerCase();
-        if (!query) return [];
-        return tasks
-            .filter(t => t.name?.toLowerCase().includes(query))
-            .slice(0, 8); 
-    }, [q, tasks]);
+        return [
+            { type: "task", label: "Tasks", items: taskResults },
+            { type: "project", label: "Projects", items: projectResults },
+        ].filter((g) => g.items.length > 0);
+    }, [q, query, tasks, projects]);
 
-    const handleSelect = (taskId) => {
-        nav(`/tasks?editId=${taskId}&field=name`);
+    // Keyboard navigation runs over one flat list, in the order the groups are shown
+    const options = useMemo(() => groups.flatMap((g) => g.items.map((item) => ({ ...item, type: g.type }))), [groups]);
+    const open = q.trim() !== "" && options.length > 0;
+    const optionId = (i) => `${listId}-option-${i}`;
+    const errors = query?.errors ?? [];
+
+    useEffect(() => setActive(0), [q]);
+
+    const handleSelect = (option) => {
+        nav(option.path);
         setQ("");
-        document.activeElement.blur(); 
+        document.activeElement.blur();
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === "Escape") {
+            e.preventDefault();
+            if (q) setQ("");
+            else inputRef.current.blur();
+            return;
+        }
+        if (!open) return;
+
+        if (e.key === "ArrowDown") {
+            e.preventDefault();
+            setActive((i) => (i + 1) % options.length);
+        } else if (e.key === "ArrowUp") {
+            e.preventDefault();
+            setActive((i) => (i - 1 + options.length) % options.length);
+        } else if (e.key === "Enter") {
+            e.preventDefault();
+            handleSelect(options[active] ?? options[0]);
+        }
     };
 
     useEffect(() => {
         const handleClickOutside = (e) => {
             if (searchRef.current && !searchRef.current.contains(e.target)) {
-                setQ(""); // clear search 
+                setQ(""); // clear search
             }
         };
 
@@ -36,6 +155,13 @@ export default function Searchbar() {
         return () => document.removeEventListener("mousedown", handleClickOutside);
     }, []);
 
+    // Keep the highlighted option visible when arrowing through a long list
+    useEffect(() => {
+        if (!open) return;
+        document.getElementById(optionId(active))?.scrollIntoView?.({ block: "nearest" });
+    });
+
+    let index = -1; // Running option index across groups
 
     return (
         <div className="searchbar" ref={searchRef}>
@@ -44,24 +170,69 @@ export default function Searchbar() {
                     <img src={searchIcon} alt="Search" className="search-icon" />
                 </button>
                 <input
+                    ref={inputRef}
                     type="search"
-                    placeholder="Search tasks..."
+                    role="combobox"
+                    placeholder="Search tasks and projects..."
+                    aria-label="Search tasks and projects"
+                    aria-autocomplete="list"
+                    aria-expanded={open}
+                    aria-controls={listId}
+                    aria-activedescendant={open ? optionId(active) : undefined}
+                    aria-invalid={errors.length > 0}
+                    aria-describedby={errors.length ? `${listId}-errors` : undefined}
                     value={q}
                     onChange={(e) => setQ(e.target.value)}
+                    onKeyDown={handleKeyDown}
                 />
 
-                {q && results.length > 0 && (
-                    <ul className="task-search-results">
-                        {results.map(t => (
-                            <li key={t.id} onClick={() => handleSelect(t.id)}>
-                                {t.name}
+                {open && (
+                    <div className="task-search-results" id={listId} role="listbox" aria-label="Search results">
+                        {groups.map((group) => (
+                            <div key={group.type} role="group" aria-labelledby={`${listId}-${group.type}`}>
+                                <div className="search-group-label" id={`${listId}-${group.type}`} role="presentation">
+                                    {group.label}
+                                </div>
+                                {group.items.map((item) => {
+                                    const i = ++index;
+                                    return (
+                                        <div
+                                            key={item.id}
+                                            id={optionId(i)}
+                                            role="option"
+                                            aria-selected={i === active}
+                                            className={`search-option ${i === active ? "active" : ""}`}
+                                            onMouseEnter={() => setActive(i)}
+                                            onClick={() => handleSelect(item)}
+                                        >
+                                            <Highlight text={item.name} indices={item.indices} />
+                                            {item.snippet && (
+                                                <span className="search-snippet">
+                                                    <Highlight text={item.snippet.snippet} indices={item.snippet.indices} />
+                                                </span>
+                                            )}
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {errors.length > 0 && (
+                    <ul className="task-search-empty search-query-errors" id={`${listId}-errors`} role="alert">
+                        {errors.map((err, i) => (
+                            <li key={i}>
+                                <code>{q.slice(err.start, err.end)}</code> {err.message}
                             </li>
                         ))}
                     </ul>
                 )}
 
-                {q && results.length === 0 && (
-                    <div className="task-search-empty">No matching tasks</div>
+                {q.trim() && options.length === 0 && errors.length === 0 && (
+                    <div className="task-search-empty" role="status">
+                        {query ? "No tasks match this query" : "No matching tasks or projects"}
+                    </div>
                 )}
             </form>
         </div>
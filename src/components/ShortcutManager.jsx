@@ -0,0 +1,122 @@
+import { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { activeShortcuts, describeKeys, inModal, isTextField } from "../app/shortcuts";
+import useShortcuts from "../app/useShortcuts";
+import "./ShortcutManager.css"
+
+const SEQUENCE_MS = 1000; // How long "g" waits for the second key
+
+const PAGES = [
+    { keys: "g d", path: "/dashboard", name: "Dashboard" },
+    { keys: "g t", path: "/tasks", name: "Tasks" },
+    { keys: "g p", path: "/projects", name: "Projects" },
+    { keys: "g c", path: "/calendar", name: "Calendar" },
+];
+
+// The one keydown listener behind every single-key shortcut (see app/shortcuts.js),
+// plus the global bindings and the "?" overlay listing what's active on this page
+export default function ShortcutManager() {
+    const navigate = useNavigate();
+    const [help, setHelp] = useState(null); // Bindings shown in the overlay, null when closed
+    const pending = useRef(null); // First key of a sequence
+    const timer = useRef(null);
+
+    useShortcuts("General", [
+        { keys: "n", label: "New task", run: () => navigate("/tasks?new=1") },
+        { keys: "?", label: "Show keyboard shortcuts", run: () => setHelp((h) => (h ? null : activeShortcuts())) },
+    ], { global: true });
+
+    useShortcuts(
+        "Go to",
+        PAGES.map((page) => ({ keys: page.keys, label: page.name, run: () => navigate(page.path) })),
+        { global: true }
+    );
+
+    useEffect(() => {
+        const clearPending = () => {
+            pending.current = null;
+            clearTimeout(timer.current);
+        };
+
+        const onKeyDown = (e) => {
+            // With the overlay open only Escape / "?" (to close it) do anything
+            if (help && e.key === "Escape") {
+                setHelp(null);
+                return;
+            }
+            if (help && e.key !== "?") return;
+            if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isTextField(e.target)) return;
+            // (the overlay is a modal itself, so only other dialogs count here)
+            if (!help && inModal(e.target)) return;
+            if (["Shift", "Control", "Alt", "Meta"].includes(e.key)) return;
+
+            const bindings = activeShortcuts();
+            const find = (keys) => bindings.find((b) => b.keys === keys);
+            const startsSequence = (key) => bindings.some((b) => b.keys.startsWith(`${key} `));
+
+            // A key that doesn't finish the sequence starts over on its own
+            const binding = (pending.current && find(`${pending.current} ${e.key}`)) || find(e.key);
+            clearPending();
+
+            if (binding) {
+                e.preventDefault();
+                binding.run();
+            } else if (startsSequence(e.key)) {
+                pending.current = e.key;
+                timer.current = setTimeout(clearPending, SEQUENCE_MS);
+            }
+        };
+
+        window.addEventListener("keydown", onKeyDown);
+        return () => {
+            window.removeEventListener("keydown", onKeyDown);
+            clearPending();
+        };
+    }, [help]);
+
+    if (!help) return null;
+
+    const groups = [...new Set(help.map((b) => b.group))];
+
+    return (
+        <div className="dialog-backdrop" onClick={() => setHelp(null)}>
+            <div
+                className="dialog shortcut-help"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="shortcut-help-title"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <h2 id="shortcut-help-title">Keyboard shortcuts</h2>
+
+                {groups.map((group) => (
+                    <section key={group} aria-label={group}>
+                        <h3>{group}</h3>
+                        <dl>
+                            {help
+                                .filter((b) => b.group === group)
+                                .map((b) => (
+                                    <div key={b.keys} className="shortcut-row">
+                                        <dt>
+                                            {describeKeys(b.keys).map((k, i) => (
+                                                <kbd key={i}>{k}</kbd>
+                                            ))}
+                                        </dt>
+                                        <dd>{b.label}</dd>
+                                    </div>
+                                ))}
+                        </dl>
+                    </section>
+                ))}
+
+                <p className="muted">Shortcuts are off while typing in a field. Ctrl/Cmd+K opens the command palette.</p>
+
+                <div className="dialog-actions">
+                    <button className="link-btn" type="button" onClick={() => setHelp(null)}>
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -1,9 +1,12 @@
+import { useState } from "react";
 import { NavLink } from "react-router-dom";
+import BackupDialog from "./BackupDialog";
 import "./Sidebar.css";
 
 const Sidebar = () => {
 
     const getLinkClass = ({ isActive }) => (isActive ? "active" : "");
+    const [showBackup, setShowBackup] = useState(false);
 
     return (
         <div className="side">
@@ -24,6 +27,10 @@ const Sidebar = () => {
                     <NavLink to="/calendar" className={getLinkClass}>Calendar</NavLink>
                 </li>
             </ul>
+            <div className="side-footer">
+                <button className="link-btn" onClick={() => setShowBackup(true)}>Backup &amp; restore</button>
+            </div>
+            {showBackup && <BackupDialog onClose={() => setShowBackup(false)} />}
         </div>
     );
 };
@@ -1,5 +1,6 @@
 import "./TopBar.css"
 import Searchbar from "./Searchbar"
+import NotificationCentre from "../features/notifications/NotificationCentre"
 
 const TopBar = () => {
 
@@ -13,6 +14,8 @@ const TopBar = () => {
             <h4>Harrison</h4>
             <span className="avatar">H</span>
         </div>
+
+        <NotificationCentre />
     </div>
   )
 }
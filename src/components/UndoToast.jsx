@@ -0,0 +1,45 @@
+import { useEffect, useRef, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { undo, DESTRUCTIVE_ACTIONS, selectLastChange, selectRecordedCount } from "../app/history";
+import "./UndoToast.css"
+
+const TOAST_MS = 6000;
+
+// Pops up after a delete with a one-click Undo
+export default function UndoToast() {
+    const dispatch = useDispatch();
+    const lastChange = useSelector(selectLastChange);
+    const recorded = useSelector(selectRecordedCount);
+    const seen = useRef(recorded);
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        // Only react to brand new changes - undo/redo moving through history just hides it
+        if (recorded === seen.current) {
+            setMessage(null);
+            return;
+        }
+        seen.current = recorded;
+
+        const label = DESTRUCTIVE_ACTIONS[lastChange?.type];
+        setMessage(label ?? null);
+        if (!label) return;
+
+        const timer = setTimeout(() => setMessage(null), TOAST_MS);
+        return () => clearTimeout(timer);
+    }, [recorded, lastChange]);
+
+    if (!message) return null;
+
+    const handleUndo = () => {
+        dispatch(undo());
+        setMessage(null);
+    };
+
+    return (
+        <div className="undo-toast" role="status">
+            <span>{message}</span>
+            <button className="undo-btn" type="button" onClick={handleUndo}>Undo</button>
+        </div>
+    );
+}
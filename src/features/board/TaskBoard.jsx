@@ -0,0 +1,199 @@
+import { useEffect, useMemo, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import { updateTask } from "../tasks/tasksSlice";
+import { selectWorkflow, taskStatus, canTransition } from "../tasks/status";
+import { hasSubtasks, subtaskCount } from "../tasks/subtasks";
+import WorkflowDialog from "../tasks/WorkflowDialog";
+import { setWipLimit, setSwimlanes } from "./boardSlice";
+import { formatTimeRange } from "../../utils/dates";
+import "./taskBoard.css";
+
+// Kanban view of the tasks: one column per workflow status, optionally split into a swimlane per project.
+// Dropping a card in another column changes its status, in another lane its project.
+export default function TaskBoard() {
+    const dispatch = useDispatch();
+    const navigate = useNavigate();
+    const tasks = useSelector((s) => s.tasks.tasks);
+    const projects = useSelector((s) => s.projects.projects);
+    const workflow = useSelector(selectWorkflow);
+    const { wipLimits, swimlanes } = useSelector((s) => s.board);
+
+    const [dragId, setDragId] = useState(null);
+    const [editingWorkflow, setEditingWorkflow] = useState(false);
+    const [notice, setNotice] = useState(null); // Message shown when a drop gets rejected
+
+    useEffect(() => {
+        if (!notice) return;
+        const timer = setTimeout(() => setNotice(null), 4000);
+        return () => clearTimeout(timer);
+    }, [notice]);
+
+    // Column counts are board-wide so the WIP limit holds across swimlanes
+    const counts = useMemo(() => {
+        const c = Object.fromEntries(workflow.statuses.map((s) => [s.id, 0]));
+        tasks.forEach((t) => c[taskStatus(t, workflow).id]++);
+        return c;
+    }, [tasks, workflow]);
+
+    const statusOf = (task) => taskStatus(task, workflow).id;
+    const labelOf = (id) => workflow.statuses.find((s) => s.id === id)?.label;
+
+    // Only lanes with something in them (unknown project ids end up in "No project")
+    const lanes = useMemo(() => {
+        if (!swimlanes) return [{ id: null, name: null }];
+        const used = new Set(tasks.map((t) => (projects.some((p) => p.id === t.project) ? t.project : "")));
+        return [
+            ...projects.filter((p) => used.has(p.id)).map((p) => ({ id: p.id, name: p.name })),
+            ...(used.has("") ? [{ id: "", name: "No project" }] : []),
+        ];
+    }, [swimlanes, tasks, projects]);
+
+    const inLane = (task, lane) =>
+        lane.id === null ||
+        (lane.id === "" ? !projects.some((p) => p.id === task.project) : task.project === lane.id);
+
+    const handleDrop = (status, lane) => {
+        const task = tasks.find((t) => t.id === dragId);
+        setDragId(null);
+        if (!task) return;
+
+        const changes = {};
+        const from = statusOf(task);
+
+        if (status !== from) {
+            if (!canTransition(workflow, from, status)) {
+                setNotice(`"${task.name}" can't go from ${labelOf(from)} to ${labelOf(status)}`);
+                return;
+            }
+            const limit = wipLimits[status];
+            if (limit && counts[status] >= limit) {
+                setNotice(`${labelOf(status)} is at its limit of ${limit} - finish something first`);
+                return;
+            }
+            changes.status = status;
+        }
+        if (!inLane(task, lane)) changes.project = lane.id;
+
+        if (Object.keys(changes).length) dispatch(updateTask({ id: task.id, changes }));
+    };
+
+    const projectName = (id) => projects.find((p) => p.id === id)?.name;
+    const columnsStyle = { "--board-columns": workflow.statuses.length };
+
+    return (
+        <div className="board-wrapper">
+            <div className="page-header">
+                <h1>Task board</h1>
+
+                <div className="header-buttons">
+                    <label className="board-toggle">
+                        <input
+                            type="checkbox"
+                            checked={swimlanes}
+                            onChange={(e) => dispatch(setSwimlanes(e.target.checked))}
+                        />
+                        Swimlanes by project
+                    </label>
+                    <button className="link-btn" onClick={() => setEditingWorkflow(true)}>
+                        Edit workflow
+                    </button>
+                    <button className="link-btn" onClick={() => navigate("/tasks")}>
+                        Table view
+                    </button>
+                </div>
+            </div>
+
+            {notice && (
+                <div className="board-notice" role="alert">
+                    {notice}
+                </div>
+            )}
+
+            <div className="board-columns board-headings" style={columnsStyle}>
+                {workflow.statuses.map((s) => {
+                    const limit = wipLimits[s.id];
+                    return (
+                        <div
+                            key={s.id}
+                            className={`board-heading ${limit && counts[s.id] > limit ? "over-limit" : ""}`}
+                            style={{ borderColor: s.color }}
+                        >
+                            <h2>
+                                {s.label}{" "}
+                                <span className="muted">
+                                    {counts[s.id]}{limit ? ` / ${limit}` : ""}
+                                </span>
+                            </h2>
+                            <label>
+                                WIP
+                                <input
+                                    type="number"
+                                    min={0}
+                                    value={limit ?? ""}
+                                    placeholder="-"
+                                    onChange={(e) => dispatch(setWipLimit({ status: s.id, limit: e.target.value }))}
+                                    aria-label={`${s.label} WIP limit`}
+                                />
+                            </label>
+                        </div>
+                    );
+                })}
+            </div>
+
+            {tasks.length === 0 && <p className="empty">No tasks yet - add some from the table view.</p>}
+
+            {lanes.map((lane) => (
+                <section key={lane.id ?? "all"} className="board-lane" aria-label={lane.name ?? "Tasks"}>
+                    {lane.name && <h3 className="board-lane-name">{lane.name}</h3>}
+
+                    <div className="board-columns" style={columnsStyle}>
+                        {workflow.statuses.map((s) => (
+                            <ul
+                                key={s.id}
+                                className="board-column"
+                                aria-label={s.label}
+                                onDragOver={(e) => e.preventDefault()}
+                                onDrop={() => handleDrop(s.id, lane)}
+                            >
+                                {tasks
+                                    .filter((t) => statusOf(t) === s.id && inLane(t, lane))
+                                    .map((t) => (
+                                        <li
+                                            key={t.id}
+                                            className={`board-card ${dragId === t.id ? "dragging" : ""}`}
+                                            style={{ borderLeftColor: s.color }}
+                                            draggable
+                                            onDragStart={(e) => {
+                                                // Firefox won't start a drag without some data set
+                                                e.dataTransfer.setData("text/plain", String(t.id));
+                                                e.dataTransfer.effectAllowed = "move";
+                                                setDragId(t.id);
+                                            }}
+                                            onDragEnd={() => setDragId(null)}
+                                            onClick={() => navigate(`/tasks?editId=${t.id}`)}
+                                        >
+                                            <span className="board-card-name">{t.name}</span>
+                                            <span className="muted">
+                                                {t.date || "No date"} {formatTimeRange(t)}
+                                            </span>
+                                            <span className="board-card-meta">
+                                                {!swimlanes && projectName(t.project) && (
+                                                    <span className="board-card-project">{projectName(t.project)}</span>
+                                                )}
+                                                <span className="muted">
+                                                    {t.progress}%{hasSubtasks(t) && ` (${subtaskCount(t)})`}
+                                                </span>
+                                            </span>
+                                        </li>
+                                    ))}
+                            </ul>
+                        ))}
+                    </div>
+                </section>
+            ))}
+
+            {editingWorkflow && <WorkflowDialog onClose={() => setEditingWorkflow(false)} />}
+        </div>
+    );
+}
@@ -0,0 +1,31 @@
+import { createSlice } from "@reduxjs/toolkit";
+import { restoreWorkspace } from "../../app/backup";
+
+// View settings for the Kanban board (not undoable - see app/history.js)
+const initialState = {
+    // status id -> max number of cards, missing / 0 = no limit
+    wipLimits: {},
+    swimlanes: false,
+};
+
+const boardSlice = createSlice({
+    name: "board",
+    initialState,
+    reducers: {
+        setWipLimit: (state, action) => {
+            const { status, limit } = action.payload;
+            const n = Math.floor(Number(limit));
+            if (n > 0) state.wipLimits[status] = n;
+            else delete state.wipLimits[status];
+        },
+        setSwimlanes: (state, action) => {
+            state.swimlanes = Boolean(action.payload);
+        },
+    },
+    extraReducers: (builder) => {
+        builder.addCase(restoreWorkspace, (state, action) => action.payload.board);
+    },
+});
+
+export const { setWipLimit, setSwimlanes } = boardSlice.actions;
+export default boardSlice.reducer;
@@ -1,9 +1,18 @@
-import React, { useMemo, useState } from "react";
-import { useSelector } from "react-redux";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
 import FullCalendar from "@fullcalendar/react";
 import dayGridPlugin from "@fullcalendar/daygrid";
 import timeGridPlugin from "@fullcalendar/timegrid";
 import interactionPlugin from "@fullcalendar/interaction";
+import { editTask, updateTask } from "../tasks/tasksSlice";
+import EditableMarkdown from "../../components/EditableMarkdown";
+import { subtaskCount } from "../tasks/subtasks";
+import { selectWorkflow } from "../tasks/status";
+import BlockedBadge from "../tasks/BlockedBadge";
+import { toDateKey, toTimeKey, parseDateKey, formatTimeRange } from "../../utils/dates";
+import { tasksToEvents } from "./taskEvents";
+import QuickCreatePopover from "./QuickCreatePopover";
+import RecurringEditDialog from "../tasks/RecurringEditDialog";
 import "./calendarPage.css"
 
 /* Plugins - 
@@ -14,38 +23,113 @@ interactionPlugin: enables clicks and other interactions. */
 
 export default function CalendarPage() {
 
+  const dispatch = useDispatch();
   const tasks = useSelector((state) => state.tasks.tasks);    // Pull the current task list from Redux store
+  const projects = useSelector((state) => state.projects.projects);
+  const workflow = useSelector(selectWorkflow);
   const [selectedEventId, setSelectedEventId] = useState(null); // Tracks which event (if any) is expanded in-place
+  const [range, setRange] = useState(null); // Visible date range, so recurring tasks only expand as far as needed
+  const [notice, setNotice] = useState(null); // Message shown when a drag gets rejected
+  const [newSlot, setNewSlot] = useState(null); // Where the quick-create popover is open, if anywhere
+  const [pendingMove, setPendingMove] = useState(null); // A recurring task's drag waiting on "this one or all?"
+  const closeQuickCreate = useCallback(() => setNewSlot(null), []);
+
+  // Hide the rejected-drop message after a few seconds
+  useEffect(() => {
+    if (!notice) return;
+    const timer = setTimeout(() => setNotice(null), 4000);
+    return () => clearTimeout(timer);
+  }, [notice]);
+
+  // Every task becomes an event on its due date (one per visible occurrence for recurring tasks), memorised using useMemo.
+  // All-day tasks sit inside the day cell, timed ones in their slot in week / day view.
+  const events = useMemo(() => tasksToEvents(tasks, { workflow, range, editable: true }), [tasks, range, workflow]);
+
+  // FullCalendar tells us whenever the visible dates change (view switch, prev/next)
+  const onDatesSet = (arg) => {
+    const start = toDateKey(arg.start);
+    const end = toDateKey(arg.end);
+    setRange((prev) => (prev?.start === start && prev?.end === end ? prev : { start, end }));
+  };
 
-  const statusFromProgress = (p = 0) =>
-    p >= 100 ? "Complete" : p > 0 ? "Ongoing" : "Todo";
-
-  const colorFromProgress = (p = 0) => {
-    if (p >= 100) return "#16a34a" // Complete (green)
-    if (p > 0) return "#f59e0b" // Ongoing (amber)
-    return "#2563eb" // Todo (blue)
-  }
-
-  // Every task becomes an event on its due date and is memorised using useMemo
-  const events = useMemo(
-    () =>
-      tasks.map((t) => {
-        const bg = colorFromProgress(t.progress);
-        return {
-          id: String(t.id),
-          title: t.name,
-          start: new Date(t.date),
-          allDay: true,                // Puts the event inside a day cell (not a timed slot)
-          backgroundColor: bg,
-          borderColor: bg,
-          extendedProps: {
-            task: t,                 // keep entire task 
-            status: statusFromProgress(t.progress),
-          },
-        };
-      }),
-    [tasks]
-  );
+  // Why a task can't move to newDate (or null if it can)
+  const dropError = (task, newDate) => {
+    const project = projects.find((p) => String(p.id) === String(task.project));
+    if (project?.due && newDate > project.due) {
+      return `"${task.name}" can't be moved past ${project.name}'s due date (${project.due})`;
+    }
+    return null;
+  };
+
+  // Moving a recurring task asks first whether it's just this occurrence or the whole series
+  // (as editing it in the table does). Cancelling puts the event back where it was.
+  const askScope = (info, task, changes) => setPendingMove({ id: task.id, name: task.name, changes, revert: info.revert });
+
+  const handleRecurringChoice = (scope) => {
+    dispatch(updateTask({ id: pendingMove.id, changes: pendingMove.changes, scope }));
+    setPendingMove(null);
+  };
+
+  const cancelMove = () => {
+    pendingMove.revert();
+    setPendingMove(null);
+  };
+
+  // Dragging an event to another day / slot reschedules the task. Invalid drops snap back.
+  const onEventDrop = (info) => {
+    const task = info.event.extendedProps.task;
+    const { start, end, allDay } = info.event;
+    const newDate = toDateKey(start);
+    const error = dropError(task, newDate);
+
+    if (error) {
+      info.revert();
+      setNotice(error);
+      return;
+    }
+
+    // Day to day - only the date changes
+    if (allDay && task.allDay !== false) {
+      if (task.repeat) askScope(info, task, { date: newDate });
+      else dispatch(editTask({ id: task.id, field: "date", value: newDate }));
+      return;
+    }
+
+    // Into / out of / within the time grid - date and times change together
+    const changes = allDay
+      ? { date: newDate, allDay: true }
+      : { date: newDate, allDay: false, startTime: toTimeKey(start), endTime: end ? toTimeKey(end) : "" };
+    if (task.repeat) askScope(info, task, changes);
+    else dispatch(updateTask({ id: task.id, changes }));
+  };
+
+  // Stretching a timed event changes its end time (tasks live within a single day)
+  const onEventResize = (info) => {
+    const task = info.event.extendedProps.task;
+    const { start, end } = info.event;
+
+    if (!end || toDateKey(end) !== toDateKey(start)) {
+      info.revert();
+      setNotice(`"${task.name}" has to start and end on the same day`);
+      return;
+    }
+
+    if (task.repeat) askScope(info, task, { endTime: toTimeKey(end) });
+    else dispatch(editTask({ id: task.id, field: "endTime", value: toTimeKey(end) }));
+  };
+
+  // Clicking an empty day (or dragging across time slots) opens the quick-create popover
+  const onSelect = (info) => {
+    setNewSlot({
+      date: toDateKey(info.start),
+      allDay: info.allDay,
+      startTime: info.allDay ? "" : toTimeKey(info.start),
+      endTime: info.allDay || toDateKey(info.end) !== toDateKey(info.start) ? "" : toTimeKey(info.end),
+      x: info.jsEvent?.clientX,
+      y: info.jsEvent?.clientY,
+    });
+    info.view.calendar.unselect();
+  };
 
   // For when the user clicks an event on the calendar
   const onEventClick = (arg) => {
@@ -62,17 +146,28 @@ export default function CalendarPage() {
     return (
 
       <div className={`task-pill ${isOpen ? "open" : ""}`}>
-        <div className="title">{arg.event.title}</div>
-
-        {/* If an event is selected, show full task details inline */}
+        <div className="title-row">
+          <div className="title">{arg.event.title}</div>
+          {subtaskCount(task) && <span className="subtask-count">{subtaskCount(task)}</span>}
+          {/* Later occurrences of a series haven't started, so only the current one can be blocked */}
+          {arg.event.id === String(task.id) && <BlockedBadge task={task} />}
+        </div>
+
+        {/* If an event is selected, show full task details inline.
+            Clicks inside the details shouldn't bubble up and close the pill */}
         {isOpen && (
-          <div className="details">
-            {task.description && <p className="desc">{task.description}</p>}
+          <div className="details" onClick={(e) => e.stopPropagation()}>
+            <div className="desc">
+              <EditableMarkdown
+                value={task.description || ""}
+                onSave={(value) => dispatch(editTask({ id: task.id, field: "description", value }))}
+              />
+            </div>
 
             <dl className="meta">
               <div>
                 <dt>Due:</dt>
-                <dd>{new Date(task.date).toLocaleDateString()}</dd>
+                <dd>{[parseDateKey(task.date)?.toLocaleDateString(), formatTimeRange(task)].filter(Boolean).join(" ")}</dd>
               </div>
 
               {status && (
@@ -90,6 +185,12 @@ export default function CalendarPage() {
 
   return (
     <div className="calendar-card-wrapper">
+      {notice && (
+        <div className="calendar-notice" role="alert">
+          {notice}
+        </div>
+      )}
+
       <div className="calendar">
         <FullCalendar
           plugins={[dayGridPlugin, timeGridPlugin, interactionPlugin]}
@@ -103,10 +204,20 @@ export default function CalendarPage() {
 
           // Event date from Tasks
           events={events}
+          datesSet={onDatesSet}
 
           // Handles our clicks on event blocks
           eventClick={onEventClick}
 
+          // Drag events to another day to reschedule them
+          editable={true}
+          eventDrop={onEventDrop}
+          eventResize={onEventResize}
+
+          // Click / drag on empty space to add a task there
+          selectable={true}
+          select={onSelect}
+
           // Custom rendering logic for each event (title + details)
           eventContent={renderEventContent}
 
@@ -115,6 +226,12 @@ export default function CalendarPage() {
 
         />
       </div>
+
+      {newSlot && <QuickCreatePopover slot={newSlot} onClose={closeQuickCreate} />}
+
+      {pendingMove && (
+        <RecurringEditDialog taskName={pendingMove.name} onChoose={handleRecurringChoice} onCancel={cancelMove} />
+      )}
     </div>
   );
 }
@@ -1,43 +1,31 @@
-import React, { useMemo, useState } from "react";
+import React, { useCallback, useMemo, useState } from "react";
 import { useSelector } from "react-redux";
 import { useNavigate } from "react-router-dom";
 import FullCalendar from "@fullcalendar/react";
 import dayGridPlugin from "@fullcalendar/daygrid";
 import interactionPlugin from "@fullcalendar/interaction";
+import { tasksToEvents } from "./taskEvents";
+import { toDateKey } from "../../utils/dates";
+import { selectWorkflow } from "../tasks/status";
+import QuickCreatePopover from "./QuickCreatePopover";
 
 export default function DashboardCalendar() {
 
     const tasks = useSelector((s) => s.tasks.tasks)
+    const workflow = useSelector(selectWorkflow)
     const nav = useNavigate()
+    const [range, setRange] = useState(null)
+    const [newSlot, setNewSlot] = useState(null)
+    const closeQuickCreate = useCallback(() => setNewSlot(null), [])
 
-    const statusFromProgress = (p = 0) =>
-        p >= 100 ? "Complete" : p > 0 ? "Ongoing" : "Todo";
+    // Recurring tasks show every occurrence in the visible fortnight
+    const events = useMemo(() => tasksToEvents(tasks, { workflow, range }), [tasks, range, workflow]);
 
-    const colorFromProgress = (p = 0) => {
-        if (p >= 100) return "#16a34a" // Complete (green)
-        if (p > 0) return "#f59e0b" // Ongoing (amber)
-        return "#2563eb" // Todo (blue)
-    }
-
-    const events = useMemo(
-        () =>
-            tasks.map((t) => {
-                const bg = colorFromProgress(t.progress);
-                return {
-                    id: String(t.id),
-                    title: t.name,
-                    start: new Date(t.date),
-                    allDay: true,                // Puts the event inside a day cell (not a timed slot)
-                    backgroundColor: bg,
-                    borderColor: bg,
-                    extendedProps: {
-                        task: t,                 
-                        status: statusFromProgress(t.progress),
-                    },
-                };
-            }),
-        [tasks]
-    );
+    const onDatesSet = (arg) => {
+        const start = toDateKey(arg.start);
+        const end = toDateKey(arg.end);
+        setRange((prev) => (prev?.start === start && prev?.end === end ? prev : { start, end }));
+    };
 
     return (
         <div className="calendar-card">
@@ -58,11 +46,14 @@ export default function DashboardCalendar() {
                 fixedWeekCount={false}
                 showNonCurrentDates={false}
                 events={events}
+                datesSet={onDatesSet}
                 eventDisplay="block"
                 dayMaxEventRows={2}     
-                dateClick={() => nav("/calendar")}
+                dateClick={(info) => setNewSlot({ date: info.dateStr, allDay: true, x: info.jsEvent?.clientX, y: info.jsEvent?.clientY })}
                 eventClick={() => nav("/calendar")}
             />
+
+            {newSlot && <QuickCreatePopover slot={newSlot} onClose={closeQuickCreate} />}
         </div>
     )
 }
\ No newline at end of file
@@ -0,0 +1,101 @@
+import { useEffect, useRef, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { addTask } from "../tasks/tasksSlice";
+import { parseDateKey, formatTimeRange } from "../../utils/dates";
+import "./quickCreatePopover.css"
+
+const WIDTH = 280;
+const HEIGHT = 230;
+
+// Small "new task" form that opens where the user clicked on a calendar.
+// slot = { date: "YYYY-MM-DD", allDay, startTime, endTime, x, y }
+// (times come from a time-grid selection, x / y are the click position if there was one)
+export default function QuickCreatePopover({ slot, onClose }) {
+    const dispatch = useDispatch();
+    const projects = useSelector((s) => s.projects.projects);
+    const ref = useRef(null);
+
+    const [name, setName] = useState("");
+    const [project, setProject] = useState("");
+    const [progress, setProgress] = useState(0);
+
+    // Close on outside click / Escape
+    useEffect(() => {
+        const handleMouseDown = (e) => {
+            if (ref.current && !ref.current.contains(e.target)) onClose();
+        };
+        const handleKeyDown = (e) => e.key === "Escape" && onClose();
+
+        document.addEventListener("mousedown", handleMouseDown);
+        document.addEventListener("keydown", handleKeyDown);
+        return () => {
+            document.removeEventListener("mousedown", handleMouseDown);
+            document.removeEventListener("keydown", handleKeyDown);
+        };
+    }, [onClose]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+
+        dispatch(
+            addTask({
+                name: name.trim(),
+                date: slot.date,
+                allDay: slot.allDay ?? true,
+                startTime: slot.startTime || "",
+                endTime: slot.endTime || "",
+                project,
+                progress: Number(progress) || 0,
+            })
+        );
+        onClose();
+    };
+
+    // Keep the popover on screen; without a click position it sits in the middle
+    const style = slot.x == null
+        ? { left: `calc(50% - ${WIDTH / 2}px)`, top: "30%" }
+        : {
+            left: Math.max(8, Math.min(slot.x, window.innerWidth - WIDTH - 8)),
+            top: Math.max(8, Math.min(slot.y, window.innerHeight - HEIGHT - 8)),
+        };
+
+    return (
+        <div className="quick-create" ref={ref} style={style} role="dialog" aria-label="New task">
+            <form onSubmit={handleSubmit}>
+                <div className="quick-create-date">
+                    New task on {parseDateKey(slot.date)?.toLocaleDateString()} {formatTimeRange(slot)}
+                </div>
+
+                <input
+                    type="text"
+                    placeholder="Task Name"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    required
+                    autoFocus
+                />
+                <select value={project} onChange={(e) => setProject(e.target.value)} aria-label="Project">
+                    <option value="">Select a Project...</option>
+                    {projects.map((p) => (
+                        <option key={p.id} value={p.id}>{p.name}</option>
+                    ))}
+                </select>
+                <input
+                    type="number"
+                    min={0}
+                    max={100}
+                    placeholder="Progress"
+                    aria-label="Progress"
+                    value={progress}
+                    onChange={(e) => setProgress(e.target.value)}
+                />
+
+                <div className="quick-create-actions">
+                    <button className="link-btn" type="button" onClick={onClose}>Cancel</button>
+                    <button className="save-btn" type="submit">Add Task</button>
+                </div>
+            </form>
+        </div>
+    );
+}
@@ -0,0 +1,48 @@
+import { taskOccurrences } from "../tasks/recurrence";
+import { taskStatus } from "../tasks/status";
+
+// FullCalendar start / end for a task on a given day.
+// Date strings without a "Z" are read by FullCalendar as local time, so nothing shifts between timezones.
+export function eventTimes(task, date) {
+    if (task.allDay !== false || !task.startTime) return { start: date, allDay: true };
+
+    return {
+        start: `${date}T${task.startTime}`,
+        end: task.endTime ? `${date}T${task.endTime}` : undefined,
+        allDay: false,
+    };
+}
+
+// The days a task shows up on - every occurrence in the visible range for recurring tasks
+export function eventDates(task, range) {
+    return task.repeat ? taskOccurrences(task, range?.start, range?.end) : [task.date];
+}
+
+// Every task as FullCalendar events: one on its due date, or one per occurrence in `range` for
+// recurring tasks (later occurrences haven't started yet, so they show as untouched).
+// Colours and labels come from the task's workflow status. `editable` turns on dragging for the
+// series' current occurrence and resizing for timed tasks - the dashboard calendar is read-only.
+export function tasksToEvents(tasks, { workflow, range, editable = false }) {
+    return tasks.flatMap((t) =>
+        eventDates(t, range).map((date) => {
+            const current = date === t.date;
+            const status = taskStatus(current ? t : { progress: 0 }, workflow);
+
+            return {
+                id: current ? String(t.id) : `${t.id}@${date}`,
+                title: t.name,
+                ...eventTimes(t, date),
+                backgroundColor: status.color,
+                borderColor: status.color,
+                ...(editable && {
+                    startEditable: current,
+                    durationEditable: current && t.allDay === false, // Resizing changes the end time
+                }),
+                extendedProps: {
+                    task: { ...t, date }, // the whole task, dated on this occurrence
+                    status: status.label,
+                },
+            };
+        })
+    );
+}
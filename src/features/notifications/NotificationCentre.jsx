@@ -0,0 +1,196 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { useSelector } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import { selectWorkflow } from "../tasks/status";
+import { selectProjectRollups } from "../projects/projectRollup";
+import { toDateKey } from "../../utils/dates";
+import {
+    buildNotifications,
+    loadNotificationPrefs,
+    prunePrefs,
+    saveNotificationPrefs,
+    snoozeUntil,
+    visibleNotifications,
+} from "./notifications";
+import "./notificationCentre.css";
+
+const TICK_MS = 60 * 1000; // How often "now" moves on (snoozes ending, midnight)
+
+const canAlert = () => typeof window !== "undefined" && "Notification" in window;
+
+// Bell in the TopBar with an unread count and a drop-down list of reminders
+export default function NotificationCentre() {
+    const navigate = useNavigate();
+    const tasks = useSelector((s) => s.tasks.tasks);
+    const projects = useSelector((s) => s.projects.projects);
+    const workflow = useSelector(selectWorkflow);
+    const rollups = useSelector(selectProjectRollups);
+
+    const [open, setOpen] = useState(false);
+    const [prefs, setPrefs] = useState(() => loadNotificationPrefs());
+    const [now, setNow] = useState(() => new Date());
+    const [alertError, setAlertError] = useState(null);
+    const ref = useRef(null);
+
+    const today = toDateKey(now);
+    const notifications = useMemo(
+        () => buildNotifications({ tasks, projects, workflow, rollups, today }),
+        [tasks, projects, workflow, rollups, today]
+    );
+    const visible = useMemo(() => visibleNotifications(notifications, prefs, now), [notifications, prefs, now]);
+    const isUnread = (n) => !prefs.read.includes(n.id);
+    const unread = useMemo(() => visible.filter((n) => !prefs.read.includes(n.id)), [visible, prefs.read]);
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(new Date()), TICK_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    useEffect(() => {
+        saveNotificationPrefs(prunePrefs(prefs, { tasks, projects }));
+    }, [prefs, tasks, projects]);
+
+    // Opted-in browser alerts: one per new unread reminder, while the app is open
+    useEffect(() => {
+        if (!prefs.browserAlerts || !canAlert() || Notification.permission !== "granted") return;
+        const fresh = unread.filter((n) => !prefs.alerted.includes(n.id));
+        if (fresh.length === 0) return;
+
+        fresh.forEach((n) => new Notification(n.title, { body: n.message, tag: n.id }));
+        setPrefs((p) => ({ ...p, alerted: [...p.alerted, ...fresh.map((n) => n.id)] }));
+    }, [prefs.browserAlerts, prefs.alerted, unread]);
+
+    // Close on outside click / Escape
+    useEffect(() => {
+        if (!open) return;
+        const handleMouseDown = (e) => {
+            if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+        };
+        const handleKeyDown = (e) => e.key === "Escape" && setOpen(false);
+
+        document.addEventListener("mousedown", handleMouseDown);
+        document.addEventListener("keydown", handleKeyDown);
+        return () => {
+            document.removeEventListener("mousedown", handleMouseDown);
+            document.removeEventListener("keydown", handleKeyDown);
+        };
+    }, [open]);
+
+    const addIds = (key, ids) => setPrefs((p) => ({ ...p, [key]: [...new Set([...p[key], ...ids])] }));
+
+    const markRead = (n) => addIds("read", [n.id]);
+    const markAllRead = () => addIds("read", unread.map((n) => n.id));
+    const dismiss = (n) => addIds("dismissed", [n.id]);
+
+    // A snoozed reminder comes back unread
+    const snooze = (n, option) =>
+        setPrefs((p) => ({
+            ...p,
+            read: p.read.filter((id) => id !== n.id),
+            alerted: p.alerted.filter((id) => id !== n.id),
+            snoozed: { ...p.snoozed, [n.id]: snoozeUntil(option, now) },
+        }));
+
+    const openNotification = (n) => {
+        markRead(n);
+        setOpen(false);
+        navigate(n.link);
+    };
+
+    const toggleBrowserAlerts = async (enabled) => {
+        setAlertError(null);
+        if (!enabled) {
+            setPrefs((p) => ({ ...p, browserAlerts: false }));
+            return;
+        }
+        const permission = Notification.permission === "granted" ? "granted" : await Notification.requestPermission();
+        if (permission !== "granted") {
+            setAlertError("Your browser is blocking notifications for this site.");
+            return;
+        }
+        // Don't pop up everything that's already in the list
+        setPrefs((p) => ({ ...p, browserAlerts: true, alerted: [...new Set([...p.alerted, ...unread.map((n) => n.id)])] }));
+    };
+
+    return (
+        <div className="notification-centre" ref={ref}>
+            <button
+                type="button"
+                className="bell-btn"
+                aria-label={`Notifications (${unread.length} unread)`}
+                aria-expanded={open}
+                onClick={() => setOpen((o) => !o)}
+            >
+                <svg viewBox="0 0 24 24" width="22" height="22" aria-hidden="true">
+                    <path
+                        d="M12 22a2.5 2.5 0 0 0 2.45-2h-4.9A2.5 2.5 0 0 0 12 22Zm7-6V11a7 7 0 0 0-5.5-6.84V3.5a1.5 1.5 0 0 0-3 0v.66A7 7 0 0 0 5 11v5l-2 2v1h18v-1Z"
+                        fill="currentColor"
+                    />
+                </svg>
+                {unread.length > 0 && <span className="bell-count">{unread.length > 99 ? "99+" : unread.length}</span>}
+            </button>
+
+            {open && (
+                <div className="notification-panel" role="region" aria-label="Notifications">
+                    <div className="notification-header">
+                        <h3>Notifications</h3>
+                        {unread.length > 0 && (
+                            <button type="button" className="link-btn" onClick={markAllRead}>Mark all read</button>
+                        )}
+                    </div>
+
+                    {visible.length === 0 ? (
+                        <p className="notification-empty">You're all caught up.</p>
+                    ) : (
+                        <ul className="notification-list">
+                            {visible.map((n) => (
+                                <li key={n.id} className={`notification notification--${n.kind} ${isUnread(n) ? "unread" : ""}`}>
+                                    <button type="button" className="notification-body" onClick={() => openNotification(n)}>
+                                        <span className="notification-title">{n.title}</span>
+                                        <span className="notification-message">{n.message}</span>
+                                    </button>
+                                    <div className="notification-actions">
+                                        {isUnread(n) && (
+                                            <button type="button" className="link-btn" onClick={() => markRead(n)}>
+                                                Mark read
+                                            </button>
+                                        )}
+                                        <select
+                                            value=""
+                                            onChange={(e) => e.target.value && snooze(n, e.target.value)}
+                                            aria-label={`Snooze ${n.title}`}
+                                        >
+                                            <option value="">Snooze...</option>
+                                            <option value="hour">1 hour</option>
+                                            <option value="tomorrow">Until tomorrow</option>
+                                        </select>
+                                        <button
+                                            type="button"
+                                            className="dismiss-btn"
+                                            onClick={() => dismiss(n)}
+                                            aria-label={`Dismiss ${n.title}`}
+                                        >
+                                            ✕
+                                        </button>
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {canAlert() && (
+                        <label className="notification-optin">
+                            <input
+                                type="checkbox"
+                                checked={prefs.browserAlerts}
+                                onChange={(e) => toggleBrowserAlerts(e.target.checked)}
+                            />
+                            Show browser alerts while SimpliTask is open
+                        </label>
+                    )}
+                    {alertError && <p className="notification-error" role="alert">{alertError}</p>}
+                </div>
+            )}
+        </div>
+    );
+}
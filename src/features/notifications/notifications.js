@@ -0,0 +1,121 @@
+// Reminders shown in the TopBar bell: open tasks that are overdue, due today or due tomorrow,
+// and unfinished projects whose due date is close. They're worked out from the store every
+// time rather than saved; only what the user did with them (read / snoozed / dismissed) is kept,
+// in localStorage next to the app state - it's per browser, not part of the workspace.
+
+import { isClosed } from "../tasks/status";
+import { effectiveStatus } from "../projects/projectRollup";
+import { addDays, daysBetween, parseDateKey } from "../../utils/dates";
+
+// Projects show up this many days before they're due
+export const PROJECT_WARNING_DAYS = 3;
+
+// Most urgent first
+const KIND_ORDER = ["task-overdue", "project-overdue", "task-today", "project-due", "task-tomorrow"];
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+const formatDate = (key) => parseDateKey(key)?.toLocaleDateString("en-GB");
+
+// The id includes the date, so moving a task or project brings its reminder back as new
+export function buildNotifications({ tasks, projects, workflow, rollups = {}, today }) {
+    const tomorrow = addDays(today, 1);
+    const list = [];
+
+    tasks.forEach((t) => {
+        if (!t.date || isClosed(t, workflow)) return;
+        const kind = t.date < today ? "task-overdue" : t.date === today ? "task-today" : t.date === tomorrow ? "task-tomorrow" : null;
+        if (!kind) return;
+
+        list.push({
+            id: `${kind}:${t.id}:${t.date}`,
+            kind,
+            title: t.name,
+            message:
+                kind === "task-overdue" ? `Overdue by ${plural(daysBetween(t.date, today), "day")}`
+                : kind === "task-today" ? "Due today"
+                : "Due tomorrow",
+            date: t.date,
+            link: `/tasks?editId=${t.id}&field=date`,
+        });
+    });
+
+    projects.forEach((p) => {
+        if (!p.due || effectiveStatus(p, rollups[p.id]) === "complete") return;
+        const days = daysBetween(today, p.due);
+        if (days > PROJECT_WARNING_DAYS) return;
+
+        const kind = days < 0 ? "project-overdue" : "project-due";
+        list.push({
+            id: `${kind}:${p.id}:${p.due}`,
+            kind,
+            title: p.name,
+            message:
+                days < 0 ? `Project overdue since ${formatDate(p.due)}`
+                : days === 0 ? "Project due today"
+                : `Project due in ${plural(days, "day")}`,
+            date: p.due,
+            link: `/projects/${p.id}`,
+        });
+    });
+
+    return list.sort(
+        (a, b) => KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind) || a.date.localeCompare(b.date)
+    );
+}
+
+// --- What the user did with them ---
+
+export const NOTIFY_KEY = "simplitask:notifications";
+
+// read / dismissed / alerted: notification ids; snoozed: { id: ISO time it comes back }.
+// browserAlerts: the user opted in to system notifications
+export const EMPTY_PREFS = { read: [], dismissed: [], alerted: [], snoozed: {}, browserAlerts: false };
+
+export function loadNotificationPrefs(storage = window.localStorage) {
+    try {
+        const saved = JSON.parse(storage.getItem(NOTIFY_KEY));
+        return saved && typeof saved === "object" ? { ...EMPTY_PREFS, ...saved } : EMPTY_PREFS;
+    } catch {
+        return EMPTY_PREFS;
+    }
+}
+
+export function saveNotificationPrefs(prefs, storage = window.localStorage) {
+    try {
+        storage.setItem(NOTIFY_KEY, JSON.stringify(prefs));
+    } catch {
+        // Not worth bothering anyone about
+    }
+}
+
+// Forgets ids whose task / project has been deleted, so storage doesn't grow forever.
+// Ids for things that still exist are kept even when they're out of the list for now -
+// a dismissed reminder for a task that's reopened, or finished and reopened, stays dismissed
+export function prunePrefs(prefs, { tasks, projects }) {
+    const ids = new Set([...tasks, ...projects].map((x) => String(x.id)));
+    // "task-overdue:<task id>:2026-03-01" -> "<task id>"
+    const exists = (id) => ids.has(id.split(":").slice(1, -1).join(":"));
+    const keep = (list) => list.filter(exists);
+    return {
+        ...prefs,
+        read: keep(prefs.read),
+        dismissed: keep(prefs.dismissed),
+        alerted: keep(prefs.alerted),
+        snoozed: Object.fromEntries(Object.entries(prefs.snoozed).filter(([id]) => exists(id))),
+    };
+}
+
+// Dismissed ones are gone for good, snoozed ones until their time is up
+export const visibleNotifications = (notifications, prefs, now = new Date()) =>
+    notifications.filter((n) => {
+        if (prefs.dismissed.includes(n.id)) return false;
+        const until = prefs.snoozed[n.id];
+        return !until || new Date(until) <= now;
+    });
+
+// When a snooze ends: "hour" - an hour from now, "tomorrow" - 9am tomorrow
+export function snoozeUntil(option, now = new Date()) {
+    if (option === "hour") return new Date(now.getTime() + 60 * 60 * 1000).toISOString();
+    const next = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 9);
+    return next.toISOString();
+}
@@ -1,6 +1,8 @@
 import { useMemo } from "react";
 import { useSelector } from "react-redux";
 import { useNavigate } from "react-router-dom";
+import { effectiveStatus, selectProjectRollups } from "./projectRollup";
+import ProjectProgress from "./ProjectProgress";
 import "./dashboardProjectCard.css"
 
 export default function DashboardProjectsCard() {
@@ -15,6 +17,7 @@ export default function DashboardProjectsCard() {
 
     const projects = useSelector((s) => s.projects.projects)
     const tasks = useSelector((s) => s.tasks.tasks)
+    const rollups = useSelector(selectProjectRollups)
     const nav = useNavigate()
 
     // Count tasks per project 
@@ -47,7 +50,7 @@ export default function DashboardProjectsCard() {
                                 <li
                                     key={p.id}
                                     onClick={() => nav(`/projects/${p.id}`)}
-                                    className={`project-item ${statusClass(p.status)}`}
+                                    className={`project-item ${statusClass(effectiveStatus(p, rollups[p.id]))}`}
                                 >
                                     <div className="project-details">
 
@@ -58,6 +61,7 @@ export default function DashboardProjectsCard() {
 
                                         <div className="right">
                                             <span className="completion"> Scheduled completion: {p.due ? new Date(p.due).toLocaleDateString() : "—"}</span>
+                                            <ProjectProgress name={p.name} rollup={rollups[p.id]} compact />
                                         </div>
 
                                     </div>
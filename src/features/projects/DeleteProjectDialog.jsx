@@ -0,0 +1,113 @@
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { removeProject } from "./projectsSlice";
+import "./deleteProjectDialog.css";
+
+// Confirmation shown before a project is deleted.
+// Lists the project's tasks and asks what should happen to them.
+export default function DeleteProjectDialog({ project, onClose }) {
+    const dispatch = useDispatch();
+    const projects = useSelector((s) => s.projects.projects);
+    const tasks = useSelector((s) => s.tasks.tasks);
+
+    const projectTasks = tasks.filter((t) => String(t.project) === String(project.id));
+    const otherProjects = projects.filter((p) => p.id !== project.id);
+
+    const [taskAction, setTaskAction] = useState("unassign");
+    const [targetId, setTargetId] = useState(otherProjects[0]?.id ?? "");
+
+    const canConfirm = taskAction !== "move" || targetId;
+
+    const handleConfirm = () => {
+        if (!canConfirm) return;
+        dispatch(removeProject(project.id, { taskAction, targetId }));
+        onClose();
+    };
+
+    return (
+        <div className="dialog-backdrop" onClick={onClose}>
+            <div
+                className="dialog"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="delete-project-title"
+                onClick={(e) => e.stopPropagation()}
+                onKeyDown={(e) => e.key === "Escape" && onClose()}
+            >
+                <h2 id="delete-project-title">Delete "{project.name}"?</h2>
+
+                {projectTasks.length === 0 ? (
+                    <p className="muted">This project has no tasks.</p>
+                ) : (
+                    <>
+                        <p>
+                            This project has {projectTasks.length} {projectTasks.length === 1 ? "task" : "tasks"}:
+                        </p>
+                        <ul className="dialog-task-list">
+                            {projectTasks.map((t) => (
+                                <li key={t.id}>{t.name}</li>
+                            ))}
+                        </ul>
+
+                        <fieldset className="dialog-options">
+                            <legend>What should happen to them?</legend>
+                            <label>
+                                <input
+                                    type="radio"
+                                    name="taskAction"
+                                    value="unassign"
+                                    checked={taskAction === "unassign"}
+                                    onChange={() => setTaskAction("unassign")}
+                                />
+                                Keep them, unassigned
+                            </label>
+                            <label>
+                                <input
+                                    type="radio"
+                                    name="taskAction"
+                                    value="move"
+                                    checked={taskAction === "move"}
+                                    onChange={() => setTaskAction("move")}
+                                    disabled={otherProjects.length === 0}
+                                />
+                                Move them to
+                                <select
+                                    aria-label="Target project"
+                                    value={targetId}
+                                    onChange={(e) => {
+                                        setTargetId(e.target.value);
+                                        setTaskAction("move");
+                                    }}
+                                    disabled={otherProjects.length === 0}
+                                >
+                                    {otherProjects.map((p) => (
+                                        <option key={p.id} value={p.id}>{p.name}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label>
+                                <input
+                                    type="radio"
+                                    name="taskAction"
+                                    value="delete"
+                                    checked={taskAction === "delete"}
+                                    onChange={() => setTaskAction("delete")}
+                                />
+                                Delete them too
+                            </label>
+                        </fieldset>
+                    </>
+                )}
+
+                <div className="dialog-actions">
+                    <button className="link-btn" type="button" onClick={onClose}>
+                        Cancel
+                    </button>
+                    <button className="delete-btn" type="button" onClick={handleConfirm} disabled={!canConfirm} autoFocus>
+                        Delete project
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -1,16 +1,37 @@
 import { useMemo, useState } from "react";
-import { useParams, useNavigate } from "react-router-dom";
+import { useParams, useNavigate, useSearchParams } from "react-router-dom";
 import { useSelector, useDispatch } from "react-redux";
-import { addTask, removeTask, editTask } from "../tasks/tasksSlice";
+import { addTask, removeTask, updateTask } from "../tasks/tasksSlice";
+import Markdown from "../../components/Markdown";
+import MarkdownEditor from "../../components/MarkdownEditor";
+import SubtaskList from "../tasks/SubtaskList";
+import DependencyEditor from "../tasks/DependencyEditor";
+import BlockedBadge from "../tasks/BlockedBadge";
+import { hasSubtasks, subtaskCount } from "../tasks/subtasks";
+import TimeFields from "../tasks/TimeFields";
+import { selectWorkflow, taskStatus } from "../tasks/status";
+import { tasksToIcs } from "../tasks/taskIcs";
+import { editProject } from "./projectsSlice";
+import { effectiveStatus, selectProjectRollup } from "./projectRollup";
+import { statusMeta } from "./projectStatus";
+import ProjectProgress from "./ProjectProgress";
+import ProjectTimeline from "./ProjectTimeline";
+import { downloadIcs } from "../../utils/ical";
+import { formatTimeRange, todayKey } from "../../utils/dates";
 import "./projectCard.css";
 
 export default function ProjectCard() {
     const { projectId } = useParams();
     const navigate = useNavigate();
+    // ?view=timeline shows the Gantt view instead of the task list
+    const [searchParams, setSearchParams] = useSearchParams();
+    const view = searchParams.get("view") === "timeline" ? "timeline" : "tasks";
     const dispatch = useDispatch();
 
     const projects = useSelector((s) => s.projects.projects);
     const tasks = useSelector((s) => s.tasks.tasks);
+    const workflow = useSelector(selectWorkflow);
+    const rollup = useSelector((s) => selectProjectRollup(s, projectId));
 
     // Handle string vs number IDs safely
     const project = useMemo(
@@ -27,6 +48,7 @@ export default function ProjectCard() {
     const [name, setName] = useState("");
     const [date, setDate] = useState("");
     const [progress, setProgress] = useState(0);
+    const [times, setTimes] = useState({ allDay: true, startTime: "", endTime: "" });
 
     const handleAddTask = (e) => {
         e.preventDefault();
@@ -35,32 +57,50 @@ export default function ProjectCard() {
             addTask({
                 name: name.trim(),
                 date,
+                ...(date && times),
                 project: projectId,
                 progress: Number(progress) || 0,
             })
         );
         setName("");
         setDate("");
+        setTimes({ allDay: true, startTime: "", endTime: "" });
         setProgress(0);
     };
 
     // Edit mode state
     const [editingTaskId, setEditingTaskId] = useState(null);
-    const [draft, setDraft] = useState({ name: "", date: "", progress: 0 });
+    const [draft, setDraft] = useState({
+        name: "",
+        date: "",
+        startDate: "",
+        allDay: true,
+        startTime: "",
+        endTime: "",
+        progress: 0,
+        description: "",
+    });
 
     const startEdit = (task) => {
         setEditingTaskId(task.id);
         setDraft({
             name: task.name || "",
             date: task.date || "",
+            startDate: task.startDate || "",
+            allDay: task.allDay !== false,
+            startTime: task.startTime || "",
+            endTime: task.endTime || "",
             progress: task.progress || 0,
+            description: task.description || "",
         });
     };
 
+    // One action for the whole draft so it's a single undo step
     const saveEdit = (id) => {
-        dispatch(editTask({ id, field: "name", value: draft.name }));
-        dispatch(editTask({ id, field: "date", value: draft.date }));
-        dispatch(editTask({ id, field: "progress", value: Number(draft.progress) }));
+        const changes = { ...draft, progress: Number(draft.progress) };
+        // No date - no times
+        if (!changes.date) changes.allDay = true;
+        dispatch(updateTask({ id, changes }));
         setEditingTaskId(null);
     };
 
@@ -93,104 +133,186 @@ export default function ProjectCard() {
                             ? new Date(project.due).toLocaleDateString("en-GB")
                             : "-"}
                     </span>
-                    <span>Status: {project.status?.replace("-", " ") || "-"}</span>
+                    <span>Status: {statusMeta(effectiveStatus(project, rollup)).label}</span>
+                    <label className="auto-status">
+                        <input
+                            type="checkbox"
+                            checked={Boolean(project.autoStatus)}
+                            onChange={(e) => dispatch(editProject({ id: project.id, autoStatus: e.target.checked }))}
+                        />
+                        Set status from tasks
+                    </label>
                 </div>
+                <button
+                    className="link-btn"
+                    onClick={() =>
+                        downloadIcs(
+                            `${project.name}-${todayKey()}.ics`,
+                            tasksToIcs(projectTasks, { projects, workflow, name: project.name })
+                        )
+                    }
+                >
+                    Export .ics
+                </button>
             </div>
 
-            <div className="tasks">
-                <div className="task-columns">
-                    <span>Task</span>
-                    <span>Due Date</span>
-                    <span>Progress</span>
-                </div>
+            <div className="card-progress">
+                <ProjectProgress name={project.name} rollup={rollup} />
+            </div>
+
+            <div className="project-tabs" role="tablist" aria-label="Project views">
+                {[["tasks", "Tasks"], ["timeline", "Timeline"]].map(([id, label]) => (
+                    <button
+                        key={id}
+                        role="tab"
+                        className={view === id ? "active" : ""}
+                        aria-selected={view === id}
+                        onClick={() => setSearchParams(id === "tasks" ? {} : { view: id }, { replace: true })}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+
+            {view === "timeline" ? (
+                <ProjectTimeline project={project} tasks={projectTasks} workflow={workflow} />
+            ) : (
+                <div className="tasks">
+                    <div className="task-columns">
+                        <span>Task</span>
+                        <span>Due Date</span>
+                        <span>Progress</span>
+                    </div>
+
+                    {projectTasks.length === 0 ? (
+                        <p className="empty">No tasks assigned to this project yet.</p>
+                    ) : (
+                        <ul className="task-list">
+                            {projectTasks.map((t) => {
+                                const isEditing = editingTaskId === t.id;
 
-                {projectTasks.length === 0 ? (
-                    <p className="empty">No tasks assigned to this project yet.</p>
-                ) : (
-                    <ul className="task-list">
-                        {projectTasks.map((t) => {
-                            const isEditing = editingTaskId === t.id;
-
-                            return (
-                                <li key={t.id} className="task-row">
-                                    {isEditing ? (
-                                        <>
-                                            {/* Edit Mode */}
+                                return (
+                                    <li key={t.id} className="task-row">
+                                        {isEditing ? (
                                             <>
-                                                <input
-                                                    type="text"
-                                                    value={draft.name}
-                                                    onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
-                                                />
-                                                <input
-                                                    type="date"
-                                                    value={draft.date}
-                                                    onChange={(e) => setDraft((d) => ({ ...d, date: e.target.value }))}
-                                                />
-                                                <div className="task-progress">
+                                                {/* Edit Mode */}
+                                                <>
                                                     <input
-                                                        type="number"
-                                                        min={0}
-                                                        max={100}
-                                                        value={draft.progress}
-                                                        onChange={(e) => setDraft((d) => ({ ...d, progress: e.target.value }))}
-                                                        style={{ width: "60px" }}
+                                                        type="text"
+                                                        value={draft.name}
+                                                        onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
                                                     />
-                                                    <button className="save-btn" onClick={() => saveEdit(t.id)}>Save</button>
-                                                    <button className="link-btn" onClick={cancelEdit}>Cancel</button>
-                                                </div>
+                                                    <input
+                                                        type="date"
+                                                        value={draft.date}
+                                                        onChange={(e) => setDraft((d) => ({ ...d, date: e.target.value }))}
+                                                    />
+                                                    <div className="task-progress">
+                                                        <input
+                                                            type="number"
+                                                            min={0}
+                                                            max={100}
+                                                            value={hasSubtasks(t) ? t.progress : draft.progress}
+                                                            onChange={(e) => setDraft((d) => ({ ...d, progress: e.target.value }))}
+                                                            disabled={hasSubtasks(t)}
+                                                            title={hasSubtasks(t) ? "Worked out from the checklist" : undefined}
+                                                            style={{ width: "60px" }}
+                                                        />
+                                                        <button className="save-btn" onClick={() => saveEdit(t.id)}>Save</button>
+                                                        <button className="link-btn" onClick={cancelEdit}>Cancel</button>
+                                                    </div>
+                                                    {draft.date && (
+                                                        <div className="task-desc">
+                                                            <label className="task-start">
+                                                                Starts
+                                                                <input
+                                                                    type="date"
+                                                                    value={draft.startDate}
+                                                                    max={draft.date}
+                                                                    onChange={(e) => setDraft((d) => ({ ...d, startDate: e.target.value }))}
+                                                                />
+                                                            </label>
+                                                            <TimeFields
+                                                                value={draft}
+                                                                onChange={({ allDay, startTime, endTime }) =>
+                                                                    setDraft((d) => ({ ...d, allDay, startTime, endTime }))
+                                                                }
+                                                            />
+                                                        </div>
+                                                    )}
+                                                    <div className="task-desc">
+                                                        <MarkdownEditor
+                                                            value={draft.description}
+                                                            onChange={(value) => setDraft((d) => ({ ...d, description: value }))}
+                                                        />
+                                                    </div>
+                                                    <div className="task-desc">
+                                                        <SubtaskList task={t} />
+                                                    </div>
+                                                    <div className="task-desc">
+                                                        <DependencyEditor task={t} />
+                                                    </div>
+                                                </>
+
+                                            </>
+                                        ) : (
+                                            <>
+                                                {/* Read Mode */}
+                                                <span className="task-name"><strong>{t.name}</strong></span>
+                                                <span className="task-due muted">Due: {t.date || "-"} {formatTimeRange(t)}</span>
+                                                <span className="task-progress">
+                                                    Progress: {t.progress}%
+                                                    <span style={{ color: taskStatus(t, workflow).color }}>{taskStatus(t, workflow).label}</span>
+                                                    <BlockedBadge task={t} />
+                                                    {hasSubtasks(t) && <span className="muted">({subtaskCount(t)})</span>}
+                                                    <button className="link-btn" onClick={() => startEdit(t)}>Edit</button>
+                                                    <button className="delete-btn" onClick={() => dispatch(removeTask(t.id))}>
+                                                        Delete
+                                                    </button>
+                                                </span>
+                                                {t.description && (
+                                                    <div className="task-desc">
+                                                        <Markdown text={t.description} />
+                                                    </div>
+                                                )}
                                             </>
+                                        )}
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    )}
 
-                                        </>
-                                    ) : (
-                                        <>
-                                            {/* Read Mode */}
-                                            <span className="task-name"><strong>{t.name}</strong></span>
-                                            <span className="task-due muted">Due: {t.date || "-"}</span>
-                                            <span className="task-progress">
-                                                Progress: {t.progress}%
-                                                <button className="link-btn" onClick={() => startEdit(t)}>Edit</button>
-                                                <button className="delete-btn" onClick={() => dispatch(removeTask(t.id))}>
-                                                    Delete
-                                                </button>
-                                            </span>
-
-                                        </>
-                                    )}
-                                </li>
-                            );
-                        })}
-                    </ul>
-                )}
-
-                <form className="add-task-inline" onSubmit={handleAddTask}>
-                    <input
-                        type="text"
-                        placeholder="New Task"
-                        value={name}
-                        onChange={(e) => setName(e.target.value)}
-                        required
-                    />
-                    <input
-                        type="date"
-                        value={date}
-                        onChange={(e) => setDate(e.target.value)}
-                    />
-                    <div className="task-progress">
+                    <form className="add-task-inline" onSubmit={handleAddTask}>
                         <input
-                            type="number"
-                            min={0}
-                            max={100}
-                            value={progress}
-                            onChange={(e) => setProgress(e.target.value)}
-                            placeholder="%"
-                            style={{ width: "60px" }}
+                            type="text"
+                            placeholder="New Task"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            required
                         />
-                        <button type="submit" className="save-btn">Add Task</button>
-                    </div>
-                </form>
+                        <input
+                            type="date"
+                            value={date}
+                            onChange={(e) => setDate(e.target.value)}
+                        />
+                        {date && <TimeFields value={times} onChange={setTimes} />}
+                        <div className="task-progress">
+                            <input
+                                type="number"
+                                min={0}
+                                max={100}
+                                value={progress}
+                                onChange={(e) => setProgress(e.target.value)}
+                                placeholder="%"
+                                style={{ width: "60px" }}
+                            />
+                            <button type="submit" className="save-btn">Add Task</button>
+                        </div>
+                    </form>
 
-            </div>
+                </div>
+            )}
         </div>
     );
 }
\ No newline at end of file
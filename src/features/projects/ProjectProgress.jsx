@@ -0,0 +1,27 @@
+import "./projectProgress.css";
+
+// Completion bar + open / overdue counts for a project (see projectRollup.js).
+// `compact` drops the counts for tight spots like the dashboard card
+export default function ProjectProgress({ name, rollup, compact = false }) {
+    const { percent, total, open, overdue } = rollup;
+
+    return (
+        <div className={`project-progress ${compact ? "project-progress--compact" : ""}`}>
+            <div
+                className="project-progress-bar"
+                role="progressbar"
+                aria-label={`${name} progress`}
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={percent}
+            >
+                <span style={{ width: `${percent}%` }} />
+            </div>
+            <span className="project-progress-text">
+                {percent}%
+                {!compact && total > 0 && ` · ${open} open`}
+                {overdue > 0 && <span className="project-progress-overdue"> · {overdue} overdue</span>}
+            </span>
+        </div>
+    );
+}
@@ -0,0 +1,163 @@
+import { useState } from "react";
+import { useDispatch } from "react-redux";
+import { updateTask } from "../tasks/tasksSlice";
+import { taskStatus } from "../tasks/status";
+import { todayKey } from "../../utils/dates";
+import { ZOOMS, dayOffset, rescheduleTask, taskSpan, timelineRange, timelineTicks } from "./timeline";
+import "./projectTimeline.css";
+
+const LABEL_WIDTH = 200; // Task name column, px
+
+// Gantt-style view of a project's dated tasks: one bar per task from its start to its due date,
+// a line for today and one for the project deadline. Bars can be dragged (or nudged with the
+// arrow keys) to reschedule, but not past the deadline; the edges change just the start / due date.
+export default function ProjectTimeline({ project, tasks, workflow }) {
+    const dispatch = useDispatch();
+    const [zoom, setZoom] = useState("week");
+    const [drag, setDrag] = useState(null); // { id, mode, x, days } while a bar is being dragged
+
+    const today = todayKey();
+    const dated = tasks.filter((t) => t.date);
+    const { pxPerDay } = ZOOMS[zoom];
+    const range = timelineRange(dated, { deadline: project.due, today, zoom });
+    const width = (dayOffset(range, range.end) + 1) * pxPerDay;
+    const x = (key) => dayOffset(range, key) * pxPerDay;
+
+    const reschedule = (task, mode, days) => {
+        if (!days) return;
+        const changes = rescheduleTask(task, mode, days, project.due);
+        // Already up against the deadline - nothing to save
+        if (changes.date === task.date && changes.startDate === (task.startDate || "")) return;
+        dispatch(updateTask({ id: task.id, changes }));
+    };
+
+    const startDrag = (e, task, mode) => {
+        if (e.button !== 0) return;
+        e.stopPropagation();
+        e.currentTarget.setPointerCapture?.(e.pointerId);
+        setDrag({ id: task.id, mode, x: e.clientX, days: 0 });
+    };
+
+    const moveDrag = (e) => {
+        if (!drag) return;
+        const days = Math.round((e.clientX - drag.x) / pxPerDay);
+        if (days !== drag.days) setDrag({ ...drag, days });
+    };
+
+    const endDrag = (task) => {
+        if (drag?.id === task.id) reschedule(task, drag.mode, drag.days);
+        setDrag(null);
+    };
+
+    // Arrows move the bar a day, Shift+arrows move just the due date
+    const handleKeyDown = (e, task) => {
+        if (e.key !== "ArrowLeft" && e.key !== "ArrowRight") return;
+        e.preventDefault();
+        reschedule(task, e.shiftKey ? "end" : "move", e.key === "ArrowLeft" ? -1 : 1);
+    };
+
+    return (
+        <div className="timeline">
+            <div className="timeline-toolbar" role="group" aria-label="Zoom">
+                {Object.entries(ZOOMS).map(([id, z]) => (
+                    <button
+                        key={id}
+                        type="button"
+                        className={`timeline-zoom ${zoom === id ? "active" : ""}`}
+                        aria-pressed={zoom === id}
+                        onClick={() => setZoom(id)}
+                    >
+                        {z.label}
+                    </button>
+                ))}
+            </div>
+
+            {dated.length === 0 ? (
+                <p className="empty">No tasks with dates yet - give some a due date to see them here.</p>
+            ) : (
+                <div className="timeline-scroll">
+                    <div className="timeline-grid" style={{ width: LABEL_WIDTH + width }}>
+                        <div className="timeline-header" style={{ paddingLeft: LABEL_WIDTH }}>
+                            {timelineTicks(range, zoom).map((tick) => (
+                                <span
+                                    key={tick.key}
+                                    className={`timeline-tick ${tick.weekend ? "timeline-tick--weekend" : ""}`}
+                                    style={{ left: LABEL_WIDTH + tick.offset * pxPerDay }}
+                                >
+                                    {tick.label}
+                                </span>
+                            ))}
+                        </div>
+
+                        <div className="timeline-body">
+                            {dated.map((t) => {
+                                const shown = drag?.id === t.id ? { ...t, ...rescheduleTask(t, drag.mode, drag.days, project.due) } : t;
+                                const { start, end } = taskSpan(shown);
+                                const status = taskStatus(t, workflow);
+                                const late = project.due && end > project.due;
+
+                                return (
+                                    <div key={t.id} className="timeline-row">
+                                        <div className="timeline-label" style={{ width: LABEL_WIDTH }} title={t.name}>
+                                            {t.name}
+                                        </div>
+                                        <div className="timeline-track">
+                                            <button
+                                                type="button"
+                                                className={`timeline-bar ${late ? "timeline-bar--late" : ""} ${drag?.id === t.id ? "dragging" : ""}`}
+                                                style={{
+                                                    left: x(start),
+                                                    width: (dayOffset(range, end) - dayOffset(range, start) + 1) * pxPerDay,
+                                                    "--bar-color": status?.color,
+                                                }}
+                                                aria-label={`${t.name}: ${start === end ? end : `${start} to ${end}`}`}
+                                                title={`${t.name} (${status?.label}, ${t.progress ?? 0}%)${late ? " - after the deadline" : ""}`}
+                                                onPointerDown={(e) => startDrag(e, t, "move")}
+                                                onPointerMove={moveDrag}
+                                                onPointerUp={() => endDrag(t)}
+                                                onPointerCancel={() => setDrag(null)}
+                                                onKeyDown={(e) => handleKeyDown(e, t)}
+                                            >
+                                                <span className="timeline-fill" style={{ width: `${t.progress ?? 0}%` }} />
+                                                <span
+                                                    className="timeline-handle timeline-handle--start"
+                                                    onPointerDown={(e) => startDrag(e, t, "start")}
+                                                />
+                                                <span
+                                                    className="timeline-handle timeline-handle--end"
+                                                    onPointerDown={(e) => startDrag(e, t, "end")}
+                                                />
+                                            </button>
+                                        </div>
+                                    </div>
+                                );
+                            })}
+
+                            <div
+                                className="timeline-line timeline-today"
+                                style={{ left: LABEL_WIDTH + x(today) + pxPerDay / 2 }}
+                                aria-label="Today"
+                                role="img"
+                            />
+                            {project.due && (
+                                <div
+                                    className="timeline-line timeline-deadline"
+                                    style={{ left: LABEL_WIDTH + x(project.due) + pxPerDay }}
+                                    aria-label={`Deadline ${project.due}`}
+                                    role="img"
+                                />
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {dated.length < tasks.length && (
+                <p className="timeline-note">
+                    {tasks.length - dated.length} {tasks.length - dated.length === 1 ? "task has" : "tasks have"} no date
+                    and {tasks.length - dated.length === 1 ? "isn't" : "aren't"} shown.
+                </p>
+            )}
+        </div>
+    );
+}
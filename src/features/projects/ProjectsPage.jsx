@@ -1,55 +1,57 @@
 import { useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { useNavigate } from "react-router-dom";
-import { addProject, editProject, removeProject } from "./projectsSlice";
+import { addProject, editProject } from "./projectsSlice";
+import DeleteProjectDialog from "./DeleteProjectDialog";
+import { STATUS_OPTIONS, statusMeta } from "./projectStatus";
+import { projectsToCsv } from "./projectCsv";
+import { effectiveStatus, selectProjectRollups } from "./projectRollup";
+import ProjectProgress from "./ProjectProgress";
+import { downloadCsv } from "../../utils/csv";
+import { todayKey } from "../../utils/dates";
 import "./projectsPage.css";
 
-const STATUS_OPTIONS = [
-    { value: "complete", label: "Complete", color: "green" },
-    { value: "in-progress", label: "In Progress", color: "yellow" },
-    { value: "not-started", label: "Not Started", color: "red" },
-];
-
-// Using META as a quick lookup of the status (easier when it comes to color coding them)
-
-function statusMeta(status) {
-    return STATUS_OPTIONS.find((s) => s.value === status) || STATUS_OPTIONS[1];
-}
-
 export default function ProjectsPage() {
 
     // Helpers
     const dispatch = useDispatch();
     const navigate = useNavigate()
     const projects = useSelector((s) => s.projects.projects)
+    const tasks = useSelector((s) => s.tasks.tasks)
+    const rollups = useSelector(selectProjectRollups)
 
     // Form
     const [showForm, setShowForm] = useState(false)
     const [name, setName] = useState("")
     const [due, setDue] = useState("")
     const [status, setStatus] = useState("in-Progress")
+    const [autoStatus, setAutoStatus] = useState(false)
 
     // Inline Edit
     const [editingId, setEditingId] = useState(null)
-    const [draft, setDraft] = useState({ name: "", due: "", status: "in-progress" });
+    const [draft, setDraft] = useState({ name: "", due: "", status: "in-progress", autoStatus: false });
+
+    // Project waiting on the delete confirmation dialog
+    const [deleting, setDeleting] = useState(null)
 
     const resetAddForm = () => {
         setName(""),
             setDue(""),
-            setStatus("in-progress")
+            setStatus("in-progress"),
+            setAutoStatus(false)
     };
 
     const handleAdd = (e) => {
         e.preventDefault();
         if (!name.trim()) return;
-        dispatch(addProject({ name: name.trim(), due, status }))
+        dispatch(addProject({ name: name.trim(), due, status, autoStatus }))
         resetAddForm();
         setShowForm(false);
     };
 
     const startEdit = (p) => {
         setEditingId(p.id);
-        setDraft({ name: p.name || "", due: p.due || "", status: p.status || "in-progress" })
+        setDraft({ name: p.name || "", due: p.due || "", status: p.status || "in-progress", autoStatus: Boolean(p.autoStatus) })
     };
 
     const saveEdit = (id) => {
@@ -69,6 +71,12 @@ export default function ProjectsPage() {
                 <h1>My Projects</h1>
 
                 <div className="header-buttons">
+                    <button
+                        className="link-btn"
+                        onClick={() => downloadCsv(`projects-${todayKey()}.csv`, projectsToCsv(projects, tasks, rollups))}
+                    >
+                        Export CSV
+                    </button>
                     <button className="link-btn" onClick={() => setShowForm((v) => !v)}>
                         {showForm ? "Close" : "Add New"}
                     </button>
@@ -78,6 +86,7 @@ export default function ProjectsPage() {
             <div className="projects-columns">
                 <div>Name</div>
                 <div>Scheduled Completion</div>
+                <div>Progress</div>
                 <div>Status</div>
             </div>
 
@@ -97,15 +106,20 @@ export default function ProjectsPage() {
                             value={due}
                             onChange={(e) => setDue(e.target.value)} />
                     </div>
+                    <div data-label="Progress">-</div>
                     <div data-label="Status">
                         <div className="project-card-status">
-                            <select value={status} onChange={(e) => setStatus(e.target.value)}>
+                            <select value={status} disabled={autoStatus} onChange={(e) => setStatus(e.target.value)}>
                                 {STATUS_OPTIONS.map((o) => (
                                     <option key={o.value} value={o.value}>
                                         {o.label}
                                     </option>
                                 ))}
                             </select>
+                            <label className="status-auto-toggle">
+                                <input type="checkbox" checked={autoStatus} onChange={(e) => setAutoStatus(e.target.checked)} />
+                                Auto
+                            </label>
                             <button className="save-btn" type="submit">
                                 Save
                             </button>
@@ -119,7 +133,8 @@ export default function ProjectsPage() {
                 {projects.length === 0 && <div className="empty">No projects yet...</div>}
 
                 {projects.map((p) => {
-                    const meta = statusMeta(p.status);
+                    const rollup = rollups[p.id];
+                    const meta = statusMeta(effectiveStatus(p, rollup));
                     const isEditing = editingId === p.id;
 
                     return (
@@ -151,18 +166,32 @@ export default function ProjectsPage() {
                                 )}
                             </div>
 
+                            <div data-label="Progress">
+                                <ProjectProgress name={p.name} rollup={rollup} />
+                            </div>
+
                             <div className={`project-card-status ${isEditing ? "project-card-status--edit" : ""}`}
                                 data-label="Status">
                                 {isEditing ? (
                                     <>
+                                        {/* Auto-managed projects show what their tasks suggest */}
                                         <select
-                                            value={draft.status}
+                                            value={draft.autoStatus ? rollup.suggestedStatus : draft.status}
+                                            disabled={draft.autoStatus}
                                             onChange={(e) => setDraft(d => ({ ...d, status: e.target.value }))}
                                         >
                                             {STATUS_OPTIONS.map(o => (
                                                 <option key={o.value} value={o.value}>{o.label}</option>
                                             ))}
                                         </select>
+                                        <label className="status-auto-toggle" title={`Tasks suggest: ${statusMeta(rollup.suggestedStatus).label}`}>
+                                            <input
+                                                type="checkbox"
+                                                checked={draft.autoStatus}
+                                                onChange={(e) => setDraft(d => ({ ...d, autoStatus: e.target.checked }))}
+                                            />
+                                            Auto
+                                        </label>
 
                                         <button className="save-btn" onClick={() => saveEdit(p.id)} type="button">
                                             Save
@@ -175,13 +204,14 @@ export default function ProjectsPage() {
                                     <>
                                         <span>{meta.label}</span>
                                         <span className={`status-dot status-dot-${meta.color}`}></span>
+                                        {p.autoStatus && <span className="status-auto" title="Set from the project's tasks">auto</span>}
                                         <div className="row-actions">
                                             <button className="link-btn" onClick={() => startEdit(p)} type="button">
                                                 Edit
                                             </button>
                                             <button
                                                 className="delete-btn"
-                                                onClick={() => dispatch(removeProject(p.id))}
+                                                onClick={() => setDeleting(p)}
                                                 type="button"
                                             >
                                                 Delete
@@ -196,6 +226,10 @@ export default function ProjectsPage() {
                 })}
             </div>
 
+            {deleting && (
+                <DeleteProjectDialog project={deleting} onClose={() => setDeleting(null)} />
+            )}
+
         </div >
     )
 }
\ No newline at end of file
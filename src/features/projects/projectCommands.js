@@ -0,0 +1,25 @@
+import { addProject } from "./projectsSlice";
+
+// Command palette entries for projects (see app/commands.js)
+export function projectCommands(state) {
+    return [
+        {
+            id: "project:new",
+            title: "New project",
+            group: "Projects",
+            keywords: "add create",
+            prompt: "Project name",
+            run: ({ dispatch, navigate }, name) => {
+                dispatch(addProject({ name, due: "", status: "not-started" }));
+                navigate("/projects");
+            },
+        },
+        ...state.projects.projects.map((p) => ({
+            id: `project:open:${p.id}`,
+            title: `Open project "${p.name}"`,
+            group: "Projects",
+            keywords: "go view",
+            run: ({ navigate }) => navigate(`/projects/${p.id}`),
+        })),
+    ];
+}
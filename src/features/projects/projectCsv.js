@@ -0,0 +1,17 @@
+import { toCsv } from "../../utils/csv";
+import { statusMeta } from "./projectStatus";
+import { effectiveStatus } from "./projectRollup";
+
+// Projects as CSV for reporting, with the number of tasks in each.
+// `rollups` (selectProjectRollups) gives auto-managed projects their worked-out status
+export function projectsToCsv(projects, tasks, rollups = {}) {
+    return toCsv([
+        ["Name", "Due", "Status", "Tasks"],
+        ...projects.map((p) => [
+            p.name,
+            p.due,
+            statusMeta(effectiveStatus(p, rollups[p.id])).label,
+            tasks.filter((t) => String(t.project) === String(p.id)).length,
+        ]),
+    ]);
+}
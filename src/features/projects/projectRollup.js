@@ -0,0 +1,51 @@
+// Project progress worked out from its tasks: completion %, open / overdue counts and the
+// status the project "should" have. Projects with `autoStatus` show that status instead of
+// the one picked by hand.
+
+import { createSelector } from "@reduxjs/toolkit";
+import { selectWorkflow, taskStatus } from "../tasks/status";
+import { todayKey } from "../../utils/dates";
+
+const EMPTY_ROLLUP = { total: 0, open: 0, done: 0, overdue: 0, percent: 0, suggestedStatus: "not-started" };
+
+// Cancelled tasks don't count towards anything; finished ones count as 100%
+export function rollupTasks(tasks, workflow, today = todayKey()) {
+    const counted = tasks.filter((t) => taskStatus(t, workflow)?.category !== "cancelled");
+    if (counted.length === 0) return EMPTY_ROLLUP;
+
+    const isDone = (t) => taskStatus(t, workflow)?.category === "done";
+    const done = counted.filter(isDone).length;
+    const open = counted.filter((t) => !isDone(t));
+    const progress = counted.reduce((sum, t) => sum + (isDone(t) ? 100 : Number(t.progress) || 0), 0);
+    const started = counted.some((t) => isDone(t) || Number(t.progress) > 0 || taskStatus(t, workflow)?.category === "active");
+
+    return {
+        total: counted.length,
+        open: open.length,
+        done,
+        overdue: open.filter((t) => t.date && t.date < today).length,
+        percent: Math.round(progress / counted.length),
+        suggestedStatus: done === counted.length ? "complete" : started ? "in-progress" : "not-started",
+    };
+}
+
+// { projectId: rollup } for every project. todayKey is an input so overdue counts move on at midnight
+export const selectProjectRollups = createSelector(
+    [(state) => state.projects.projects, (state) => state.tasks.tasks, selectWorkflow, () => todayKey()],
+    (projects, tasks, workflow, today) =>
+        Object.fromEntries(
+            projects.map((p) => [
+                p.id,
+                rollupTasks(tasks.filter((t) => String(t.project) === String(p.id)), workflow, today),
+            ])
+        )
+);
+
+export const selectProjectRollup = (state, projectId) => {
+    const project = state.projects.projects.find((p) => String(p.id) === String(projectId));
+    return (project && selectProjectRollups(state)[project.id]) ?? EMPTY_ROLLUP;
+};
+
+// The status a project shows: its suggested one when auto-managed, otherwise the one set by hand
+export const effectiveStatus = (project, rollup) =>
+    project.autoStatus && rollup ? rollup.suggestedStatus : project.status;
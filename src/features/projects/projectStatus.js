@@ -0,0 +1,11 @@
+// Project statuses (projects have a fixed set, unlike the configurable task workflow)
+export const STATUS_OPTIONS = [
+    { value: "complete", label: "Complete", color: "green" },
+    { value: "in-progress", label: "In Progress", color: "yellow" },
+    { value: "not-started", label: "Not Started", color: "red" },
+];
+
+// Using META as a quick lookup of the status (easier when it comes to color coding them)
+export function statusMeta(status) {
+    return STATUS_OPTIONS.find((s) => s.value === status) || STATUS_OPTIONS[1];
+}
@@ -1,4 +1,5 @@
 import { createSlice, nanoid } from '@reduxjs/toolkit'
+import { restoreWorkspace } from '../../app/backup'
 
 const initialState = {
     projects: []
@@ -8,22 +9,44 @@ const projectsSlice = createSlice({
     name: "projects",
     initialState,
     reducers: {
-        addProject: (state, action) => {
-            const { name, due, status } = action.payload;
-            state.projects.push({ id: nanoid(), name, due, status })
+        // The id is made in prepare so whoever dispatches can use it straight away (e.g. CSV import)
+        addProject: {
+            reducer: (state, action) => {
+                const { id, name, due, status, autoStatus = false } = action.payload;
+                state.projects.push({ id, name, due, status, autoStatus })
+            },
+            prepare: (project) => ({ payload: { ...project, id: nanoid() } }),
         },
         editProject: (state, action) => {
-            const { id, name, due, status} = action.payload;
+            const { id, name, due, status, autoStatus } = action.payload;
             const p = state.projects.find((x) => x.id === id);
             if (!p) return;
             if (name !== undefined) p.name = name;
             if (due !== undefined) p.due = due;
             if (status !== undefined) p.status = status;
+            // true = status follows the project's tasks (see projectRollup.js)
+            if (autoStatus !== undefined) p.autoStatus = autoStatus;
         },
-        removeProject: (state, action) => {
-            state.projects = state.projects.filter((p) => p.id !== action.payload)
+        // What happens to the project's tasks is handled in tasksSlice (same action, so it's one atomic change)
+        // taskAction: "delete" | "unassign" | "move" (move needs targetId)
+        removeProject: {
+            reducer: (state, action) => {
+                state.projects = state.projects.filter((p) => p.id !== action.payload.id)
+            },
+            prepare: (id, { taskAction = "unassign", targetId = "" } = {}) => ({
+                payload: { id, taskAction, targetId },
+            }),
         },
     },
+    extraReducers: (builder) => {
+        builder.addCase(restoreWorkspace, (state, action) => action.payload.projects);
+        // New projects from a bulk task import (tasksSlice's addTasks - by type, since tasksSlice imports this file)
+        builder.addCase("tasks/addTasks", (state, action) => {
+            action.payload.projects.forEach(({ id, name, due, status, autoStatus = false }) => {
+                state.projects.push({ id, name, due, status, autoStatus });
+            });
+        });
+    },
 });
 
 export const { addProject, editProject, removeProject } = projectsSlice.actions;
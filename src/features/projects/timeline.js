@@ -0,0 +1,74 @@
+// Layout maths for the project timeline: which days are on screen, where a date sits
+// horizontally and the header ticks for each zoom level. Everything works on "YYYY-MM-DD" keys.
+
+import { addDays, daysBetween, parseDateKey, startOfWeek } from "../../utils/dates";
+
+// pxPerDay: how wide one day is; pad: spare days either side of the tasks
+export const ZOOMS = {
+    day: { label: "Day", pxPerDay: 40, pad: 3 },
+    week: { label: "Week", pxPerDay: 16, pad: 7 },
+    month: { label: "Month", pxPerDay: 5, pad: 14 },
+};
+
+// A task's bar runs from its start date (or its due date when it has none) to its due date
+export const taskSpan = (task) => ({ start: task.startDate || task.date, end: task.date });
+
+const firstOfMonth = (key) => `${key.slice(0, 7)}-01`;
+
+// First / last visible day: every bar, today and the deadline, padded and snapped to the zoom's unit
+export function timelineRange(tasks, { deadline, today, zoom }) {
+    const keys = [today, deadline, ...tasks.flatMap((t) => [t.startDate, t.date])].filter(Boolean).sort();
+    const { pad } = ZOOMS[zoom];
+
+    let start = addDays(keys[0], -pad);
+    if (zoom === "week") start = startOfWeek(start);
+    if (zoom === "month") start = firstOfMonth(start);
+
+    return { start, end: addDays(keys[keys.length - 1], pad) };
+}
+
+export const dayOffset = (range, key) => daysBetween(range.start, key);
+
+// Header labels: every day, every Monday or every 1st of the month
+export function timelineTicks(range, zoom) {
+    const ticks = [];
+    const total = daysBetween(range.start, range.end);
+
+    for (let i = 0; i <= total; i++) {
+        const key = addDays(range.start, i);
+        const date = parseDateKey(key);
+        if (zoom === "week" && date.getDay() !== 1) continue;
+        if (zoom === "month" && date.getDate() !== 1) continue;
+
+        const label =
+            zoom === "day" ? date.toLocaleDateString("en-GB", { weekday: "short", day: "numeric" })
+            : zoom === "week" ? date.toLocaleDateString("en-GB", { day: "numeric", month: "short" })
+            : date.toLocaleDateString("en-GB", { month: "short", year: "numeric" });
+        ticks.push({ key, offset: i, label, weekend: zoom === "day" && (date.getDay() === 0 || date.getDay() === 6) });
+    }
+    return ticks;
+}
+
+// The changes a drag makes. mode: "move" shifts the whole bar, "start" / "end" drag one edge.
+// Edges can't cross; a bar that ends up one day long loses its separate start date.
+// With a `deadline` (the project's due date) the due date stops there, like the calendar refuses
+// drops past it - a task that's already late can still move earlier, just not any later
+export function rescheduleTask(task, mode, days, deadline = "") {
+    const { start, end } = taskSpan(task);
+    const clamp = (key, min, max) => (min && key < min ? min : max && key > max ? max : key);
+    const latest = deadline && (end > deadline ? end : deadline);
+
+    let nextStart = start;
+    let nextEnd = end;
+    if (mode === "move") {
+        const shift = latest ? Math.min(days, daysBetween(end, latest)) : days;
+        nextStart = addDays(start, shift);
+        nextEnd = addDays(end, shift);
+    } else if (mode === "start") {
+        nextStart = clamp(addDays(start, days), null, end);
+    } else {
+        nextEnd = clamp(addDays(end, days), start, latest);
+    }
+
+    return { date: nextEnd, startDate: nextStart < nextEnd ? nextStart : "" };
+}
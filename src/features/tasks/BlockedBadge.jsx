@@ -0,0 +1,20 @@
+import { useSelector } from "react-redux";
+import { selectWorkflow, isClosed } from "./status";
+import { blockersOf, selectBlockedIds } from "./dependencies";
+import "./blockedBadge.css";
+
+// "Blocked" pill for a task still waiting on unfinished blockers (nothing otherwise).
+// The tooltip names what it's waiting on.
+export default function BlockedBadge({ task }) {
+    const blocked = useSelector((s) => selectBlockedIds(s).has(task.id));
+    const tasks = useSelector((s) => s.tasks.tasks);
+    const workflow = useSelector(selectWorkflow);
+    if (!blocked) return null;
+
+    const waitingOn = blockersOf(task, tasks).filter((b) => !isClosed(b, workflow)).map((b) => b.name);
+    return (
+        <span className="blocked-badge" title={`Waiting on ${waitingOn.join(", ")}`}>
+            Blocked
+        </span>
+    );
+}
@@ -0,0 +1,112 @@
+import { useState } from "react";
+import { useDispatch } from "react-redux";
+import { updateTasks, shiftTasks, removeTasks } from "./tasksSlice";
+import { canTransition, taskStatus } from "./status";
+import "./bulkActionBar.css"
+
+// Shown above the tasks table while rows are selected.
+// Every button is a single dispatch, so one Ctrl+Z undoes the whole bulk change.
+export default function BulkActionBar({ selected, projects, workflow, onClear, onSelectAll, total }) {
+    const dispatch = useDispatch();
+    const [days, setDays] = useState("1");
+    const [progress, setProgress] = useState("");
+    const [notice, setNotice] = useState(null);
+
+    const ids = selected.map((t) => t.id);
+
+    const handleProject = (project) => {
+        if (project === "__") return;
+        dispatch(updateTasks({ ids, changes: { project } }));
+    };
+
+    const handleShift = (direction) => {
+        const n = Math.trunc(Number(days)) * direction;
+        if (!n) return;
+        dispatch(shiftTasks({ ids, days: n }));
+        const undated = selected.filter((t) => !t.date).length;
+        setNotice(undated ? `${undated} without a date left as they were` : null);
+    };
+
+    const handleProgress = () => {
+        if (progress === "") return;
+        dispatch(updateTasks({ ids, changes: { progress: Math.min(100, Math.max(0, Number(progress))) } }));
+        setProgress("");
+    };
+
+    // Tasks the workflow won't let move are skipped by the reducer - say so rather than fail silently
+    const handleStatus = (status) => {
+        if (!status) return;
+        const stuck = selected.filter((t) => !canTransition(workflow, taskStatus(t, workflow).id, status)).length;
+        dispatch(updateTasks({ ids, changes: { status } }));
+        setNotice(stuck ? `${stuck} couldn't move to that status from where they are` : null);
+    };
+
+    const handleDelete = () => {
+        dispatch(removeTasks(ids));
+        onClear();
+    };
+
+    return (
+        <div className="bulk-bar" role="toolbar" aria-label="Bulk actions">
+            <span className="bulk-count">
+                {selected.length} selected
+                {selected.length < total && (
+                    <button className="link-btn" type="button" onClick={onSelectAll}>
+                        Select all {total}
+                    </button>
+                )}
+            </span>
+
+            <select value="__" onChange={(e) => handleProject(e.target.value)} aria-label="Move to project">
+                <option value="__" disabled>Move to project...</option>
+                <option value="">Unassigned</option>
+                {projects.map((p) => (
+                    <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+            </select>
+
+            <span className="bulk-group">
+                <input
+                    type="number"
+                    min={1}
+                    value={days}
+                    onChange={(e) => setDays(e.target.value)}
+                    aria-label="Days to shift"
+                />
+                days
+                <button type="button" onClick={() => handleShift(-1)}>Earlier</button>
+                <button type="button" onClick={() => handleShift(1)}>Later</button>
+            </span>
+
+            <span className="bulk-group">
+                <input
+                    type="number"
+                    min={0}
+                    max={100}
+                    placeholder="%"
+                    value={progress}
+                    onChange={(e) => setProgress(e.target.value)}
+                    onKeyDown={(e) => e.key === "Enter" && handleProgress()}
+                    aria-label="Set progress"
+                />
+                <button type="button" onClick={handleProgress}>Set</button>
+            </span>
+
+            <select value="" onChange={(e) => handleStatus(e.target.value)} aria-label="Set status">
+                <option value="" disabled>Set status...</option>
+                {workflow.statuses.map((s) => (
+                    <option key={s.id} value={s.id}>{s.label}</option>
+                ))}
+            </select>
+
+            <button className="delete-btn" type="button" onClick={handleDelete}>
+                Delete {selected.length}
+            </button>
+            <button className="link-btn" type="button" onClick={onClear}>
+                Clear
+            </button>
+
+            {notice && <span className="bulk-notice" role="status">{notice}</span>}
+        </div>
+    );
+}
@@ -0,0 +1,240 @@
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { addTasks } from "./tasksSlice";
+import { addProject } from "../projects/projectsSlice";
+import { selectWorkflow } from "./status";
+import { IMPORT_FIELDS, guessMapping, validateRows } from "./taskCsv";
+import { parseCsv } from "../../utils/csv";
+import { readTextFile } from "../../utils/files";
+import "./csvImportDialog.css";
+
+// Import wizard: pick a file -> map its columns onto task fields -> preview / fix -> import.
+// Rows with problems are listed with the reason and skipped; nothing is added until "Import".
+// Tasks only - projects come in by name through a task's project column, there's no projects CSV import.
+export default function CsvImportDialog({ onClose }) {
+    const dispatch = useDispatch();
+    const projects = useSelector((s) => s.projects.projects);
+    const workflow = useSelector(selectWorkflow);
+
+    const [step, setStep] = useState("file"); // file -> map -> preview -> done
+    const [fileName, setFileName] = useState("");
+    const [rows, setRows] = useState([]);
+    const [fileError, setFileError] = useState("");
+    const [hasHeader, setHasHeader] = useState(true);
+    const [mapping, setMapping] = useState({});
+    const [createProjects, setCreateProjects] = useState(true);
+    const [result, setResult] = useState(null);
+
+    const width = Math.max(0, ...rows.map((r) => r.length));
+    const headers = hasHeader ? rows[0] ?? [] : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+
+    const checked = step === "preview"
+        ? validateRows(dataRows, mapping, { projects, workflow, createProjects, firstLine: hasHeader ? 2 : 1 })
+        : [];
+    const valid = checked.filter((r) => r.errors.length === 0);
+    // Names are matched case-insensitively, so "Mobile" and "mobile" are one new project
+    const newProjects = valid
+        .map((r) => r.newProject)
+        .filter((name, i, all) => name && all.findIndex((n) => n.toLowerCase() === name.toLowerCase()) === i);
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        let parsed;
+        try {
+            parsed = parseCsv(await readTextFile(file));
+        } catch {
+            setFileError("That file couldn't be read. Try choosing it again.");
+            return;
+        }
+        if (parsed.length === 0) {
+            setFileError("That file has no rows in it.");
+            return;
+        }
+        setFileName(file.name);
+        setRows(parsed);
+        setFileError("");
+        setMapping(guessMapping(parsed[0]));
+        setStep("map");
+    };
+
+    const handleImport = () => {
+        // Projects are created once per name, then every task in them points at the new id.
+        // Everything goes in one action, so a single undo takes the whole import back out
+        const created = new Map();
+        const tasks = valid.map(({ task, newProject }) => {
+            if (!newProject) return task;
+            const key = newProject.toLowerCase();
+            if (!created.has(key)) {
+                // Not dispatched - just borrows addProject's prepare for the id
+                created.set(key, addProject({ name: newProject, due: "", status: "not-started" }).payload);
+            }
+            return { ...task, project: created.get(key).id };
+        });
+        dispatch(addTasks(tasks, [...created.values()]));
+
+        setResult({ tasks: valid.length, projects: created.size, skipped: checked.length - valid.length });
+        setStep("done");
+    };
+
+    return (
+        <div className="dialog-backdrop" onClick={onClose}>
+            <div
+                className="dialog csv-import"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="csv-import-title"
+                onClick={(e) => e.stopPropagation()}
+                onKeyDown={(e) => e.key === "Escape" && onClose()}
+            >
+                <h2 id="csv-import-title">Import tasks from CSV</h2>
+
+                {step === "file" && (
+                    <>
+                        <p className="muted">
+                            The first row can name the columns - they're matched to task fields on the next step.
+                            Only tasks can be imported: a project column just files each task under that project
+                            (creating it if it's new), so a projects CSV export can't be read back in here.
+                        </p>
+                        <label className="csv-file">
+                            CSV file
+                            <input type="file" accept=".csv,text/csv" onChange={handleFile} />
+                        </label>
+                        {fileError && <p className="csv-error" role="alert">{fileError}</p>}
+                        <div className="dialog-actions">
+                            <button className="link-btn" type="button" onClick={onClose}>
+                                Cancel
+                            </button>
+                        </div>
+                    </>
+                )}
+
+                {step === "map" && (
+                    <>
+                        <p className="muted">
+                            {fileName}: {dataRows.length} {dataRows.length === 1 ? "row" : "rows"}
+                        </p>
+                        <label className="csv-option">
+                            <input type="checkbox" checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} />
+                            First row is a header
+                        </label>
+
+                        <fieldset className="csv-mapping">
+                            <legend>Columns</legend>
+                            {IMPORT_FIELDS.map((field) => (
+                                <label key={field.id}>
+                                    {field.label}{field.required && " *"}
+                                    <select
+                                        value={mapping[field.id] ?? -1}
+                                        onChange={(e) => setMapping((m) => ({ ...m, [field.id]: Number(e.target.value) }))}
+                                    >
+                                        <option value={-1}>Don't import</option>
+                                        {headers.map((h, i) => (
+                                            <option key={i} value={i}>{h || `Column ${i + 1}`}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                            ))}
+                        </fieldset>
+
+                        <label className="csv-option">
+                            <input
+                                type="checkbox"
+                                checked={createProjects}
+                                onChange={(e) => setCreateProjects(e.target.checked)}
+                            />
+                            Create projects that don't exist yet
+                        </label>
+
+                        <div className="dialog-actions">
+                            <button className="link-btn" type="button" onClick={onClose}>
+                                Cancel
+                            </button>
+                            <button className="link-btn" type="button" onClick={() => setStep("file")}>
+                                Back
+                            </button>
+                            <button
+                                className="link-btn"
+                                type="button"
+                                disabled={(mapping.name ?? -1) < 0}
+                                onClick={() => setStep("preview")}
+                            >
+                                Preview
+                            </button>
+                        </div>
+                    </>
+                )}
+
+                {step === "preview" && (
+                    <>
+                        <p>
+                            {valid.length} of {checked.length} rows ready to import
+                            {newProjects.length > 0 && `, ${newProjects.length} new ${newProjects.length === 1 ? "project" : "projects"} (${newProjects.join(", ")})`}.
+                            {valid.length < checked.length && " Rows with problems are skipped."}
+                        </p>
+
+                        <div className="csv-preview">
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Row</th>
+                                        <th>Name</th>
+                                        <th>Date</th>
+                                        <th>Project</th>
+                                        <th>Progress</th>
+                                        <th>Problems</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {checked.map(({ line, task, newProject, errors }) => (
+                                        <tr key={line} className={errors.length ? "csv-row-error" : ""}>
+                                            <td>{line}</td>
+                                            <td>{task.name}</td>
+                                            <td>{task.date}</td>
+                                            <td>
+                                                {newProject
+                                                    ? `${newProject} (new)`
+                                                    : projects.find((p) => p.id === task.project)?.name}
+                                            </td>
+                                            <td>{task.progress ?? ""}</td>
+                                            <td>{errors.join("; ")}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        <div className="dialog-actions">
+                            <button className="link-btn" type="button" onClick={onClose}>
+                                Cancel
+                            </button>
+                            <button className="link-btn" type="button" onClick={() => setStep("map")}>
+                                Back
+                            </button>
+                            <button className="link-btn" type="button" disabled={valid.length === 0} onClick={handleImport}>
+                                Import {valid.length} {valid.length === 1 ? "task" : "tasks"}
+                            </button>
+                        </div>
+                    </>
+                )}
+
+                {step === "done" && (
+                    <>
+                        <p role="status">
+                            Imported {result.tasks} {result.tasks === 1 ? "task" : "tasks"}
+                            {result.projects > 0 && ` and created ${result.projects} ${result.projects === 1 ? "project" : "projects"}`}
+                            {result.skipped > 0 && ` (${result.skipped} skipped)`}.
+                        </p>
+                        <div className="dialog-actions">
+                            <button className="link-btn" type="button" onClick={onClose}>
+                                Done
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
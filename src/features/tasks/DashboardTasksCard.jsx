@@ -1,6 +1,8 @@
 import { useMemo } from "react";
 import { useSelector } from "react-redux";
 import { useNavigate } from "react-router-dom";
+import { parseDateKey, formatTimeRange, todayKey } from "../../utils/dates";
+import { selectWorkflow, taskStatus, isClosed } from "./status";
 import "./dashboardTasksCard.css"
 
 export default function DashboardTasksCard() {
@@ -8,20 +10,18 @@ export default function DashboardTasksCard() {
     const max = 20;
 
     const tasks = useSelector((s) => s.tasks.tasks)
+    const workflow = useSelector(selectWorkflow)
     const nav = useNavigate()
 
     const upcomingTasks = useMemo(() => {
         return [...tasks]
-            .filter((t) => t.date && Number(t.progress) < 100)
-            .sort((a, b) => +new Date(a.date) - +new Date(b.date))
+            .filter((t) => t.date && !isClosed(t, workflow))
+            // Date keys sort as strings; all-day tasks come before timed ones on the same day
+            .sort((a, b) => `${a.date} ${a.startTime || ""}`.localeCompare(`${b.date} ${b.startTime || ""}`))
             .slice(0, max)
-    }, [tasks])
-
-    const statusFromProgress = (p = 0) =>
-        p >= 100 ? "Complete" : p > 0 ? "Ongoing" : "Todo";
-
-    console.log(tasks.map(t => t.progress));
+    }, [tasks, workflow])
 
+    const today = todayKey()
 
     const handleTaskClick = () => {
         nav("/tasks");
@@ -41,12 +41,14 @@ export default function DashboardTasksCard() {
                 <div className="tasks-list scrollable">
                     <ul>
                         {upcomingTasks.map((t) => (
-                            <li key={t.id} onClick={handleTaskClick}>
+                            <li key={t.id} className={t.date < today ? "overdue" : ""} onClick={handleTaskClick}>
                                 <div className="details">
                                     <span className="name">{t.name}</span>
                                     <div className="bottom" /* for mobile view (on one line for better readability)*/>
-                                        <span className="date">Due: {new Date(t.date).toLocaleDateString()}</span>
-                                        <span className="progress">Status: {statusFromProgress(t.progress)}</span>
+                                        <span className="date">
+                                            {t.date < today ? "Overdue" : "Due"}: {parseDateKey(t.date)?.toLocaleDateString()} {formatTimeRange(t)}
+                                        </span>
+                                        <span className="progress">Status: {taskStatus(t, workflow).label}</span>
                                     </div>
                                 </div>
                             </li>
@@ -0,0 +1,60 @@
+import { useDispatch, useSelector } from "react-redux";
+import { addDependency, removeDependency } from "./tasksSlice";
+import { selectWorkflow, isClosed } from "./status";
+import { blockersOf, wouldCreateCycle } from "./dependencies";
+import "./dependencyEditor.css";
+
+// "Blocked by" list for one task. Tasks that would close a loop are listed but can't be picked.
+export default function DependencyEditor({ task }) {
+    const dispatch = useDispatch();
+    const tasks = useSelector((s) => s.tasks.tasks);
+    const workflow = useSelector(selectWorkflow);
+
+    const blockers = blockersOf(task, tasks);
+    const candidates = tasks.filter((t) => t.id !== task.id && !task.blockedBy?.includes(t.id));
+
+    return (
+        <div className="dependency-editor">
+            <div className="dependency-heading">Blocked by</div>
+
+            {blockers.length === 0 ? (
+                <p className="dependency-empty">Nothing - this task can start any time.</p>
+            ) : (
+                <ul>
+                    {blockers.map((b) => (
+                        <li key={b.id} className={isClosed(b, workflow) ? "done" : ""}>
+                            <span className="dependency-name">{b.name}</span>
+                            {b.date && <span className="dependency-date">{b.date}</span>}
+                            <button
+                                type="button"
+                                className="delete-btn"
+                                onClick={() => dispatch(removeDependency({ id: task.id, blockerId: b.id }))}
+                                aria-label={`Remove blocker ${b.name}`}
+                            >
+                                ✕
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {candidates.length > 0 && (
+                <select
+                    value=""
+                    onChange={(e) => e.target.value && dispatch(addDependency({ id: task.id, blockerId: e.target.value }))}
+                    aria-label={`Add a blocker for ${task.name}`}
+                >
+                    <option value="">Add a blocker...</option>
+                    {candidates.map((t) => {
+                        const loop = wouldCreateCycle(tasks, task.id, t.id);
+                        return (
+                            <option key={t.id} value={t.id} disabled={loop}>
+                                {t.name}{loop ? " (waits on this task)" : ""}
+                            </option>
+                        );
+                    })}
+                </select>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,99 @@
+import { NO_PROJECT, EMPTY_FILTERS, hasFilters } from "./filtering";
+import { DUE_PRESETS } from "./dueDates";
+import { compileQuery } from "./query";
+import "./filterBar.css"
+
+// Checkbox list in a dropdown - used for the multi-select filters
+function MultiSelect({ label, options, selected, onChange }) {
+    const toggle = (id) =>
+        onChange(selected.includes(id) ? selected.filter((s) => s !== id) : [...selected, id]);
+
+    return (
+        <details className="filter-menu">
+            <summary>
+                {label}
+                {selected.length > 0 && <span className="filter-count">{selected.length}</span>}
+            </summary>
+            <fieldset aria-label={label}>
+                {options.map((o) => (
+                    <label key={o.id}>
+                        <input type="checkbox" checked={selected.includes(o.id)} onChange={() => toggle(o.id)} />
+                        {o.color && <span className="filter-dot" style={{ background: o.color }} />}
+                        {o.label}
+                    </label>
+                ))}
+            </fieldset>
+        </details>
+    );
+}
+
+// Filters above the tasks table. Controlled: `filters` comes from the URL (see filtering.js)
+export default function FilterBar({ filters, onChange, projects, workflow, shown, total }) {
+    const update = (changes) => onChange({ ...filters, ...changes });
+
+    // A query opened from the top bar search - shown as a removable chip, with any problems in it
+    const queryErrors = filters.query ? compileQuery(filters.query, { projects, workflow }).errors : [];
+
+    const projectOptions = [
+        ...projects.map((p) => ({ id: p.id, label: p.name })),
+        { id: NO_PROJECT, label: "No project" },
+    ];
+
+    return (
+        <div className="filter-bar" role="search" aria-label="Filter tasks">
+            <input
+                type="search"
+                placeholder="Filter by text..."
+                value={filters.text}
+                onChange={(e) => update({ text: e.target.value })}
+                aria-label="Filter text"
+            />
+
+            <MultiSelect
+                label="Project"
+                options={projectOptions}
+                selected={filters.projects}
+                onChange={(projects) => update({ projects })}
+            />
+
+            <select value={filters.due} onChange={(e) => update({ due: e.target.value })} aria-label="Due">
+                <option value="">Any date</option>
+                {DUE_PRESETS.map((p) => (
+                    <option key={p.id} value={p.id}>{p.label}</option>
+                ))}
+            </select>
+
+            <MultiSelect
+                label="Status"
+                options={workflow.statuses}
+                selected={filters.statuses}
+                onChange={(statuses) => update({ statuses })}
+            />
+
+            {filters.query && (
+                <span className={`filter-query ${queryErrors.length ? "invalid" : ""}`}>
+                    <code>{filters.query}</code>
+                    <button type="button" onClick={() => update({ query: "" })} aria-label="Remove search query">
+                        ×
+                    </button>
+                </span>
+            )}
+            {queryErrors.length > 0 && (
+                <span className="filter-query-error" role="alert">
+                    {queryErrors[0].message}
+                </span>
+            )}
+
+            {hasFilters(filters) && (
+                <>
+                    <span className="muted filter-summary">
+                        {shown} of {total}
+                    </span>
+                    <button className="link-btn" type="button" onClick={() => onChange(EMPTY_FILTERS)}>
+                        Clear filters
+                    </button>
+                </>
+            )}
+        </div>
+    );
+}
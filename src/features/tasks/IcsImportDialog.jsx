@@ -0,0 +1,147 @@
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { addTasks } from "./tasksSlice";
+import { selectWorkflow } from "./status";
+import { readIcsTasks } from "./taskIcs";
+import { readTextFile } from "../../utils/files";
+import "./icsImportDialog.css";
+
+// Calendar import: pick an .ics file -> preview its events / to-dos -> add them as tasks.
+// Anything already imported (same UID) or unusable is listed with the reason and skipped.
+export default function IcsImportDialog({ onClose }) {
+    const dispatch = useDispatch();
+    const tasks = useSelector((s) => s.tasks.tasks);
+    const projects = useSelector((s) => s.projects.projects);
+    const workflow = useSelector(selectWorkflow);
+
+    const [step, setStep] = useState("file"); // file -> preview -> done
+    const [fileName, setFileName] = useState("");
+    const [text, setText] = useState("");
+    const [fileError, setFileError] = useState("");
+    const [project, setProject] = useState("");
+    const [result, setResult] = useState(null);
+
+    const entries = step === "preview" ? readIcsTasks(text, { tasks, projects, workflow, project }) : [];
+    const ready = entries.filter((e) => !e.duplicate && e.errors.length === 0);
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        let contents;
+        try {
+            contents = await readTextFile(file);
+        } catch {
+            setFileError("That file couldn't be read. Try choosing it again.");
+            return;
+        }
+        if (readIcsTasks(contents, { tasks, projects, workflow }).length === 0) {
+            setFileError("That file has no events or to-dos in it.");
+            return;
+        }
+        setFileName(file.name);
+        setText(contents);
+        setFileError("");
+        setStep("preview");
+    };
+
+    const handleImport = () => {
+        dispatch(addTasks(ready.map(({ task }) => task)));
+        setResult({ tasks: ready.length, skipped: entries.length - ready.length });
+        setStep("done");
+    };
+
+    return (
+        <div className="dialog-backdrop" onClick={onClose}>
+            <div
+                className="dialog ics-import"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="ics-import-title"
+                onClick={(e) => e.stopPropagation()}
+                onKeyDown={(e) => e.key === "Escape" && onClose()}
+            >
+                <h2 id="ics-import-title">Import from a calendar (.ics)</h2>
+
+                {step === "file" && (
+                    <>
+                        <p className="muted">Events and to-dos become tasks. Importing the same file again skips what's already here.</p>
+                        <label className="ics-file">
+                            Calendar file
+                            <input type="file" accept=".ics,text/calendar" onChange={handleFile} />
+                        </label>
+                        {fileError && <p className="ics-error" role="alert">{fileError}</p>}
+                        <div className="dialog-actions">
+                            <button className="link-btn" type="button" onClick={onClose}>
+                                Cancel
+                            </button>
+                        </div>
+                    </>
+                )}
+
+                {step === "preview" && (
+                    <>
+                        <p>
+                            {fileName}: {ready.length} of {entries.length} ready to import.
+                            {ready.length < entries.length && " The rest are skipped."}
+                        </p>
+
+                        <label className="ics-file">
+                            Project for events without a matching category
+                            <select value={project} onChange={(e) => setProject(e.target.value)}>
+                                <option value="">No project</option>
+                                {projects.map((p) => (
+                                    <option key={p.id} value={p.id}>{p.name}</option>
+                                ))}
+                            </select>
+                        </label>
+
+                        <ul className="ics-preview">
+                            {entries.map(({ uid, task, duplicate, errors, warnings }, i) => {
+                                const reason = duplicate ? "Already imported" : errors.join("; ");
+                                return (
+                                    <li key={`${uid}-${i}`} className={reason ? "ics-skipped" : ""}>
+                                        <span>{task.name}</span>
+                                        <span className="muted">
+                                            {[task.date, task.startTime && `${task.startTime}${task.endTime ? `-${task.endTime}` : ""}`]
+                                                .filter(Boolean)
+                                                .join(" ")}
+                                        </span>
+                                        {reason && <span className="ics-reason">{reason}</span>}
+                                        {!reason && warnings.length > 0 && <span className="ics-warning">{warnings.join("; ")}</span>}
+                                    </li>
+                                );
+                            })}
+                        </ul>
+
+                        <div className="dialog-actions">
+                            <button className="link-btn" type="button" onClick={onClose}>
+                                Cancel
+                            </button>
+                            <button className="link-btn" type="button" onClick={() => setStep("file")}>
+                                Back
+                            </button>
+                            <button className="link-btn" type="button" disabled={ready.length === 0} onClick={handleImport}>
+                                Import {ready.length} {ready.length === 1 ? "task" : "tasks"}
+                            </button>
+                        </div>
+                    </>
+                )}
+
+                {step === "done" && (
+                    <>
+                        <p role="status">
+                            Imported {result.tasks} {result.tasks === 1 ? "task" : "tasks"}
+                            {result.skipped > 0 && ` (${result.skipped} skipped)`}.
+                        </p>
+                        <div className="dialog-actions">
+                            <button className="link-btn" type="button" onClick={onClose}>
+                                Done
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,31 @@
+// Asked when an edit is saved on a recurring task: does it apply to just
+// the current occurrence or to every occurrence in the series?
+export default function RecurringEditDialog({ taskName, onChoose, onCancel }) {
+    return (
+        <div className="dialog-backdrop" onClick={onCancel}>
+            <div
+                className="dialog"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="recurring-edit-title"
+                onClick={(e) => e.stopPropagation()}
+                onKeyDown={(e) => e.key === "Escape" && onCancel()}
+            >
+                <h2 id="recurring-edit-title">Edit recurring task</h2>
+                <p>"{taskName}" repeats. Which occurrences should this change apply to?</p>
+
+                <div className="dialog-actions">
+                    <button className="link-btn" type="button" onClick={onCancel}>
+                        Cancel
+                    </button>
+                    <button className="link-btn" type="button" onClick={() => onChoose("occurrence")} autoFocus>
+                        This occurrence
+                    </button>
+                    <button className="link-btn" type="button" onClick={() => onChoose("series")}>
+                        The whole series
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,129 @@
+import { WEEKDAYS } from "./recurrence";
+import { parseDateKey } from "../../utils/dates";
+import "./repeatFields.css"
+
+const UNITS = { daily: "day(s)", weekly: "week(s)", monthly: "month(s)" };
+
+// Controlled editor for a repeat rule (see recurrence.js). value = rule or null.
+// `date` is the task's date - used for the default weekday / day of month.
+export default function RepeatFields({ value, onChange, date }) {
+    const anchor = parseDateKey(date);
+    const rule = value ?? null;
+    const ends = rule?.until ? "until" : rule?.count ? "count" : "never";
+
+    const update = (changes) => onChange({ ...rule, ...changes });
+
+    const handleFreq = (freq) => {
+        if (!freq) return onChange(null);
+        onChange({
+            freq,
+            interval: rule?.interval ?? 1,
+            weekdays: freq === "weekly" ? (rule?.weekdays?.length ? rule.weekdays : [anchor?.getDay() ?? 1]) : [],
+            monthDay: freq === "monthly" ? rule?.monthDay ?? anchor?.getDate() ?? 1 : null,
+            until: rule?.until ?? "",
+            count: rule?.count ?? null,
+        });
+    };
+
+    const toggleWeekday = (day) => {
+        const days = rule.weekdays.includes(day)
+            ? rule.weekdays.filter((d) => d !== day)
+            : [...rule.weekdays, day].sort((a, b) => a - b);
+        if (days.length) update({ weekdays: days });
+    };
+
+    const handleEnds = (mode) => {
+        if (mode === "never") update({ until: "", count: null });
+        if (mode === "until") update({ until: rule.until || date || "", count: null });
+        if (mode === "count") update({ until: "", count: rule.count || 5 });
+    };
+
+    return (
+        <fieldset className="repeat-fields">
+            <label>
+                Repeat
+                <select value={rule?.freq ?? ""} onChange={(e) => handleFreq(e.target.value)} aria-label="Repeat">
+                    <option value="">Does not repeat</option>
+                    <option value="daily">Daily</option>
+                    <option value="weekly">Weekly</option>
+                    <option value="monthly">Monthly</option>
+                </select>
+            </label>
+
+            {rule && (
+                <>
+                    <label>
+                        every
+                        <input
+                            type="number"
+                            min={1}
+                            value={rule.interval}
+                            onChange={(e) => update({ interval: Number(e.target.value) || 1 })}
+                            aria-label="Repeat interval"
+                        />
+                        {UNITS[rule.freq]}
+                    </label>
+
+                    {rule.freq === "weekly" && (
+                        <div className="repeat-weekdays" role="group" aria-label="Repeat on">
+                            {WEEKDAYS.map((label, day) => (
+                                <label key={label}>
+                                    <input
+                                        type="checkbox"
+                                        checked={rule.weekdays.includes(day)}
+                                        onChange={() => toggleWeekday(day)}
+                                    />
+                                    {label}
+                                </label>
+                            ))}
+                        </div>
+                    )}
+
+                    {rule.freq === "monthly" && (
+                        <label>
+                            on day
+                            <input
+                                type="number"
+                                min={1}
+                                max={31}
+                                value={rule.monthDay ?? ""}
+                                onChange={(e) => update({ monthDay: Math.min(31, Math.max(1, Number(e.target.value) || 1)) })}
+                                aria-label="Day of month"
+                            />
+                        </label>
+                    )}
+
+                    <label>
+                        ends
+                        <select value={ends} onChange={(e) => handleEnds(e.target.value)} aria-label="Repeat ends">
+                            <option value="never">never</option>
+                            <option value="until">on date</option>
+                            <option value="count">after</option>
+                        </select>
+                    </label>
+
+                    {ends === "until" && (
+                        <input
+                            type="date"
+                            value={rule.until}
+                            onChange={(e) => update({ until: e.target.value })}
+                            aria-label="Repeat until"
+                        />
+                    )}
+                    {ends === "count" && (
+                        <label>
+                            <input
+                                type="number"
+                                min={1}
+                                value={rule.count}
+                                onChange={(e) => update({ count: Number(e.target.value) || 1 })}
+                                aria-label="Number of occurrences"
+                            />
+                            times
+                        </label>
+                    )}
+                </>
+            )}
+        </fieldset>
+    );
+}
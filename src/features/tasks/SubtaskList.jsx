@@ -0,0 +1,125 @@
+import { useState } from "react";
+import { useDispatch } from "react-redux";
+import { addSubtask, editSubtask, toggleSubtask, removeSubtask, moveSubtask } from "./tasksSlice";
+import { subtaskCount } from "./subtasks";
+import "./subtaskList.css"
+
+// Inline checklist for one task. Ticking items drives the task's progress (see tasksSlice).
+// Items can be reordered by dragging or with the up / down buttons.
+export default function SubtaskList({ task }) {
+    const dispatch = useDispatch();
+    const subtasks = task.subtasks ?? [];
+
+    const [title, setTitle] = useState("");
+    const [editingId, setEditingId] = useState(null);
+    const [editValue, setEditValue] = useState("");
+    const [dragIndex, setDragIndex] = useState(null);
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        if (!title.trim()) return;
+        dispatch(addSubtask({ taskId: task.id, title }));
+        setTitle("");
+    };
+
+    const saveTitle = (subtaskId) => {
+        dispatch(editSubtask({ taskId: task.id, subtaskId, title: editValue }));
+        setEditingId(null);
+    };
+
+    const move = (from, to) => dispatch(moveSubtask({ taskId: task.id, from, to }));
+
+    const handleDrop = (index) => {
+        if (dragIndex !== null) move(dragIndex, index);
+        setDragIndex(null);
+    };
+
+    return (
+        <div className="subtask-list">
+            <div className="subtask-heading">
+                Checklist {subtaskCount(task) && <span className="muted">({subtaskCount(task)})</span>}
+            </div>
+
+            <ul>
+                {subtasks.map((s, i) => (
+                    <li
+                        key={s.id}
+                        className={`subtask ${s.done ? "done" : ""} ${dragIndex === i ? "dragging" : ""}`}
+                        draggable={editingId !== s.id}
+                        onDragStart={(e) => {
+                            // Firefox won't start a drag without some data set
+                            e.dataTransfer.setData("text/plain", s.id);
+                            e.dataTransfer.effectAllowed = "move";
+                            setDragIndex(i);
+                        }}
+                        onDragOver={(e) => e.preventDefault()}
+                        onDrop={() => handleDrop(i)}
+                        onDragEnd={() => setDragIndex(null)}
+                    >
+                        <input
+                            type="checkbox"
+                            checked={s.done}
+                            onChange={() => dispatch(toggleSubtask({ taskId: task.id, subtaskId: s.id }))}
+                            aria-label={s.title}
+                        />
+
+                        {editingId === s.id ? (
+                            <input
+                                type="text"
+                                value={editValue}
+                                onChange={(e) => setEditValue(e.target.value)}
+                                onBlur={() => saveTitle(s.id)}
+                                onKeyDown={(e) => {
+                                    if (e.key === "Enter") saveTitle(s.id);
+                                    if (e.key === "Escape") setEditingId(null);
+                                }}
+                                aria-label="Subtask title"
+                                autoFocus
+                            />
+                        ) : (
+                            <span
+                                className="subtask-title"
+                                onDoubleClick={() => {
+                                    setEditingId(s.id);
+                                    setEditValue(s.title);
+                                }}
+                                title="Double-click to rename"
+                            >
+                                {s.title}
+                            </span>
+                        )}
+
+                        <div className="subtask-actions">
+                            <button type="button" onClick={() => move(i, i - 1)} disabled={i === 0} aria-label={`Move ${s.title} up`}>
+                                ↑
+                            </button>
+                            <button type="button" onClick={() => move(i, i + 1)} disabled={i === subtasks.length - 1} aria-label={`Move ${s.title} down`}>
+                                ↓
+                            </button>
+                            <button
+                                type="button"
+                                className="delete-btn"
+                                onClick={() => dispatch(removeSubtask({ taskId: task.id, subtaskId: s.id }))}
+                                aria-label={`Remove ${s.title}`}
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+
+            {/* Not a <form>: this can sit inside other forms (e.g. the ProjectCard row) */}
+            <div className="subtask-add">
+                <input
+                    type="text"
+                    placeholder="Add a subtask..."
+                    value={title}
+                    onChange={(e) => setTitle(e.target.value)}
+                    onKeyDown={(e) => e.key === "Enter" && handleAdd(e)}
+                />
+                <button type="button" className="link-btn" onClick={handleAdd}>Add</button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,45 @@
+import { useState } from "react";
+import { useDispatch } from "react-redux";
+import { editTask } from "./tasksSlice";
+import { describeRepeat } from "./recurrence";
+import RepeatFields from "./RepeatFields";
+
+// Repeat rule of an existing task - edited as a draft and saved in one go
+export default function TaskRepeatEditor({ task }) {
+    const dispatch = useDispatch();
+    const [editing, setEditing] = useState(false);
+    const [draft, setDraft] = useState(task.repeat);
+
+    const save = () => {
+        dispatch(editTask({ id: task.id, field: "repeat", value: draft }));
+        setEditing(false);
+    };
+
+    if (!editing) {
+        return (
+            <div className="task-repeat">
+                <span className="muted">{describeRepeat(task.repeat)}</span>
+                <button
+                    className="link-btn"
+                    type="button"
+                    onClick={() => {
+                        setDraft(task.repeat);
+                        setEditing(true);
+                    }}
+                    disabled={!task.date}
+                    title={task.date ? undefined : "Give the task a date first"}
+                >
+                    Edit repeat
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="task-repeat">
+            <RepeatFields value={draft} onChange={setDraft} date={task.date} />
+            <button className="save-btn" type="button" onClick={save}>Save</button>
+            <button className="link-btn" type="button" onClick={() => setEditing(false)}>Cancel</button>
+        </div>
+    );
+}
@@ -0,0 +1,53 @@
+import { useState } from "react";
+import { useDispatch } from "react-redux";
+import { updateTask } from "./tasksSlice";
+import { formatTimeRange } from "../../utils/dates";
+import TimeFields from "./TimeFields";
+
+const timesOf = (task) => ({
+    allDay: task.allDay !== false,
+    startTime: task.startTime || "",
+    endTime: task.endTime || "",
+});
+
+// Start / end time of an existing task - edited as a draft and saved in one go.
+// onSave lets the caller ask "this occurrence / whole series" first for recurring tasks
+export default function TaskTimeEditor({ task, onSave }) {
+    const dispatch = useDispatch();
+    const [editing, setEditing] = useState(false);
+    const [draft, setDraft] = useState(() => timesOf(task));
+
+    const save = () => {
+        if (onSave) onSave(draft);
+        else dispatch(updateTask({ id: task.id, changes: draft }));
+        setEditing(false);
+    };
+
+    if (!editing) {
+        return (
+            <div className="task-repeat">
+                <span className="muted">{formatTimeRange(task) || "All day"}</span>
+                <button
+                    className="link-btn"
+                    type="button"
+                    onClick={() => {
+                        setDraft(timesOf(task));
+                        setEditing(true);
+                    }}
+                    disabled={!task.date}
+                    title={task.date ? undefined : "Give the task a date first"}
+                >
+                    Edit time
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="task-repeat">
+            <TimeFields value={draft} onChange={setDraft} />
+            <button className="save-btn" type="button" onClick={save}>Save</button>
+            <button className="link-btn" type="button" onClick={() => setEditing(false)}>Cancel</button>
+        </div>
+    );
+}
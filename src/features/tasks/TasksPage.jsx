@@ -1,35 +1,75 @@
-import { useState, useEffect } from "react"
+import { Fragment, useState, useEffect, useMemo } from "react"
 import { useDispatch, useSelector } from "react-redux"
-import { useSearchParams } from "react-router-dom";
-import { addTask, removeTask, editTask } from "./tasksSlice"
+import { useSearchParams, Link } from "react-router-dom";
+import { addTask, removeTask, editTask, updateTask } from "./tasksSlice"
+import useShortcuts from "../../app/useShortcuts"
 import sortIcon from "../../assets/sort.png"
 import sortingIcon from "../../assets/sorting.png"
 import pencil from "../../assets/pencil.png"
+import MarkdownEditor from "../../components/MarkdownEditor"
+import EditableMarkdown from "../../components/EditableMarkdown"
+import SubtaskList from "./SubtaskList"
+import DependencyEditor from "./DependencyEditor"
+import BlockedBadge from "./BlockedBadge"
+import { hasSubtasks, subtaskCount } from "./subtasks"
+import { describeRepeat } from "./recurrence"
+import RepeatFields from "./RepeatFields"
+import TaskRepeatEditor from "./TaskRepeatEditor"
+import RecurringEditDialog from "./RecurringEditDialog"
+import TimeFields from "./TimeFields"
+import TaskTimeEditor from "./TaskTimeEditor"
+import { formatTimeRange, todayKey } from "../../utils/dates"
+import { selectWorkflow, taskStatus, nextStatuses, isClosed } from "./status"
+import { parseSort, serializeSort, toggleSort, sortTasks } from "./sorting"
+import { parseFilters, writeFilters, filterTasks } from "./filtering"
+import FilterBar from "./FilterBar"
+import BulkActionBar from "./BulkActionBar"
+import CsvImportDialog from "./CsvImportDialog"
+import IcsImportDialog from "./IcsImportDialog"
+import { tasksToCsv } from "./taskCsv"
+import { downloadCsv } from "../../utils/csv"
+import { tasksToIcs } from "./taskIcs"
+import { downloadIcs } from "../../utils/ical"
 import "./tasksPage.css"
 
 export default function TasksPage() {
     const dispatch = useDispatch();
     const tasks = useSelector((state) => state.tasks.tasks)
     const projects = useSelector((state) => state.projects.projects)
-    const [searchParams] = useSearchParams();
+    const workflow = useSelector(selectWorkflow)
+    const [searchParams, setSearchParams] = useSearchParams();
 
     const [name, setName] = useState("");
     const [date, setDate] = useState("");
     const [project, setProject] = useState("")
     const [progress, setProgress] = useState("")
-
-    const [sortOrder, setSortOrder] = useState("asc")
-    const [displayedTasks, setDisplayedTasks] = useState(tasks)
+    const [description, setDescription] = useState("")
+    const [repeat, setRepeat] = useState(null)
+    const [times, setTimes] = useState({ allDay: true, startTime: "", endTime: "" })
+
+    // Sorting and filters live in the URL (?sort=date,-name&due=overdue...) so views can be bookmarked / shared
+    const sortParam = searchParams.get("sort")
+    const sort = useMemo(() => parseSort(sortParam), [sortParam])
+    const filters = useMemo(() => parseFilters(searchParams), [searchParams])
+    const displayedTasks = useMemo(
+        () => sortTasks(filterTasks(tasks, filters, { projects, workflow }), sort, { projects, workflow }),
+        [tasks, filters, sort, projects, workflow]
+    )
 
     const [isEditing, setIsEditing] = useState({ id: null, field: null })
     const [editValue, setEditValue] = useState("")
+    // Edit on a recurring task waiting for "this occurrence / whole series"
+    const [pendingEdit, setPendingEdit] = useState(null)
+
+    // Row selection for bulk actions. Only rows currently shown count, so a filter never hides what gets changed
+    const [selectedIds, setSelectedIds] = useState(() => new Set())
+    const [lastSelected, setLastSelected] = useState(null) // anchor for shift-click ranges
 
     const [activeEditRow, setActiveEditRow] = useState(null)
     const [showForm, setShowForm] = useState(false)
-
-    useEffect(() => {
-        setDisplayedTasks(tasks);
-    }, [tasks]);
+    const [importing, setImporting] = useState(null) // "csv" | "ics" while an import dialog is open
+    // Row picked with j / k - what e, x and Del act on
+    const [cursorId, setCursorId] = useState(null)
 
     const handleAdd = (e) => {
         e.preventDefault();
@@ -39,14 +79,21 @@ export default function TasksPage() {
         dispatch(
             addTask({
                 name,
+                description,
                 date,
+                // Times only make sense on a dated task
+                ...(date && times),
                 project,
-                progress: Number(progress)
+                progress: Number(progress),
+                repeat
             })
         )
 
         setName("");
+        setDescription("");
+        setRepeat(null);
         setDate("");
+        setTimes({ allDay: true, startTime: "", endTime: "" });
         setProject("");
         setProgress(0);
 
@@ -54,63 +101,70 @@ export default function TasksPage() {
     }
 
 
-    const handleSortByName = () => {
-        const newOrder = sortOrder === "asc" ? "desc" : "asc";
-        setSortOrder(newOrder);
-
-        const sorted = [...tasks].sort((a, b) => {
-            if (newOrder === "asc") return a.name.localeCompare(b.name);
-            else return b.name.localeCompare(a.name);
-        });
-
-        setDisplayedTasks(sorted);
+    // Click = sort by this column only, shift-click = add it as a tie-breaker
+    const handleSort = (e, key) => {
+        const next = toggleSort(sort, key, e.shiftKey);
+        setSearchParams((prev) => {
+            const params = new URLSearchParams(prev);
+            if (next.length) params.set("sort", serializeSort(next));
+            else params.delete("sort");
+            return params;
+        }, { replace: true });
     };
 
-
-    const handleSortByDate = () => {
-        const newOrder = sortOrder === "asc" ? "desc" : "asc";
-        setSortOrder(newOrder);
-
-        const sorted = [...tasks].sort((a, b) => {
-            const dateA = new Date(a.date);
-            const dateB = new Date(b.date);
-
-            if (newOrder === "asc") return dateA - dateB;
-            else return dateB - dateA;
-
-        });
-
-        setDisplayedTasks(sorted)
+    const selectedTasks = displayedTasks.filter((t) => selectedIds.has(t.id))
+    const allSelected = displayedTasks.length > 0 && selectedTasks.length === displayedTasks.length
+
+    // Shift-click sets every row between the last clicked one and this one to the same state
+    const handleSelect = (e, taskId) => {
+        const checked = !selectedIds.has(taskId)
+        const from = displayedTasks.findIndex((t) => t.id === lastSelected)
+        const to = displayedTasks.findIndex((t) => t.id === taskId)
+        const range = e.shiftKey && from !== -1
+            ? displayedTasks.slice(Math.min(from, to), Math.max(from, to) + 1)
+            : [displayedTasks[to]]
+
+        const next = new Set(selectedIds)
+        range.forEach((t) => (checked ? next.add(t.id) : next.delete(t.id)))
+        setSelectedIds(next)
+        setLastSelected(taskId)
     }
 
+    const selectAllShown = () => setSelectedIds(new Set(displayedTasks.map((t) => t.id)))
+    const clearSelection = () => setSelectedIds(new Set())
 
-    const handleByProject = () => {
-        const newOrder = sortOrder === "asc" ? "desc" : "asc";
-        setSortOrder(newOrder);
-
-        const sorted = [...tasks].sort((a, b) => {
-            const projectA = projects.find(p => p.id === a.project)?.name || "";
-            const projectB = projects.find(p => p.id === b.project)?.name || "";
-
-            if (newOrder === "asc") return projectA.localeCompare(projectB);
-            else return projectB.localeCompare(projectA);
-        });
-
-        setDisplayedTasks(sorted);
+    const handleFilters = (next) => {
+        setSearchParams((prev) => writeFilters(new URLSearchParams(prev), next), { replace: true });
     };
 
-
-    const handleSortByProgress = () => {
-        const newOrder = sortOrder === "asc" ? "desc" : "asc";
-        setSortOrder(newOrder);
-
-        const sorted = [...tasks].sort((a, b) => {
-            if (newOrder === "asc") return a.progress - b.progress;
-            else return b.progress - a.progress;
-        })
-
-        setDisplayedTasks(sorted)
-    }
+    const sortHeader = (key, label, before = null) => {
+        const index = sort.findIndex((s) => s.key === key);
+        const dir = sort[index]?.dir;
+        // Text columns use the small A-Z icon, number / date columns the larger one
+        const icon = key === "name" || key === "project" ? "sortIcon" : "sortingIcon";
+        return (
+            <th aria-sort={index === 0 ? (dir === "asc" ? "ascending" : "descending") : undefined}>
+                {before}
+                {label}{" "}
+                <button
+                    className={`${icon}-btn`}
+                    type="button"
+                    onClick={(e) => handleSort(e, key)}
+                    title="Click to sort, shift-click to add as a secondary sort"
+                    aria-label={`Sort by ${label}`}
+                >
+                    {dir ? (
+                        <span className="sort-indicator">
+                            {dir === "asc" ? "▲" : "▼"}
+                            {sort.length > 1 && <sup>{index + 1}</sup>}
+                        </span>
+                    ) : (
+                        <img src={icon === "sortIcon" ? sortIcon : sortingIcon} alt="" className={icon} />
+                    )}
+                </button>
+            </th>
+        );
+    };
 
     const handleEdit = (taskId, field, currentValue) => {
         setIsEditing({ id: taskId, field })
@@ -118,11 +172,35 @@ export default function TasksPage() {
     }
 
     const handleSaveEdit = (taskId) => {
-        dispatch(editTask({ id: taskId, field: isEditing.field, value: editValue }));
+        const task = findTaskById(taskId);
+        const field = isEditing.field;
+        const changed = String(task?.[field] ?? "") !== String(editValue);
+        // Completing an occurrence always applies to just that occurrence (the series rolls on)
+        const completes =
+            (field === "progress" && Number(editValue) >= 100) ||
+            (field === "status" && isClosed({ status: editValue }, workflow));
+
+        if (task?.repeat && changed && !completes) {
+            setPendingEdit({ id: taskId, field, value: editValue });
+        } else {
+            dispatch(editTask({ id: taskId, field, value: editValue }));
+        }
+
         setIsEditing({ id: null, field: null });
         setEditValue("");
     };
 
+    // Time changes come through as one { changes } edit so start / end move together
+    const handleTimeSave = (task, changes) => {
+        if (task.repeat) setPendingEdit({ id: task.id, changes });
+        else dispatch(updateTask({ id: task.id, changes }));
+    };
+
+    const handleRecurringChoice = (scope) => {
+        dispatch(pendingEdit.changes ? updateTask({ ...pendingEdit, scope }) : editTask({ ...pendingEdit, scope }));
+        setPendingEdit(null);
+    };
+
     const handleKeyDown = (e, taskId) => {
         if (e.key === "Enter") handleSaveEdit(taskId);
         if (e.key === "Escape") {
@@ -135,22 +213,20 @@ export default function TasksPage() {
         return tasks.find(t => String(t.id) === String(id));
     };
 
+    // ?editId=...&field=... (from search / the board) opens that task for editing.
+    // Only re-runs when those params change, so sorting or saving doesn't re-open the editor
+    const urlEditId = searchParams.get("editId");
+    const urlField = searchParams.get("field") || "name";
+
     useEffect(() => {
-        const editId = searchParams.get("editId");
-        const field = searchParams.get("field") || "name";
-        if (!editId || tasks.length === 0) return;
+        if (!urlEditId || tasks.length === 0) return;
 
-        const task = findTaskById(editId);
+        const task = findTaskById(urlEditId);
         if (!task) return;
 
-        setDisplayedTasks((prev) => {
-            return tasks;
-        });
-
-
         setActiveEditRow(task.id);
-        const currentValue = task[field];
-        setIsEditing({ id: task.id, field });
+        const currentValue = task[urlField];
+        setIsEditing({ id: task.id, field: urlField });
         setEditValue(currentValue ?? "");
 
         // Scroll that row into view after DOM paints
@@ -160,7 +236,67 @@ export default function TasksPage() {
                 row.scrollIntoView({ behavior: "smooth", block: "center" });
             }
         });
-    }, [searchParams, tasks]); // re-run if tasks load/refresh
+    }, [urlEditId, urlField]);
+
+    // ?new=1 (the global "n" shortcut from another page) opens the add form
+    const urlNew = searchParams.get("new");
+
+    useEffect(() => {
+        if (!urlNew) return;
+        setShowForm(true);
+        setSearchParams((prev) => {
+            const params = new URLSearchParams(prev);
+            params.delete("new");
+            return params;
+        }, { replace: true });
+    }, [urlNew, setSearchParams]);
+
+    const moveCursor = (step) => {
+        if (displayedTasks.length === 0) return;
+        const index = displayedTasks.findIndex((t) => t.id === cursorId);
+        const next = index === -1
+            ? (step > 0 ? 0 : displayedTasks.length - 1)
+            : Math.min(Math.max(index + step, 0), displayedTasks.length - 1);
+        const id = displayedTasks[next].id;
+        setCursorId(id);
+        document.querySelector(`tr[data-task-id="${id}"]`)?.scrollIntoView?.({ block: "nearest" });
+    };
+
+    const cursorTask = displayedTasks.find((t) => t.id === cursorId);
+
+    // Done <-> back to the first open status the workflow allows
+    const toggleComplete = (task) => {
+        const current = taskStatus(task, workflow).id;
+        const options = nextStatuses(task, workflow).filter((s) => s.id !== current);
+        const target = isClosed(task, workflow)
+            ? options.find((s) => s.category === "todo" || s.category === "active")
+            : options.find((s) => s.category === "done");
+        if (target) dispatch(updateTask({ id: task.id, changes: { status: target.id } }));
+    };
+
+    const deleteAtCursor = (task) => {
+        const index = displayedTasks.indexOf(task);
+        const next = displayedTasks[index + 1] ?? displayedTasks[index - 1];
+        dispatch(removeTask(task.id));
+        setCursorId(next?.id ?? null);
+    };
+
+    useShortcuts("Tasks", [
+        { keys: "n", label: "New task", run: () => setShowForm(true) },
+        { keys: "j", label: "Next task", run: () => moveCursor(1) },
+        { keys: "k", label: "Previous task", run: () => moveCursor(-1) },
+        {
+            keys: "e",
+            label: "Edit task",
+            run: () => {
+                if (!cursorTask) return;
+                setActiveEditRow(cursorTask.id);
+                handleEdit(cursorTask.id, "name", cursorTask.name);
+            },
+        },
+        { keys: "x", label: "Toggle complete", run: () => cursorTask && toggleComplete(cursorTask) },
+        { keys: "Delete", label: "Delete task", run: () => cursorTask && deleteAtCursor(cursorTask) },
+    ]);
 
     return (
         <div className="task-wrapper">
@@ -168,6 +304,27 @@ export default function TasksPage() {
                 <h1>Welcome to your tasks...</h1>
 
                 <div className="header-buttons">
+                    <Link className="link-btn" to="/tasks/board">Board view</Link>
+                    {/* Exports what's shown - filters and sort included */}
+                    <button
+                        className="link-btn"
+                        onClick={() => downloadCsv(`tasks-${todayKey()}.csv`, tasksToCsv(displayedTasks, { projects, workflow }))}
+                    >
+                        Export CSV
+                    </button>
+                    <button className="link-btn" onClick={() => setImporting("csv")}>
+                        Import CSV
+                    </button>
+                    {/* Calendar export is everything, so it's a full copy for other clients */}
+                    <button
+                        className="link-btn"
+                        onClick={() => downloadIcs(`tasks-${todayKey()}.ics`, tasksToIcs(tasks, { projects, workflow, name: "SimpliTask" }))}
+                    >
+                        Export .ics
+                    </button>
+                    <button className="link-btn" onClick={() => setImporting("ics")}>
+                        Import .ics
+                    </button>
                     <button className="link-btn" onClick={() => setShowForm((prev) => !prev)}>
                         {showForm ? "Close" : "Add New"}
                     </button>
@@ -181,6 +338,7 @@ export default function TasksPage() {
                     value={name}
                     onChange={(e) => setName(e.target.value)}
                     required
+                    autoFocus
                 />
                 <input
                     type="date"
@@ -188,7 +346,8 @@ export default function TasksPage() {
                     value={date}
                     onChange={(e) => setDate(e.target.value)}
                 />
-                <select value={project} onChange={(e) => setProject(e.target.value)}>
+                {date && <TimeFields value={times} onChange={setTimes} />}
+                <select value={project} onChange={(e) => setProject(e.target.value)} aria-label="Project">
                     <option value="">Select a Project...</option>
                     {projects.map(p => (
                         <option key={p.id} value={p.id}>{p.name}</option>
@@ -200,180 +359,298 @@ export default function TasksPage() {
                     value={progress}
                     onChange={(e) => setProgress(e.target.value)}
                 />
+                <MarkdownEditor value={description} onChange={setDescription} />
+                <RepeatFields value={repeat} onChange={setRepeat} date={date} />
 
                 <button type="submit">Save Task</button>
             </form>)}
 
+            <FilterBar
+                filters={filters}
+                onChange={handleFilters}
+                projects={projects}
+                workflow={workflow}
+                shown={displayedTasks.length}
+                total={tasks.length}
+            />
+
+            {selectedTasks.length > 0 && (
+                <BulkActionBar
+                    selected={selectedTasks}
+                    projects={projects}
+                    workflow={workflow}
+                    onClear={clearSelection}
+                    onSelectAll={selectAllShown}
+                    total={displayedTasks.length}
+                />
+            )}
+
             <div className="task-table-wrapper">
                 <div className="task-table">
                     <table>
                         <thead>
                             <tr>
-                                <th>Task Name <button className="sortIcon-btn" onClick={handleSortByName}><img src={sortIcon} alt="sort-icon" className="sortIcon" /></button></th>
-                                <th>Task Date <button className="sortingIcon-btn" onClick={handleSortByDate}><img src={sortingIcon} alt="sorting-icon" className="sortingIcon" /></button></th>
-                                <th>Project <button className="sortIcon-btn" onClick={handleByProject}><img src={sortIcon} alt="sort-icon" className="sortIcon" /></button></th>
-                                <th>Progress <button className="sortingIcon-btn" onClick={handleSortByProgress}><img src={sortingIcon} alt="sorting-icon" className="sortingIcon" /></button></th>
+                                {sortHeader(
+                                    "name",
+                                    "Task Name",
+                                    <input
+                                        type="checkbox"
+                                        className="row-select"
+                                        checked={allSelected}
+                                        ref={(el) => el && (el.indeterminate = selectedTasks.length > 0 && !allSelected)}
+                                        onChange={allSelected ? clearSelection : selectAllShown}
+                                        aria-label="Select all shown tasks"
+                                    />
+                                )}
+                                {sortHeader("date", "Task Date")}
+                                {sortHeader("project", "Project")}
+                                {sortHeader("progress", "Progress")}
+                                {sortHeader("status", "Status")}
                                 <th>Actions</th>
                             </tr>
                         </thead>
                         <tbody>
                             {displayedTasks.length === 0 ? (
                                 <tr>
-                                    <td colSpan="5" style={{ textAlign: "center", padding: "1rem" }}>
-                                        No tasks yet - add some above !
+                                    <td colSpan="6" style={{ textAlign: "center", padding: "1rem" }}>
+                                        {tasks.length === 0 ? "No tasks yet - add some above !" : "No tasks match these filters."}
                                     </td>
                                 </tr>
                             ) : (
                                 displayedTasks.map((task) => (
-                                    <tr key={task.id} data-task-id={task.id}>
-                                        {/* NAME */}
-                                        <td data-label="Task Name">
-                                            {isEditing?.id === task.id && isEditing.field === "name" ? (
+                                    <Fragment key={task.id}>
+                                        <tr
+                                            data-task-id={task.id}
+                                            className={cursorId === task.id ? "keyboard-cursor" : undefined}
+                                            aria-current={cursorId === task.id || undefined}
+                                        >
+                                            {/* NAME */}
+                                            <td data-label="Task Name">
                                                 <input
-                                                    type="text"
-                                                    value={editValue}
-                                                    onChange={(e) => setEditValue(e.target.value)}
-                                                    onBlur={() => handleSaveEdit(task.id)}
-                                                    onKeyDown={(e) => handleKeyDown(e, task.id)}
-                                                    autoFocus
+                                                    type="checkbox"
+                                                    className="row-select"
+                                                    checked={selectedIds.has(task.id)}
+                                                    onClick={(e) => handleSelect(e, task.id)}
+                                                    readOnly
+                                                    aria-label={`Select ${task.name}`}
                                                 />
-                                            ) : (
-                                                <>
-                                                    {task.name}
-                                                    {activeEditRow === task.id && (
-                                                        <button
-                                                            className="edit-btn"
-                                                            type="button"
-                                                            onClick={() => handleEdit(task.id, "name", task.name)}
-                                                        >
-                                                            <img src={pencil} alt="edit" />
-                                                        </button>
-                                                    )}
-                                                </>
-                                            )}
-                                        </td>
-
-                                        {/* DATE */}
-                                        <td data-label="Task Date">
-                                            {isEditing?.id === task.id && isEditing.field === "date" ? (
-                                                <input
-                                                    type="date"
-                                                    value={editValue || ""}
-                                                    onChange={(e) => setEditValue(e.target.value)}
-                                                    onBlur={() => handleSaveEdit(task.id)}
-                                                    onKeyDown={(e) => handleKeyDown(e, task.id)}
-                                                    autoFocus
-                                                />
-                                            ) : (
-                                                <>
-                                                    {task.date || "-"}
-                                                    {activeEditRow === task.id && (
-                                                        <button
-                                                            className="edit-btn"
-                                                            type="button"
-                                                            onClick={() => handleEdit(task.id, "date", task.date || "")}
-                                                        >
-                                                            <img src={pencil} alt="edit" />
-                                                        </button>
-                                                    )}
-                                                </>
-                                            )}
-                                        </td>
-
-
-                                        {/* PROJECT */}
-                                        <td data-label="Project">
-                                            {isEditing?.id === task.id && isEditing.field === "project" ? (
-                                                <select
-                                                    value={editValue}
-                                                    onChange={(e) => setEditValue(e.target.value)}
-                                                    onBlur={() => handleSaveEdit(task.id)}
-                                                    autoFocus
-                                                >
-                                                    <option value="">Unassigned</option>
-                                                    {projects.map(p => (
-                                                        <option key={p.id} value={p.id}>{p.name}</option>
-                                                    ))}
-                                                </select>
-                                            ) : (
-                                                <>
-                                                    {projects.find(p => p.id === task.project)?.name || "-"}
-                                                    {activeEditRow === task.id && (
+                                                {isEditing?.id === task.id && isEditing.field === "name" ? (
+                                                    <input
+                                                        type="text"
+                                                        value={editValue}
+                                                        onChange={(e) => setEditValue(e.target.value)}
+                                                        onBlur={() => handleSaveEdit(task.id)}
+                                                        onKeyDown={(e) => handleKeyDown(e, task.id)}
+                                                        autoFocus
+                                                    />
+                                                ) : (
+                                                    <>
+                                                        {task.name}
+                                                        {task.repeat && (
+                                                            <span className="repeat-icon" title={describeRepeat(task.repeat)} aria-label="Repeats">
+                                                                {" "}↻
+                                                            </span>
+                                                        )}
+                                                        {activeEditRow === task.id && (
+                                                            <button
+                                                                className="edit-btn"
+                                                                type="button"
+                                                                onClick={() => handleEdit(task.id, "name", task.name)}
+                                                            >
+                                                                <img src={pencil} alt="edit" />
+                                                            </button>
+                                                        )}
+                                                    </>
+                                                )}
+                                            </td>
+
+                                            {/* DATE */}
+                                            <td data-label="Task Date">
+                                                {isEditing?.id === task.id && isEditing.field === "date" ? (
+                                                    <input
+                                                        type="date"
+                                                        value={editValue || ""}
+                                                        onChange={(e) => setEditValue(e.target.value)}
+                                                        onBlur={() => handleSaveEdit(task.id)}
+                                                        onKeyDown={(e) => handleKeyDown(e, task.id)}
+                                                        autoFocus
+                                                    />
+                                                ) : (
+                                                    <>
+                                                        {task.date || "-"}
+                                                        {formatTimeRange(task) && (
+                                                            <span className="task-time">{" "}{formatTimeRange(task)}</span>
+                                                        )}
+                                                        {activeEditRow === task.id && (
+                                                            <button
+                                                                className="edit-btn"
+                                                                type="button"
+                                                                onClick={() => handleEdit(task.id, "date", task.date || "")}
+                                                            >
+                                                                <img src={pencil} alt="edit" />
+                                                            </button>
+                                                        )}
+                                                    </>
+                                                )}
+                                            </td>
+
+
+                                            {/* PROJECT */}
+                                            <td data-label="Project">
+                                                {isEditing?.id === task.id && isEditing.field === "project" ? (
+                                                    <select
+                                                        value={editValue}
+                                                        onChange={(e) => setEditValue(e.target.value)}
+                                                        onBlur={() => handleSaveEdit(task.id)}
+                                                        autoFocus
+                                                    >
+                                                        <option value="">Unassigned</option>
+                                                        {projects.map(p => (
+                                                            <option key={p.id} value={p.id}>{p.name}</option>
+                                                        ))}
+                                                    </select>
+                                                ) : (
+                                                    <>
+                                                        {projects.find(p => p.id === task.project)?.name || "-"}
+                                                        {activeEditRow === task.id && (
+                                                            <button
+                                                                className="edit-btn"
+                                                                type="button"
+                                                                onClick={() => handleEdit(task.id, "project", task.project || "")}
+                                                            >
+                                                                <img src={pencil} alt="edit" />
+                                                            </button>
+                                                        )}
+                                                    </>
+                                                )}
+                                            </td>
+
+
+
+                                            {/* PROGRESS */}
+                                            <td data-label="Progress">
+                                                {isEditing?.id === task.id && isEditing.field === "progress" ? (
+                                                    <input
+                                                        type="number"
+                                                        min={0}
+                                                        max={100}
+                                                        value={editValue}
+                                                        onChange={(e) => setEditValue(e.target.value)}
+                                                        onBlur={() => handleSaveEdit(task.id)}
+                                                        onKeyDown={(e) => handleKeyDown(e, task.id)}
+                                                        autoFocus
+                                                    />
+                                                ) : (
+                                                    <>
+                                                        {task.progress}%
+                                                        {hasSubtasks(task) && (
+                                                            <span className="subtask-count" title="Worked out from the checklist">
+                                                                {" "}({subtaskCount(task)})
+                                                            </span>
+                                                        )}
+                                                        {activeEditRow === task.id && !hasSubtasks(task) && (
+                                                            <button
+                                                                className="edit-btn"
+                                                                type="button"
+                                                                onClick={() => handleEdit(task.id, "progress", String(task.progress))}
+                                                            >
+                                                                <img src={pencil} alt="edit" />
+                                                            </button>
+                                                        )}
+                                                    </>
+                                                )}
+                                            </td>
+
+
+                                            {/* STATUS - only moves the workflow allows are offered */}
+                                            <td data-label="Status">
+                                                {isEditing?.id === task.id && isEditing.field === "status" ? (
+                                                    <select
+                                                        value={editValue}
+                                                        onChange={(e) => setEditValue(e.target.value)}
+                                                        onBlur={() => handleSaveEdit(task.id)}
+                                                        onKeyDown={(e) => handleKeyDown(e, task.id)}
+                                                        aria-label="Status"
+                                                        autoFocus
+                                                    >
+                                                        {nextStatuses(task, workflow).map((s) => (
+                                                            <option key={s.id} value={s.id}>{s.label}</option>
+                                                        ))}
+                                                    </select>
+                                                ) : (
+                                                    <>
+                                                        <span className="status-badge" style={{ background: taskStatus(task, workflow).color }}>
+                                                            {taskStatus(task, workflow).label}
+                                                        </span>
+                                                        <BlockedBadge task={task} />
+                                                        {activeEditRow === task.id && (
+                                                            <button
+                                                                className="edit-btn"
+                                                                type="button"
+                                                                onClick={() => handleEdit(task.id, "status", taskStatus(task, workflow).id)}
+                                                            >
+                                                                <img src={pencil} alt="edit" />
+                                                            </button>
+                                                        )}
+                                                    </>
+                                                )}
+                                            </td>
+
+
+                                            {/* ACTIONS */}
+                                            <td className="actions" data-label="Actions">
+                                                {activeEditRow === task.id ? (
+                                                    <button
+                                                        className="link-btn"
+                                                        type="button"
+                                                        onClick={() => setActiveEditRow(null)}
+                                                    >
+                                                        Close
+                                                    </button>
+                                                ) : (
+                                                    <div className="actions-buttons">
                                                         <button
-                                                            className="edit-btn"
+                                                            className="link-btn"
                                                             type="button"
-                                                            onClick={() => handleEdit(task.id, "project", task.project || "")}
+                                                            onClick={() => setActiveEditRow(task.id)}
                                                         >
-                                                            <img src={pencil} alt="edit" />
+                                                            Edit
                                                         </button>
-                                                    )}
-                                                </>
-                                            )}
-                                        </td>
-
-
-
-                                        {/* PROGRESS */}
-                                        <td data-label="Progress">
-                                            {isEditing?.id === task.id && isEditing.field === "progress" ? (
-                                                <input
-                                                    type="number"
-                                                    min={0}
-                                                    max={100}
-                                                    value={editValue}
-                                                    onChange={(e) => setEditValue(e.target.value)}
-                                                    onBlur={() => handleSaveEdit(task.id)}
-                                                    onKeyDown={(e) => handleKeyDown(e, task.id)}
-                                                    autoFocus
-                                                />
-                                            ) : (
-                                                <>
-                                                    {task.progress}%
-                                                    {activeEditRow === task.id && (
                                                         <button
-                                                            className="edit-btn"
+                                                            className="delete-btn"
                                                             type="button"
-                                                            onClick={() => handleEdit(task.id, "progress", String(task.progress))}
+                                                            onClick={() => dispatch(removeTask(task.id))}
                                                         >
-                                                            <img src={pencil} alt="edit" />
+                                                            Delete
                                                         </button>
-                                                    )}
-                                                </>
-                                            )}
-                                        </td>
-
-
-                                        {/* ACTIONS */}
-                                        <td className="actions" data-label="Actions">
-                                            {activeEditRow === task.id ? (
-                                                <button
-                                                    className="link-btn"
-                                                    type="button"
-                                                    onClick={() => setActiveEditRow(null)}
-                                                >
-                                                    Close
-                                                </button>
-                                            ) : (
-                                                <div className="actions-buttons">
-                                                    <button
-                                                        className="link-btn"
-                                                        type="button"
-                                                        onClick={() => setActiveEditRow(task.id)}
-                                                    >
-                                                        Edit
-                                                    </button>
-                                                    <button
-                                                        className="delete-btn"
-                                                        type="button"
-                                                        onClick={() => dispatch(removeTask(task.id))}
-                                                    >
-                                                        Delete
-                                                    </button>
-                                                </div>
-                                            )}
-                                        </td>
-
-                                    </tr>
+                                                    </div>
+                                                )}
+                                            </td>
+
+                                        </tr>
+
+                                        {/* DESCRIPTION + CHECKLIST + BLOCKERS - only while the row is open for editing */}
+                                        {activeEditRow === task.id && (
+                                            <tr className="task-details-row">
+                                                <td colSpan="6">
+                                                    <div className="task-details">
+                                                        <div>
+                                                            <EditableMarkdown
+                                                                value={task.description || ""}
+                                                                onSave={(value) => dispatch(editTask({ id: task.id, field: "description", value }))}
+                                                            />
+                                                            <TaskTimeEditor task={task} onSave={(changes) => handleTimeSave(task, changes)} />
+                                                            <TaskRepeatEditor task={task} />
+                                                        </div>
+                                                        <div>
+                                                            <SubtaskList task={task} />
+                                                            <DependencyEditor task={task} />
+                                                        </div>
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </Fragment>
                                 ))
                             )}
                         </tbody>
@@ -381,6 +658,17 @@ export default function TasksPage() {
                     </table>
                 </div>
             </div>
+
+            {importing === "csv" && <CsvImportDialog onClose={() => setImporting(null)} />}
+            {importing === "ics" && <IcsImportDialog onClose={() => setImporting(null)} />}
+
+            {pendingEdit && (
+                <RecurringEditDialog
+                    taskName={findTaskById(pendingEdit.id)?.name}
+                    onChoose={handleRecurringChoice}
+                    onCancel={() => setPendingEdit(null)}
+                />
+            )}
         </div>
     )
 }
\ No newline at end of file
@@ -0,0 +1,51 @@
+import "./timeFields.css"
+
+// "All day" toggle + start / end time inputs.
+// value = { allDay, startTime, endTime } - onChange gets the whole updated object
+export default function TimeFields({ value, onChange }) {
+    const allDay = value.allDay !== false;
+
+    const update = (changes) => onChange({ ...value, allDay, ...changes });
+
+    return (
+        <fieldset className="time-fields">
+            <label>
+                <input
+                    type="checkbox"
+                    checked={allDay}
+                    onChange={(e) =>
+                        e.target.checked
+                            ? update({ allDay: true, startTime: "", endTime: "" })
+                            : update({ allDay: false, startTime: value.startTime || "09:00", endTime: value.endTime || "10:00" })
+                    }
+                />
+                All day
+            </label>
+
+            {!allDay && (
+                <>
+                    <label>
+                        from
+                        <input
+                            type="time"
+                            value={value.startTime || ""}
+                            onChange={(e) => update({ startTime: e.target.value })}
+                            aria-label="Start time"
+                            required
+                        />
+                    </label>
+                    <label>
+                        to
+                        <input
+                            type="time"
+                            value={value.endTime || ""}
+                            min={value.startTime || undefined}
+                            onChange={(e) => update({ endTime: e.target.value })}
+                            aria-label="End time"
+                        />
+                    </label>
+                </>
+            )}
+        </fieldset>
+    );
+}
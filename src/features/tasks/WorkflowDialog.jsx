@@ -0,0 +1,155 @@
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { nanoid } from "nanoid";
+import { setWorkflow } from "./tasksSlice";
+import { CATEGORIES, selectWorkflow, validateWorkflow } from "./status";
+import "./workflowDialog.css";
+
+// Edits the task workflow: statuses (name, colour, category) and which moves between them are allowed.
+// Works on a draft; nothing changes until Save.
+export default function WorkflowDialog({ onClose }) {
+    const dispatch = useDispatch();
+    const workflow = useSelector(selectWorkflow);
+    const [draft, setDraft] = useState(workflow);
+
+    const errors = validateWorkflow(draft);
+
+    const updateStatus = (id, changes) =>
+        setDraft((d) => ({
+            ...d,
+            statuses: d.statuses.map((s) => (s.id === id ? { ...s, ...changes } : s)),
+        }));
+
+    const addStatus = () => {
+        const id = nanoid(8);
+        setDraft((d) => ({
+            statuses: [...d.statuses, { id, label: "New status", color: "#6b7280", category: "active" }],
+            transitions: { ...d.transitions, [id]: [] },
+        }));
+    };
+
+    const removeStatus = (id) =>
+        setDraft((d) => {
+            const transitions = {};
+            Object.entries(d.transitions).forEach(([from, to]) => {
+                if (from !== id) transitions[from] = to.filter((t) => t !== id);
+            });
+            return { statuses: d.statuses.filter((s) => s.id !== id), transitions };
+        });
+
+    const toggleTransition = (from, to) =>
+        setDraft((d) => {
+            const current = d.transitions[from] ?? [];
+            const next = current.includes(to) ? current.filter((t) => t !== to) : [...current, to];
+            return { ...d, transitions: { ...d.transitions, [from]: next } };
+        });
+
+    const handleSave = () => {
+        if (errors.length) return;
+        dispatch(setWorkflow(draft));
+        onClose();
+    };
+
+    return (
+        <div className="dialog-backdrop" onClick={onClose}>
+            <div
+                className="dialog workflow-dialog"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="workflow-title"
+                onClick={(e) => e.stopPropagation()}
+                onKeyDown={(e) => e.key === "Escape" && onClose()}
+            >
+                <h2 id="workflow-title">Task workflow</h2>
+
+                <ul className="workflow-statuses">
+                    {draft.statuses.map((s) => (
+                        <li key={s.id}>
+                            <input
+                                type="color"
+                                value={s.color}
+                                onChange={(e) => updateStatus(s.id, { color: e.target.value })}
+                                aria-label={`${s.label} colour`}
+                            />
+                            <input
+                                type="text"
+                                value={s.label}
+                                onChange={(e) => updateStatus(s.id, { label: e.target.value })}
+                                aria-label="Status name"
+                            />
+                            <select
+                                value={s.category}
+                                onChange={(e) => updateStatus(s.id, { category: e.target.value })}
+                                aria-label={`${s.label} category`}
+                            >
+                                {CATEGORIES.map((c) => (
+                                    <option key={c} value={c}>{c}</option>
+                                ))}
+                            </select>
+                            <button
+                                type="button"
+                                className="delete-btn"
+                                onClick={() => removeStatus(s.id)}
+                                aria-label={`Remove ${s.label}`}
+                            >
+                                ✕
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+                <button type="button" className="link-btn" onClick={addStatus}>
+                    Add status
+                </button>
+
+                {/* Rows are where a task is, columns where it may go next */}
+                <table className="workflow-transitions">
+                    <caption>Allowed moves</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col">From \ To</th>
+                            {draft.statuses.map((s) => (
+                                <th key={s.id} scope="col">{s.label}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {draft.statuses.map((from) => (
+                            <tr key={from.id}>
+                                <th scope="row">{from.label}</th>
+                                {draft.statuses.map((to) => (
+                                    <td key={to.id}>
+                                        {from.id !== to.id && (
+                                            <input
+                                                type="checkbox"
+                                                checked={Boolean(draft.transitions[from.id]?.includes(to.id))}
+                                                onChange={() => toggleTransition(from.id, to.id)}
+                                                aria-label={`${from.label} to ${to.label}`}
+                                            />
+                                        )}
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+
+                {errors.length > 0 && (
+                    <ul className="workflow-errors" role="alert">
+                        {errors.map((e) => (
+                            <li key={e}>{e}</li>
+                        ))}
+                    </ul>
+                )}
+
+                <div className="dialog-actions">
+                    <button className="link-btn" type="button" onClick={onClose}>
+                        Cancel
+                    </button>
+                    <button className="save-btn" type="button" onClick={handleSave} disabled={errors.length > 0}>
+                        Save workflow
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,57 @@
+// "Blocked by" links between tasks. Each task keeps the ids of the tasks it waits on in
+// `blockedBy`; a task is blocked while any of those is still open (not done or cancelled).
+
+import { createSelector } from "@reduxjs/toolkit";
+import { isClosed, selectWorkflow } from "./status";
+
+// Would making `taskId` wait on `blockerId` close a loop? True when the blocker already
+// waits on the task, directly or through other tasks (and for a task blocking itself)
+export function wouldCreateCycle(tasks, taskId, blockerId) {
+    const byId = new Map(tasks.map((t) => [t.id, t]));
+    const seen = new Set();
+    const stack = [blockerId];
+
+    while (stack.length) {
+        const id = stack.pop();
+        if (id === taskId) return true;
+        if (seen.has(id)) continue;
+        seen.add(id);
+        stack.push(...(byId.get(id)?.blockedBy ?? []));
+    }
+    return false;
+}
+
+// The tasks `task` waits on (ids that no longer exist are skipped)
+export const blockersOf = (task, tasks) =>
+    (task.blockedBy ?? []).map((id) => tasks.find((t) => t.id === id)).filter(Boolean);
+
+// Finished tasks aren't blocked any more, whatever they were waiting on
+export const isBlocked = (task, tasks, workflow) =>
+    !isClosed(task, workflow) && blockersOf(task, tasks).some((b) => !isClosed(b, workflow));
+
+// Set of ids of every blocked task - for badges in lists
+export const selectBlockedIds = createSelector(
+    [(state) => state.tasks.tasks, selectWorkflow],
+    (tasks, workflow) => new Set(tasks.filter((t) => isBlocked(t, tasks, workflow)).map((t) => t.id))
+);
+
+// Open tasks that start (startDate, or the due date when there's none) before a blocker is due.
+// Returns [{ task, blocker }] - one entry per clashing pair
+export function scheduleConflicts(tasks, workflow) {
+    const conflicts = [];
+    tasks.forEach((task) => {
+        const start = task.startDate || task.date;
+        if (!start || isClosed(task, workflow)) return;
+        blockersOf(task, tasks).forEach((blocker) => {
+            if (blocker.date && !isClosed(blocker, workflow) && start < blocker.date) {
+                conflicts.push({ task, blocker });
+            }
+        });
+    });
+    return conflicts;
+}
+
+export const selectScheduleConflicts = createSelector(
+    [(state) => state.tasks.tasks, selectWorkflow],
+    scheduleConflicts
+);
@@ -0,0 +1,29 @@
+// The "due" presets shared by the filter bar (?due=overdue) and the query language (due:overdue)
+
+import { isClosed } from "./status";
+import { addDays, startOfWeek } from "../../utils/dates";
+
+export const DUE_PRESETS = [
+    { id: "overdue", label: "Overdue" },
+    { id: "today", label: "Today" },
+    { id: "week", label: "This week" },
+    { id: "none", label: "No date" },
+];
+
+// Unknown / empty presets match everything
+export const matchesDue = (task, due, workflow, today) => {
+    switch (due) {
+        case "overdue":
+            return Boolean(task.date) && task.date < today && !isClosed(task, workflow);
+        case "today":
+            return task.date === today;
+        case "week": {
+            const start = startOfWeek(today);
+            return Boolean(task.date) && task.date >= start && task.date <= addDays(start, 6);
+        }
+        case "none":
+            return !task.date;
+        default:
+            return true;
+    }
+};
@@ -0,0 +1,62 @@
+// Filters for the tasks table. They live in the URL next to the sort, e.g.
+// ?project=p1,none&due=overdue&status=todo,blocked&q=invoice
+// ("none" in project = tasks without a project).
+// ?query=... holds a query typed into the top bar search (see query.js)
+
+import { taskStatus } from "./status";
+import { compileQuery } from "./query";
+import { DUE_PRESETS, matchesDue } from "./dueDates";
+import { todayKey } from "../../utils/dates";
+
+export const NO_PROJECT = "none";
+
+const list = (value) => (value ? value.split(",").filter(Boolean) : []);
+
+export function parseFilters(searchParams) {
+    const due = searchParams.get("due");
+    return {
+        projects: list(searchParams.get("project")),
+        due: DUE_PRESETS.some((p) => p.id === due) ? due : "",
+        statuses: list(searchParams.get("status")),
+        text: searchParams.get("q") ?? "",
+        query: searchParams.get("query") ?? "",
+    };
+}
+
+// Copies `filters` onto a URLSearchParams (empty filters are removed) and returns it
+export function writeFilters(params, filters) {
+    const set = (name, value) => (value ? params.set(name, value) : params.delete(name));
+    set("project", filters.projects.join(","));
+    set("due", filters.due);
+    set("status", filters.statuses.join(","));
+    set("q", filters.text);
+    set("query", filters.query);
+    return params;
+}
+
+export const EMPTY_FILTERS = { projects: [], due: "", statuses: [], text: "", query: "" };
+
+export const hasFilters = (filters) =>
+    filters.projects.length > 0 ||
+    Boolean(filters.due) ||
+    filters.statuses.length > 0 ||
+    Boolean(filters.text.trim()) ||
+    Boolean(filters.query.trim());
+
+// All filters combine with AND; within project / status any selected value matches
+export function filterTasks(tasks, filters, { projects, workflow, today = todayKey() }) {
+    const text = filters.text.trim().toLowerCase();
+    const query = filters.query.trim() ? compileQuery(filters.query, { projects, workflow, today }).predicate : null;
+
+    return tasks.filter((t) => {
+        if (filters.projects.length) {
+            const project = projects.some((p) => p.id === t.project) ? t.project : NO_PROJECT;
+            if (!filters.projects.includes(project)) return false;
+        }
+        if (filters.statuses.length && !filters.statuses.includes(taskStatus(t, workflow).id)) return false;
+        if (!matchesDue(t, filters.due, workflow, today)) return false;
+        if (text && !`${t.name} ${t.description ?? ""}`.toLowerCase().includes(text)) return false;
+        if (query && !query(t)) return false;
+        return true;
+    });
+}
@@ -0,0 +1,181 @@
+// Query language for the top bar search, e.g.
+//   project:"Website" due:<2026-11-01 progress:<50 overdue -status:blocked
+//
+// Terms are separated by spaces and all have to match (AND):
+//   field:value            project / status / name / description contain or equal the value
+//   field:<value  >= <= >  comparisons, for due (a date) and progress (a number)
+//   "some words"           plain text (quoted or not) is searched in names and descriptions
+//   overdue / is:<flag>    overdue, today, week, undated, open, closed
+//   -term                  negates any term
+// Dates are "YYYY-MM-DD", today, tomorrow or yesterday; due:none finds undated tasks.
+
+import { taskStatus, isClosed } from "./status";
+import { matchesDue } from "./dueDates";
+import { todayKey, addDays, parseDateKey, toDateKey } from "../../utils/dates";
+
+const FIELDS = {
+    project: "project",
+    status: "status",
+    due: "due",
+    date: "due",
+    progress: "progress",
+    name: "name",
+    desc: "description",
+    description: "description",
+    is: "is",
+};
+
+const COMPARABLE = ["due", "progress"];
+const FLAGS = ["overdue", "today", "week", "undated", "open", "closed"];
+const BARE_FLAGS = ["overdue"];
+
+// Splits the input into raw tokens, keeping quoted values together. Positions are kept for error hints
+function tokenize(input) {
+    const tokens = [];
+    const errors = [];
+    let i = 0;
+
+    while (i < input.length) {
+        if (/\s/.test(input[i])) {
+            i++;
+            continue;
+        }
+        const start = i;
+        let quoted = false;
+        while (i < input.length && (quoted || !/\s/.test(input[i]))) {
+            if (input[i] === '"') quoted = !quoted;
+            i++;
+        }
+        if (quoted) errors.push({ message: "Missing closing quote", start, end: i });
+        tokens.push({ raw: input.slice(start, i), start, end: i });
+    }
+    return { tokens, errors };
+}
+
+const unquote = (value) => value.replace(/"/g, "");
+
+// Raw tokens -> [{ field, op, value, negate, start, end }]; field is null for plain text
+export function parseQuery(input = "") {
+    const { tokens, errors } = tokenize(input);
+    const terms = [];
+
+    tokens.forEach(({ raw, start, end }) => {
+        const negate = raw.length > 1 && raw.startsWith("-");
+        const body = negate ? raw.slice(1) : raw;
+        const fail = (message) => errors.push({ message, start, end });
+
+        const m = /^([a-z]+):(<=|>=|<|>|=)?(.*)$/i.exec(body);
+        if (!m) {
+            const lower = body.toLowerCase();
+            if (BARE_FLAGS.includes(lower)) terms.push({ field: "is", op: "=", value: lower, negate, start, end });
+            else terms.push({ field: null, op: "=", value: unquote(body), negate, start, end });
+            return;
+        }
+
+        const [, name, op = "=", rawValue] = m;
+        const field = FIELDS[name.toLowerCase()];
+        const value = unquote(rawValue).trim();
+
+        if (!field) return fail(`Unknown field "${name}" - try ${Object.keys(FIELDS).filter((f) => f !== "date" && f !== "desc").join(", ")}`);
+        if (!value) return fail(`${name}: needs a value`);
+        if (op !== "=" && !COMPARABLE.includes(field)) return fail(`${name}: can't use ${op}, only due and progress compare`);
+        if (field === "is" && !FLAGS.includes(value.toLowerCase())) return fail(`Unknown flag "${value}" - try ${FLAGS.join(", ")}`);
+
+        terms.push({ field, op, value, negate, start, end });
+    });
+
+    return { terms, errors };
+}
+
+// True when the input uses any of the query syntax (rather than being a plain search)
+export function isQuery(input = "") {
+    const { terms, errors } = parseQuery(input);
+    return errors.length > 0 || terms.some((t) => t.field || t.negate);
+}
+
+const RELATIVE_DAYS = { yesterday: -1, today: 0, tomorrow: 1 };
+
+const toDate = (value, today) => {
+    const lower = value.toLowerCase();
+    if (lower in RELATIVE_DAYS) return addDays(today, RELATIVE_DAYS[lower]);
+    const date = parseDateKey(value);
+    // parseDateKey rolls 2026-02-31 over to March - treat that as invalid
+    return date && toDateKey(date) === value ? value : null;
+};
+
+const compare = (a, op, b) => {
+    switch (op) {
+        case "<":
+            return a < b;
+        case "<=":
+            return a <= b;
+        case ">":
+            return a > b;
+        case ">=":
+            return a >= b;
+        default:
+            return a === b;
+    }
+};
+
+// Builds a predicate for one parsed term, or returns { error } when the value doesn't make sense
+function termMatcher(term, { projects, workflow, today }) {
+    const value = term.value.toLowerCase();
+
+    switch (term.field) {
+        case null:
+            return (t) => `${t.name ?? ""} ${t.description ?? ""}`.toLowerCase().includes(value);
+        case "name":
+            return (t) => (t.name ?? "").toLowerCase().includes(value);
+        case "description":
+            return (t) => (t.description ?? "").toLowerCase().includes(value);
+        case "project": {
+            if (value === "none") return (t) => !projects.some((p) => p.id === t.project);
+            const ids = projects.filter((p) => p.name.toLowerCase().includes(value)).map((p) => p.id);
+            return (t) => ids.includes(t.project);
+        }
+        case "status": {
+            const matches = workflow.statuses
+                .filter((s) => s.id.toLowerCase() === value || s.label.toLowerCase() === value || s.category === value)
+                .map((s) => s.id);
+            if (!matches.length) return { error: `Unknown status "${term.value}"` };
+            return (t) => matches.includes(taskStatus(t, workflow).id);
+        }
+        case "due": {
+            if (value === "none") {
+                if (term.op !== "=") return { error: `due:${term.op}none doesn't make sense` };
+                return (t) => !t.date;
+            }
+            const date = toDate(term.value, today);
+            if (!date) return { error: `"${term.value}" isn't a date - use YYYY-MM-DD, today or tomorrow` };
+            return (t) => Boolean(t.date) && compare(t.date, term.op, date);
+        }
+        case "progress": {
+            const n = Number(term.value.replace(/%$/, ""));
+            if (!Number.isFinite(n)) return { error: `"${term.value}" isn't a number` };
+            return (t) => compare(Number(t.progress) || 0, term.op, n);
+        }
+        case "is":
+            if (value === "open") return (t) => !isClosed(t, workflow);
+            if (value === "closed") return (t) => isClosed(t, workflow);
+            return (t) => matchesDue(t, value === "undated" ? "none" : value, workflow, today);
+        default:
+            return () => true;
+    }
+}
+
+// Input -> { predicate, errors }. With errors the predicate matches nothing, so a typo never
+// looks like "everything matched"
+export function compileQuery(input, { projects, workflow, today = todayKey() }) {
+    const { terms, errors } = parseQuery(input);
+    const matchers = [];
+
+    terms.forEach((term) => {
+        const matcher = termMatcher(term, { projects, workflow, today });
+        if (matcher.error) errors.push({ message: matcher.error, start: term.start, end: term.end });
+        else matchers.push(term.negate ? (t) => !matcher(t) : matcher);
+    });
+
+    if (errors.length) return { predicate: () => false, errors };
+    return { predicate: (task) => matchers.every((m) => m(task)), errors };
+}
@@ -0,0 +1,137 @@
+import { parseDateKey, toDateKey, addDays, daysInMonth } from "../../utils/dates";
+
+// Repeat rules for recurring tasks (a small subset of iCalendar RRULE):
+//
+//   {
+//     freq: "daily" | "weekly" | "monthly",
+//     interval: 1,            // every N days / weeks / months
+//     weekdays: [1, 3],       // weekly only, 0 = Sunday
+//     monthDay: 15,           // monthly only (clamped to the end of shorter months)
+//     until: "YYYY-MM-DD",    // optional end date
+//     count: 10,              // optional number of occurrences left, including the current one
+//   }
+//
+// A recurring task's `date` is always its current (next unfinished) occurrence,
+// and the rule is anchored on it - completing an occurrence moves `date` on.
+
+export const FREQUENCIES = ["daily", "weekly", "monthly"];
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Hard stop so a bad rule can never loop forever
+const MAX_OCCURRENCES = 1000;
+
+// Fills in defaults from the anchor date. Returns null for "does not repeat".
+export function normalizeRepeat(rule, anchorKey) {
+    const anchor = parseDateKey(anchorKey);
+    if (!rule || !FREQUENCIES.includes(rule.freq) || !anchor) return null;
+
+    const weekdays = [...new Set(rule.weekdays ?? [])].filter((d) => d >= 0 && d <= 6).sort((a, b) => a - b);
+
+    return {
+        freq: rule.freq,
+        interval: Math.max(1, Math.floor(Number(rule.interval)) || 1),
+        weekdays: rule.freq === "weekly" ? (weekdays.length ? weekdays : [anchor.getDay()]) : [],
+        monthDay: rule.freq === "monthly" ? Number(rule.monthDay) || anchor.getDate() : null,
+        until: rule.until || "",
+        count: rule.count ? Math.max(1, Math.floor(Number(rule.count))) : null,
+    };
+}
+
+// Is `rule` a complete rule as normalizeRepeat would have stored it for a task due on
+// `anchorKey`? Used to check rules from outside (backups) before they're trusted
+export function isValidRepeat(rule, anchorKey) {
+    if (rule === null || rule === undefined) return true;
+    if (typeof rule !== "object") return false;
+
+    const normal = normalizeRepeat(rule, anchorKey);
+    if (!normal) return false;
+    if (rule.until && !/^\d{4}-\d{2}-\d{2}$/.test(rule.until)) return false;
+    if (normal.monthDay !== null && !(Number.isInteger(normal.monthDay) && normal.monthDay >= 1 && normal.monthDay <= 31)) {
+        return false;
+    }
+    return Object.keys(normal).every((key) => JSON.stringify(rule[key] ?? null) === JSON.stringify(normal[key] ?? null));
+}
+
+// All occurrence dates of a rule anchored at `anchorKey`, in order, up to `endKey`
+export function occurrences(rule, anchorKey, endKey) {
+    const anchor = parseDateKey(anchorKey);
+    if (!rule || !anchor) return anchor ? [anchorKey] : [];
+
+    const result = [];
+    const stop = [endKey, rule.until].filter(Boolean).sort()[0];
+    const limit = rule.count ?? MAX_OCCURRENCES;
+
+    const push = (key) => {
+        if (key < anchorKey || (stop && key > stop)) return true;
+        result.push(key);
+        return result.length < Math.min(limit, MAX_OCCURRENCES);
+    };
+
+    for (let step = 0; step < MAX_OCCURRENCES; step++) {
+        const keys = candidates(rule, anchor, step);
+        // Stop once a whole period lands past the end date
+        if (stop && keys[0] > stop) break;
+        if (!keys.every((key) => push(key))) break;
+        if (result.length >= limit) break;
+    }
+
+    return result;
+}
+
+// Dates produced by the n-th period (day / week / month) after the anchor
+function candidates(rule, anchor, step) {
+    const anchorKey = toDateKey(anchor);
+
+    if (rule.freq === "daily") {
+        return [addDays(anchorKey, step * rule.interval)];
+    }
+
+    if (rule.freq === "weekly") {
+        const weekStart = addDays(anchorKey, -anchor.getDay() + step * rule.interval * 7);
+        return rule.weekdays.map((d) => addDays(weekStart, d));
+    }
+
+    // monthly
+    const month = anchor.getMonth() + step * rule.interval;
+    const year = anchor.getFullYear() + Math.floor(month / 12);
+    const m = ((month % 12) + 12) % 12;
+    const day = Math.min(rule.monthDay, daysInMonth(year, m));
+    return [toDateKey(new Date(year, m, day))];
+}
+
+// The occurrence after `afterKey`, or null once the series has run out
+export function nextOccurrence(rule, afterKey) {
+    if (rule?.count === 1) return null;
+    // The anchor itself may not fall on the rule (e.g. a Tuesday for "weekly on Mon, Wed"),
+    // so take the first date strictly after it
+    return occurrences({ ...rule, count: 2 }, afterKey).find((key) => key > afterKey) ?? null;
+}
+
+// Occurrence dates of a task that fall inside [startKey, endKey].
+// The task's own date always counts as the first occurrence.
+export function taskOccurrences(task, startKey, endKey) {
+    if (!task.date) return [];
+
+    let keys = [task.date];
+    if (task.repeat) {
+        const rest = occurrences({ ...task.repeat, count: null }, task.date, endKey).filter((key) => key > task.date);
+        keys = [task.date, ...rest].slice(0, task.repeat.count ?? undefined);
+    }
+
+    return keys.filter((key) => (!startKey || key >= startKey) && (!endKey || key <= endKey));
+}
+
+// Human readable summary, e.g. "Every 2 weeks on Mon, Wed until 2026-01-31"
+export function describeRepeat(rule) {
+    if (!rule) return "Does not repeat";
+
+    const unit = { daily: "day", weekly: "week", monthly: "month" }[rule.freq];
+    let text = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+
+    if (rule.freq === "weekly") text += ` on ${rule.weekdays.map((d) => WEEKDAYS[d]).join(", ")}`;
+    if (rule.freq === "monthly") text += ` on day ${rule.monthDay}`;
+    if (rule.until) text += ` until ${rule.until}`;
+    if (rule.count) text += `, ${rule.count} more ${rule.count === 1 ? "time" : "times"}`;
+
+    return text;
+}
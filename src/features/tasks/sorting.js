@@ -0,0 +1,72 @@
+// Multi-key sorting for the tasks table.
+// A sort is a list of { key, dir } - the first entry wins, later ones break ties.
+// In the URL it's written as ?sort=date,-name ("-" = descending).
+
+import { taskStatus } from "./status";
+
+export const SORT_KEYS = ["name", "date", "project", "progress", "status"];
+
+export function parseSort(param) {
+    if (!param) return [];
+    const seen = new Set();
+    return param.split(",").flatMap((part) => {
+        const dir = part.startsWith("-") ? "desc" : "asc";
+        const key = part.replace(/^-/, "");
+        if (!SORT_KEYS.includes(key) || seen.has(key)) return [];
+        seen.add(key);
+        return [{ key, dir }];
+    });
+}
+
+export const serializeSort = (sort) =>
+    sort.map(({ key, dir }) => (dir === "desc" ? `-${key}` : key)).join(",");
+
+// Header click: asc -> desc -> off.
+// A plain click makes `key` the only sort; with `additive` (shift-click) the other keys are kept
+export function toggleSort(sort, key, additive = false) {
+    const existing = sort.find((s) => s.key === key);
+    const dir = !existing ? "asc" : existing.dir === "asc" ? "desc" : null;
+
+    if (!additive) return dir ? [{ key, dir }] : [];
+    if (!existing) return [...sort, { key, dir }];
+    return dir
+        ? sort.map((s) => (s.key === key ? { key, dir } : s))
+        : sort.filter((s) => s.key !== key);
+}
+
+// Value each key sorts on. Missing values are "" so they sort first ascending
+const sortValue = (task, key, { projects, workflow }) => {
+    switch (key) {
+        case "name":
+            return task.name || "";
+        case "date":
+            return task.date ? `${task.date} ${task.startTime || ""}` : "";
+        case "project":
+            return projects.find((p) => p.id === task.project)?.name || "";
+        case "progress":
+            return Number(task.progress) || 0;
+        case "status":
+            return workflow.statuses.indexOf(taskStatus(task, workflow));
+        default:
+            return "";
+    }
+};
+
+const compare = (a, b) =>
+    typeof a === "number" ? a - b : a.localeCompare(b, undefined, { sensitivity: "base", numeric: true });
+
+// Returns a new array. Array.prototype.sort is stable, so fully tied tasks keep their original order
+export function sortTasks(tasks, sort, context) {
+    if (sort.length === 0) return tasks;
+
+    return tasks
+        .map((task) => ({ task, values: sort.map(({ key }) => sortValue(task, key, context)) }))
+        .sort((a, b) => {
+            for (let i = 0; i < sort.length; i++) {
+                const diff = compare(a.values[i], b.values[i]);
+                if (diff !== 0) return sort[i].dir === "desc" ? -diff : diff;
+            }
+            return 0;
+        })
+        .map(({ task }) => task);
+}
@@ -0,0 +1,76 @@
+// The one place task statuses are defined. Everything that shows or filters by status
+// (calendar colours, dashboard labels, the board, table filters) goes through here.
+//
+// A workflow is { statuses: [{ id, label, color, category }], transitions: { fromId: [toId, ...] } }.
+// category ties a status to progress:
+//   todo      - not started (0%)
+//   active    - being worked on, blocked, in review...
+//   done      - finished (100%)
+//   cancelled - closed without finishing, progress is left alone
+// The workflow lives in the tasks slice (state.tasks.workflow) so it's saved and undoable with the tasks.
+
+export const CATEGORIES = ["todo", "active", "done", "cancelled"];
+
+export const DEFAULT_WORKFLOW = {
+    statuses: [
+        { id: "todo", label: "Todo", color: "#2563eb", category: "todo" },
+        { id: "ongoing", label: "Ongoing", color: "#f59e0b", category: "active" },
+        { id: "blocked", label: "Blocked", color: "#dc2626", category: "active" },
+        { id: "review", label: "In Review", color: "#7c3aed", category: "active" },
+        { id: "complete", label: "Complete", color: "#16a34a", category: "done" },
+        { id: "cancelled", label: "Cancelled", color: "#6b7280", category: "cancelled" },
+    ],
+    transitions: {
+        todo: ["ongoing", "blocked", "complete", "cancelled"],
+        ongoing: ["todo", "blocked", "review", "complete", "cancelled"],
+        blocked: ["todo", "ongoing", "cancelled"],
+        review: ["ongoing", "complete", "cancelled"],
+        complete: ["ongoing", "review"],
+        cancelled: ["todo"],
+    },
+};
+
+// Older saves / test stores may not have a workflow yet
+export const selectWorkflow = (state) => state.tasks.workflow ?? DEFAULT_WORKFLOW;
+
+const firstIn = (workflow, category) => workflow.statuses.find((s) => s.category === category)?.id;
+
+// The status a task gets from its progress alone (used for new tasks and migrating old ones)
+export const statusFromProgress = (p = 0, workflow = DEFAULT_WORKFLOW) =>
+    firstIn(workflow, p >= 100 ? "done" : p > 0 ? "active" : "todo");
+
+// Full status entry for a task - falls back to its progress when the status is missing / unknown
+export const taskStatus = (task, workflow = DEFAULT_WORKFLOW) =>
+    workflow.statuses.find((s) => s.id === task.status) ??
+    workflow.statuses.find((s) => s.id === statusFromProgress(task.progress, workflow));
+
+export const categoryOf = (workflow, statusId) =>
+    workflow.statuses.find((s) => s.id === statusId)?.category;
+
+// Done or cancelled - nothing left to do
+export const isClosed = (task, workflow = DEFAULT_WORKFLOW) => {
+    const category = taskStatus(task, workflow)?.category;
+    return category === "done" || category === "cancelled";
+};
+
+export const canTransition = (workflow, from, to) =>
+    from === to || !from || Boolean(workflow.transitions[from]?.includes(to));
+
+// Statuses a task can move to next (its current one first)
+export const nextStatuses = (task, workflow = DEFAULT_WORKFLOW) => {
+    const from = taskStatus(task, workflow)?.id;
+    return workflow.statuses.filter((s) => s.id === from || canTransition(workflow, from, s.id));
+};
+
+// Returns a list of problems, empty when the workflow can be saved
+export function validateWorkflow(workflow) {
+    const errors = [];
+    const ids = workflow.statuses.map((s) => s.id);
+
+    if (workflow.statuses.some((s) => !s.label.trim())) errors.push("Every status needs a name");
+    if (new Set(ids).size !== ids.length) errors.push("Status ids must be unique");
+    ["todo", "active", "done"].forEach((category) => {
+        if (!firstIn(workflow, category)) errors.push(`There must be at least one "${category}" status`);
+    });
+    return errors;
+}
@@ -0,0 +1,17 @@
+// Helpers for a task's checklist (task.subtasks = [{ id, title, done }])
+
+export const hasSubtasks = (task) => (task?.subtasks?.length ?? 0) > 0;
+
+// Progress is the share of subtasks ticked off, 0 - 100
+export function subtaskProgress(subtasks = []) {
+    if (subtasks.length === 0) return 0;
+    const done = subtasks.filter((s) => s.done).length;
+    return Math.round((done / subtasks.length) * 100);
+}
+
+// "3/5" style label, or null when the task has no checklist
+export function subtaskCount(task) {
+    if (!hasSubtasks(task)) return null;
+    const done = task.subtasks.filter((s) => s.done).length;
+    return `${done}/${task.subtasks.length}`;
+}
@@ -0,0 +1,32 @@
+import { addTask, updateTask } from "./tasksSlice";
+import { selectWorkflow, isClosed, nextStatuses } from "./status";
+
+// Command palette entries for tasks (see app/commands.js)
+export function taskCommands(state) {
+    const workflow = selectWorkflow(state);
+    // The first "done" status the workflow lets this task move to, if any
+    const doneStatus = (task) => nextStatuses(task, workflow).find((s) => s.category === "done");
+
+    return [
+        {
+            id: "task:new",
+            title: "New task",
+            group: "Tasks",
+            keywords: "add create",
+            prompt: "Task name",
+            run: ({ dispatch, navigate }, name) => {
+                dispatch(addTask({ name, date: "", project: "" }));
+                navigate("/tasks");
+            },
+        },
+        ...state.tasks.tasks
+            .filter((t) => !isClosed(t, workflow) && doneStatus(t))
+            .map((t) => ({
+                id: `task:complete:${t.id}`,
+                title: `Mark "${t.name}" complete`,
+                group: "Tasks",
+                keywords: "done finish tick",
+                run: ({ dispatch }) => dispatch(updateTask({ id: t.id, changes: { status: doneStatus(t).id } })),
+            })),
+    ];
+}
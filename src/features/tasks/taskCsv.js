@@ -0,0 +1,116 @@
+// Tasks <-> CSV. Export writes what the table shows (project names, status labels);
+// import maps arbitrary spreadsheet columns onto task fields and checks every row first.
+
+import { toCsv, unescapeCell } from "../../utils/csv";
+import { parseDateKey, toDateKey } from "../../utils/dates";
+import { taskStatus } from "./status";
+
+// Task fields a CSV column can be mapped to. `aliases` are header names recognised automatically
+export const IMPORT_FIELDS = [
+    { id: "name", label: "Name", required: true, aliases: ["name", "task", "task name", "title"] },
+    { id: "date", label: "Date", aliases: ["date", "due", "due date", "task date"] },
+    { id: "startTime", label: "Start time", aliases: ["start", "start time"] },
+    { id: "endTime", label: "End time", aliases: ["end", "end time"] },
+    { id: "project", label: "Project", aliases: ["project", "project name"] },
+    { id: "progress", label: "Progress", aliases: ["progress", "%", "percent", "progress %"] },
+    { id: "status", label: "Status", aliases: ["status", "state"] },
+    { id: "description", label: "Description", aliases: ["description", "notes", "details"] },
+];
+
+export function tasksToCsv(tasks, { projects, workflow }) {
+    const projectName = (id) => projects.find((p) => p.id === id)?.name ?? "";
+    return toCsv([
+        IMPORT_FIELDS.map((f) => f.label),
+        ...tasks.map((t) => [
+            t.name,
+            t.date,
+            t.startTime,
+            t.endTime,
+            projectName(t.project),
+            t.progress ?? 0,
+            taskStatus(t, workflow).label,
+            t.description,
+        ]),
+    ]);
+}
+
+// { fieldId: columnIndex } guessed from the header row (-1 = not imported)
+export function guessMapping(headers) {
+    const normalised = headers.map((h) => h.trim().toLowerCase());
+    return Object.fromEntries(
+        IMPORT_FIELDS.map((f) => [f.id, normalised.findIndex((h) => f.aliases.includes(h))])
+    );
+}
+
+// "2026-03-01" or the UK style "1/3/2026" -> "2026-03-01"; null when it isn't a real date
+export function parseImportDate(value) {
+    const uk = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value);
+    const key = uk ? `${uk[3]}-${uk[2].padStart(2, "0")}-${uk[1].padStart(2, "0")}` : value;
+    const date = parseDateKey(key);
+    return date && toDateKey(date) === key ? key : null;
+}
+
+// "9:05" -> "09:05"; null when it isn't a valid time
+export function parseImportTime(value) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(value);
+    if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+    return `${m[1].padStart(2, "0")}:${m[2]}`;
+}
+
+// Checks each data row against the mapping.
+// Returns [{ line, task, newProject, errors }] - `task` is the addTask payload, `newProject` the
+// name of a project that has to be created for it first, `line` the spreadsheet row number.
+export function validateRows(rows, mapping, { projects, workflow, createProjects = true, firstLine = 1 }) {
+    const byName = new Map(projects.map((p) => [p.name.trim().toLowerCase(), p.id]));
+
+    return rows.map((row, i) => {
+        const cell = (field) => (mapping[field] >= 0 ? unescapeCell(row[mapping[field]] ?? "").trim() : "");
+        const errors = [];
+        const task = { name: cell("name"), description: cell("description"), date: "", project: "" };
+
+        if (!task.name) errors.push("Name is missing");
+
+        const date = cell("date");
+        if (date) {
+            task.date = parseImportDate(date);
+            if (!task.date) errors.push(`"${date}" isn't a date (use YYYY-MM-DD or DD/MM/YYYY)`);
+        }
+
+        ["startTime", "endTime"].forEach((field) => {
+            const value = cell(field);
+            if (!value) return;
+            task[field] = parseImportTime(value);
+            if (!task[field]) errors.push(`"${value}" isn't a time (use HH:MM)`);
+        });
+        if ((task.startTime || task.endTime) && !date) errors.push("Times need a date");
+
+        const progress = cell("progress").replace(/%$/, "");
+        if (progress) {
+            task.progress = Number(progress);
+            if (!Number.isFinite(task.progress) || task.progress < 0 || task.progress > 100) {
+                errors.push(`Progress "${progress}" must be a number from 0 to 100`);
+            }
+        }
+
+        const status = cell("status");
+        if (status) {
+            const match = workflow.statuses.find(
+                (s) => s.id.toLowerCase() === status.toLowerCase() || s.label.toLowerCase() === status.toLowerCase()
+            );
+            if (match) task.status = match.id;
+            else errors.push(`Unknown status "${status}"`);
+        }
+
+        // Projects are matched by name; unknown names are created on import (or rejected)
+        const projectName = cell("project");
+        let newProject = "";
+        if (projectName) {
+            const id = byName.get(projectName.toLowerCase());
+            if (id) task.project = id;
+            else if (createProjects) newProject = projectName;
+            else errors.push(`No project called "${projectName}"`);
+        }
+
+        return { line: firstLine + i, task, newProject, errors };
+    });
+}
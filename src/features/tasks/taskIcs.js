@@ -0,0 +1,204 @@
+// Tasks <-> iCalendar. Dated tasks are exported as VEVENTs so they show up in calendar clients,
+// undated ones as VTODOs. Import turns VEVENTs / VTODOs back into addTask payloads, keyed by UID
+// so the same file (or our own export) can be imported again without making copies.
+
+import { escapeText, findComponents, getProp, parseIcs, toIcs, unescapeText } from "../../utils/ical";
+import { addDays, toDateKey } from "../../utils/dates";
+import { taskStatus } from "./status";
+
+// Tasks made here get a UID from their id; imported ones keep the UID they came with
+export const taskUid = (task) => task.uid || `${task.id}@simplitask`;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// "2026-03-01" -> "20260301", "2026-03-01" + "09:30" -> "20260301T093000" (floating local time)
+const icsDate = (key) => key.replace(/-/g, "");
+const icsDateTime = (key, time) => `${icsDate(key)}T${time.replace(":", "")}00`;
+
+const utcStamp = (date) =>
+    `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+const ICS_DAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const FREQS = { daily: "DAILY", weekly: "WEEKLY", monthly: "MONTHLY" };
+
+// Repeat rules are already an RRULE subset (see recurrence.js). UNTIL has to be the same kind
+// of value as DTSTART, so timed tasks get a date-time (the end of the last day)
+export function repeatToRrule(repeat, timed = false) {
+    if (!repeat) return "";
+    const parts = [`FREQ=${FREQS[repeat.freq]}`];
+    if (repeat.interval > 1) parts.push(`INTERVAL=${repeat.interval}`);
+    if (repeat.freq === "weekly" && repeat.weekdays.length) parts.push(`BYDAY=${repeat.weekdays.map((d) => ICS_DAYS[d]).join(",")}`);
+    if (repeat.freq === "monthly" && repeat.monthDay) parts.push(`BYMONTHDAY=${repeat.monthDay}`);
+    if (repeat.until) parts.push(`UNTIL=${icsDate(repeat.until)}${timed ? "T235959Z" : ""}`);
+    if (repeat.count) parts.push(`COUNT=${repeat.count}`);
+    return parts.join(";");
+}
+
+// The reverse, for the rules we can represent - anything else imports as a one-off task
+export function rruleToRepeat(value) {
+    const rule = Object.fromEntries(value.split(";").map((part) => part.split("=")));
+    const freq = Object.keys(FREQS).find((f) => FREQS[f] === rule.FREQ);
+    if (!freq) return null;
+
+    const weekdays = (rule.BYDAY ?? "").split(",").filter(Boolean);
+    // "BYDAY=2MO" (second Monday) and the like aren't supported
+    if (weekdays.some((d) => !ICS_DAYS.includes(d))) return null;
+    // One day of the month, counted from the start - "-1" (last day) or "1,15" can't be represented
+    if (rule.BYMONTHDAY && !/^([1-9]|[12]\d|3[01])$/.test(rule.BYMONTHDAY)) return null;
+
+    const until = rule.UNTIL ? /^(\d{4})(\d{2})(\d{2})/.exec(rule.UNTIL) : null;
+    return {
+        freq,
+        interval: Number(rule.INTERVAL) || 1,
+        weekdays: weekdays.map((d) => ICS_DAYS.indexOf(d)),
+        monthDay: Number(rule.BYMONTHDAY) || null,
+        until: until ? `${until[1]}-${until[2]}-${until[3]}` : "",
+        count: Number(rule.COUNT) || null,
+    };
+}
+
+const TODO_STATUS = { todo: "NEEDS-ACTION", active: "IN-PROCESS", done: "COMPLETED", cancelled: "CANCELLED" };
+
+export function tasksToIcs(tasks, { projects, workflow, name, now = new Date() }) {
+    const projectName = (id) => projects.find((p) => p.id === id)?.name ?? "";
+
+    const components = tasks.map((t) => {
+        const category = taskStatus(t, workflow)?.category ?? "todo";
+        const common = [
+            { name: "UID", value: escapeText(taskUid(t)) },
+            { name: "DTSTAMP", value: utcStamp(now) },
+            { name: "SUMMARY", value: escapeText(t.name) },
+            { name: "DESCRIPTION", value: escapeText(t.description) },
+            { name: "CATEGORIES", value: escapeText(projectName(t.project)) },
+        ];
+
+        if (!t.date) {
+            return {
+                type: "VTODO",
+                props: [
+                    ...common,
+                    { name: "STATUS", value: TODO_STATUS[category] },
+                    { name: "PERCENT-COMPLETE", value: String(t.progress ?? 0) },
+                ],
+            };
+        }
+
+        const timed = !t.allDay && t.startTime;
+        const start = timed
+            ? { name: "DTSTART", value: icsDateTime(t.date, t.startTime) }
+            : { name: "DTSTART", params: { VALUE: "DATE" }, value: icsDate(t.date) };
+        // All-day events end (exclusively) on the next day
+        const end = timed
+            ? { name: "DTEND", value: t.endTime && icsDateTime(t.date, t.endTime) }
+            : { name: "DTEND", params: { VALUE: "DATE" }, value: icsDate(addDays(t.date, 1)) };
+
+        return {
+            type: "VEVENT",
+            props: [
+                ...common,
+                start,
+                end,
+                { name: "RRULE", value: repeatToRrule(t.repeat, Boolean(timed)) },
+                { name: "STATUS", value: category === "cancelled" ? "CANCELLED" : "CONFIRMED" },
+            ],
+        };
+    });
+
+    return toIcs(components, { name });
+}
+
+// DTSTART / DTEND / DUE -> { date: "YYYY-MM-DD", time: "HH:MM" | "" }; null when unreadable.
+// UTC times ("...Z") are moved into local time; TZID times are taken as local wall-clock time
+export function parseIcsDate(prop) {
+    const m = prop && /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(prop.value.trim());
+    if (!m) return null;
+
+    const [, y, mo, d, h, mi, , utc] = m;
+    if (!h) return { date: `${y}-${mo}-${d}`, time: "" };
+    if (!utc) return { date: `${y}-${mo}-${d}`, time: `${h}:${mi}` };
+
+    const local = new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi)));
+    return { date: toDateKey(local), time: `${pad(local.getHours())}:${pad(local.getMinutes())}` };
+}
+
+// "PT1H30M" -> 90 (minutes); null when it isn't a duration
+const parseDuration = (value) => {
+    const m = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/.exec(value ?? "");
+    if (!m) return null;
+    const [, w = 0, d = 0, h = 0, min = 0] = m.map((x) => Number(x) || 0);
+    return ((w * 7 + d) * 24 + h) * 60 + min;
+};
+
+const addMinutes = (time, minutes) => {
+    const [h, m] = time.split(":").map(Number);
+    const total = h * 60 + m + minutes;
+    return total < 24 * 60 ? `${pad(Math.floor(total / 60))}:${pad(total % 60)}` : "";
+};
+
+// File text -> [{ uid, task, duplicate, errors, warnings }]. `task` is the addTask payload (with its uid),
+// `duplicate` is true when a task with that UID is already here. Errors skip the entry, warnings don't.
+export function readIcsTasks(text, { tasks, projects, workflow, project = "" }) {
+    const known = new Set(tasks.map(taskUid));
+    const byName = new Map(projects.map((p) => [p.name.trim().toLowerCase(), p.id]));
+    const cancelledStatus = workflow.statuses.find((s) => s.category === "cancelled")?.id;
+    const seen = new Set();
+
+    return findComponents(parseIcs(text), ["VEVENT", "VTODO"])
+        // Moved / edited single occurrences of a recurring event share the series' UID
+        .filter((c) => !getProp(c, "RECURRENCE-ID"))
+        .map((c) => {
+            const value = (name) => unescapeText(getProp(c, name)?.value ?? "").trim();
+            const uid = value("UID");
+            const isTodo = c.type === "VTODO";
+            const errors = [];
+            const warnings = [];
+            // The first category names the project - split before unescaping so "R\, D" stays one name
+            const category = unescapeText((getProp(c, "CATEGORIES")?.value ?? "").split(/(?<!\\),/)[0]).trim();
+
+            const task = {
+                name: value("SUMMARY") || (isTodo ? "Untitled to-do" : "Untitled event"),
+                description: value("DESCRIPTION"),
+                date: "",
+                project: byName.get(category.toLowerCase()) ?? project,
+                uid,
+            };
+
+            const startProp = getProp(c, "DTSTART") ?? (isTodo ? getProp(c, "DUE") : null);
+            const start = parseIcsDate(startProp);
+            if (start) {
+                task.date = start.date;
+                if (start.time) {
+                    task.startTime = start.time;
+                    const end = parseIcsDate(getProp(c, "DTEND"));
+                    const minutes = parseDuration(getProp(c, "DURATION")?.value);
+                    if (end?.date === start.date && end.time) task.endTime = end.time;
+                    else if (minutes) task.endTime = addMinutes(start.time, minutes);
+                }
+            } else if (!isTodo) {
+                errors.push(startProp ? `"${startProp.value}" isn't a date` : "No start date");
+            }
+
+            const rrule = getProp(c, "RRULE");
+            if (rrule && task.date) {
+                task.repeat = rruleToRepeat(rrule.value);
+                if (!task.repeat) warnings.push("Repeat rule isn't supported - imported as a one-off task");
+            }
+
+            const status = value("STATUS").toUpperCase();
+            if (isTodo) {
+                const percent = Number(value("PERCENT-COMPLETE"));
+                if (percent >= 0 && percent <= 100) task.progress = percent;
+                if (status === "COMPLETED") task.progress = 100;
+                if (status === "CANCELLED" && cancelledStatus) task.status = cancelledStatus;
+            } else if (status === "CANCELLED") {
+                errors.push("Cancelled in the calendar");
+            }
+
+            if (!uid) errors.push("No UID");
+
+            const duplicate = known.has(uid) || seen.has(uid);
+            seen.add(uid);
+            return { uid, task, duplicate, errors, warnings };
+        });
+}
@@ -1,34 +1,336 @@
-import { createSlice } from '@reduxjs/toolkit'
+import { createSlice, current } from '@reduxjs/toolkit'
 import { nanoid } from 'nanoid'
+import { removeProject } from '../projects/projectsSlice'
+import { restoreWorkspace } from '../../app/backup'
+import { hasSubtasks, subtaskProgress } from './subtasks'
+import { normalizeRepeat, nextOccurrence } from './recurrence'
+import { addDays, daysBetween } from '../../utils/dates'
+import { wouldCreateCycle } from './dependencies'
+import {
+    DEFAULT_WORKFLOW,
+    statusFromProgress,
+    taskStatus,
+    categoryOf,
+    isClosed,
+    canTransition,
+    validateWorkflow,
+} from './status'
 
 const initialState = {
-    tasks: []
+    tasks: [],
+    workflow: DEFAULT_WORKFLOW,
 }
 
+const workflowOf = (state) => state.workflow ?? DEFAULT_WORKFLOW;
+
+// A task with a checklist always takes its progress from the checklist
+const syncProgress = (task) => {
+    if (hasSubtasks(task)) task.progress = subtaskProgress(task.subtasks);
+};
+
+// Keeps status and progress in step (categories are explained in status.js).
+// statusSet: the status was picked by hand, so progress follows it - otherwise status follows progress
+const syncStatus = (workflow, task, statusSet = false) => {
+    const category = categoryOf(workflow, task.status);
+
+    if (statusSet) {
+        if (category === "done") {
+            task.subtasks?.forEach((s) => { s.done = true; });
+            task.progress = 100;
+        } else if (category === "todo" && task.progress >= 100 && !hasSubtasks(task)) {
+            task.progress = 0;
+        }
+        return;
+    }
+
+    if (task.progress >= 100) {
+        if (category !== "done") task.status = statusFromProgress(100, workflow);
+    } else if (!category || category === "done" || (category === "todo" && task.progress > 0)) {
+        task.status = statusFromProgress(task.progress, workflow);
+    }
+};
+
+// Moves a recurring task on to its next occurrence. Returns false when the series has run out.
+const advanceSeries = (workflow, task) => {
+    const next = nextOccurrence(task.repeat, task.date);
+    if (!next) return false;
+
+    // The start date keeps its distance from the due date
+    if (task.startDate) task.startDate = addDays(task.startDate, daysBetween(task.date, next));
+    task.date = next;
+    task.progress = 0;
+    task.status = statusFromProgress(0, workflow);
+    task.subtasks?.forEach((s) => { s.done = false; });
+    if (task.repeat.count) task.repeat.count -= 1;
+    return true;
+};
+
+// Copy of the series' current occurrence as a one-off task
+const detachOccurrence = (task) => ({ ...current(task), id: nanoid(), repeat: null, seriesId: task.id });
+
+// Finishing (or cancelling) an occurrence of a recurring task keeps a closed copy of it
+// and rolls the series itself on to the next date
+const completeOccurrence = (state, task) => {
+    if (!task?.repeat || !isClosed(task, workflowOf(state))) return;
+
+    const done = detachOccurrence(task);
+    if (advanceSeries(workflowOf(state), task)) state.tasks.push(done);
+    else task.repeat = null; // that was the last one
+};
+
+// All-day tasks have no times; a timed task needs at least a start time.
+// Times are local "HH:mm" wall-clock strings, like dates they carry no timezone.
+// A start date only means something when it's before the due date.
+const normalizeTimes = (task) => {
+    if (task.startDate && (!task.date || task.startDate >= task.date)) task.startDate = "";
+    if (!task.startTime) task.allDay = true;
+    if (task.allDay) {
+        task.startTime = "";
+        task.endTime = "";
+    } else if (task.endTime && task.endTime <= task.startTime) {
+        task.endTime = "";
+    }
+};
+
+// Shared by editTask / updateTask.
+// scope only matters for recurring tasks: "series" edits the whole series,
+// "occurrence" splits the current occurrence off and edits just that
+const applyChanges = (state, task, changes, scope = "series") => {
+    const workflow = workflowOf(state);
+    const next = {};
+    Object.entries(changes).forEach(([field, value]) => {
+        // Progress can't be typed in by hand once a task has subtasks
+        if (field === "progress" && hasSubtasks(task)) return;
+        // Status moves have to follow the workflow
+        if (field === "status" && !canTransition(workflow, taskStatus(task, workflow)?.id, value)) return;
+        next[field] =
+            field === "progress" ? Number(value) || 0
+            : field === "repeat" ? normalizeRepeat(value, changes.date ?? task.date)
+            : value;
+    });
+
+    if (task.repeat && scope === "occurrence" && !("repeat" in next)) {
+        const single = { ...detachOccurrence(task), ...next };
+        normalizeTimes(single);
+        syncStatus(workflow, single, "status" in next);
+        if (advanceSeries(workflow, task)) {
+            state.tasks.push(single);
+            return;
+        }
+        // Last occurrence - nothing left to split from
+        task.repeat = null;
+    }
+
+    Object.assign(task, next);
+    normalizeTimes(task);
+    syncStatus(workflow, task, "status" in next);
+    // Moving the series re-anchors the rule on the new date
+    if ("date" in next && task.repeat && !("repeat" in next)) task.repeat = normalizeRepeat(task.repeat, task.date);
+    completeOccurrence(state, task);
+};
+
+// Deleted tasks can't block anything
+const dropBlockers = (state, ids) => {
+    state.tasks.forEach((t) => {
+        if (t.blockedBy?.some((id) => ids.has(id))) t.blockedBy = t.blockedBy.filter((id) => !ids.has(id));
+    });
+};
+
+const findSubtask = (state, taskId, subtaskId) =>
+    state.tasks.find((t) => t.id === taskId)?.subtasks?.find((s) => s.id === subtaskId);
+
+// addTask payload -> a full task with defaults filled in
+const newTask = (state, payload) => {
+    const task = {
+        id: nanoid(),
+        name: payload.name,
+        description: payload.description || "",
+        date: payload.date,
+        // Optional first day of work (the timeline draws startDate -> date), "" = just the due date
+        startDate: payload.startDate || "",
+        allDay: payload.allDay ?? !payload.startTime,
+        startTime: payload.startTime || "",
+        endTime: payload.endTime || "",
+        project: payload.project,
+        progress: payload.progress || 0,
+        // Unknown statuses are dropped and worked out from progress instead
+        status: categoryOf(workflowOf(state), payload.status) ? payload.status : "",
+        subtasks: [],
+        // Ids of the tasks this one waits on (see dependencies.js)
+        blockedBy: [],
+        repeat: normalizeRepeat(payload.repeat, payload.date),
+    };
+    // Imported from a calendar: keeps its iCalendar UID so re-importing can skip it
+    if (payload.uid) task.uid = payload.uid;
+    normalizeTimes(task);
+    syncStatus(workflowOf(state), task, Boolean(task.status));
+    return task;
+};
+
 const tasksSlice = createSlice({
     name: "tasks",
     initialState,
     reducers: {
         addTask: (state, action) => {
-            state.tasks.push({
-                id: nanoid(),
-                name: action.payload.name,
-                date: action.payload.date,
-                project: action.payload.project,
-                progress: action.payload.progress || 0,
-            });
+            state.tasks.push(newTask(state, action.payload));
+        },
+        // Many at once (CSV import) so it's one undo step. `projects` are new projects the tasks
+        // point at - projectsSlice adds those from the same action
+        addTasks: {
+            reducer: (state, action) => {
+                action.payload.tasks.forEach((task) => state.tasks.push(newTask(state, task)));
+            },
+            prepare: (tasks, projects = []) => ({ payload: { tasks, projects } }),
         },
         removeTask: (state, action) => {
             const id = action.payload;
             state.tasks = state.tasks.filter((t) => t.id !== id)
+            dropBlockers(state, new Set([id]));
         },
+        // One field at a time (inline table edits)
         editTask: (state, action) => {
-            const { id, field, value } = action.payload;
+            const { id, field, value, scope } = action.payload;
             const t = state.tasks.find((x) => x.id === id);
-            if (t) t[field] = field === "progress" ? Number(value) || 0 : value;
+            if (t) applyChanges(state, t, { [field]: value }, scope);
         },
-    }
+        // Several fields at once, e.g. date + times from a calendar drag - one undo step
+        updateTask: (state, action) => {
+            const { id, changes, scope } = action.payload;
+            const t = state.tasks.find((x) => x.id === id);
+            if (t) applyChanges(state, t, changes, scope);
+        },
+
+        // Bulk actions from the table selection - each is one action so it's one undo step.
+        // Same rules as editing one task (whole series for recurring tasks, workflow transitions...)
+        updateTasks: (state, action) => {
+            const { ids, changes } = action.payload;
+            ids.forEach((id) => {
+                const t = state.tasks.find((x) => x.id === id);
+                if (t) applyChanges(state, t, changes);
+            });
+        },
+        // Moves dated tasks by `days` (negative = earlier); undated ones are left alone
+        shiftTasks: (state, action) => {
+            const { ids, days } = action.payload;
+            if (!Number.isInteger(days) || days === 0) return;
+            ids.forEach((id) => {
+                const t = state.tasks.find((x) => x.id === id);
+                if (!t?.date) return;
+                const changes = { date: addDays(t.date, days) };
+                if (t.startDate) changes.startDate = addDays(t.startDate, days);
+                applyChanges(state, t, changes);
+            });
+        },
+        removeTasks: (state, action) => {
+            const ids = new Set(action.payload);
+            state.tasks = state.tasks.filter((t) => !ids.has(t.id));
+            dropBlockers(state, ids);
+        },
+
+        // Dependencies. Links that would make a loop (A waits on B waits on A) are ignored
+        addDependency: (state, action) => {
+            const { id, blockerId } = action.payload;
+            const t = state.tasks.find((x) => x.id === id);
+            if (!t || !state.tasks.some((x) => x.id === blockerId)) return;
+            if (t.blockedBy?.includes(blockerId) || wouldCreateCycle(state.tasks, id, blockerId)) return;
+            t.blockedBy = [...(t.blockedBy ?? []), blockerId];
+        },
+        removeDependency: (state, action) => {
+            const { id, blockerId } = action.payload;
+            const t = state.tasks.find((x) => x.id === id);
+            if (t?.blockedBy) t.blockedBy = t.blockedBy.filter((b) => b !== blockerId);
+        },
+
+        // Checklist
+        addSubtask: (state, action) => {
+            const { taskId, title } = action.payload;
+            const t = state.tasks.find((x) => x.id === taskId);
+            if (!t || !title?.trim()) return;
+            t.subtasks = [...(t.subtasks ?? []), { id: nanoid(), title: title.trim(), done: false }];
+            syncProgress(t);
+            syncStatus(workflowOf(state), t);
+        },
+        editSubtask: (state, action) => {
+            const { taskId, subtaskId, title } = action.payload;
+            const s = findSubtask(state, taskId, subtaskId);
+            if (s && title?.trim()) s.title = title.trim();
+        },
+        toggleSubtask: (state, action) => {
+            const { taskId, subtaskId } = action.payload;
+            const s = findSubtask(state, taskId, subtaskId);
+            if (!s) return;
+            s.done = !s.done;
+            const t = state.tasks.find((x) => x.id === taskId);
+            syncProgress(t);
+            syncStatus(workflowOf(state), t);
+            completeOccurrence(state, t);
+        },
+        removeSubtask: (state, action) => {
+            const { taskId, subtaskId } = action.payload;
+            const t = state.tasks.find((x) => x.id === taskId);
+            if (!t?.subtasks) return;
+            t.subtasks = t.subtasks.filter((s) => s.id !== subtaskId);
+            syncProgress(t);
+            syncStatus(workflowOf(state), t);
+            completeOccurrence(state, t);
+        },
+        // Reorder: move the subtask at index `from` to index `to`
+        moveSubtask: (state, action) => {
+            const { taskId, from, to } = action.payload;
+            const t = state.tasks.find((x) => x.id === taskId);
+            if (!t?.subtasks || from === to) return;
+            if (to < 0 || to >= t.subtasks.length) return;
+            const [moved] = t.subtasks.splice(from, 1);
+            t.subtasks.splice(to, 0, moved);
+        },
+
+        // Workflow settings. Tasks left on a status that no longer exists fall back to their progress
+        setWorkflow: (state, action) => {
+            const workflow = action.payload;
+            if (validateWorkflow(workflow).length) return;
+
+            state.workflow = workflow;
+            state.tasks.forEach((t) => {
+                if (!categoryOf(workflow, t.status)) t.status = statusFromProgress(t.progress, workflow);
+            });
+        },
+    },
+    extraReducers: (builder) => {
+        builder.addCase(removeProject, (state, action) => {
+            const { id, taskAction, targetId } = action.payload;
+            const belongs = (t) => String(t.project) === String(id);
+
+            if (taskAction === "delete") {
+                const ids = new Set(state.tasks.filter(belongs).map((t) => t.id));
+                state.tasks = state.tasks.filter((t) => !belongs(t));
+                dropBlockers(state, ids);
+                return;
+            }
+
+            state.tasks.forEach((t) => {
+                if (belongs(t)) t.project = taskAction === "move" ? targetId : "";
+            });
+        });
+        builder.addCase(restoreWorkspace, (state, action) => action.payload.tasks);
+    },
 });
 
-export const { addTask, removeTask, editTask } = tasksSlice.actions;
+export const {
+    addTask,
+    addTasks,
+    removeTask,
+    editTask,
+    updateTask,
+    updateTasks,
+    shiftTasks,
+    removeTasks,
+    addDependency,
+    removeDependency,
+    addSubtask,
+    editSubtask,
+    toggleSubtask,
+    removeSubtask,
+    moveSubtask,
+    setWorkflow,
+} = tasksSlice.actions;
 export default tasksSlice.reducer;
\ No newline at end of file
@@ -0,0 +1,172 @@
+import { describe, it, expect } from "vitest";
+import { configureStore } from "@reduxjs/toolkit";
+
+import { rootReducer } from "../../app/store";
+import { undo } from "../../app/history";
+import { SCHEMA_VERSION } from "../../app/persist";
+import { DEFAULT_WORKFLOW } from "../../features/tasks/status";
+import {
+    BACKUP_FORMAT,
+    createBackup,
+    readBackup,
+    applyBackup,
+    diffWorkspace,
+    restoreWorkspace,
+    validateWorkspace,
+} from "../../app/backup";
+
+const task = (id, name, extra = {}) => ({
+    id, name, date: "", project: "", progress: 0, status: "todo", description: "", subtasks: [], ...extra,
+});
+
+const STATE = {
+    tasks: { tasks: [task("t1", "Write docs"), task("t2", "Review")], workflow: DEFAULT_WORKFLOW },
+    projects: { projects: [{ id: "p1", name: "Alpha", due: "2026-12-01", status: "in-progress" }] },
+    board: { wipLimits: {}, swimlanes: false },
+};
+
+const file = (backup) => JSON.stringify(backup);
+
+describe("workspace backups", () => {
+
+    // Test 1: A backup round-trips through readBackup unchanged
+    it("creates a versioned backup with metadata and reads it back", () => {
+        const backup = createBackup(STATE, new Date("2026-10-19T09:00:00Z"));
+        expect(backup).toMatchObject({
+            format: BACKUP_FORMAT,
+            version: SCHEMA_VERSION,
+            exportedAt: "2026-10-19T09:00:00.000Z",
+            counts: { tasks: 2, projects: 1 },
+        });
+
+        const read = readBackup(file(backup));
+        expect(read.meta).toEqual({ version: SCHEMA_VERSION, exportedAt: "2026-10-19T09:00:00.000Z" });
+        expect(read.data).toEqual(STATE);
+    });
+
+    // Test 2: Newer versions, non-backups and broken JSON are refused with a clear message
+    it("refuses files it can't safely restore", () => {
+        const backup = createBackup(STATE);
+        expect(() => readBackup(file({ ...backup, version: SCHEMA_VERSION + 1 }))).toThrow(/newer version of SimpliTask/);
+        expect(() => readBackup(file({ ...backup, version: "6" }))).toThrow(/which version/);
+        expect(() => readBackup(file({ format: "something-else", version: 1, data: {} }))).toThrow(/isn't a SimpliTask backup/);
+        expect(() => readBackup("{oops")).toThrow(/isn't valid JSON/);
+    });
+
+    // Test 3: Schema problems are listed (bad progress, duplicate ids, missing project list)
+    it("validates the data against the schema", () => {
+        const bad = {
+            ...createBackup(STATE),
+            data: {
+                ...STATE,
+                tasks: { ...STATE.tasks, tasks: [task("t1", "A", { progress: 140 }), task("t1", "B", { date: "soon" })] },
+                projects: {},
+            },
+        };
+        const error = (() => {
+            try {
+                readBackup(file(bad));
+            } catch (e) {
+                return e.message;
+            }
+        })();
+        expect(error).toMatch(/tasks\[0\]\.progress must be a number from 0 to 100/);
+        expect(error).toMatch(/tasks\[1\]\.date must be a YYYY-MM-DD date/);
+        expect(error).toMatch(/duplicate id "t1"/);
+        expect(error).toMatch(/projects must be a list/);
+    });
+
+    // Test 4: Older backups go through the persist migrations
+    it("migrates backups from older versions", () => {
+        const old = { version: 1, data: { tasks: { tasks: [{ id: "t1", name: "Old", progress: 100 }] }, projects: { projects: [] } } };
+        const { data } = readBackup(file(old));
+        expect(data.tasks.tasks[0]).toMatchObject({ id: "t1", description: "", subtasks: [], status: "complete" });
+        expect(data.tasks.workflow).toEqual(DEFAULT_WORKFLOW);
+        expect(data.board).toEqual({ wipLimits: {}, swimlanes: false });
+    });
+
+    // Test 5: Replace vs merge by id, and the diff between before and after
+    it("replaces or merges by id and diffs the result", () => {
+        const incoming = {
+            ...STATE,
+            tasks: { ...STATE.tasks, tasks: [task("t1", "Write the docs"), task("t3", "Ship")] },
+            projects: { projects: [] },
+        };
+
+        const replaced = applyBackup(STATE, incoming, "replace");
+        const replaceDiff = diffWorkspace(STATE, replaced);
+        expect(replaceDiff.tasks.added.map((t) => t.id)).toEqual(["t3"]);
+        expect(replaceDiff.tasks.changed.map((t) => t.name)).toEqual(["Write the docs"]);
+        expect(replaceDiff.tasks.removed.map((t) => t.id)).toEqual(["t2"]);
+        expect(replaceDiff.projects.removed.map((p) => p.id)).toEqual(["p1"]);
+
+        const merged = applyBackup(STATE, incoming, "merge");
+        expect(merged.tasks.tasks.map((t) => t.name)).toEqual(["Write the docs", "Review", "Ship"]);
+        expect(merged.projects).toEqual(STATE.projects);
+        const mergeDiff = diffWorkspace(STATE, merged);
+        expect(mergeDiff.tasks.removed).toEqual([]);
+        expect(mergeDiff.projects).toEqual({ added: [], changed: [], removed: [] });
+    });
+
+    // Test 6: Restoring swaps the slices in one undoable step
+    it("restores through the store and undoes in one step", () => {
+        const store = configureStore({ reducer: rootReducer, preloadedState: STATE });
+        const next = applyBackup(STATE, { ...STATE, tasks: { ...STATE.tasks, tasks: [] }, board: { wipLimits: { todo: 3 }, swimlanes: true } }, "replace");
+
+        store.dispatch(restoreWorkspace(next));
+        expect(store.getState().tasks.tasks).toEqual([]);
+        expect(store.getState().board.swimlanes).toBe(true);
+
+        store.dispatch(undo());
+        expect(store.getState().tasks.tasks).toEqual(STATE.tasks.tasks);
+    });
+
+    // Test 7: Merging keeps this browser's workflow, so unknown statuses fall back to progress
+    it("maps statuses the current workflow doesn't have when merging", () => {
+        const incoming = {
+            ...STATE,
+            tasks: {
+                ...STATE.tasks,
+                tasks: [
+                    task("t3", "Ship", { status: "qa", progress: 40 }),
+                    task("t4", "Plan", { status: "complete", progress: 100 }),
+                ],
+            },
+        };
+
+        const merged = applyBackup(STATE, incoming, "merge");
+        expect(merged.tasks.tasks.slice(-2).map((t) => t.status)).toEqual(["ongoing", "complete"]);
+        // Replace brings its own workflow along, so statuses are left as they are
+        expect(applyBackup(STATE, incoming, "replace").tasks.tasks[0].status).toBe("qa");
+    });
+
+    // Test 8: Fields the app relies on later (repeat rules, checklists, times, transitions) are checked too
+    it("rejects malformed repeat rules, subtasks, times and transitions", () => {
+        const weekly = { freq: "weekly", interval: 1, weekdays: [1], monthDay: null, until: "", count: null };
+        const withTask = (extra) => ({ ...STATE, tasks: { ...STATE.tasks, tasks: [task("t1", "A", { date: "2026-03-02", ...extra })] } });
+        const errorsFor = (extra) => validateWorkspace(withTask(extra));
+
+        expect(errorsFor({ repeat: weekly, subtasks: [{ id: "s1", title: "Do it", done: false }], allDay: false, startTime: "09:00", endTime: "" })).toEqual([]);
+
+        expect(errorsFor({ repeat: { freq: "weekly" } })).toEqual(["tasks[0].repeat must be a valid repeat rule (or null)"]);
+        expect(errorsFor({ repeat: { ...weekly, freq: "yearly" } })).toHaveLength(1);
+        expect(errorsFor({ repeat: { ...weekly, freq: "monthly", weekdays: [], monthDay: 40 } })).toHaveLength(1);
+        expect(errorsFor({ repeat: weekly, date: "" })).toHaveLength(1);
+        expect(errorsFor({ subtasks: [null] })).toEqual(["tasks[0].subtasks must be a list of { id, title, done } items"]);
+        expect(errorsFor({ subtasks: [{ id: "s1", title: "x", done: "no" }] })).toHaveLength(1);
+        expect(errorsFor({ allDay: "yes" })).toEqual(["tasks[0].allDay must be true or false"]);
+        expect(errorsFor({ startTime: "9am", endTime: "25:00" })).toEqual([
+            "tasks[0].startTime must be an HH:MM time",
+            "tasks[0].endTime must be an HH:MM time",
+        ]);
+
+        const badFlow = { ...DEFAULT_WORKFLOW, transitions: { ...DEFAULT_WORKFLOW.transitions, todo: ["nowhere"], ghost: [] } };
+        expect(validateWorkspace({ ...STATE, tasks: { ...STATE.tasks, workflow: badFlow } })).toEqual([
+            'Task workflow: transitions from "todo" must list known statuses',
+            'Task workflow: transitions from unknown status "ghost"',
+        ]);
+        expect(validateWorkspace({ ...STATE, tasks: { ...STATE.tasks, workflow: { ...DEFAULT_WORKFLOW, transitions: null } } })).toEqual([
+            "The task workflow has no transitions",
+        ]);
+    });
+});
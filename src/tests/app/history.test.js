@@ -0,0 +1,131 @@
+import { describe, it, expect } from "vitest";
+import { configureStore } from "@reduxjs/toolkit";
+
+import { rootReducer } from "../../app/store";
+import { undo, redo, HISTORY_LIMIT } from "../../app/history";
+import { addTask, removeTask, editTask, updateTasks } from "../../features/tasks/tasksSlice";
+import { addProject, removeProject } from "../../features/projects/projectsSlice";
+import { setWipLimit } from "../../features/board/boardSlice";
+import { restoreWorkspace } from "../../app/backup";
+
+const TASKS = [{ id: "t1", name: "Write docs", date: "2025-11-10", project: "p1", progress: 10 }];
+const PROJECTS = [{ id: "p1", name: "Alpha", due: "2025-12-01", status: "in-progress" }];
+
+function makeStore() {
+    return configureStore({
+        reducer: rootReducer,
+        preloadedState: { tasks: { tasks: TASKS }, projects: { projects: PROJECTS } },
+    });
+}
+
+describe("undo / redo history", () => {
+
+    // Test 1: Delete then undo brings the task back, redo removes it again
+    it("undoes and redoes a removeTask", () => {
+        const store = makeStore();
+
+        store.dispatch(removeTask("t1"));
+        expect(store.getState().tasks.tasks).toEqual([]);
+
+        store.dispatch(undo());
+        expect(store.getState().tasks.tasks).toEqual(TASKS);
+
+        store.dispatch(redo());
+        expect(store.getState().tasks.tasks).toEqual([]);
+    });
+
+    // Test 2: Project and task changes share one timeline
+    it("covers project and task mutations in order", () => {
+        const store = makeStore();
+
+        store.dispatch(addProject({ name: "Beta", due: "", status: "not-started" }));
+        store.dispatch(editTask({ id: "t1", field: "name", value: "Renamed" }));
+        store.dispatch(removeProject("p1"));
+
+        store.dispatch(undo());
+        expect(store.getState().projects.projects.map((p) => p.name)).toEqual(["Alpha", "Beta"]);
+
+        store.dispatch(undo());
+        expect(store.getState().tasks.tasks[0].name).toBe("Write docs");
+
+        store.dispatch(undo());
+        expect(store.getState().projects.projects).toEqual(PROJECTS);
+
+        // Nothing left to undo - state stays put
+        const before = store.getState();
+        store.dispatch(undo());
+        expect(store.getState()).toBe(before);
+    });
+
+    // Test 3: A new change after undo throws away the redo stack
+    it("clears the redo stack on a new change", () => {
+        const store = makeStore();
+
+        store.dispatch(addTask({ name: "One", date: "", project: "" }));
+        store.dispatch(undo());
+        store.dispatch(addTask({ name: "Two", date: "", project: "" }));
+
+        expect(store.getState().history.future).toEqual([]);
+        store.dispatch(redo());
+        expect(store.getState().tasks.tasks.map((t) => t.name)).toEqual(["Write docs", "Two"]);
+    });
+
+    // Test 4: History is capped
+    it("keeps at most HISTORY_LIMIT entries", () => {
+        const store = makeStore();
+
+        for (let i = 0; i < HISTORY_LIMIT + 10; i++) {
+            store.dispatch(editTask({ id: "t1", field: "progress", value: i }));
+        }
+
+        expect(store.getState().history.past).toHaveLength(HISTORY_LIMIT);
+    });
+
+    // Test 5: A bulk change is a single undo step
+    it("undoes a bulk update in one go", () => {
+        const store = configureStore({
+            reducer: rootReducer,
+            preloadedState: {
+                tasks: { tasks: [...TASKS, { ...TASKS[0], id: "t2", name: "Review docs" }] },
+                projects: { projects: PROJECTS },
+            },
+        });
+        const before = store.getState().tasks;
+
+        store.dispatch(updateTasks({ ids: ["t1", "t2"], changes: { progress: 50 } }));
+        expect(store.getState().history.past).toHaveLength(1);
+
+        store.dispatch(undo());
+        expect(store.getState().tasks).toBe(before);
+    });
+
+    // Test 6: Undoing a restore brings back the board settings it replaced
+    it("undoes a backup restore including board settings", () => {
+        const store = makeStore();
+        store.dispatch(setWipLimit({ status: "ongoing", limit: 3 }));
+        const before = store.getState();
+
+        store.dispatch(
+            restoreWorkspace({
+                tasks: { tasks: [] },
+                projects: { projects: [] },
+                board: { wipLimits: { todo: 1 }, swimlanes: true },
+            })
+        );
+        expect(store.getState().board.swimlanes).toBe(true);
+
+        store.dispatch(undo());
+        expect(store.getState().board).toBe(before.board);
+        expect(store.getState().tasks).toBe(before.tasks);
+
+        store.dispatch(redo());
+        expect(store.getState().board).toEqual({ wipLimits: { todo: 1 }, swimlanes: true });
+    });
+
+    // Test 7: A store loaded from a save starts with empty history rather than none
+    it("adds history to preloaded state", () => {
+        const store = configureStore({ reducer: rootReducer, preloadedState: { tasks: { tasks: TASKS }, projects: { projects: PROJECTS } } });
+        expect(store.getState().history).toEqual({ past: [], future: [], recorded: 0 });
+        expect(store.getState().tasks.tasks).toBe(TASKS);
+    });
+});
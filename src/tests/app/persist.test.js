@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { configureStore } from "@reduxjs/toolkit";
+
+import tasksReducer, { addTask } from "../../features/tasks/tasksSlice";
+import projectsReducer from "../../features/projects/projectsSlice";
+import {
+    STORAGE_KEY,
+    SCHEMA_VERSION,
+    unreadableKey,
+    loadState,
+    saveState,
+    migrate,
+    persistStore,
+} from "../../app/persist";
+
+const STATE = {
+    tasks: { tasks: [{ id: "t1", name: "Write docs", date: "2025-11-10", project: "p1", progress: 10 }] },
+    projects: { projects: [{ id: "p1", name: "Alpha", due: "2025-12-01", status: "in-progress" }] },
+};
+
+describe("persist", () => {
+    beforeEach(() => {
+        localStorage.clear();
+        vi.spyOn(console, "warn").mockImplementation(() => {});
+    });
+
+    // Test 1: Round trip through localStorage
+    it("saves the slices with a version and loads them back", () => {
+        saveState(STATE);
+
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        expect(saved.version).toBe(SCHEMA_VERSION);
+
+        expect(loadState()).toEqual(STATE);
+    });
+
+    // Test 2: Nothing saved / garbage saved
+    it("returns undefined when storage is empty or unreadable", () => {
+        expect(loadState()).toBeUndefined();
+
+        localStorage.setItem(STORAGE_KEY, "{not json");
+        expect(loadState()).toBeUndefined();
+    });
+
+    // Test 3: Unversioned data is upgraded through the migration chain
+    it("migrates data saved before versioning existed", () => {
+        localStorage.setItem(
+            STORAGE_KEY,
+            JSON.stringify({ tasks: { tasks: [{ id: "t1", name: "Old", progress: "40" }] } })
+        );
+
+        const state = loadState();
+        expect(state.tasks.tasks[0].progress).toBe(40);
+        expect(state.tasks.tasks[0].description).toBe("");
+        expect(state.projects.projects).toEqual([]);
+    });
+
+    // Test 4: migrate() starts from the saved version
+    it("only runs the migrations after the saved version", () => {
+        const v1 = { tasks: { tasks: [{ id: "t1", name: "Old", progress: 5 }] }, projects: { projects: [] } };
+        const upgraded = migrate(v1, 1);
+
+        expect(upgraded.tasks.tasks[0]).toMatchObject({ name: "Old", progress: 5, description: "" });
+        expect(migrate(STATE, SCHEMA_VERSION)).toBe(STATE);
+        expect(() => migrate(STATE, SCHEMA_VERSION + 1)).toThrow(/newer version/);
+    });
+
+    // Test 5: Old ISO timestamps become local date keys and tasks start out all-day
+    it("normalises task dates and adds time fields", () => {
+        const v4 = {
+            tasks: { tasks: [{ id: "t1", name: "Old", date: new Date(2025, 10, 10, 13, 30).toISOString() }] },
+            projects: { projects: [] },
+        };
+        const [task] = migrate(v4, 4).tasks.tasks;
+
+        expect(task).toMatchObject({ date: "2025-11-10", allDay: true, startTime: "", endTime: "" });
+    });
+
+    // Test 6: Status is seeded from progress when it becomes a real field
+    it("gives existing tasks a status based on their progress", () => {
+        const v5 = {
+            tasks: {
+                tasks: [
+                    { id: "t1", name: "New", progress: 0 },
+                    { id: "t2", name: "Half", progress: 50 },
+                    { id: "t3", name: "Done", progress: 100 },
+                ],
+            },
+            projects: { projects: [] },
+        };
+        const { tasks } = migrate(v5, 5);
+
+        expect(tasks.tasks.map((t) => t.status)).toEqual(["todo", "ongoing", "complete"]);
+        expect(tasks.workflow.statuses.map((s) => s.id)).toContain("blocked");
+    });
+
+    // Test 7: Data from a future version is refused rather than half-loaded
+    it("ignores data saved by a newer schema version", () => {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SCHEMA_VERSION + 1, data: STATE }));
+        expect(loadState()).toBeUndefined();
+    });
+
+    // Test 8: The store subscription writes on change
+    it("writes to storage when the store changes", () => {
+        const store = configureStore({
+            reducer: { tasks: tasksReducer, projects: projectsReducer },
+        });
+        persistStore(store);
+
+        store.dispatch(addTask({ name: "Persist me", date: "", project: "" }));
+
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        expect(saved.data.tasks.tasks[0].name).toBe("Persist me");
+    });
+
+    // Test 9: Existing projects keep their hand-picked status
+    it("turns auto-managed status off for existing projects", () => {
+        const v6 = { tasks: { tasks: [] }, projects: { projects: [{ id: "p1", name: "Alpha", status: "complete" }] } };
+        expect(migrate(v6, 6).projects.projects[0]).toEqual({ id: "p1", name: "Alpha", status: "complete", autoStatus: false });
+    });
+
+    // Test 10: Tasks start without a separate start date
+    it("adds an empty start date to existing tasks", () => {
+        const v7 = { tasks: { tasks: [{ id: "t1", name: "Old", date: "2025-11-10" }] }, projects: { projects: [] } };
+        expect(migrate(v7, 7).tasks.tasks[0].startDate).toBe("");
+    });
+
+    // Test 11: Existing tasks aren't blocked by anything
+    it("adds an empty blockedBy list to existing tasks", () => {
+        const v8 = { tasks: { tasks: [{ id: "t1", name: "Old", date: "2025-11-10", startDate: "" }] }, projects: { projects: [] } };
+        expect(migrate(v8, 8).tasks.tasks[0].blockedBy).toEqual([]);
+    });
+
+    // Test 12: A save the app can't read survives the first change after starting fresh
+    it("keeps a newer or corrupt save recoverable after the first change", () => {
+        const newer = JSON.stringify({ version: SCHEMA_VERSION + 1, data: STATE });
+        localStorage.setItem(STORAGE_KEY, newer);
+
+        const store = configureStore({
+            reducer: { tasks: tasksReducer, projects: projectsReducer },
+            preloadedState: loadState(),
+        });
+        persistStore(store);
+        store.dispatch(addTask({ name: "New", date: "", project: "" }));
+
+        expect(localStorage.getItem(STORAGE_KEY)).toBe(newer);
+        expect(localStorage.getItem(unreadableKey(SCHEMA_VERSION + 1))).toBe(newer);
+
+        localStorage.setItem(STORAGE_KEY, "{not json");
+        expect(loadState()).toBeUndefined();
+        expect(localStorage.getItem(unreadableKey("corrupt"))).toBe("{not json");
+    });
+
+    // Test 13: The save is only read back once, not on every change
+    it("checks the saved version once when it starts", () => {
+        const storage = { getItem: vi.fn(() => null), setItem: vi.fn() };
+        const store = configureStore({
+            reducer: { tasks: tasksReducer, projects: projectsReducer },
+        });
+        persistStore(store, storage);
+
+        store.dispatch(addTask({ name: "One", date: "", project: "" }));
+        store.dispatch(addTask({ name: "Two", date: "", project: "" }));
+
+        expect(storage.getItem).toHaveBeenCalledTimes(1);
+        expect(storage.setItem).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,77 @@
+import React from "react";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { Provider } from "react-redux";
+import { configureStore } from "@reduxjs/toolkit";
+
+import { rootReducer } from "../../app/store";
+import { SCHEMA_VERSION } from "../../app/persist";
+import { createBackup } from "../../app/backup";
+import BackupDialog from "../../components/BackupDialog";
+
+const STATE = {
+    tasks: {
+        tasks: [
+            { id: "t1", name: "Write docs", date: "", project: "p1", progress: 0, status: "todo" },
+            { id: "t2", name: "Review", date: "", project: "", progress: 0, status: "todo" },
+        ],
+    },
+    projects: { projects: [{ id: "p1", name: "Alpha", due: "", status: "in-progress" }] },
+    board: { wipLimits: {}, swimlanes: false },
+};
+
+function renderDialog() {
+    const store = configureStore({ reducer: rootReducer, preloadedState: STATE });
+    render(
+        <Provider store={store}>
+            <BackupDialog onClose={vi.fn()} />
+        </Provider>
+    );
+    return store;
+}
+
+const jsonFile = (data) => new File([JSON.stringify(data)], "backup.json", { type: "application/json" });
+
+describe("BackupDialog", () => {
+
+    // Test 1: Preview the diff, switch modes, restore
+    it("previews changes for merge and replace, then restores", async () => {
+        const user = userEvent.setup();
+        const store = renderDialog();
+
+        const incoming = {
+            ...STATE,
+            tasks: { tasks: [{ ...STATE.tasks.tasks[0], name: "Write the docs" }, { id: "t3", name: "Ship", date: "", progress: 0 }] },
+        };
+        await user.upload(screen.getByLabelText(/backup file/i), jsonFile(createBackup(incoming)));
+
+        const tasks = await screen.findByRole("region", { name: "task changes" });
+        expect(within(tasks).getByText(/Added: 1 task/)).toBeInTheDocument();
+        expect(within(tasks).getByText(/Changed: 1 task/)).toBeInTheDocument();
+        expect(within(tasks).queryByText(/Removed/)).not.toBeInTheDocument();
+
+        await user.click(screen.getByLabelText(/replace everything/i));
+        expect(within(tasks).getByText(/Removed: 1 task/)).toBeInTheDocument();
+        expect(within(tasks).getByText("Review")).toBeInTheDocument();
+
+        await user.click(screen.getByRole("button", { name: "Restore" }));
+        expect(store.getState().tasks.tasks.map((t) => t.name)).toEqual(["Write the docs", "Ship"]);
+        expect(screen.getByRole("status")).toHaveTextContent(/backup restored/i);
+    });
+
+    // Test 2: A backup from a newer version is refused and nothing can be restored
+    it("shows a clear error for an incompatible version", async () => {
+        const user = userEvent.setup();
+        const store = renderDialog();
+
+        await user.upload(
+            screen.getByLabelText(/backup file/i),
+            jsonFile({ ...createBackup(STATE), version: SCHEMA_VERSION + 1 })
+        );
+
+        expect(await screen.findByRole("alert")).toHaveTextContent(/newer version of SimpliTask/);
+        expect(screen.queryByRole("button", { name: "Restore" })).not.toBeInTheDocument();
+        expect(store.getState().tasks.tasks).toEqual(STATE.tasks.tasks);
+    });
+});
@@ -0,0 +1,155 @@
+import React from "react";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { Provider } from "react-redux";
+import { configureStore } from "@reduxjs/toolkit";
+import { MemoryRouter } from "react-router-dom";
+
+// --- Mock router navigate and the file download
+const navigateMock = vi.fn();
+vi.mock("react-router-dom", async (orig) => {
+  const actual = await orig();
+  return { ...actual, useNavigate: () => navigateMock };
+});
+
+const downloadMock = vi.fn();
+vi.mock("../../utils/files", () => ({ downloadFile: (...a) => downloadMock(...a) }));
+
+import tasksReducer from "../../features/tasks/tasksSlice";
+import projectsReducer from "../../features/projects/projectsSlice";
+import CommandPalette from "../../components/CommandPalette";
+import { registerCommands, RECENT_KEY } from "../../app/commands";
+import "../../app/appCommands";
+
+const PROJECTS = [{ id: "p1", name: "Website", due: "", status: "in-progress" }];
+const TASKS = [
+  { id: "t1", name: "Write copy", date: "", project: "p1", progress: 20 },
+  { id: "t2", name: "Old thing", date: "", project: "", progress: 100 },
+];
+
+function renderPalette() {
+  const store = configureStore({
+    reducer: { tasks: tasksReducer, projects: projectsReducer },
+    preloadedState: { tasks: { tasks: TASKS }, projects: { projects: PROJECTS } },
+  });
+  render(
+    <Provider store={store}>
+      <MemoryRouter>
+        <CommandPalette />
+      </MemoryRouter>
+    </Provider>
+  );
+  return store;
+}
+
+const titles = () =>
+  within(screen.getByRole("listbox", { name: "Commands" }))
+    .getAllByRole("option")
+    .map((o) => o.firstChild.textContent);
+
+describe("CommandPalette", () => {
+  beforeEach(() => {
+    navigateMock.mockReset();
+    downloadMock.mockReset();
+    window.localStorage.clear();
+  });
+
+  // Test 1: Ctrl+K opens it, Escape closes it
+  it("opens with Ctrl+K and closes with Escape", async () => {
+    const user = userEvent.setup();
+    renderPalette();
+
+    expect(screen.queryByRole("dialog")).toBeNull();
+    await user.keyboard("{Control>}k{/Control}");
+    expect(screen.getByRole("dialog", { name: /command palette/i })).toBeInTheDocument();
+    expect(screen.getByRole("combobox")).toHaveFocus();
+
+    await user.keyboard("{Escape}");
+    expect(screen.queryByRole("dialog")).toBeNull();
+
+    // Cmd+K works too
+    await user.keyboard("{Meta>}k{/Meta}");
+    expect(screen.getByRole("dialog")).toBeInTheDocument();
+  });
+
+  // Test 2: Fuzzy matching picks the command; Enter runs it
+  it("fuzzy matches commands and runs the highlighted one", async () => {
+    const user = userEvent.setup();
+    renderPalette();
+
+    await user.keyboard("{Control>}k{/Control}");
+    await user.keyboard("gocal");
+    expect(titles()[0]).toBe("Go to Calendar");
+
+    await user.keyboard("{Enter}");
+    expect(navigateMock).toHaveBeenCalledWith("/calendar");
+    expect(screen.queryByRole("dialog")).toBeNull();
+  });
+
+  // Test 3: State-based commands - open a project, complete an open task
+  it("lists projects to open and open tasks to complete", async () => {
+    const user = userEvent.setup();
+    const store = renderPalette();
+
+    await user.keyboard("{Control>}k{/Control}");
+    await user.keyboard("complete");
+    // Finished tasks aren't offered
+    expect(titles()).toEqual(['Mark "Write copy" complete']);
+    await user.keyboard("{Enter}");
+    expect(store.getState().tasks.tasks[0]).toMatchObject({ status: "complete", progress: 100 });
+
+    await user.keyboard("{Control>}k{/Control}");
+    await user.keyboard("open website");
+    await user.click(screen.getByRole("option", { name: /open project "website"/i }));
+    expect(navigateMock).toHaveBeenCalledWith("/projects/p1");
+  });
+
+  // Test 4: "New task" asks for a name, then adds it through the tasks slice
+  it("creates a task from a prompt", async () => {
+    const user = userEvent.setup();
+    const store = renderPalette();
+
+    await user.keyboard("{Control>}k{/Control}");
+    await user.keyboard("new task{Enter}");
+    expect(screen.getByRole("combobox", { name: "Task name" })).toHaveValue("");
+
+    await user.keyboard("Book venue{Enter}");
+    expect(store.getState().tasks.tasks.map((t) => t.name)).toContain("Book venue");
+    expect(navigateMock).toHaveBeenCalledWith("/tasks");
+  });
+
+  // Test 5: Recently used commands come first next time
+  it("orders recently used commands first", async () => {
+    const user = userEvent.setup();
+    renderPalette();
+
+    await user.keyboard("{Control>}k{/Control}");
+    const first = titles()[0];
+    await user.keyboard("export{Enter}");
+    expect(downloadMock).toHaveBeenCalledWith(expect.stringMatching(/^simplitask-.*\.json$/), expect.any(String), "application/json");
+    expect(JSON.parse(downloadMock.mock.calls[0][1]).data.tasks.tasks).toHaveLength(2);
+
+    await user.keyboard("{Control>}k{/Control}");
+    expect(titles()[0]).toBe("Export data");
+    expect(titles()[1]).toBe(first);
+    expect(JSON.parse(window.localStorage.getItem(RECENT_KEY))).toEqual(["data:export"]);
+  });
+
+  // Test 6: Other features can register their own commands
+  it("shows commands added to the registry", async () => {
+    const user = userEvent.setup();
+    const run = vi.fn();
+    const unregister = registerCommands([{ id: "test:hello", title: "Say hello", run }]);
+    renderPalette();
+
+    await user.keyboard("{Control>}k{/Control}");
+    await user.keyboard("hello{Enter}");
+    expect(run).toHaveBeenCalledWith(expect.objectContaining({ navigate: navigateMock }), undefined);
+
+    unregister();
+    await user.keyboard("{Control>}k{/Control}");
+    await user.keyboard("say hello");
+    expect(screen.getByText(/no matching commands/i)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,84 @@
+import React from "react";
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { render, screen, act } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { Provider } from "react-redux";
+import { configureStore } from "@reduxjs/toolkit";
+
+import { rootReducer } from "../../app/store";
+import { updateTask } from "../../features/tasks/tasksSlice";
+import DependencyWarning from "../../components/DependencyWarning";
+import DependencyEditor from "../../features/tasks/DependencyEditor";
+import BlockedBadge from "../../features/tasks/BlockedBadge";
+
+const STATE = {
+    tasks: {
+        tasks: [
+            { id: "a", name: "Design", date: "2026-03-05", project: "", progress: 0, status: "ongoing", blockedBy: [] },
+            { id: "b", name: "Build", date: "2026-03-10", project: "", progress: 0, status: "todo", blockedBy: ["a"] },
+            { id: "c", name: "Ship", date: "2026-03-12", project: "", progress: 0, status: "todo", blockedBy: [] },
+        ],
+    },
+    projects: { projects: [] },
+    board: { wipLimits: {}, swimlanes: false },
+};
+
+function renderWith(ui) {
+    const store = configureStore({ reducer: rootReducer, preloadedState: STATE });
+    render(<Provider store={store}>{ui}</Provider>);
+    return store;
+}
+
+describe("task dependencies UI", () => {
+    afterEach(() => vi.useRealTimers());
+
+    // Test 1: Moving a blocker past its dependent's start warns about it
+    it("warns when a blocker's date moves later", async () => {
+        const user = userEvent.setup();
+        const store = renderWith(<DependencyWarning />);
+        expect(screen.queryByRole("alert")).toBeNull();
+
+        act(() => store.dispatch(updateTask({ id: "a", changes: { date: "2026-03-15" } })));
+        expect(screen.getByRole("alert")).toHaveTextContent(
+            '"Build" now starts before its blocker "Design" is due (2026-03-15)'
+        );
+
+        await user.click(screen.getByRole("button", { name: "Dismiss" }));
+        expect(screen.queryByRole("alert")).toBeNull();
+    });
+
+    // Test 2: Blockers are picked from a list that leaves out loops; the badge follows them
+    it("adds blockers without allowing cycles and shows the blocked badge", async () => {
+        const user = userEvent.setup();
+        const store = renderWith(
+            <>
+                <DependencyEditor task={STATE.tasks.tasks[0]} />
+                <BlockedBadge task={STATE.tasks.tasks[1]} />
+            </>
+        );
+
+        // Design can't wait on Build - Build already waits on Design
+        expect(screen.getByRole("option", { name: /Build/ })).toBeDisabled();
+        expect(screen.getByText("Blocked")).toHaveAttribute("title", "Waiting on Design");
+
+        await user.selectOptions(screen.getByLabelText("Add a blocker for Design"), "c");
+        expect(store.getState().tasks.tasks[0].blockedBy).toEqual(["c"]);
+    });
+
+    // Test 3: Unrelated edits don't keep the warning up, but do turn its Undo off
+    it("only undoes the change that caused the warning", () => {
+        vi.useFakeTimers();
+        const store = renderWith(<DependencyWarning />);
+
+        act(() => store.dispatch(updateTask({ id: "a", changes: { date: "2026-03-15" } })));
+        expect(screen.getByRole("button", { name: "Undo" })).toBeEnabled();
+
+        act(() => vi.advanceTimersByTime(5000));
+        act(() => store.dispatch(updateTask({ id: "c", changes: { name: "Ship it" } })));
+        expect(screen.getByRole("button", { name: "Undo" })).toBeDisabled();
+
+        // Still gone 8s after the warning first showed
+        act(() => vi.advanceTimersByTime(3000));
+        expect(screen.queryByRole("alert")).toBeNull();
+    });
+});
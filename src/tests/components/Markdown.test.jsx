@@ -0,0 +1,51 @@
+import React from "react";
+import { describe, it, expect } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+
+import Markdown from "../../components/Markdown";
+import MarkdownEditor from "../../components/MarkdownEditor";
+
+describe("Markdown", () => {
+
+    // Test 1: Basic formatting is rendered
+    it("renders markdown as HTML", () => {
+        const { container } = render(<Markdown text={"**Bold** and a [link](https://example.com)\n\n- one\n- two"} />);
+
+        expect(container.querySelector("strong")).toHaveTextContent("Bold");
+        expect(screen.getByRole("link", { name: "link" })).toHaveAttribute("href", "https://example.com");
+        expect(screen.getAllByRole("listitem")).toHaveLength(2);
+    });
+
+    // Test 2: Anything dangerous is stripped out
+    it("sanitises scripts, event handlers and javascript: links", () => {
+        const { container } = render(
+            <Markdown text={'<script>alert(1)</script><img src="x" onerror="alert(1)">[bad](javascript:alert(1))'} />
+        );
+
+        expect(container.querySelector("script")).toBeNull();
+        expect(container.querySelector("img")?.getAttribute("onerror")).toBeFalsy();
+        expect(container.querySelector('a[href^="javascript"]')).toBeNull();
+    });
+
+    // Test 3: Empty text renders nothing
+    it("renders nothing for an empty description", () => {
+        const { container } = render(<Markdown text="   " />);
+        expect(container).toBeEmptyDOMElement();
+    });
+});
+
+describe("MarkdownEditor", () => {
+
+    // Test 4: Switching to Preview shows the rendered text
+    it("toggles between write and preview", async () => {
+        const user = userEvent.setup();
+        render(<MarkdownEditor value="# Heading" onChange={() => {}} />);
+
+        expect(screen.getByRole("textbox", { name: /description/i })).toHaveValue("# Heading");
+
+        await user.click(screen.getByRole("tab", { name: /preview/i }));
+        expect(screen.getByRole("heading", { name: "Heading" })).toBeInTheDocument();
+        expect(screen.queryByRole("textbox")).toBeNull();
+    });
+});
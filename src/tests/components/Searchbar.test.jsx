@@ -13,19 +13,21 @@ vi.mock("react-router-dom", async (orig) => {
 });
 
 import Searchbar from "../../components/Searchbar";
+import { fuzzyMatch } from "../../utils/fuzzy";
 
 // --- Create a lightweight mock Redux store
-function makeStore(preloadedTasks) {
+function makeStore(preloadedTasks, preloadedProjects) {
   return configureStore({
     reducer: {
       tasks: (state = { tasks: preloadedTasks }) => state,
+      projects: (state = { projects: preloadedProjects }) => state,
     },
-    preloadedState: { tasks: { tasks: preloadedTasks } },
+    preloadedState: { tasks: { tasks: preloadedTasks }, projects: { projects: preloadedProjects } },
   });
 }
 
-function renderWithStore(ui, { tasks = [] } = {}) {
-  const store = makeStore(tasks);
+function renderWithStore(ui, { tasks = [], projects = [] } = {}) {
+  const store = makeStore(tasks, projects);
   return render(<Provider store={store}>{ui}</Provider>);
 }
 
@@ -36,6 +38,12 @@ const TASKS = [
   { id: "3", name: "Refactor SearchBar" },
   { id: "4", name: "Review PRs" },
   { id: "5", name: undefined }, // ensures undefined names don't crash filter
+  { id: "6", name: "Weekly sync", description: "Agenda: go over the **release** checklist" },
+];
+
+const PROJECTS = [
+  { id: "p1", name: "Website relaunch" },
+  { id: "p2", name: "Mobile app" },
 ];
 
 describe("Searchbar component", () => {
@@ -47,7 +55,7 @@ describe("Searchbar component", () => {
     renderWithStore(<Searchbar />, { tasks: TASKS });
 
     // A) Initially empty — no results visible
-    expect(screen.queryByRole("list")).toBeNull();
+    expect(screen.queryByRole("listbox")).toBeNull();
     expect(screen.queryByText(/no matching tasks/i)).toBeNull();
 
     // B) Type a trimmed, case-insensitive query
@@ -55,24 +63,24 @@ describe("Searchbar component", () => {
     await user.type(input, "  re  "); // should match "Refactor SearchBar" and "Review PRs"
 
     // C) Matching results appear in a list
-    const list = await screen.findByRole("list");
-    const items = within(list).getAllByRole("listitem");
+    const list = await screen.findByRole("listbox");
+    const items = within(list).getAllByRole("option");
     expect(items.map((li) => li.textContent)).toEqual(
       expect.arrayContaining(["Refactor SearchBar", "Review PRs"])
     );
 
-    // D) Click a specific result (query by text, not role name)
-    await user.click(within(list).getByText(/refactor searchbar/i));
+    // D) Click a specific result (matched letters are split into <mark>s, so go by its accessible name)
+    await user.click(within(list).getByRole("option", { name: /refactor searchbar/i }));
 
     // After clicking, should navigate and clear search
     expect(navigateMock).toHaveBeenCalledWith("/tasks?editId=3&field=name");
     expect(input).toHaveValue("");
-    expect(screen.queryByRole("list")).toBeNull();
+    expect(screen.queryByRole("listbox")).toBeNull();
 
     // E) Searching for something nonexistent shows "No matching tasks"
     await user.type(input, "zzzzz");
     expect(await screen.findByText(/no matching tasks/i)).toBeInTheDocument();
-    expect(screen.queryByRole("list")).toBeNull();
+    expect(screen.queryByRole("listbox")).toBeNull();
   });
 
 
@@ -88,7 +96,7 @@ describe("Searchbar component", () => {
     const input = within(root).getByPlaceholderText(/search tasks/i);
 
     await user.type(input, "pay"); // triggers results
-    await within(root).findByRole("list");
+    await within(root).findByRole("listbox");
 
     // Simulate click outside searchbar
     const outside = document.createElement("div");
@@ -96,7 +104,7 @@ describe("Searchbar component", () => {
     await user.click(outside);
 
     // After click outside the query and results are cleared for this instance
-    expect(within(root).queryByRole("list")).toBeNull();
+    expect(within(root).queryByRole("listbox")).toBeNull();
     expect(within(root).queryByText(/no matching tasks/i)).toBeNull();
     expect(input).toHaveValue("");
   });
@@ -114,4 +122,116 @@ describe("Searchbar component", () => {
     // Form submit does NOT trigger navigation
     expect(navigateMock).not.toHaveBeenCalled();
   });
+
+
+  // Test 4: Fuzzy matches are ranked below substrings, with the matched letters highlighted
+  it("ranks fuzzy matches and highlights the matched characters", async () => {
+    const user = userEvent.setup();
+    renderWithStore(<Searchbar />, { tasks: TASKS, projects: PROJECTS });
+
+    await user.type(screen.getByRole("combobox"), "rfsb");
+    const [option] = within(screen.getByRole("listbox")).getAllByRole("option");
+    expect(option).toHaveTextContent("Refactor SearchBar");
+    expect([...option.querySelectorAll("mark")].map((m) => m.textContent)).toEqual(["R", "f", "S", "B"]);
+  });
+
+  // Test 5: Tasks and projects come back in separate groups; a project opens its page
+  it("groups results by type and opens projects", async () => {
+    const user = userEvent.setup();
+    renderWithStore(<Searchbar />, { tasks: TASKS, projects: PROJECTS });
+
+    await user.type(screen.getByRole("combobox"), "re");
+    const tasks = screen.getByRole("group", { name: "Tasks" });
+    const projects = screen.getByRole("group", { name: "Projects" });
+    expect(within(tasks).getAllByRole("option").map((o) => o.textContent)).toContain("Review PRs");
+    expect(within(projects).getByRole("option")).toHaveTextContent("Website relaunch");
+
+    await user.click(within(projects).getByRole("option"));
+    expect(navigateMock).toHaveBeenCalledWith("/projects/p1");
+  });
+
+  // Test 6: Descriptions are searched too, shown as a snippet under the task name
+  it("finds tasks by their description", async () => {
+    const user = userEvent.setup();
+    renderWithStore(<Searchbar />, { tasks: TASKS, projects: PROJECTS });
+
+    await user.type(screen.getByRole("combobox"), "checklist");
+    const option = within(screen.getByRole("listbox")).getByRole("option");
+    expect(option).toHaveTextContent("Weekly sync");
+    expect(option.querySelector("mark")).toHaveTextContent("checklist");
+  });
+
+  // Test 7: Arrow keys move through every group, Enter opens, Escape clears
+  it("supports keyboard navigation with combobox semantics", async () => {
+    const user = userEvent.setup();
+    renderWithStore(<Searchbar />, { tasks: TASKS, projects: PROJECTS });
+
+    const input = screen.getByRole("combobox");
+    expect(input).toHaveAttribute("aria-expanded", "false");
+
+    await user.type(input, "re");
+    expect(input).toHaveAttribute("aria-expanded", "true");
+    const options = within(screen.getByRole("listbox")).getAllByRole("option");
+    expect(input).toHaveAttribute("aria-activedescendant", options[0].id);
+    expect(options[0]).toHaveAttribute("aria-selected", "true");
+
+    // Up from the first option wraps round to the last one - the project
+    await user.keyboard("{ArrowUp}");
+    expect(input).toHaveAttribute("aria-activedescendant", options[options.length - 1].id);
+    await user.keyboard("{ArrowDown}{ArrowDown}");
+    expect(input).toHaveAttribute("aria-activedescendant", options[1].id);
+
+    await user.keyboard("{Enter}");
+    expect(navigateMock).toHaveBeenCalledTimes(1);
+    expect(navigateMock.mock.calls[0][0]).toMatch(/^\/tasks\?editId=/);
+    expect(input).toHaveValue("");
+
+    await user.type(input, "pay");
+    await user.keyboard("{Escape}");
+    expect(input).toHaveValue("");
+    expect(screen.queryByRole("listbox")).toBeNull();
+  });
+
+  // Test 9: Query syntax filters tasks and Enter opens the whole result set in the tasks table
+  it("runs field queries and opens them in the tasks page", async () => {
+    const user = userEvent.setup();
+    renderWithStore(<Searchbar />, { tasks: TASKS, projects: PROJECTS });
+
+    const input = screen.getByRole("combobox");
+    await user.type(input, 'name:re -name:"pr"');
+    const [all, ...tasks] = within(screen.getByRole("listbox")).getAllByRole("option");
+    expect(all).toHaveTextContent("Show all 1 matching task in Tasks");
+    expect(tasks.map((o) => o.textContent)).toEqual(["Refactor SearchBar"]);
+
+    await user.keyboard("{Enter}");
+    expect(navigateMock).toHaveBeenCalledWith("/tasks?query=name%3Are+-name%3A%22pr%22");
+  });
+
+  // Test 10: Invalid queries show what's wrong under the input
+  it("shows inline hints for invalid queries", async () => {
+    const user = userEvent.setup();
+    renderWithStore(<Searchbar />, { tasks: TASKS, projects: PROJECTS });
+
+    const input = screen.getByRole("combobox");
+    await user.type(input, "progress:>lots");
+    expect(screen.getByRole("alert")).toHaveTextContent(/progress:>lots "lots" isn't a number/);
+    expect(input).toHaveAttribute("aria-invalid", "true");
+    expect(screen.queryByRole("listbox")).toBeNull();
+
+    await user.keyboard("{Enter}");
+    expect(navigateMock).not.toHaveBeenCalled();
+  });
+});
+
+describe("fuzzyMatch", () => {
+  // Test 8: Substrings beat scattered letters, word starts beat the middle of a word
+  it("scores closer matches higher", () => {
+    expect(fuzzyMatch("xyz", "Pay bills")).toBeNull();
+    expect(fuzzyMatch("pb", "Pay bills").indices).toEqual([0, 4]);
+
+    const score = (text) => fuzzyMatch("app", text).score;
+    expect(score("Mobile app")).toBeGreaterThan(score("A project plan"));
+    expect(score("Apples")).toBeGreaterThan(score("Mobile app"));
+    expect(score("Mobile app")).toBeGreaterThan(score("Snapper"));
+  });
 });
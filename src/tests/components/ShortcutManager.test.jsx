@@ -0,0 +1,129 @@
+import React from "react";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { Provider } from "react-redux";
+import { configureStore } from "@reduxjs/toolkit";
+
+// --- Mock react-router useNavigate
+const navigateMock = vi.fn();
+vi.mock("react-router-dom", async (orig) => {
+  const actual = await orig();
+  return { ...actual, useNavigate: () => navigateMock };
+});
+
+import ShortcutManager from "../../components/ShortcutManager";
+import Searchbar from "../../components/Searchbar";
+import useShortcuts from "../../app/useShortcuts";
+
+function renderShell(ui = null) {
+  const store = configureStore({
+    reducer: {
+      tasks: (state = { tasks: [] }) => state,
+      projects: (state = { projects: [] }) => state,
+    },
+  });
+  return render(
+    <Provider store={store}>
+      <ShortcutManager />
+      <Searchbar />
+      {ui}
+    </Provider>
+  );
+}
+
+describe("ShortcutManager", () => {
+  beforeEach(() => navigateMock.mockReset());
+
+  // Test 1: Two-key sequences navigate; a wrong second key starts over
+  it("navigates with g sequences", async () => {
+    const user = userEvent.setup();
+    renderShell();
+
+    await user.keyboard("gd");
+    expect(navigateMock).toHaveBeenLastCalledWith("/dashboard");
+    await user.keyboard("gzgc");
+    expect(navigateMock).toHaveBeenCalledTimes(2);
+    expect(navigateMock).toHaveBeenLastCalledWith("/calendar");
+    await user.keyboard("n");
+    expect(navigateMock).toHaveBeenLastCalledWith("/tasks?new=1");
+  });
+
+  // Test 2: "/" focuses the search box, and keys typed there aren't shortcuts
+  it("focuses search and ignores keys typed into fields", async () => {
+    const user = userEvent.setup();
+    renderShell();
+
+    await user.keyboard("/");
+    const search = screen.getByRole("combobox", { name: /search/i });
+    expect(search).toHaveFocus();
+    expect(search).toHaveValue("");
+
+    await user.keyboard("gt");
+    expect(search).toHaveValue("gt");
+    expect(navigateMock).not.toHaveBeenCalled();
+  });
+
+  // Test 3: "?" lists what's active on the page, page bindings overriding global ones
+  it("shows the active bindings in an overlay", async () => {
+    const user = userEvent.setup();
+    const onNew = vi.fn();
+    function Page() {
+      useShortcuts("Page", [{ keys: "n", label: "New thing", run: onNew }]);
+      return null;
+    }
+    renderShell(<Page />);
+
+    await user.keyboard("?");
+    const dialog = screen.getByRole("dialog", { name: /keyboard shortcuts/i });
+    expect(within(dialog).getByRole("region", { name: "Page" })).toHaveTextContent("nNew thing");
+    expect(within(dialog).getByRole("region", { name: "Go to" })).toHaveTextContent("gdDashboard");
+    expect(within(dialog).getByRole("region", { name: "General" })).toHaveTextContent("/Search");
+    expect(within(dialog).queryByText("New task")).toBeNull();
+
+    // Other shortcuts are paused while it's open
+    await user.keyboard("gd");
+    expect(navigateMock).not.toHaveBeenCalled();
+
+    await user.keyboard("{Escape}");
+    expect(screen.queryByRole("dialog")).toBeNull();
+    await user.keyboard("n");
+    expect(onNew).toHaveBeenCalledTimes(1);
+  });
+
+  // Test 4: Page shortcuts don't reach the page behind an open dialog
+  it("ignores shortcuts while a modal dialog is open", async () => {
+    const user = userEvent.setup();
+    const onDelete = vi.fn();
+    function Page() {
+      useShortcuts("Page", [{ keys: "x", label: "Complete", run: onDelete }]);
+      return (
+        <div role="dialog" aria-modal="true" aria-label="Import">
+          <button type="button">Cancel</button>
+        </div>
+      );
+    }
+    renderShell(<Page />);
+
+    await user.click(screen.getByRole("button", { name: "Cancel" }));
+    await user.keyboard("xgd");
+    expect(onDelete).not.toHaveBeenCalled();
+    expect(navigateMock).not.toHaveBeenCalled();
+  });
+
+  // Test 5: A clicked checkbox keeps focus but doesn't swallow shortcuts
+  it("keeps shortcuts working with a checkbox focused", async () => {
+    const user = userEvent.setup();
+    const onNext = vi.fn();
+    function Page() {
+      useShortcuts("Page", [{ keys: "j", label: "Next", run: onNext }]);
+      return <input type="checkbox" aria-label="Select row" />;
+    }
+    renderShell(<Page />);
+
+    await user.click(screen.getByRole("checkbox", { name: "Select row" }));
+    expect(screen.getByRole("checkbox", { name: "Select row" })).toHaveFocus();
+    await user.keyboard("j");
+    expect(onNext).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,26 +1,32 @@
 import React from "react";
 import { describe, it, expect, vi, beforeEach } from "vitest";
-import { render, screen, within } from "@testing-library/react";
+import { render, screen, act } from "@testing-library/react";
 import userEvent from "@testing-library/user-event";
 import { Provider } from "react-redux";
 import { configureStore } from "@reduxjs/toolkit";
 
 // --- Mock FullCalendar + plugins with a lightweight stub
+// The latest props are kept so tests can call FullCalendar callbacks (e.g. eventDrop) directly
+let fcProps = null;
 vi.mock("@fullcalendar/react", () => {
   return {
     __esModule: true,
-    default: ({ events, eventClick, eventContent }) => (
-      <div data-testid="fc">
-        {events.map((ev) => (
-          <div key={ev.id} data-testid={`ev-${ev.id}`} style={{ backgroundColor: ev.backgroundColor, borderColor: ev.borderColor }}>
-            {/* Clickable wrapper to simulate FullCalendar's event click */}
-            <div role="button" onClick={() => eventClick({ event: ev })}>
-              {eventContent({ event: ev })}
+    default: (props) => {
+      fcProps = props;
+      const { events, eventClick, eventContent } = props;
+      return (
+        <div data-testid="fc">
+          {events.map((ev) => (
+            <div key={ev.id} data-testid={`ev-${ev.id}`} style={{ backgroundColor: ev.backgroundColor, borderColor: ev.borderColor }}>
+              {/* Clickable wrapper to simulate FullCalendar's event click */}
+              <div role="button" onClick={() => eventClick({ event: ev })}>
+                {eventContent({ event: ev })}
+              </div>
             </div>
-          </div>
-        ))}
-      </div>
-    ),
+          ))}
+        </div>
+      );
+    },
   };
 });
 
@@ -32,19 +38,26 @@ vi.mock("@fullcalendar/interaction", () => ({ __esModule: true, default: {} }));
 // --- Import component AFTER mocks
 import CalendarPage from "../../features/calendar/CalendarPage";
 
-// --- Minimal Redux store to satisfy useSelector((s) => s.tasks.tasks)
-function makeStore(preloadedTasks) {
-  return configureStore({
+// --- Minimal Redux store to satisfy useSelector((s) => s.tasks.tasks) / s.projects.projects
+// Dispatched actions are recorded so tests can check what the calendar asked for
+function makeStore(preloadedTasks, preloadedProjects) {
+  const actions = [];
+  const store = configureStore({
     reducer: {
-      tasks: (state = { tasks: preloadedTasks }) => state,
+      tasks: (state = { tasks: preloadedTasks }, action) => {
+        actions.push(action);
+        return state;
+      },
+      projects: (state = { projects: preloadedProjects }) => state,
     },
-    preloadedState: { tasks: { tasks: preloadedTasks } },
+    preloadedState: { tasks: { tasks: preloadedTasks }, projects: { projects: preloadedProjects } },
   });
+  return { store, actions };
 }
 
-function renderWithStore(ui, { tasks = [] } = {}) {
-  const store = makeStore(tasks);
-  return render(<Provider store={store}>{ui}</Provider>);
+function renderWithStore(ui, { tasks = [], projects = [] } = {}) {
+  const { store, actions } = makeStore(tasks, projects);
+  return { actions, ...render(<Provider store={store}>{ui}</Provider>) };
 }
 
 // --- Sample tasks with varied progress + dates
@@ -54,8 +67,29 @@ const TASKS = [
   { id: 3, name: "Task C", date: "2025-11-22", progress: 100, description: "C desc" },
 ];
 
+const PROJECTS = [{ id: "p1", name: "Launch", due: "2025-11-25", status: "in-progress" }];
+
+// Fake FullCalendar drop info for an event moved to `newDate`
+// times = [startHour, endHour] for a drop into the week / day time grid
+const dropInfo = (task, newDate, times) => {
+  const [y, m, d] = newDate.split("-").map(Number);
+  return {
+    event: {
+      start: new Date(y, m - 1, d, times?.[0] ?? 0),
+      end: times ? new Date(y, m - 1, d, times[1]) : null,
+      allDay: !times,
+      extendedProps: { task },
+    },
+    revert: vi.fn(),
+  };
+};
+
 // utility for asserting the due date string exactly as the component computes it
-const dueString = (iso) => new Date(iso).toLocaleDateString();
+// (dates are local calendar days, not UTC midnight)
+const dueString = (iso) => {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString();
+};
 
 describe("CalendarPage", () => {
   beforeEach(() => {
@@ -123,4 +157,136 @@ describe("CalendarPage", () => {
     await user.click(screen.getByRole("button", { name: /task c/i }));
     expect(screen.getByText(/complete/i)).toBeInTheDocument();
   });
+
+
+  // Test 5: Dropping an event on another day reschedules the task
+  it("dispatches editTask with the new date when an event is dropped", () => {
+    const { actions } = renderWithStore(<CalendarPage />, { tasks: TASKS, projects: PROJECTS });
+
+    const info = dropInfo(TASKS[0], "2025-11-28");
+    act(() => fcProps.eventDrop(info));
+
+    expect(info.revert).not.toHaveBeenCalled();
+    expect(actions).toContainEqual(
+      expect.objectContaining({ type: "tasks/editTask", payload: { id: 1, field: "date", value: "2025-11-28" } })
+    );
+  });
+
+  // Test 6: Drops past the project's due date snap back with a message
+  it("reverts drops past the project's due date and explains why", () => {
+    const task = { id: 4, name: "Task D", date: "2025-11-20", progress: 0, project: "p1" };
+    const { actions } = renderWithStore(<CalendarPage />, { tasks: [...TASKS, task], projects: PROJECTS });
+
+    const info = dropInfo(task, "2025-11-26");
+    act(() => fcProps.eventDrop(info));
+
+    expect(info.revert).toHaveBeenCalled();
+    expect(actions.some((a) => a.type === "tasks/editTask")).toBe(false);
+    expect(screen.getByRole("alert")).toHaveTextContent(/past launch's due date/i);
+  });
+
+
+  // Test 7: Selecting an empty day opens the quick-create popover, which adds a task on that day
+  it("opens a quick-create popover on select and adds a task for that date", async () => {
+    const user = userEvent.setup();
+    const { actions } = renderWithStore(<CalendarPage />, { tasks: TASKS, projects: PROJECTS });
+
+    const unselect = vi.fn();
+    act(() => fcProps.select({
+      start: new Date(2025, 10, 24),
+      end: new Date(2025, 10, 25),
+      allDay: true,
+      jsEvent: null,
+      view: { calendar: { unselect } },
+    }));
+
+    const popover = screen.getByRole("dialog", { name: /new task/i });
+    await user.type(screen.getByPlaceholderText(/task name/i), "Book venue");
+    await user.selectOptions(screen.getByRole("combobox", { name: /project/i }), "p1");
+    await user.click(screen.getByRole("button", { name: /add task/i }));
+
+    expect(unselect).toHaveBeenCalled();
+    expect(popover).not.toBeInTheDocument();
+    expect(actions).toContainEqual(
+      expect.objectContaining({
+        type: "tasks/addTask",
+        payload: {
+          name: "Book venue",
+          date: "2025-11-24",
+          allDay: true,
+          startTime: "",
+          endTime: "",
+          project: "p1",
+          progress: 0,
+        },
+      })
+    );
+  });
+
+  // Test 8: Dropping into the time grid gives the task start / end times in one update
+  it("dispatches updateTask with the date and times when dropped on a time slot", () => {
+    const { actions } = renderWithStore(<CalendarPage />, { tasks: TASKS, projects: PROJECTS });
+
+    const info = dropInfo(TASKS[0], "2025-11-21", [9, 11]);
+    act(() => fcProps.eventDrop(info));
+
+    expect(actions).toContainEqual(
+      expect.objectContaining({
+        type: "tasks/updateTask",
+        payload: {
+          id: 1,
+          changes: { date: "2025-11-21", allDay: false, startTime: "09:00", endTime: "11:00" },
+        },
+      })
+    );
+  });
+
+  // Test 9: Resizing changes the end time, but a task can't spill into the next day
+  it("updates the end time on resize and reverts resizes across days", () => {
+    const task = { id: 5, name: "Task E", date: "2025-11-21", allDay: false, startTime: "09:00", endTime: "10:00", progress: 0 };
+    const { actions } = renderWithStore(<CalendarPage />, { tasks: [task], projects: PROJECTS });
+
+    const resize = (endDay, endHour) => ({
+      event: { start: new Date(2025, 10, 21, 9), end: new Date(2025, 10, endDay, endHour), extendedProps: { task } },
+      revert: vi.fn(),
+    });
+
+    act(() => fcProps.eventResize(resize(21, 12)));
+    expect(actions).toContainEqual(
+      expect.objectContaining({ type: "tasks/editTask", payload: { id: 5, field: "endTime", value: "12:00" } })
+    );
+
+    const across = resize(22, 1);
+    act(() => fcProps.eventResize(across));
+    expect(across.revert).toHaveBeenCalled();
+    expect(screen.getByRole("alert")).toHaveTextContent(/same day/i);
+  });
+
+  // Test 10: Dragging a recurring task asks whether to move one occurrence or the series
+  it("asks before moving a recurring task and reverts on cancel", async () => {
+    const user = userEvent.setup();
+    const task = {
+      id: 6, name: "Standup", date: "2025-11-20", progress: 0,
+      repeat: { freq: "weekly", interval: 1, weekdays: [4], monthDay: null, until: "2025-12-31", count: null },
+    };
+    const { actions } = renderWithStore(<CalendarPage />, { tasks: [task], projects: PROJECTS });
+    const moved = (type) => actions.filter((a) => a.type === type);
+
+    const info = dropInfo(task, "2025-11-21");
+    act(() => fcProps.eventDrop(info));
+    expect(moved("tasks/editTask")).toEqual([]);
+    expect(moved("tasks/updateTask")).toEqual([]);
+
+    await user.click(screen.getByRole("button", { name: "This occurrence" }));
+    expect(moved("tasks/updateTask")).toEqual([
+      expect.objectContaining({ payload: { id: 6, changes: { date: "2025-11-21" }, scope: "occurrence" } }),
+    ]);
+    expect(screen.queryByRole("dialog")).toBeNull();
+
+    const again = dropInfo(task, "2025-11-24");
+    act(() => fcProps.eventDrop(again));
+    await user.click(screen.getByRole("button", { name: "Cancel" }));
+    expect(again.revert).toHaveBeenCalled();
+    expect(moved("tasks/updateTask")).toHaveLength(1);
+  });
 });
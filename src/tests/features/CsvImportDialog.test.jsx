@@ -0,0 +1,105 @@
+import React from "react";
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { Provider } from "react-redux";
+import { combineReducers, configureStore } from "@reduxjs/toolkit";
+
+import tasksReducer from "../../features/tasks/tasksSlice";
+import projectsReducer from "../../features/projects/projectsSlice";
+import CsvImportDialog from "../../features/tasks/CsvImportDialog";
+import { undo, withHistory } from "../../app/history";
+
+const PROJECTS = [{ id: "p1", name: "Website", due: "", status: "in-progress" }];
+
+function renderDialog(onClose = vi.fn()) {
+    const store = configureStore({
+        reducer: withHistory(combineReducers({ tasks: tasksReducer, projects: projectsReducer })),
+        preloadedState: { tasks: { tasks: [] }, projects: { projects: PROJECTS } },
+    });
+    render(
+        <Provider store={store}>
+            <CsvImportDialog onClose={onClose} />
+        </Provider>
+    );
+    return store;
+}
+
+const csvFile = (text) => new File([text], "tasks.csv", { type: "text/csv" });
+
+describe("CsvImportDialog", () => {
+    afterEach(() => vi.unstubAllGlobals());
+
+    // Test 1: File -> mapping -> preview with per-row problems -> import of the good rows
+    it("maps, previews and imports rows, creating missing projects", async () => {
+        const user = userEvent.setup();
+        const store = renderDialog();
+
+        await user.upload(
+            screen.getByLabelText(/csv file/i),
+            csvFile("Title,When,Client,Done\nPlan,2026-03-01,Website,10\nShip,soon,Mobile,0\nLaunch,2026-03-05,Mobile,\nPromo,,mobile,")
+        );
+
+        // "Title" is recognised, the other headers have to be mapped by hand
+        const mapping = await screen.findByRole("group", { name: "Columns" });
+        expect(within(mapping).getByRole("combobox", { name: /name/i })).toHaveDisplayValue("Title");
+        await user.selectOptions(within(mapping).getByRole("combobox", { name: /^date/i }), "When");
+        await user.selectOptions(within(mapping).getByRole("combobox", { name: /project/i }), "Client");
+        await user.selectOptions(within(mapping).getByRole("combobox", { name: /progress/i }), "Done");
+        await user.click(screen.getByRole("button", { name: /preview/i }));
+
+        expect(screen.getByText(/3 of 4 rows ready to import, 1 new project \(Mobile\)/)).toBeInTheDocument();
+        const bad = screen.getByRole("row", { name: /ship/i });
+        expect(bad).toHaveTextContent(`"soon" isn't a date`);
+        expect(bad).toHaveClass("csv-row-error");
+
+        await user.click(screen.getByRole("button", { name: /import 3 tasks/i }));
+        expect(screen.getByRole("status")).toHaveTextContent("Imported 3 tasks and created 1 project (1 skipped).");
+
+        const { tasks, projects } = store.getState();
+        expect(projects.projects.map((p) => p.name)).toEqual(["Website", "Mobile"]);
+        const mobile = projects.projects[1].id;
+        expect(tasks.tasks.map((t) => [t.name, t.date, t.project, t.progress])).toEqual([
+            ["Plan", "2026-03-01", "p1", 10],
+            ["Launch", "2026-03-05", mobile, 0],
+            ["Promo", "", mobile, 0],
+        ]);
+
+        // The whole import - new project included - is one undo step
+        store.dispatch(undo());
+        expect(store.getState().tasks.tasks).toEqual([]);
+        expect(store.getState().projects.projects).toEqual(PROJECTS);
+    });
+
+    // Test 2: Without a name column there's nothing to import
+    it("needs a name column before previewing", async () => {
+        const user = userEvent.setup();
+        renderDialog();
+
+        await user.upload(screen.getByLabelText(/csv file/i), csvFile("a,b\n1,2"));
+        expect(await screen.findByRole("button", { name: /preview/i })).toBeDisabled();
+
+        await user.click(screen.getByRole("checkbox", { name: /first row is a header/i }));
+        await user.selectOptions(screen.getByRole("combobox", { name: /name/i }), "Column 2");
+        await user.click(screen.getByRole("button", { name: /preview/i }));
+        expect(screen.getByText(/2 of 2 rows ready/)).toBeInTheDocument();
+    });
+
+    // Test 3: A file the browser can't read gets a message instead of failing silently
+    it("reports files that can't be read", async () => {
+        const user = userEvent.setup();
+        vi.stubGlobal(
+            "FileReader",
+            class {
+                readAsText() {
+                    this.error = new Error("NotReadableError");
+                    this.onerror();
+                }
+            }
+        );
+        renderDialog();
+
+        await user.upload(screen.getByLabelText(/csv file/i), csvFile("Name\nPlan"));
+        expect(await screen.findByRole("alert")).toHaveTextContent("That file couldn't be read");
+    });
+});
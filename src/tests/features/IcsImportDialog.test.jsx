@@ -0,0 +1,96 @@
+import React from "react";
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { cleanup, render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { Provider } from "react-redux";
+import { configureStore } from "@reduxjs/toolkit";
+
+import tasksReducer from "../../features/tasks/tasksSlice";
+import projectsReducer from "../../features/projects/projectsSlice";
+import IcsImportDialog from "../../features/tasks/IcsImportDialog";
+
+const PROJECTS = [{ id: "p1", name: "Website", due: "", status: "in-progress" }];
+
+const ICS = [
+    "BEGIN:VCALENDAR",
+    "BEGIN:VEVENT",
+    "UID:kickoff@example.com",
+    "SUMMARY:Kickoff",
+    "DTSTART:20260301T090000",
+    "DTEND:20260301T100000",
+    "END:VEVENT",
+    "BEGIN:VTODO",
+    "UID:brief@example.com",
+    "SUMMARY:Send brief",
+    "DUE;VALUE=DATE:20260303",
+    "CATEGORIES:Website",
+    "END:VTODO",
+    "END:VCALENDAR",
+].join("\r\n");
+
+function renderDialog() {
+    const store = configureStore({
+        reducer: { tasks: tasksReducer, projects: projectsReducer },
+        preloadedState: { tasks: { tasks: [] }, projects: { projects: PROJECTS } },
+    });
+    render(
+        <Provider store={store}>
+            <IcsImportDialog onClose={vi.fn()} />
+        </Provider>
+    );
+    return store;
+}
+
+const icsFile = () => new File([ICS], "calendar.ics", { type: "text/calendar" });
+
+describe("IcsImportDialog", () => {
+    afterEach(() => vi.unstubAllGlobals());
+
+    // Test 1: Import adds tasks; importing the same file again finds nothing new
+    it("imports events as tasks and skips them the second time", async () => {
+        const user = userEvent.setup();
+        const store = renderDialog();
+
+        await user.upload(screen.getByLabelText(/calendar file/i), icsFile());
+        expect(await screen.findByText(/2 of 2 ready to import/)).toBeInTheDocument();
+
+        await user.click(screen.getByRole("button", { name: "Import 2 tasks" }));
+        expect(screen.getByRole("status")).toHaveTextContent("Imported 2 tasks.");
+
+        const tasks = store.getState().tasks.tasks;
+        expect(tasks).toHaveLength(2);
+        expect(tasks[0]).toMatchObject({ name: "Kickoff", date: "2026-03-01", startTime: "09:00", endTime: "10:00", uid: "kickoff@example.com" });
+        expect(tasks[1]).toMatchObject({ name: "Send brief", date: "2026-03-03", project: "p1", uid: "brief@example.com" });
+
+        // Open it again with those tasks in the store
+        cleanup();
+        render(
+            <Provider store={store}>
+                <IcsImportDialog onClose={vi.fn()} />
+            </Provider>
+        );
+        await user.upload(screen.getByLabelText(/calendar file/i), icsFile());
+
+        expect(await screen.findByText(/0 of 2 ready to import/)).toBeInTheDocument();
+        expect(screen.getAllByText("Already imported")).toHaveLength(2);
+        expect(screen.getByRole("button", { name: "Import 0 tasks" })).toBeDisabled();
+    });
+
+    // Test 2: A file the browser can't read gets a message instead of failing silently
+    it("reports files that can't be read", async () => {
+        const user = userEvent.setup();
+        vi.stubGlobal(
+            "FileReader",
+            class {
+                readAsText() {
+                    this.error = new Error("NotReadableError");
+                    this.onerror();
+                }
+            }
+        );
+        renderDialog();
+
+        await user.upload(screen.getByLabelText(/calendar file/i), icsFile());
+        expect(await screen.findByRole("alert")).toHaveTextContent("That file couldn't be read");
+    });
+});
@@ -0,0 +1,81 @@
+import React from "react";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { Provider } from "react-redux";
+import { configureStore } from "@reduxjs/toolkit";
+import { MemoryRouter, Route, Routes } from "react-router-dom";
+
+import tasksReducer from "../../features/tasks/tasksSlice";
+import projectsReducer from "../../features/projects/projectsSlice";
+import NotificationCentre from "../../features/notifications/NotificationCentre";
+import { NOTIFY_KEY } from "../../features/notifications/notifications";
+
+const TASKS = [
+    { id: "t1", name: "Invoice", date: "2026-03-01", project: "", progress: 0, status: "todo" },
+    { id: "t2", name: "Release", date: "2026-03-05", project: "", progress: 0, status: "todo" },
+];
+const PROJECTS = [{ id: "p1", name: "Website", due: "2026-03-06", status: "in-progress" }];
+
+function renderCentre() {
+    const store = configureStore({
+        reducer: { tasks: tasksReducer, projects: projectsReducer },
+        preloadedState: { tasks: { tasks: TASKS }, projects: { projects: PROJECTS } },
+    });
+    render(
+        <Provider store={store}>
+            <MemoryRouter initialEntries={["/dashboard"]}>
+                <Routes>
+                    <Route path="/dashboard" element={<NotificationCentre />} />
+                    <Route path="/projects/:projectId" element={<p>Project page</p>} />
+                </Routes>
+            </MemoryRouter>
+        </Provider>
+    );
+}
+
+describe("NotificationCentre", () => {
+    beforeEach(() => {
+        localStorage.clear();
+        vi.useFakeTimers({ toFake: ["Date"] });
+        vi.setSystemTime(new Date(2026, 2, 4, 12));
+    });
+    afterEach(() => vi.useRealTimers());
+
+    // Test 1: Unread count, mark read, snooze and dismiss - remembered across reloads
+    it("lists reminders and lets them be read, snoozed and dismissed", async () => {
+        const user = userEvent.setup();
+        renderCentre();
+
+        await user.click(screen.getByRole("button", { name: "Notifications (3 unread)" }));
+        const panel = screen.getByRole("region", { name: "Notifications" });
+        expect(within(panel).getAllByRole("listitem").map((li) => li.textContent)).toEqual([
+            expect.stringContaining("InvoiceOverdue by 3 days"),
+            expect.stringContaining("WebsiteProject due in 2 days"),
+            expect.stringContaining("ReleaseDue tomorrow"),
+        ]);
+
+        await user.click(within(panel).getAllByRole("button", { name: "Mark read" })[0]);
+        expect(screen.getByRole("button", { name: "Notifications (2 unread)" })).toBeInTheDocument();
+
+        await user.selectOptions(within(panel).getByLabelText("Snooze Release"), "tomorrow");
+        await user.click(within(panel).getByRole("button", { name: "Dismiss Website" }));
+        expect(within(panel).getAllByRole("listitem")).toHaveLength(1);
+        expect(screen.getByRole("button", { name: "Notifications (0 unread)" })).toBeInTheDocument();
+
+        const saved = JSON.parse(localStorage.getItem(NOTIFY_KEY));
+        expect(saved.read).toEqual(["task-overdue:t1:2026-03-01"]);
+        expect(saved.dismissed).toEqual(["project-due:p1:2026-03-06"]);
+        expect(Object.keys(saved.snoozed)).toEqual(["task-tomorrow:t2:2026-03-05"]);
+    });
+
+    // Test 2: Clicking a reminder opens what it's about
+    it("navigates to the project from its reminder", async () => {
+        const user = userEvent.setup();
+        renderCentre();
+
+        await user.click(screen.getByRole("button", { name: /Notifications/ }));
+        await user.click(screen.getByRole("button", { name: /^Website/ }));
+        expect(screen.getByText("Project page")).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,99 @@
+import React from "react";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { Provider } from "react-redux";
+import { configureStore } from "@reduxjs/toolkit";
+import { MemoryRouter, Route, Routes } from "react-router-dom";
+
+import tasksReducer from "../../features/tasks/tasksSlice";
+import projectsReducer from "../../features/projects/projectsSlice";
+import ProjectCard from "../../features/projects/ProjectCard";
+
+const PROJECTS = [{ id: "p1", name: "Website", due: "2026-03-10", status: "in-progress" }];
+const TASKS = [
+    { id: "t1", name: "Design", startDate: "2026-03-02", date: "2026-03-05", project: "p1", progress: 50, status: "ongoing" },
+    { id: "t2", name: "Build", startDate: "", date: "2026-03-12", project: "p1", progress: 0, status: "todo" },
+    { id: "t3", name: "Someday", date: "", project: "p1", progress: 0, status: "todo" },
+];
+
+function renderTimeline() {
+    const store = configureStore({
+        reducer: { tasks: tasksReducer, projects: projectsReducer },
+        preloadedState: { tasks: { tasks: TASKS }, projects: { projects: PROJECTS } },
+    });
+    render(
+        <Provider store={store}>
+            <MemoryRouter initialEntries={["/projects/p1?view=timeline"]}>
+                <Routes>
+                    <Route path="/projects/:projectId" element={<ProjectCard />} />
+                </Routes>
+            </MemoryRouter>
+        </Provider>
+    );
+    return store;
+}
+
+describe("ProjectTimeline", () => {
+    beforeEach(() => {
+        vi.useFakeTimers({ toFake: ["Date"] });
+        vi.setSystemTime(new Date(2026, 2, 4, 12));
+    });
+    afterEach(() => vi.useRealTimers());
+
+    // Test 1: Bars from start to due, today / deadline lines, zoom, undated tasks noted
+    it("draws the project's dated tasks on a timeline", async () => {
+        const user = userEvent.setup();
+        renderTimeline();
+
+        expect(screen.getByRole("tab", { name: "Timeline" })).toHaveAttribute("aria-selected", "true");
+        expect(screen.getByRole("button", { name: "Design: 2026-03-02 to 2026-03-05" })).toBeInTheDocument();
+        const build = screen.getByRole("button", { name: "Build: 2026-03-12" });
+        expect(build).toHaveClass("timeline-bar--late");
+        expect(screen.getByRole("img", { name: "Today" })).toBeInTheDocument();
+        expect(screen.getByRole("img", { name: "Deadline 2026-03-10" })).toBeInTheDocument();
+        expect(screen.getByText(/1 task has no date/)).toBeInTheDocument();
+
+        // Week zoom: 16px a day; day zoom: 40px
+        expect(build.style.width).toBe("16px");
+        await user.click(screen.getByRole("button", { name: "Day" }));
+        expect(screen.getByRole("button", { name: "Day" })).toHaveAttribute("aria-pressed", "true");
+        expect(screen.getByRole("button", { name: "Build: 2026-03-12" }).style.width).toBe("40px");
+
+        await user.click(screen.getByRole("tab", { name: "Tasks" }));
+        expect(screen.queryByRole("button", { name: /Design:/ })).toBeNull();
+    });
+
+    // Test 2: Dragging a bar (or using the arrow keys) reschedules the task
+    it("reschedules by dragging and with the keyboard", () => {
+        const store = renderTimeline();
+        const design = () => store.getState().tasks.tasks[0];
+
+        // 3 days at 16px a day
+        const bar = screen.getByRole("button", { name: /^Design:/ });
+        fireEvent.pointerDown(bar, { button: 0, clientX: 100 });
+        fireEvent.pointerMove(bar, { clientX: 148 });
+        fireEvent.pointerUp(bar, { clientX: 148 });
+        expect(design()).toMatchObject({ startDate: "2026-03-05", date: "2026-03-08" });
+
+        // Dragging the end handle moves just the due date
+        const handle = screen.getByRole("button", { name: /^Design:/ }).querySelector(".timeline-handle--end");
+        fireEvent.pointerDown(handle, { button: 0, clientX: 100 });
+        fireEvent.pointerMove(handle, { clientX: 132 });
+        fireEvent.pointerUp(handle, { clientX: 132 });
+        expect(design()).toMatchObject({ startDate: "2026-03-05", date: "2026-03-10" });
+
+        fireEvent.keyDown(screen.getByRole("button", { name: /^Design:/ }), { key: "ArrowLeft" });
+        expect(design()).toMatchObject({ startDate: "2026-03-04", date: "2026-03-09" });
+        fireEvent.keyDown(screen.getByRole("button", { name: /^Design:/ }), { key: "ArrowRight", shiftKey: true });
+        expect(design()).toMatchObject({ startDate: "2026-03-04", date: "2026-03-10" });
+
+        // The deadline is 2026-03-10 - dragging further stops there
+        const stuck = screen.getByRole("button", { name: /^Design:/ });
+        fireEvent.pointerDown(stuck, { button: 0, clientX: 100 });
+        fireEvent.pointerMove(stuck, { clientX: 180 });
+        expect(screen.getByRole("button", { name: "Design: 2026-03-04 to 2026-03-10" })).toBeInTheDocument();
+        fireEvent.pointerUp(stuck, { clientX: 180 });
+        expect(design()).toMatchObject({ startDate: "2026-03-04", date: "2026-03-10" });
+    });
+});
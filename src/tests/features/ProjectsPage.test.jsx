@@ -21,21 +21,29 @@ vi.mock("@reduxjs/toolkit", async (orig) => {
     };
 });
 
+// ---- Capture downloads (CSV export)
+const downloadMock = vi.fn();
+vi.mock("../../utils/files", () => ({ downloadFile: (...a) => downloadMock(...a) }));
+
 // ---- Import the real reducer and component AFTER mocks
 import projectsReducer from "../../features/projects/projectsSlice";
+import tasksReducer from "../../features/tasks/tasksSlice";
 import ProjectsPage from "../../features/projects/ProjectsPage";
 
 
-// ---- Tiny real store with reducer
-function makeStore(preloadedProjects) {
+// ---- Tiny real store with reducers (tasks are needed for the delete dialog)
+function makeStore(preloadedProjects, preloadedTasks) {
     return configureStore({
-        reducer: { projects: projectsReducer },
-        preloadedState: { projects: { projects: preloadedProjects } },
+        reducer: { projects: projectsReducer, tasks: tasksReducer },
+        preloadedState: {
+            projects: { projects: preloadedProjects },
+            tasks: { tasks: preloadedTasks },
+        },
     });
 }
-function renderWithStore(ui, { projects = [] } = {}) {
-    const store = makeStore(projects);
-    return render(<Provider store={store}>{ui}</Provider>);
+function renderWithStore(ui, { projects = [], tasks = [] } = {}) {
+    const store = makeStore(projects, tasks);
+    return { store, ...render(<Provider store={store}>{ui}</Provider>) };
 }
 
 // Sample projects
@@ -45,6 +53,12 @@ const PROJECTS = [
     { id: "p3", name: "Auth Flow", due: "", status: "not-started" },
 ];
 
+const TASKS = [
+    { id: "t1", name: "Hero section", date: "2025-10-20", project: "p1", progress: 50 },
+    { id: "t2", name: "Footer", date: "2025-10-25", project: "p1", progress: 0 },
+    { id: "t3", name: "Roles table", date: "2025-11-30", project: "p2", progress: 100 },
+];
+
 describe("ProjectsPage (integration with real reducer)", () => {
     beforeEach(() => {
         navigateMock.mockReset();
@@ -166,8 +180,8 @@ describe("ProjectsPage (integration with real reducer)", () => {
     });
 
 
-    // Test 5: Delete removes the project card
-    it("deletes a project card when Delete is clicked", async () => {
+    // Test 5: Delete asks for confirmation, then removes the project card
+    it("deletes a project card after confirming in the dialog", async () => {
         const user = userEvent.setup();
         renderWithStore(<ProjectsPage />, { projects: PROJECTS });
 
@@ -175,7 +189,75 @@ describe("ProjectsPage (integration with real reducer)", () => {
         const card = screen.getByRole("button", { name: /landing page/i }).closest(".project-card");
         await user.click(within(card).getByRole("button", { name: /delete/i }));
 
+        // Nothing removed until confirmed
+        const dialog = screen.getByRole("dialog");
+        expect(screen.getByRole("button", { name: /landing page/i })).toBeInTheDocument();
+
+        await user.click(within(dialog).getByRole("button", { name: /delete project/i }));
+
         expect(screen.queryByRole("button", { name: /landing page/i })).toBeNull();
+        expect(screen.queryByRole("dialog")).toBeNull();
+    });
+
+
+    // Test 5b: Cancelling the dialog keeps the project
+    it("keeps the project when the delete dialog is cancelled", async () => {
+        const user = userEvent.setup();
+        renderWithStore(<ProjectsPage />, { projects: PROJECTS });
+
+        const card = screen.getByRole("button", { name: /auth flow/i }).closest(".project-card");
+        await user.click(within(card).getByRole("button", { name: /delete/i }));
+        await user.click(within(screen.getByRole("dialog")).getByRole("button", { name: /cancel/i }));
+
+        expect(screen.getByRole("button", { name: /auth flow/i })).toBeInTheDocument();
+    });
+
+
+    // Test 5c: The dialog lists the project's tasks and applies the chosen option to them
+    it("lists a project's tasks and can delete, unassign or move them", async () => {
+        const user = userEvent.setup();
+
+        // Default option: unassign
+        {
+            const { store, unmount } = renderWithStore(<ProjectsPage />, { projects: PROJECTS, tasks: TASKS });
+            const card = screen.getByRole("button", { name: /landing page/i }).closest(".project-card");
+            await user.click(within(card).getByRole("button", { name: /delete/i }));
+
+            const dialog = screen.getByRole("dialog");
+            expect(within(dialog).getByText("Hero section")).toBeInTheDocument();
+            expect(within(dialog).getByText("Footer")).toBeInTheDocument();
+            expect(within(dialog).queryByText("Roles table")).toBeNull();
+
+            await user.click(within(dialog).getByRole("button", { name: /delete project/i }));
+            expect(store.getState().tasks.tasks.map((t) => t.project)).toEqual(["", "", "p2"]);
+            unmount();
+        }
+
+        // Delete them too
+        {
+            const { store, unmount } = renderWithStore(<ProjectsPage />, { projects: PROJECTS, tasks: TASKS });
+            const card = screen.getByRole("button", { name: /landing page/i }).closest(".project-card");
+            await user.click(within(card).getByRole("button", { name: /delete/i }));
+
+            const dialog = screen.getByRole("dialog");
+            await user.click(within(dialog).getByLabelText(/delete them too/i));
+            await user.click(within(dialog).getByRole("button", { name: /delete project/i }));
+            expect(store.getState().tasks.tasks.map((t) => t.id)).toEqual(["t3"]);
+            unmount();
+        }
+
+        // Move them to another project
+        {
+            const { store } = renderWithStore(<ProjectsPage />, { projects: PROJECTS, tasks: TASKS });
+            const card = screen.getByRole("button", { name: /landing page/i }).closest(".project-card");
+            await user.click(within(card).getByRole("button", { name: /delete/i }));
+
+            const dialog = screen.getByRole("dialog");
+            await user.selectOptions(within(dialog).getByRole("combobox", { name: /target project/i }), "p3");
+            await user.click(within(dialog).getByRole("button", { name: /delete project/i }));
+            expect(store.getState().tasks.tasks.map((t) => t.project)).toEqual(["p3", "p3", "p2"]);
+            expect(store.getState().projects.projects.map((p) => p.id)).toEqual(["p2", "p3"]);
+        }
     });
 
     
@@ -204,4 +286,51 @@ describe("ProjectsPage (integration with real reducer)", () => {
             expect(card.querySelector(".status-dot-red")).toBeTruthy();
         }
     });
+
+    // Test 7: CSV export lists every project with its status label and task count
+    it("exports projects as CSV", async () => {
+        const user = userEvent.setup();
+        downloadMock.mockReset();
+        renderWithStore(<ProjectsPage />, {
+            projects: PROJECTS,
+            tasks: [{ id: "t1", name: "Task", project: PROJECTS[0].id, progress: 0 }],
+        });
+
+        await user.click(screen.getByRole("button", { name: /export csv/i }));
+        const [filename, csv] = downloadMock.mock.calls[0];
+        expect(filename).toMatch(/^projects-.*\.csv$/);
+        const lines = csv.replace(/^\uFEFF/, "").split("\r\n");
+        expect(lines[0]).toBe("Name,Due,Status,Tasks");
+        expect(lines).toHaveLength(PROJECTS.length + 1);
+        expect(lines[1]).toMatch(new RegExp(`^${PROJECTS[0].name},.*,1$`));
+    });
+
+    // Test 8: Progress bars come from the tasks, and "Auto" lets the tasks set the status
+    it("shows task progress and can auto-manage the status", async () => {
+        const user = userEvent.setup();
+        const { store } = renderWithStore(<ProjectsPage />, {
+            projects: PROJECTS,
+            tasks: [
+                { id: "t1", name: "Hero section", date: "", project: "p3", progress: 100, status: "complete" },
+                { id: "t2", name: "Footer", date: "", project: "p3", progress: 100, status: "complete" },
+            ],
+        });
+
+        expect(screen.getByRole("progressbar", { name: "Auth Flow progress" })).toHaveAttribute("aria-valuenow", "100");
+        expect(screen.getByRole("progressbar", { name: "Landing Page progress" })).toHaveAttribute("aria-valuenow", "0");
+
+        const card = screen.getByRole("button", { name: /auth flow/i }).closest(".project-card");
+        expect(within(card).getByText(/not started/i)).toBeInTheDocument();
+
+        await user.click(within(card).getByRole("button", { name: /edit/i }));
+        await user.click(within(card).getByLabelText("Auto"));
+        expect(within(card).getByRole("combobox")).toBeDisabled();
+        expect(within(card).getByRole("combobox")).toHaveValue("complete");
+        await user.click(within(card).getByRole("button", { name: /^save$/i }));
+
+        expect(store.getState().projects.projects[2]).toMatchObject({ status: "not-started", autoStatus: true });
+        expect(within(card).getByText("Complete")).toBeInTheDocument();
+        expect(card.querySelector(".status-dot-green")).toBeTruthy();
+        expect(within(card).getByText("auto")).toBeInTheDocument();
+    });
 });
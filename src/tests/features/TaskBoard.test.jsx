@@ -0,0 +1,146 @@
+import React from "react";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, within, fireEvent } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { Provider } from "react-redux";
+import { configureStore } from "@reduxjs/toolkit";
+
+// ---- Mock router navigate
+const navigateMock = vi.fn();
+vi.mock("react-router-dom", async (orig) => {
+    const actual = await orig();
+    return { ...actual, useNavigate: () => navigateMock };
+});
+
+// ---- Import the real reducers and component AFTER mocks
+import tasksReducer from "../../features/tasks/tasksSlice";
+import projectsReducer from "../../features/projects/projectsSlice";
+import boardReducer from "../../features/board/boardSlice";
+import TaskBoard from "../../features/board/TaskBoard";
+
+function renderWithStore(ui, { tasks = [], projects = [], board } = {}) {
+    const store = configureStore({
+        reducer: { tasks: tasksReducer, projects: projectsReducer, board: boardReducer },
+        preloadedState: {
+            tasks: { tasks },
+            projects: { projects },
+            ...(board && { board }),
+        },
+    });
+    return { store, ...render(<Provider store={store}>{ui}</Provider>) };
+}
+
+// Drag a card (found by its name) onto a column
+const drag = (name, column) => {
+    const dataTransfer = { setData: vi.fn(), effectAllowed: "" };
+    fireEvent.dragStart(screen.getByText(name), { dataTransfer });
+    fireEvent.dragOver(column);
+    fireEvent.drop(column);
+};
+
+const PROJECTS = [
+    { id: "p1", name: "Alpha", due: "", status: "in-progress" },
+    { id: "p2", name: "Beta", due: "", status: "not-started" },
+];
+
+const TASKS = [
+    { id: "t1", name: "Write docs", date: "2025-11-10", project: "p1", progress: 0 },
+    { id: "t2", name: "Fix bugs", date: "2025-11-05", project: "p2", progress: 40 },
+    { id: "t3", name: "Ship it", date: "", project: "", progress: 100 },
+];
+
+describe("TaskBoard", () => {
+    beforeEach(() => {
+        navigateMock.mockReset();
+    });
+
+    // Test 1: Cards without a status land in the column matching their progress
+    it("shows each task in its status column", () => {
+        renderWithStore(<TaskBoard />, { tasks: TASKS, projects: PROJECTS });
+
+        expect(within(screen.getByRole("list", { name: "Todo" })).getByText("Write docs")).toBeInTheDocument();
+        expect(within(screen.getByRole("list", { name: "Ongoing" })).getByText("Fix bugs")).toBeInTheDocument();
+        expect(within(screen.getByRole("list", { name: "Complete" })).getByText("Ship it")).toBeInTheDocument();
+    });
+
+    // Test 2: Dropping a card in another column updates its status
+    it("moves cards between columns by dragging", () => {
+        const { store } = renderWithStore(<TaskBoard />, { tasks: TASKS, projects: PROJECTS });
+
+        // A 0% task can be started without touching its progress
+        drag("Write docs", screen.getByRole("list", { name: "Ongoing" }));
+        expect(store.getState().tasks.tasks[0]).toMatchObject({ status: "ongoing", progress: 0 });
+
+        drag("Fix bugs", screen.getByRole("list", { name: "Complete" }));
+        expect(store.getState().tasks.tasks[1]).toMatchObject({ status: "complete", progress: 100 });
+        expect(within(screen.getByRole("list", { name: "Complete" })).getByText("Fix bugs")).toBeInTheDocument();
+    });
+
+    // Test 2b: Moves the workflow doesn't allow are refused
+    it("refuses drops the workflow doesn't allow", () => {
+        const { store } = renderWithStore(<TaskBoard />, { tasks: TASKS, projects: PROJECTS });
+
+        drag("Write docs", screen.getByRole("list", { name: "In Review" }));
+        expect(store.getState().tasks.tasks[0].status).toBeUndefined();
+        expect(screen.getByRole("alert")).toHaveTextContent(/can't go from todo to in review/i);
+    });
+
+    // Test 3: A full column refuses more cards
+    it("enforces the WIP limit set on a column", async () => {
+        const user = userEvent.setup();
+        const { store } = renderWithStore(<TaskBoard />, { tasks: TASKS, projects: PROJECTS });
+
+        await user.type(screen.getByRole("spinbutton", { name: /ongoing wip limit/i }), "1");
+        expect(store.getState().board.wipLimits).toEqual({ ongoing: 1 });
+
+        drag("Write docs", screen.getByRole("list", { name: "Ongoing" }));
+        expect(store.getState().tasks.tasks[0].status).toBeUndefined();
+        expect(screen.getByRole("alert")).toHaveTextContent(/ongoing is at its limit of 1/i);
+    });
+
+    // Test 4: Swimlanes split the board per project; dropping in another lane reassigns the task
+    it("groups cards into project swimlanes", () => {
+        const { store } = renderWithStore(<TaskBoard />, {
+            tasks: TASKS,
+            projects: PROJECTS,
+            board: { wipLimits: {}, swimlanes: true },
+        });
+
+        const alpha = screen.getByRole("region", { name: "Alpha" });
+        const beta = screen.getByRole("region", { name: "Beta" });
+        expect(within(alpha).getByText("Write docs")).toBeInTheDocument();
+        expect(within(beta).getByText("Fix bugs")).toBeInTheDocument();
+        expect(screen.getByRole("region", { name: "No project" })).toBeInTheDocument();
+
+        drag("Write docs", within(beta).getByRole("list", { name: "Todo" }));
+        expect(store.getState().tasks.tasks[0]).toMatchObject({ project: "p2", status: "todo" });
+    });
+
+    // Test 5: The workflow editor renames statuses and changes allowed moves
+    it("edits the workflow from the board", async () => {
+        const user = userEvent.setup();
+        const { store } = renderWithStore(<TaskBoard />, { tasks: TASKS, projects: PROJECTS });
+
+        await user.click(screen.getByRole("button", { name: /edit workflow/i }));
+        const dialog = screen.getByRole("dialog", { name: /task workflow/i });
+
+        const [todoName] = within(dialog).getAllByRole("textbox", { name: /status name/i });
+        await user.clear(todoName);
+        await user.type(todoName, "Backlog");
+        await user.click(within(dialog).getByRole("checkbox", { name: "Backlog to In Review" }));
+        await user.click(within(dialog).getByRole("button", { name: /save workflow/i }));
+
+        expect(screen.getByRole("list", { name: "Backlog" })).toBeInTheDocument();
+        expect(store.getState().tasks.workflow.transitions.todo).toContain("review");
+    });
+
+    // Test 6: Dragging sets data on the drag, or Firefox never starts it
+    it("puts the task id on the drag data", () => {
+        renderWithStore(<TaskBoard />, { tasks: TASKS, projects: PROJECTS });
+        const dataTransfer = { setData: vi.fn(), effectAllowed: "" };
+        fireEvent.dragStart(screen.getByText("Write docs"), { dataTransfer });
+
+        expect(dataTransfer.setData).toHaveBeenCalledWith("text/plain", "t1");
+        expect(dataTransfer.effectAllowed).toBe("move");
+    });
+});
@@ -4,6 +4,7 @@ import { render, screen, within, waitFor } from "@testing-library/react";
 import userEvent from "@testing-library/user-event";
 import { Provider } from "react-redux";
 import { configureStore } from "@reduxjs/toolkit";
+import { MemoryRouter } from "react-router-dom";
 
 // ---- Mocks & test utils
 
@@ -16,6 +17,9 @@ beforeEach(() => {
 const addTaskAC = (payload) => ({ type: "tasks/add", payload });
 const editTaskAC = (payload) => ({ type: "tasks/edit", payload });
 const removeTaskAC = (payload) => ({ type: "tasks/remove", payload });
+const updateTaskAC = (payload) => ({ type: "tasks/update", payload });
+const updateTasksAC = (payload) => ({ type: "tasks/updateMany", payload });
+const removeTasksAC = (payload) => ({ type: "tasks/removeMany", payload });
 
 
 // import { addTask, removeTask, editTask } from "./tasksSlice"`
@@ -23,9 +27,17 @@ vi.mock("../../features/tasks/tasksSlice", () => ({
     addTask: (...a) => addTaskAC(...a),
     editTask: (...a) => editTaskAC(...a),
     removeTask: (...a) => removeTaskAC(...a),
+    updateTask: (...a) => updateTaskAC(...a),
+    updateTasks: (...a) => updateTasksAC(...a),
+    removeTasks: (...a) => removeTasksAC(...a),
 }));
 
 
+// Downloads (CSV export) are captured instead of saved
+const downloadMock = vi.fn();
+vi.mock("../../utils/files", () => ({ downloadFile: (...a) => downloadMock(...a) }));
+
+
 // 3) Minimal tasks reducer that handles our mocked actions
 let idCounter = 1000;
 const tasksReducer = (state = { tasks: [] }, action) => {
@@ -49,6 +61,20 @@ const tasksReducer = (state = { tasks: [] }, action) => {
                 ),
             };
         }
+        case "tasks/update": {
+            const { id, changes } = action.payload;
+            return { ...state, tasks: state.tasks.map((t) => (t.id === id ? { ...t, ...changes } : t)) };
+        }
+        case "tasks/updateMany": {
+            const { ids, changes } = action.payload;
+            return {
+                ...state,
+                tasks: state.tasks.map((t) => (ids.includes(t.id) ? { ...t, ...changes } : t)),
+            };
+        }
+        case "tasks/removeMany": {
+            return { ...state, tasks: state.tasks.filter((t) => !action.payload.includes(t.id)) };
+        }
         case "tasks/remove": {
             const removeId = action.payload;
             return { ...state, tasks: state.tasks.filter((t) => String(t.id) !== String(removeId)) };
@@ -62,18 +88,12 @@ const tasksReducer = (state = { tasks: [] }, action) => {
 const projectsReducer = (state = { projects: [] }) => state;
 
 
-// 5) Mock useSearchParams per-test; default is empty params
+// 5) URL query per-test (the page reads editId / sort from it); default is empty params
 let mockParams = new URLSearchParams("");
-vi.mock("react-router-dom", async (orig) => {
-    const actual = await orig();
-    return {
-        ...actual,
-        useSearchParams: () => [mockParams],
-    };
-});
 
 
 import TasksPage from "../../features/tasks/TasksPage";
+import ShortcutManager from "../../components/ShortcutManager";
 
 // ---- Store helper
 function makeStore({ tasks = [], projects = [] } = {}) {
@@ -90,7 +110,12 @@ function makeStore({ tasks = [], projects = [] } = {}) {
 }
 function renderWithStore(ui, preloaded) {
     const store = makeStore(preloaded);
-    return render(<Provider store={store}>{ui}</Provider>);
+    const dispatchSpy = vi.spyOn(store, "dispatch");
+    return { dispatchSpy, ...render(
+        <Provider store={store}>
+            <MemoryRouter initialEntries={[`/tasks?${mockParams}`]}>{ui}</MemoryRouter>
+        </Provider>
+    ) };
 }
 
 
@@ -123,7 +148,7 @@ it("adds a task via the form with selected fields and closes the form", async ()
     // Safer: query by type
     const dateEl = document.querySelector('form.add-task-form input[type="date"]');
     await user.type(dateEl, "2025-11-30");
-    const projectCombo = screen.getByRole("combobox");
+    const projectCombo = screen.getByRole("combobox", { name: /project/i });
     await user.selectOptions(projectCombo, "p2");
     const progressInput = screen.getByPlaceholderText(/progress/i);
     await user.clear(progressInput);
@@ -133,19 +158,20 @@ it("adds a task via the form with selected fields and closes the form", async ()
     await user.click(screen.getByRole("button", { name: /save task/i }));
 
     // New row shows up with values (progress shows with % in table)
-    expect(screen.getByText("New Task")).toBeInTheDocument();
-    expect(screen.getByText("2025-11-30")).toBeInTheDocument(); // raw date string is shown
-    expect(screen.getByText("Beta")).toBeInTheDocument();       // project name lookup
-    expect(screen.getByText("25%")).toBeInTheDocument();
+    const table = screen.getByRole("table");
+    expect(within(table).getByText("New Task")).toBeInTheDocument();
+    expect(within(table).getByText("2025-11-30")).toBeInTheDocument(); // raw date string is shown
+    expect(within(table).getByText("Beta")).toBeInTheDocument();       // project name lookup
+    expect(within(table).getByText("25%")).toBeInTheDocument();
 
     // Form closed (Add New visible again)
     expect(screen.getByRole("button", { name: /add new/i })).toBeInTheDocument();
 });
 
 
-// Test 2: Sorting by name toggles asc/desc
+// Test 2: Sorting by name cycles asc / desc / off
 
-it("sorts by name descending on first click, then ascending on second", async () => {
+it("sorts by name ascending on first click, descending on second, unsorted on third", async () => {
     const user = userEvent.setup();
     mockParams = new URLSearchParams("");
     renderWithStore(<TasksPage />, { tasks: TASKS, projects: PROJECTS });
@@ -153,23 +179,32 @@ it("sorts by name descending on first click, then ascending on second", async ()
     const header = screen.getByText(/task name/i).closest("th");
     const sortBtn = within(header).getByRole("button");
 
-    // 1st click → desc (because newOrder toggles from 'asc' to 'desc')
+    // 1st click → asc
     await user.click(sortBtn);
     let rows = screen.getAllByRole("row").slice(1);
     let names = rows.map((r) => r.cells[0].textContent.trim());
+    expect(names).toEqual(["Build UI", "Fix bugs", "Write docs"]);
+    expect(header).toHaveAttribute("aria-sort", "ascending");
+
+    // 2nd click → desc
+    await user.click(sortBtn);
+    rows = screen.getAllByRole("row").slice(1);
+    names = rows.map((r) => r.cells[0].textContent.trim());
     expect(names).toEqual(["Write docs", "Fix bugs", "Build UI"]);
+    expect(header).toHaveAttribute("aria-sort", "descending");
 
-    // 2nd click → asc
+    // 3rd click → back to the stored order
     await user.click(sortBtn);
     rows = screen.getAllByRole("row").slice(1);
     names = rows.map((r) => r.cells[0].textContent.trim());
-    expect(names).toEqual(["Build UI", "Fix bugs", "Write docs"]);
+    expect(names).toEqual(["Write docs", "Fix bugs", "Build UI"]);
+    expect(header).not.toHaveAttribute("aria-sort");
 });
 
 
 // Test 3: Sorting by date toggles asc/desc
 
-it("sorts by date descending on first click, then ascending on second", async () => {
+it("sorts by date ascending on first click, then descending on second", async () => {
     const user = userEvent.setup();
     mockParams = new URLSearchParams("");
     renderWithStore(<TasksPage />, { tasks: TASKS, projects: PROJECTS });
@@ -177,41 +212,41 @@ it("sorts by date descending on first click, then ascending on second", async ()
     const header = screen.getByText(/task date/i).closest("th");
     const sortBtn = within(header).getByRole("button");
 
-    // 1st click → desc (latest first)
+    // 1st click → asc (earliest first)
     await user.click(sortBtn);
     let rows = screen.getAllByRole("row").slice(1);
     let dates = rows.map((r) => r.cells[1].textContent.trim());
-    expect(dates).toEqual(["2025-11-20", "2025-11-10", "2025-11-05"]);
+    expect(dates).toEqual(["2025-11-05", "2025-11-10", "2025-11-20"]);
 
-    // 2nd click → asc (earliest first)
+    // 2nd click → desc (latest first)
     await user.click(sortBtn);
     rows = screen.getAllByRole("row").slice(1);
     dates = rows.map((r) => r.cells[1].textContent.trim());
-    expect(dates).toEqual(["2025-11-05", "2025-11-10", "2025-11-20"]);
+    expect(dates).toEqual(["2025-11-20", "2025-11-10", "2025-11-05"]);
 });
 
 
 // Test 4: Sorting by project name uses projects lookup
 
-it("sorts by project name descending on first click, then ascending on second", async () => {
+it("sorts by project name ascending on first click, then descending on second", async () => {
     const user = userEvent.setup();
     mockParams = new URLSearchParams("");
     renderWithStore(<TasksPage />, { tasks: TASKS, projects: PROJECTS });
 
-    const header = screen.getByText(/^project$/i).closest("th");
+    const header = within(screen.getByRole("table")).getByText(/^project$/i).closest("th");
     const sortBtn = within(header).getByRole("button");
 
-    // 1st click → desc (project names descending; '-' last)
+    // 1st click → asc ('-' first, then Alpha, Beta)
     await user.click(sortBtn);
     let rows = screen.getAllByRole("row").slice(1);
     let projectsCol = rows.map((r) => r.cells[2].textContent.trim());
-    expect(projectsCol).toEqual(["Beta", "Alpha", "-"]);
+    expect(projectsCol).toEqual(["-", "Alpha", "Beta"]);
 
-    // 2nd click → asc ('-' first, then Alpha, Beta)
+    // 2nd click → desc (project names descending; '-' last)
     await user.click(sortBtn);
     rows = screen.getAllByRole("row").slice(1);
     projectsCol = rows.map((r) => r.cells[2].textContent.trim());
-    expect(projectsCol).toEqual(["-", "Alpha", "Beta"]);
+    expect(projectsCol).toEqual(["Beta", "Alpha", "-"]);
 });
 
 
@@ -225,7 +260,7 @@ it("enters inline edit for a cell, saves on blur, and updates the table", async
     const row = screen.getAllByRole("row").find((r) => r.cells[0].textContent.includes("Write docs"));
 
     // Actions → Edit to show pencils
-    const actionsCell = row.cells[4];
+    const actionsCell = row.cells[5];
     await user.click(within(actionsCell).getByRole("button", { name: /edit/i }));
 
     // Click pencil in Name cell
@@ -256,7 +291,7 @@ it("edits the Progress cell via Actions → pencil and saves on blur", async ()
     const progressCell = row.cells[3];
 
     // Click Actions → Edit to reveal pencils on this row
-    const actionsCell = row.cells[4];
+    const actionsCell = row.cells[5];
     await user.click(within(actionsCell).getByRole("button", { name: /edit/i }));
 
     // Click the pencil in the Progress cell
@@ -286,10 +321,235 @@ it("deletes a task", async () => {
 
     // Delete "Build UI"
     const row = screen.getAllByRole("row").find((r) => r.cells[0].textContent.includes("Build UI"));
-    const actionsCell = row.cells[4];
+    const actionsCell = row.cells[5];
     await user.click(within(actionsCell).getByRole("button", { name: /delete/i }));
 
     // Row gone
     const stillThere = screen.queryAllByRole("row").some((r) => r.textContent.includes("Build UI"));
     expect(stillThere).toBe(false);
 });
+
+
+// Test 8: Shift-click adds a secondary sort key; the sort survives edits
+
+it("sorts by several keys with shift-click and keeps the order after an edit", async () => {
+    const user = userEvent.setup();
+    mockParams = new URLSearchParams("");
+    const tasks = [
+        { id: "t1", name: "Write docs", date: "2025-11-10", project: "p1", progress: 10 },
+        { id: "t2", name: "Fix bugs", date: "2025-11-05", project: "p2", progress: 10 },
+        { id: "t3", name: "Build UI", date: "2025-11-20", project: "", progress: 80 },
+    ];
+    renderWithStore(<TasksPage />, { tasks, projects: PROJECTS });
+    // Task rows only (an open row adds a details row under it)
+    const names = () =>
+        screen.getAllByRole("row").filter((r) => r.dataset.taskId).map((r) => r.cells[0].textContent.trim());
+
+    // Progress desc, then name asc to break the 10% tie
+    const progressBtn = screen.getByRole("button", { name: /sort by progress/i });
+    await user.click(progressBtn);
+    await user.click(progressBtn);
+    await user.keyboard("{Shift>}");
+    await user.click(screen.getByRole("button", { name: /sort by task name/i }));
+    await user.keyboard("{/Shift}");
+    expect(names()).toEqual(["Build UI", "Fix bugs", "Write docs"]);
+    expect(screen.getByRole("button", { name: /sort by task name/i })).toHaveTextContent("▲2");
+
+    // Renaming a task re-sorts it rather than resetting the table
+    const row = screen.getAllByRole("row").find((r) => r.cells[0].textContent.includes("Write docs"));
+    await user.click(within(row.cells[5]).getByRole("button", { name: /edit/i }));
+    await user.click(within(row.cells[0]).getByRole("button", { name: /edit/i }));
+    const input = within(row.cells[0]).getByRole("textbox");
+    await user.clear(input);
+    await user.type(input, "Add docs{Enter}");
+
+    expect(names()).toEqual(["Build UI", "Add docs", "Fix bugs"]);
+});
+
+
+// Test 9: The sort is read from the URL
+
+it("applies the sort encoded in the URL", () => {
+    mockParams = new URLSearchParams("sort=-date");
+    renderWithStore(<TasksPage />, { tasks: TASKS, projects: PROJECTS });
+
+    const dates = screen.getAllByRole("row").slice(1).map((r) => r.cells[1].textContent.trim());
+    expect(dates).toEqual(["2025-11-20", "2025-11-10", "2025-11-05"]);
+    expect(screen.getByText(/task date/i).closest("th")).toHaveAttribute("aria-sort", "descending");
+});
+
+
+// Test 10: Filters come from the URL and combine with each other
+
+it("filters the table by project, status and text from the URL", () => {
+    mockParams = new URLSearchParams("project=p1,none&status=todo,ongoing");
+    renderWithStore(<TasksPage />, { tasks: TASKS, projects: PROJECTS });
+
+    const names = () =>
+        screen.getAllByRole("row").filter((r) => r.dataset.taskId).map((r) => r.cells[0].textContent.trim());
+
+    // Fix bugs is on Beta
+    expect(names()).toEqual(["Write docs", "Build UI"]);
+    expect(screen.getByText("2 of 3")).toBeInTheDocument();
+});
+
+
+// Test 11: Filter bar controls update the table; clearing brings everything back
+
+it("filters by text and due preset from the filter bar", async () => {
+    const user = userEvent.setup();
+    mockParams = new URLSearchParams("sort=name");
+    renderWithStore(<TasksPage />, {
+        tasks: [...TASKS, { id: "t4", name: "Plan sprint", date: "", project: "", progress: 0 }],
+        projects: PROJECTS,
+    });
+    const names = () =>
+        screen.getAllByRole("row").filter((r) => r.dataset.taskId).map((r) => r.cells[0].textContent.trim());
+
+    await user.type(screen.getByRole("searchbox", { name: /filter text/i }), "S");
+    // Case-insensitive, and the sort still applies to the filtered rows
+    expect(names()).toEqual(["Fix bugs", "Plan sprint", "Write docs"]);
+
+    await user.selectOptions(screen.getByRole("combobox", { name: /due/i }), "none");
+    expect(names()).toEqual(["Plan sprint"]);
+
+    await user.click(screen.getByRole("button", { name: /clear filters/i }));
+    expect(names()).toEqual(["Build UI", "Fix bugs", "Plan sprint", "Write docs"]);
+});
+
+
+// Test 12: Shift-click selects a range; a bulk action is one dispatch for all of them
+
+it("selects a range with shift-click and moves it to a project in one action", async () => {
+    const user = userEvent.setup();
+    mockParams = new URLSearchParams("sort=name");
+    const { dispatchSpy } = renderWithStore(<TasksPage />, { tasks: TASKS, projects: PROJECTS });
+
+    // Build UI, Fix bugs, Write docs
+    await user.click(screen.getByRole("checkbox", { name: "Select Build UI" }));
+    await user.keyboard("{Shift>}");
+    await user.click(screen.getByRole("checkbox", { name: "Select Write docs" }));
+    await user.keyboard("{/Shift}");
+    expect(screen.getByRole("checkbox", { name: "Select Fix bugs" })).toBeChecked();
+
+    const bar = screen.getByRole("toolbar", { name: /bulk actions/i });
+    expect(bar).toHaveTextContent("3 selected");
+
+    await user.selectOptions(within(bar).getByRole("combobox", { name: /move to project/i }), "p1");
+    const bulk = dispatchSpy.mock.calls.map(([a]) => a).filter((a) => a.type === "tasks/updateMany");
+    expect(bulk).toEqual([{ type: "tasks/updateMany", payload: { ids: ["t3", "t2", "t1"], changes: { project: "p1" } } }]);
+
+    const projectsCol = screen.getAllByRole("row").filter((r) => r.dataset.taskId).map((r) => r.cells[2].textContent.trim());
+    expect(projectsCol).toEqual(["Alpha", "Alpha", "Alpha"]);
+});
+
+
+// Test 13: "Select all" only takes the filtered rows; bulk delete removes just those
+
+it("selects all filtered rows and deletes them together", async () => {
+    const user = userEvent.setup();
+    mockParams = new URLSearchParams("project=p1,p2");
+    renderWithStore(<TasksPage />, { tasks: TASKS, projects: PROJECTS });
+
+    await user.click(screen.getByRole("checkbox", { name: /select all shown tasks/i }));
+    await user.click(within(screen.getByRole("toolbar")).getByRole("button", { name: /delete 2/i }));
+
+    expect(screen.queryByRole("toolbar")).toBeNull();
+    await user.click(screen.getByRole("button", { name: /clear filters/i }));
+    const names = screen.getAllByRole("row").filter((r) => r.dataset.taskId).map((r) => r.cells[0].textContent.trim());
+    expect(names).toEqual(["Build UI"]);
+});
+
+
+// Test 14: A query opened from the top bar search filters the table and can be removed
+
+it("filters by a search query from the URL", async () => {
+    const user = userEvent.setup();
+    mockParams = new URLSearchParams({ sort: "name", query: 'project:"Alpha" -overdue' });
+    renderWithStore(<TasksPage />, {
+        tasks: [...TASKS, { id: "t4", name: "Plan sprint", date: "2999-01-01", project: "p1", progress: 0 }],
+        projects: PROJECTS,
+    });
+    const names = () =>
+        screen.getAllByRole("row").filter((r) => r.dataset.taskId).map((r) => r.cells[0].textContent.trim());
+
+    expect(names()).toEqual(["Plan sprint"]);
+    expect(screen.getByText('project:"Alpha" -overdue')).toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: /remove search query/i }));
+    expect(names()).toEqual(["Build UI", "Fix bugs", "Plan sprint", "Write docs"]);
+});
+
+
+// Test 15: j / k pick a row; x, e and Del act on it; nothing fires while typing
+
+it("drives the table with keyboard shortcuts", async () => {
+    const user = userEvent.setup();
+    mockParams = new URLSearchParams("sort=name");
+    renderWithStore(<><ShortcutManager /><TasksPage /></>, { tasks: TASKS, projects: PROJECTS });
+    const rows = () => screen.getAllByRole("row").filter((r) => r.dataset.taskId);
+    const current = () => rows().find((r) => r.getAttribute("aria-current"))?.cells[0].textContent.trim();
+
+    // Typing in the filter box isn't a shortcut
+    await user.type(screen.getByRole("searchbox", { name: /filter text/i }), "j");
+    expect(current()).toBeUndefined();
+    await user.clear(screen.getByRole("searchbox", { name: /filter text/i }));
+    screen.getByRole("searchbox", { name: /filter text/i }).blur();
+
+    await user.keyboard("jjjk");
+    expect(current()).toBe("Fix bugs");
+
+    await user.keyboard("x");
+    expect(within(rows()[1]).getByText("Complete")).toBeInTheDocument();
+
+    await user.keyboard("{Delete}");
+    expect(rows().map((r) => r.cells[0].textContent.trim())).toEqual(["Build UI", "Write docs"]);
+    expect(current()).toBe("Write docs");
+
+    await user.keyboard("e");
+    expect(within(rows()[1]).getByRole("textbox")).toHaveValue("Write docs");
+});
+
+
+// Test 16: "n" opens the add form with the name focused
+
+it("opens the add form from the n shortcut", async () => {
+    const user = userEvent.setup();
+    mockParams = new URLSearchParams("");
+    renderWithStore(<><ShortcutManager /><TasksPage /></>, { tasks: TASKS, projects: PROJECTS });
+
+    expect(screen.queryByPlaceholderText("Task Name")).toBeNull();
+    await user.keyboard("n");
+    expect(screen.getByPlaceholderText("Task Name")).toHaveFocus();
+    // The "n" itself isn't typed into the field
+    expect(screen.getByPlaceholderText("Task Name")).toHaveValue("");
+});
+
+
+// Test 17: The global "n" from another page lands on ?new=1, which opens the form
+
+it("opens the add form when arriving with ?new=1", () => {
+    mockParams = new URLSearchParams("new=1");
+    renderWithStore(<TasksPage />, { tasks: TASKS, projects: PROJECTS });
+    expect(screen.getByPlaceholderText("Task Name")).toHaveFocus();
+});
+
+
+// Test 18: CSV export is the current view, with project names instead of ids
+
+it("exports the filtered, sorted view as CSV", async () => {
+    const user = userEvent.setup();
+    downloadMock.mockReset();
+    mockParams = new URLSearchParams("project=p1,p2&sort=-name");
+    renderWithStore(<TasksPage />, { tasks: TASKS, projects: PROJECTS });
+
+    await user.click(screen.getByRole("button", { name: /export csv/i }));
+    const [filename, csv, type] = downloadMock.mock.calls[0];
+    expect(filename).toMatch(/^tasks-\d{4}-\d{2}-\d{2}\.csv$/);
+    expect(type).toMatch(/^text\/csv/);
+    expect(csv.replace(/^\uFEFF/, "").split("\r\n")).toEqual([
+        "Name,Date,Start time,End time,Project,Progress,Status,Description",
+        "Write docs,2025-11-10,,,Alpha,10,Ongoing,",
+        "Fix bugs,2025-11-05,,,Beta,80,Ongoing,",
+    ]);
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+
+import { isBlocked, scheduleConflicts, wouldCreateCycle } from "../../features/tasks/dependencies";
+import { DEFAULT_WORKFLOW } from "../../features/tasks/status";
+
+// c waits on b, b waits on a
+const TASKS = [
+    { id: "a", name: "Design", date: "2026-03-05", status: "ongoing", blockedBy: [] },
+    { id: "b", name: "Build", startDate: "2026-03-06", date: "2026-03-10", status: "todo", blockedBy: ["a"] },
+    { id: "c", name: "Ship", date: "2026-03-12", status: "todo", blockedBy: ["b"] },
+];
+
+describe("task dependencies", () => {
+
+    // Test 1: Links that would close a loop are spotted, however long the chain
+    it("detects cycles", () => {
+        expect(wouldCreateCycle(TASKS, "a", "c")).toBe(true);
+        expect(wouldCreateCycle(TASKS, "a", "b")).toBe(true);
+        expect(wouldCreateCycle(TASKS, "a", "a")).toBe(true);
+        expect(wouldCreateCycle(TASKS, "c", "a")).toBe(false);
+    });
+
+    // Test 2: Blocked until every blocker is done or cancelled
+    it("treats a task as blocked while a blocker is open", () => {
+        expect(isBlocked(TASKS[1], TASKS, DEFAULT_WORKFLOW)).toBe(true);
+        expect(isBlocked(TASKS[0], TASKS, DEFAULT_WORKFLOW)).toBe(false);
+
+        const designDone = TASKS.map((t) => (t.id === "a" ? { ...t, status: "complete" } : t));
+        expect(isBlocked(designDone[1], designDone, DEFAULT_WORKFLOW)).toBe(false);
+        // Blockers that were deleted don't count
+        expect(isBlocked({ id: "x", blockedBy: ["gone"] }, TASKS, DEFAULT_WORKFLOW)).toBe(false);
+    });
+
+    // Test 3: A dependent starting before its blocker's due date is a clash
+    it("lists schedule conflicts", () => {
+        expect(scheduleConflicts(TASKS, DEFAULT_WORKFLOW)).toEqual([]);
+
+        const late = TASKS.map((t) => (t.id === "a" ? { ...t, date: "2026-03-08" } : t));
+        const conflicts = scheduleConflicts(late, DEFAULT_WORKFLOW);
+        expect(conflicts.map(({ task, blocker }) => [task.id, blocker.id])).toEqual([["b", "a"]]);
+
+        // Finished blockers can't hold anything up
+        const done = late.map((t) => (t.id === "a" ? { ...t, status: "complete" } : t));
+        expect(scheduleConflicts(done, DEFAULT_WORKFLOW)).toEqual([]);
+    });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from "vitest";
+
+import { parseFilters, writeFilters, filterTasks, hasFilters, EMPTY_FILTERS } from "../../features/tasks/filtering";
+import { DEFAULT_WORKFLOW } from "../../features/tasks/status";
+
+const TODAY = "2025-11-12"; // a Wednesday
+const context = { projects: [{ id: "p1", name: "Alpha" }], workflow: DEFAULT_WORKFLOW, today: TODAY };
+
+const TASKS = [
+    { id: "late", name: "Late", date: "2025-11-10", progress: 0 },
+    { id: "done", name: "Late but done", date: "2025-11-10", progress: 100 },
+    { id: "today", name: "Today", date: TODAY, progress: 0 },
+    { id: "sunday", name: "Sunday", date: "2025-11-16", progress: 0 },
+    { id: "next", name: "Next week", date: "2025-11-17", progress: 0 },
+    { id: "undated", name: "Someday", date: "", progress: 0 },
+];
+
+const ids = (filters) => filterTasks(TASKS, { ...EMPTY_FILTERS, ...filters }, context).map((t) => t.id);
+
+describe("filtering", () => {
+
+    // Test 1: URL params in and out
+    it("reads and writes filters as search params", () => {
+        const filters = parseFilters(new URLSearchParams("project=p1,none&due=week&status=todo&q=docs&sort=name"));
+        expect(filters).toEqual({ projects: ["p1", "none"], due: "week", statuses: ["todo"], text: "docs", query: "" });
+        expect(hasFilters(filters)).toBe(true);
+
+        const params = writeFilters(new URLSearchParams("sort=name&due=today"), { ...EMPTY_FILTERS, text: "x" });
+        expect(params.toString()).toBe("sort=name&q=x");
+        expect(parseFilters(new URLSearchParams("due=bogus")).due).toBe("");
+    });
+
+    // Test 2: Due presets
+    it("matches the due-date presets", () => {
+        // Finished tasks aren't overdue
+        expect(ids({ due: "overdue" })).toEqual(["late"]);
+        expect(ids({ due: "today" })).toEqual(["today"]);
+        // Monday 10th to Sunday 16th
+        expect(ids({ due: "week" })).toEqual(["late", "done", "today", "sunday"]);
+        expect(ids({ due: "none" })).toEqual(["undated"]);
+    });
+
+    // Test 3: A search query from the top bar combines with the other filters
+    it("applies a query from the URL", () => {
+        const filters = parseFilters(new URLSearchParams("query=due%3A%3C2025-11-13+-overdue"));
+        expect(filters.query).toBe("due:<2025-11-13 -overdue");
+        expect(hasFilters({ ...EMPTY_FILTERS, query: "x" })).toBe(true);
+
+        expect(ids({ query: filters.query })).toEqual(["done", "today"]);
+        expect(ids({ query: filters.query, text: "late" })).toEqual(["done"]);
+    });
+});
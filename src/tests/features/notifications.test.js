@@ -0,0 +1,93 @@
+import { describe, it, expect } from "vitest";
+
+import {
+    EMPTY_PREFS,
+    buildNotifications,
+    loadNotificationPrefs,
+    prunePrefs,
+    saveNotificationPrefs,
+    snoozeUntil,
+    visibleNotifications,
+} from "../../features/notifications/notifications";
+import { DEFAULT_WORKFLOW } from "../../features/tasks/status";
+
+const TODAY = "2026-03-04";
+const TASKS = [
+    { id: "t1", name: "Invoice", date: "2026-03-01", status: "todo" },
+    { id: "t2", name: "Standup notes", date: "2026-03-04", status: "ongoing" },
+    { id: "t3", name: "Release", date: "2026-03-05", status: "todo" },
+    { id: "t4", name: "Later", date: "2026-03-09", status: "todo" },
+    { id: "t5", name: "Done already", date: "2026-03-02", status: "complete" },
+];
+const PROJECTS = [
+    { id: "p1", name: "Website", due: "2026-03-06", status: "in-progress" },
+    { id: "p2", name: "Mobile", due: "2026-04-01", status: "in-progress" },
+    { id: "p3", name: "Shipped", due: "2026-03-05", status: "complete" },
+];
+
+const build = () => buildNotifications({ tasks: TASKS, projects: PROJECTS, workflow: DEFAULT_WORKFLOW, today: TODAY });
+
+describe("notifications", () => {
+
+    // Test 1: Overdue / today / tomorrow tasks and close projects, most urgent first
+    it("builds reminders from tasks and projects", () => {
+        expect(build().map((n) => [n.kind, n.title, n.message])).toEqual([
+            ["task-overdue", "Invoice", "Overdue by 3 days"],
+            ["task-today", "Standup notes", "Due today"],
+            ["project-due", "Website", "Project due in 2 days"],
+            ["task-tomorrow", "Release", "Due tomorrow"],
+        ]);
+        expect(build()[0]).toMatchObject({ id: "task-overdue:t1:2026-03-01", link: "/tasks?editId=t1&field=date" });
+    });
+
+    // Test 2: Dismissed ones are hidden, snoozed ones come back when the snooze ends
+    it("hides dismissed and snoozed reminders", () => {
+        const list = build();
+        const now = new Date(2026, 2, 4, 10);
+        const prefs = {
+            ...EMPTY_PREFS,
+            dismissed: [list[0].id],
+            snoozed: { [list[1].id]: snoozeUntil("hour", now) },
+        };
+
+        expect(visibleNotifications(list, prefs, now).map((n) => n.title)).toEqual(["Website", "Release"]);
+        expect(visibleNotifications(list, prefs, new Date(2026, 2, 4, 11, 30)).map((n) => n.title)).toEqual([
+            "Standup notes",
+            "Website",
+            "Release",
+        ]);
+        expect(new Date(snoozeUntil("tomorrow", now))).toEqual(new Date(2026, 2, 5, 9));
+    });
+
+    // Test 3: Saved state round-trips and forgets reminders that no longer exist
+    it("saves and prunes what the user did with them", () => {
+        const storage = new Map();
+        const fake = { getItem: (k) => storage.get(k) ?? null, setItem: (k, v) => storage.set(k, v) };
+        expect(loadNotificationPrefs(fake)).toEqual(EMPTY_PREFS);
+
+        const prefs = prunePrefs(
+            { ...EMPTY_PREFS, read: ["task-today:gone:2026-03-04", build()[0].id], browserAlerts: true },
+            { tasks: TASKS, projects: PROJECTS }
+        );
+        saveNotificationPrefs(prefs, fake);
+        expect(loadNotificationPrefs(fake)).toEqual({ ...EMPTY_PREFS, read: [build()[0].id], browserAlerts: true });
+    });
+
+    // Test 4: Reminders that drop out of the list (task finished, project done) stay dismissed
+    it("keeps prefs for reminders that are only out of the list for now", () => {
+        const overdue = build()[0].id;
+        const prefs = { ...EMPTY_PREFS, dismissed: [overdue], snoozed: { [overdue]: "2026-03-05T09:00:00.000Z" } };
+
+        // t1 is finished for a while: it's not in the list, but it still exists
+        const finished = TASKS.map((t) => (t.id === "t1" ? { ...t, status: "complete" } : t));
+        expect(prunePrefs(prefs, { tasks: finished, projects: PROJECTS })).toEqual(prefs);
+
+        // Reopened - still dismissed
+        expect(visibleNotifications(build(), prunePrefs(prefs, { tasks: finished, projects: PROJECTS })).map((n) => n.id))
+            .not.toContain(overdue);
+
+        // Deleted - forgotten
+        const deleted = prunePrefs(prefs, { tasks: TASKS.slice(1), projects: PROJECTS });
+        expect(deleted).toEqual({ ...EMPTY_PREFS, dismissed: [], snoozed: {} });
+    });
+});
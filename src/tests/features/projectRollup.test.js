@@ -0,0 +1,56 @@
+import { describe, it, expect } from "vitest";
+
+import { DEFAULT_WORKFLOW } from "../../features/tasks/status";
+import { rollupTasks, selectProjectRollups, selectProjectRollup, effectiveStatus } from "../../features/projects/projectRollup";
+
+const TODAY = "2026-03-10";
+
+const state = (tasks, projects = [{ id: "p1", name: "Alpha", status: "not-started" }]) => ({
+    tasks: { tasks, workflow: DEFAULT_WORKFLOW },
+    projects: { projects },
+});
+
+describe("project rollups", () => {
+
+    // Test 1: Percent averages progress (done = 100), cancelled tasks are left out
+    it("works out completion, open and overdue counts", () => {
+        const rollup = rollupTasks([
+            { id: "t1", progress: 100, status: "complete", date: "2026-03-01" },
+            { id: "t2", progress: 50, status: "ongoing", date: "2026-03-05" },
+            { id: "t3", progress: 0, status: "todo", date: "2026-03-20" },
+            { id: "t4", progress: 0, status: "todo", date: "" },
+            { id: "t5", progress: 0, status: "cancelled", date: "2026-03-01" },
+        ], DEFAULT_WORKFLOW, TODAY);
+
+        expect(rollup).toEqual({ total: 4, open: 3, done: 1, overdue: 1, percent: 38, suggestedStatus: "in-progress" });
+    });
+
+    // Test 2: Suggested status follows the tasks
+    it("suggests not started / in progress / complete", () => {
+        const suggest = (tasks) => rollupTasks(tasks, DEFAULT_WORKFLOW, TODAY).suggestedStatus;
+
+        expect(suggest([])).toBe("not-started");
+        expect(suggest([{ id: "t1", progress: 0, status: "todo" }])).toBe("not-started");
+        expect(suggest([{ id: "t1", progress: 0, status: "review" }])).toBe("in-progress");
+        expect(suggest([{ id: "t1", progress: 100, status: "complete" }, { id: "t2", status: "cancelled" }])).toBe("complete");
+    });
+
+    // Test 3: The selector is memoized and only the project's own tasks count
+    it("memoizes rollups per project", () => {
+        const s = state([
+            { id: "t1", project: "p1", progress: 100, status: "complete" },
+            { id: "t2", project: "p2", progress: 0, status: "todo" },
+        ]);
+
+        expect(selectProjectRollups(s)).toBe(selectProjectRollups(s));
+        expect(selectProjectRollup(s, "p1")).toMatchObject({ total: 1, percent: 100, suggestedStatus: "complete" });
+        expect(selectProjectRollup(s, "missing").total).toBe(0);
+    });
+
+    // Test 4: Only auto-managed projects take the suggested status
+    it("uses the suggested status for auto-managed projects", () => {
+        const rollup = { suggestedStatus: "complete" };
+        expect(effectiveStatus({ status: "not-started" }, rollup)).toBe("not-started");
+        expect(effectiveStatus({ status: "not-started", autoStatus: true }, rollup)).toBe("complete");
+    });
+});
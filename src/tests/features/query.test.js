@@ -0,0 +1,76 @@
+import { describe, it, expect } from "vitest";
+
+import { parseQuery, isQuery, compileQuery } from "../../features/tasks/query";
+import { DEFAULT_WORKFLOW } from "../../features/tasks/status";
+
+const TODAY = "2026-10-19";
+const context = {
+    projects: [
+        { id: "p1", name: "Website relaunch" },
+        { id: "p2", name: "Mobile app" },
+    ],
+    workflow: DEFAULT_WORKFLOW,
+    today: TODAY,
+};
+
+const TASKS = [
+    { id: "copy", name: "Write copy", project: "p1", date: "2026-10-10", progress: 20 },
+    { id: "deploy", name: "Deploy", project: "p1", date: "2026-11-05", progress: 0, status: "blocked" },
+    { id: "icons", name: "App icons", project: "p2", date: "2026-10-01", progress: 100 },
+    { id: "notes", name: "Notes", project: "", date: "", progress: 60, description: "Call the printer" },
+];
+
+const ids = (query) => {
+    const { predicate, errors } = compileQuery(query, context);
+    expect(errors).toEqual([]);
+    return TASKS.filter(predicate).map((t) => t.id);
+};
+
+const errorsOf = (query) => compileQuery(query, context).errors.map((e) => e.message);
+
+describe("search query", () => {
+
+    // Test 1: Tokens, quoted values and negation
+    it("parses fields, operators, quotes and negation", () => {
+        const { terms, errors } = parseQuery('project:"Website relaunch" due:<2026-11-01 -status:blocked overdue printer');
+        expect(errors).toEqual([]);
+        expect(terms.map(({ field, op, value, negate }) => ({ field, op, value, negate }))).toEqual([
+            { field: "project", op: "=", value: "Website relaunch", negate: false },
+            { field: "due", op: "<", value: "2026-11-01", negate: false },
+            { field: "status", op: "=", value: "blocked", negate: true },
+            { field: "is", op: "=", value: "overdue", negate: false },
+            { field: null, op: "=", value: "printer", negate: false },
+        ]);
+
+        expect(isQuery("pay bills")).toBe(false);
+        expect(isQuery("progress:>10")).toBe(true);
+        expect(isQuery("-bills")).toBe(true);
+    });
+
+    // Test 2: The example from the request
+    it("filters tasks by project, date, progress and flags", () => {
+        expect(ids('project:"Website" due:<2026-11-01 progress:<50 overdue')).toEqual(["copy"]);
+        expect(ids("project:app progress:>=100")).toEqual(["icons"]);
+        expect(ids("project:none")).toEqual(["notes"]);
+        // Finished tasks aren't overdue
+        expect(ids("overdue")).toEqual(["copy"]);
+        expect(ids("-overdue due:<today")).toEqual(["icons"]);
+        expect(ids("due:none printer")).toEqual(["notes"]);
+        expect(ids("due:>=tomorrow status:Blocked")).toEqual(["deploy"]);
+        expect(ids("is:open -project:website")).toEqual(["notes"]);
+    });
+
+    // Test 3: Mistakes come back as hints (with their position) and match nothing
+    it("reports invalid queries", () => {
+        expect(errorsOf('prio:high')[0]).toMatch(/unknown field "prio"/i);
+        expect(errorsOf("due:<2026-02-31")[0]).toMatch(/isn't a date/);
+        expect(errorsOf("progress:>lots")[0]).toMatch(/isn't a number/);
+        expect(errorsOf("project:<x")[0]).toMatch(/can't use </);
+        expect(errorsOf("status:doing")[0]).toMatch(/unknown status "doing"/i);
+        expect(errorsOf('name:"unfinished')[0]).toMatch(/closing quote/i);
+
+        const { predicate, errors } = compileQuery("status:doing overdue", context);
+        expect(errors[0]).toMatchObject({ start: 0, end: 12 });
+        expect(TASKS.filter(predicate)).toEqual([]);
+    });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from "vitest";
+
+import {
+    normalizeRepeat,
+    occurrences,
+    nextOccurrence,
+    taskOccurrences,
+    describeRepeat,
+} from "../../features/tasks/recurrence";
+
+describe("recurrence", () => {
+
+    // Test 1: Daily with an interval
+    it("expands every-N-days rules", () => {
+        const rule = normalizeRepeat({ freq: "daily", interval: 3 }, "2025-11-01");
+        expect(occurrences(rule, "2025-11-01", "2025-11-12")).toEqual([
+            "2025-11-01", "2025-11-04", "2025-11-07", "2025-11-10",
+        ]);
+    });
+
+    // Test 2: Weekly on chosen weekdays (2025-11-03 is a Monday)
+    it("expands weekly rules on the chosen weekdays, every other week", () => {
+        const rule = normalizeRepeat({ freq: "weekly", interval: 2, weekdays: [3, 1] }, "2025-11-03");
+        expect(rule.weekdays).toEqual([1, 3]);
+        expect(occurrences(rule, "2025-11-03", "2025-11-30")).toEqual([
+            "2025-11-03", "2025-11-05", "2025-11-17", "2025-11-19",
+        ]);
+    });
+
+    // Test 3: Monthly clamps to short months
+    it("expands monthly rules and clamps to the end of shorter months", () => {
+        const rule = normalizeRepeat({ freq: "monthly" }, "2026-01-31");
+        expect(rule.monthDay).toBe(31);
+        expect(occurrences(rule, "2026-01-31", "2026-04-30")).toEqual([
+            "2026-01-31", "2026-02-28", "2026-03-31", "2026-04-30",
+        ]);
+    });
+
+    // Test 4: End date and count
+    it("stops at the until date or after count occurrences", () => {
+        const until = normalizeRepeat({ freq: "daily", until: "2025-11-03" }, "2025-11-01");
+        expect(occurrences(until, "2025-11-01", "2025-12-31")).toEqual(["2025-11-01", "2025-11-02", "2025-11-03"]);
+
+        const counted = normalizeRepeat({ freq: "weekly", count: 2 }, "2025-11-03");
+        expect(occurrences(counted, "2025-11-03", "2026-12-31")).toEqual(["2025-11-03", "2025-11-10"]);
+        expect(nextOccurrence({ ...counted, count: 1 }, "2025-11-10")).toBeNull();
+    });
+
+    // Test 5: Next occurrence, even when the anchor isn't on the rule (2025-11-04 is a Tuesday)
+    it("finds the next occurrence after a date", () => {
+        const rule = normalizeRepeat({ freq: "weekly", weekdays: [1, 3] }, "2025-11-04");
+        expect(nextOccurrence(rule, "2025-11-04")).toBe("2025-11-05");
+        expect(nextOccurrence(rule, "2025-11-05")).toBe("2025-11-10");
+    });
+
+    // Test 6: A task's occurrences inside a visible range
+    it("lists a task's occurrences inside a range", () => {
+        const task = { date: "2025-11-01", repeat: normalizeRepeat({ freq: "daily", count: 4 }, "2025-11-01") };
+        expect(taskOccurrences(task, "2025-11-02", "2025-11-30")).toEqual(["2025-11-02", "2025-11-03", "2025-11-04"]);
+        expect(taskOccurrences({ date: "2025-11-01", repeat: null }, "2025-12-01", "2025-12-31")).toEqual([]);
+    });
+
+    // Test 7: Summary text
+    it("describes rules in words", () => {
+        expect(describeRepeat(null)).toBe("Does not repeat");
+        expect(describeRepeat(normalizeRepeat({ freq: "weekly", interval: 2, weekdays: [1, 3] }, "2025-11-03")))
+            .toBe("Every 2 weeks on Mon, Wed");
+        expect(describeRepeat(normalizeRepeat({ freq: "monthly", until: "2026-06-30" }, "2025-11-15")))
+            .toBe("Every month on day 15 until 2026-06-30");
+    });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from "vitest";
+
+import { parseSort, serializeSort, toggleSort, sortTasks } from "../../features/tasks/sorting";
+import { DEFAULT_WORKFLOW } from "../../features/tasks/status";
+
+describe("sorting", () => {
+
+    // Test 1: URL round trip, ignoring junk and repeats
+    it("parses and writes the sort query param", () => {
+        const sort = parseSort("-date,name,bogus,date");
+        expect(sort).toEqual([
+            { key: "date", dir: "desc" },
+            { key: "name", dir: "asc" },
+        ]);
+        expect(serializeSort(sort)).toBe("-date,name");
+        expect(parseSort(null)).toEqual([]);
+    });
+
+    // Test 2: Plain clicks replace the sort, shift-clicks build it up
+    it("cycles a key through asc, desc and off", () => {
+        let sort = toggleSort([], "date");
+        expect(sort).toEqual([{ key: "date", dir: "asc" }]);
+
+        sort = toggleSort(sort, "name", true);
+        sort = toggleSort(sort, "name", true);
+        expect(sort).toEqual([{ key: "date", dir: "asc" }, { key: "name", dir: "desc" }]);
+
+        expect(toggleSort(sort, "name", true)).toEqual([{ key: "date", dir: "asc" }]);
+        expect(toggleSort(sort, "progress")).toEqual([{ key: "progress", dir: "asc" }]);
+    });
+
+    // Test 3: Ties fall through to the next key, then keep their original order
+    it("sorts by several keys and is stable", () => {
+        const tasks = [
+            { id: "a", name: "B", status: "review", progress: 0 },
+            { id: "b", name: "A", status: "todo", progress: 0 },
+            { id: "c", name: "A", status: "todo", progress: 0 },
+            { id: "d", name: "C", status: "todo", progress: 0 },
+        ];
+        const context = { projects: [], workflow: DEFAULT_WORKFLOW };
+
+        const sorted = sortTasks(tasks, [{ key: "status", dir: "asc" }, { key: "name", dir: "desc" }], context);
+        expect(sorted.map((t) => t.id)).toEqual(["d", "b", "c", "a"]);
+    });
+});
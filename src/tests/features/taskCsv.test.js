@@ -0,0 +1,80 @@
+import { describe, it, expect } from "vitest";
+
+import { toCsv, parseCsv } from "../../utils/csv";
+import { tasksToCsv, guessMapping, validateRows } from "../../features/tasks/taskCsv";
+import { projectsToCsv } from "../../features/projects/projectCsv";
+import { DEFAULT_WORKFLOW } from "../../features/tasks/status";
+
+const PROJECTS = [{ id: "p1", name: "Website", due: "2026-12-01", status: "in-progress" }];
+const context = { projects: PROJECTS, workflow: DEFAULT_WORKFLOW };
+
+describe("CSV", () => {
+
+    // Test 1: Quoting survives a round trip; formulas are neutralised
+    it("writes and reads quoted cells", () => {
+        const rows = [["Name", "Notes"], ['Say "hi", then leave', "line 1\nline 2"], ["=SUM(A1:A2)", "-5"]];
+        const csv = toCsv(rows);
+        expect(csv).toBe('Name,Notes\r\n"Say ""hi"", then leave","line 1\nline 2"\r\n\'=SUM(A1:A2),-5');
+        expect(parseCsv(`\uFEFF${csv}\r\n\r\n`)).toEqual([rows[0], rows[1], ["'=SUM(A1:A2)", "-5"]]);
+    });
+
+    // Test 2: Exports use names and labels, not ids
+    it("exports tasks and projects with names resolved", () => {
+        const tasks = [
+            { id: "t1", name: "Copy", date: "2026-11-02", startTime: "09:00", endTime: "10:00", project: "p1", progress: 50, description: "" },
+            { id: "t2", name: "Loose end", date: "", project: "", progress: 100 },
+        ];
+        expect(parseCsv(tasksToCsv(tasks, context))).toEqual([
+            ["Name", "Date", "Start time", "End time", "Project", "Progress", "Status", "Description"],
+            ["Copy", "2026-11-02", "09:00", "10:00", "Website", "50", "Ongoing", ""],
+            ["Loose end", "", "", "", "", "100", "Complete", ""],
+        ]);
+        expect(parseCsv(projectsToCsv(PROJECTS, tasks))).toEqual([
+            ["Name", "Due", "Status", "Tasks"],
+            ["Website", "2026-12-01", "In Progress", "1"],
+        ]);
+        // Older data can have numeric project ids while tasks hold them as strings
+        const numeric = [{ ...PROJECTS[0], id: 1 }];
+        expect(parseCsv(projectsToCsv(numeric, [{ ...tasks[0], project: "1" }]))[1][3]).toBe("1");
+    });
+
+    // Test 3: Columns are matched by header name and every row is checked
+    it("maps columns and reports problems per row", () => {
+        const [header, ...rows] = parseCsv(
+            "Task,Due date,Project,Progress %,Status\n" +
+            "Plan,1/3/2026,website,25%,todo\n" +
+            "Ship,2026-02-30,Mobile,120,Done-ish\n" +
+            ",2026-03-01,,,\n" +
+            "Launch,2026-03-05,Mobile,,In Review"
+        );
+        const mapping = guessMapping(header);
+        expect(mapping).toMatchObject({ name: 0, date: 1, project: 2, progress: 3, status: 4, description: -1 });
+
+        const checked = validateRows(rows, mapping, { ...context, firstLine: 2 });
+        expect(checked[0]).toMatchObject({
+            line: 2,
+            errors: [],
+            task: { name: "Plan", date: "2026-03-01", project: "p1", progress: 25, status: "todo" },
+        });
+        expect(checked[1].errors).toEqual([
+            "\"2026-02-30\" isn't a date (use YYYY-MM-DD or DD/MM/YYYY)",
+            "Progress \"120\" must be a number from 0 to 100",
+            "Unknown status \"Done-ish\"",
+        ]);
+        expect(checked[2].errors).toEqual(["Name is missing"]);
+        expect(checked[3]).toMatchObject({ errors: [], newProject: "Mobile", task: { status: "review" } });
+
+        const strict = validateRows(rows.slice(3), mapping, { ...context, createProjects: false });
+        expect(strict[0].errors).toEqual(["No project called \"Mobile\""]);
+    });
+
+    // Test 4: Re-importing an export gives the same names back, without the formula guard
+    it("round-trips names that start with formula characters", () => {
+        const names = ["@home", "- call Bob", "=1+1", "+44 line", "'quoted already"];
+        const tasks = names.map((name, i) => ({ id: `t${i}`, name, date: "", project: "", progress: 0 }));
+
+        const [header, ...rows] = parseCsv(tasksToCsv(tasks, context));
+        const result = validateRows(rows, guessMapping(header), context);
+        expect(result.map((r) => r.task.name)).toEqual(names);
+    });
+});
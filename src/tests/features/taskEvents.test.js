@@ -0,0 +1,34 @@
+import { describe, it, expect } from "vitest";
+
+import { tasksToEvents } from "../../features/calendar/taskEvents";
+import { DEFAULT_WORKFLOW } from "../../features/tasks/status";
+
+const TASKS = [
+    {
+        id: "t1", name: "Standup", date: "2026-03-02", allDay: false, startTime: "09:00", endTime: "09:15",
+        progress: 0, status: "ongoing",
+        repeat: { freq: "weekly", interval: 1, weekdays: [1], monthDay: null, until: "", count: null },
+    },
+    { id: "t2", name: "Invoice", date: "2026-03-04", allDay: true, progress: 0, status: "todo" },
+];
+const RANGE = { start: "2026-03-01", end: "2026-03-15" };
+
+describe("tasksToEvents", () => {
+
+    // Test 1: One event per visible occurrence; only the current one is draggable, and only when asked
+    it("maps tasks to calendar events", () => {
+        const events = tasksToEvents(TASKS, { workflow: DEFAULT_WORKFLOW, range: RANGE, editable: true });
+
+        expect(events.map((e) => [e.id, e.start, e.end, e.allDay])).toEqual([
+            ["t1", "2026-03-02T09:00", "2026-03-02T09:15", false],
+            ["t1@2026-03-09", "2026-03-09T09:00", "2026-03-09T09:15", false],
+            ["t2", "2026-03-04", undefined, true],
+        ]);
+        expect(events.map((e) => [e.startEditable, e.durationEditable])).toEqual([[true, true], [false, false], [true, false]]);
+        // Later occurrences haven't been started
+        expect(events[1].extendedProps).toMatchObject({ task: { id: "t1", date: "2026-03-09" }, status: "Todo" });
+
+        const readOnly = tasksToEvents(TASKS, { workflow: DEFAULT_WORKFLOW, range: RANGE });
+        expect(readOnly.some((e) => "startEditable" in e || "durationEditable" in e)).toBe(false);
+    });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect } from "vitest";
+
+import { DEFAULT_WORKFLOW } from "../../features/tasks/status";
+import { tasksToIcs, readIcsTasks, parseIcsDate, repeatToRrule, rruleToRepeat } from "../../features/tasks/taskIcs";
+import { foldLine, parseIcs } from "../../utils/ical";
+
+const PROJECTS = [{ id: "p1", name: "Website, v2", due: "", status: "in-progress" }];
+const NOW = new Date("2026-10-19T09:00:00Z");
+
+const TASKS = [
+    {
+        id: "t1", name: "Launch; party", description: "Line one\nLine two", date: "2026-03-01",
+        allDay: false, startTime: "09:30", endTime: "11:00", project: "p1", progress: 0, status: "todo",
+        repeat: { freq: "weekly", interval: 2, weekdays: [1, 3], monthDay: null, until: "", count: null },
+    },
+    { id: "t2", name: "Write copy", description: "", date: "2026-03-02", allDay: true, project: "", progress: 0, status: "todo" },
+    { id: "t3", name: "Someday", description: "", date: "", project: "", progress: 40, status: "ongoing" },
+];
+
+const options = { projects: PROJECTS, workflow: DEFAULT_WORKFLOW };
+
+describe("task iCalendar export / import", () => {
+
+    // Test 1: Dated tasks become VEVENTs, undated ones VTODOs, with text escaped
+    it("exports VEVENTs and VTODOs", () => {
+        const ics = tasksToIcs(TASKS, { ...options, name: "SimpliTask", now: NOW });
+        const lines = ics.split("\r\n");
+
+        expect(lines[0]).toBe("BEGIN:VCALENDAR");
+        expect(ics).toContain("BEGIN:VEVENT\r\nUID:t1@simplitask\r\nDTSTAMP:20261019T090000Z\r\nSUMMARY:Launch\\; party");
+        expect(ics).toContain("DESCRIPTION:Line one\\nLine two");
+        expect(ics).toContain("CATEGORIES:Website\\, v2");
+        expect(ics).toContain("DTSTART:20260301T093000\r\nDTEND:20260301T110000\r\nRRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE");
+        expect(ics).toContain("DTSTART;VALUE=DATE:20260302\r\nDTEND;VALUE=DATE:20260303");
+        expect(ics).toContain("BEGIN:VTODO\r\nUID:t3@simplitask");
+        expect(ics).toContain("STATUS:IN-PROCESS\r\nPERCENT-COMPLETE:40");
+        expect(lines.filter((l) => l === "BEGIN:VEVENT")).toHaveLength(2);
+    });
+
+    // Test 2: Long lines fold at 75 bytes without splitting multi-byte characters
+    it("folds long lines", () => {
+        const folded = foldLine(`SUMMARY:${"é".repeat(60)}`);
+        const parts = folded.split("\r\n ");
+        expect(parts.length).toBeGreaterThan(1);
+        parts.forEach((p) => expect(new TextEncoder().encode(p).length).toBeLessThanOrEqual(75));
+        expect(parts.join("")).toBe(`SUMMARY:${"é".repeat(60)}`);
+        expect(parseIcs(`BEGIN:VEVENT\r\n${folded}\r\nEND:VEVENT`)[0].props[0].value).toBe("é".repeat(60));
+    });
+
+    // Test 3: Our own export reads back into the same tasks, and is recognised as already imported
+    it("round-trips and de-duplicates by UID", () => {
+        const ics = tasksToIcs(TASKS, { ...options, now: NOW });
+
+        const fresh = readIcsTasks(ics, { ...options, tasks: [] });
+        expect(fresh.map((e) => e.duplicate)).toEqual([false, false, false]);
+        expect(fresh[0].task).toMatchObject({
+            name: "Launch; party",
+            description: "Line one\nLine two",
+            date: "2026-03-01",
+            startTime: "09:30",
+            endTime: "11:00",
+            project: "p1",
+            uid: "t1@simplitask",
+            repeat: { freq: "weekly", interval: 2, weekdays: [1, 3] },
+        });
+        expect(fresh[1].task).toMatchObject({ date: "2026-03-02", project: "" });
+        expect(fresh[1].task.startTime).toBeUndefined();
+        expect(fresh[2].task).toMatchObject({ name: "Someday", date: "", progress: 40 });
+
+        const again = readIcsTasks(ics, { ...options, tasks: TASKS });
+        expect(again.every((e) => e.duplicate)).toBe(true);
+
+        const imported = [{ id: "x", name: "Launch", uid: "t1@simplitask" }];
+        expect(readIcsTasks(ics, { ...options, tasks: imported }).map((e) => e.duplicate)).toEqual([true, false, false]);
+    });
+
+    // Test 4: Other clients' files - UTC times, durations, cancelled events, overrides, repeats in one file
+    it("imports events from other calendars", () => {
+        const ics = [
+            "BEGIN:VCALENDAR",
+            "BEGIN:VEVENT",
+            "UID:abc@example.com",
+            "SUMMARY:Standup",
+            "DTSTART:20260305T090000Z",
+            "DURATION:PT30M",
+            "BEGIN:VALARM",
+            "DESCRIPTION:Reminder",
+            "END:VALARM",
+            "END:VEVENT",
+            "BEGIN:VEVENT",
+            "UID:abc@example.com",
+            "RECURRENCE-ID:20260312T090000Z",
+            "SUMMARY:Standup (moved)",
+            "DTSTART:20260312T100000Z",
+            "END:VEVENT",
+            "BEGIN:VEVENT",
+            "UID:gone@example.com",
+            "SUMMARY:Cancelled meeting",
+            "DTSTART;VALUE=DATE:20260306",
+            "STATUS:CANCELLED",
+            "END:VEVENT",
+            "BEGIN:VEVENT",
+            "UID:abc@example.com",
+            "SUMMARY:Copy",
+            "DTSTART;TZID=Europe/London:20260307T140000",
+            "END:VEVENT",
+            "END:VCALENDAR",
+        ].join("\r\n");
+
+        const entries = readIcsTasks(ics, { ...options, tasks: [], project: "p1" });
+        expect(entries).toHaveLength(3);
+
+        const start = parseIcsDate({ value: "20260305T090000Z" });
+        const local = new Date(Date.UTC(2026, 2, 5, 9, 0));
+        expect(start.time).toBe(`${String(local.getHours()).padStart(2, "0")}:00`);
+        expect(entries[0].task).toMatchObject({ name: "Standup", description: "", date: start.date, project: "p1" });
+        expect(entries[0].errors).toEqual([]);
+
+        expect(entries[1].errors).toEqual(["Cancelled in the calendar"]);
+        // Same UID twice in one file - only the first is imported
+        expect(entries[2]).toMatchObject({ duplicate: true, task: { date: "2026-03-07", startTime: "14:00" } });
+    });
+
+    // Test 5: Repeat rules convert both ways; unsupported rules import as one-offs
+    it("converts repeat rules to and from RRULE", () => {
+        const monthly = { freq: "monthly", interval: 1, weekdays: [], monthDay: 15, until: "2026-12-31", count: null };
+        expect(repeatToRrule(monthly)).toBe("FREQ=MONTHLY;BYMONTHDAY=15;UNTIL=20261231");
+        expect(repeatToRrule(monthly, true)).toBe("FREQ=MONTHLY;BYMONTHDAY=15;UNTIL=20261231T235959Z");
+        expect(rruleToRepeat("FREQ=MONTHLY;BYMONTHDAY=15;UNTIL=20261231T235959Z")).toEqual(monthly);
+        expect(rruleToRepeat("FREQ=YEARLY")).toBeNull();
+        expect(rruleToRepeat("FREQ=MONTHLY;BYDAY=2MO")).toBeNull();
+        expect(rruleToRepeat("FREQ=MONTHLY;BYMONTHDAY=-1")).toBeNull();
+        expect(rruleToRepeat("FREQ=MONTHLY;BYMONTHDAY=1,15")).toBeNull();
+    });
+
+    // Test 6: An event whose repeat rule can't be kept is still imported, with a warning on its row
+    it("warns when a repeat rule is dropped", () => {
+        const ics = [
+            "BEGIN:VCALENDAR",
+            "BEGIN:VEVENT",
+            "UID:rent@example.com",
+            "SUMMARY:Pay rent",
+            "DTSTART;VALUE=DATE:20260331",
+            "RRULE:FREQ=MONTHLY;BYMONTHDAY=-1",
+            "END:VEVENT",
+            "END:VCALENDAR",
+        ].join("\r\n");
+
+        const [entry] = readIcsTasks(ics, { ...options, tasks: [] });
+        expect(entry.errors).toEqual([]);
+        expect(entry.warnings).toEqual(["Repeat rule isn't supported - imported as a one-off task"]);
+        expect(entry.task).toMatchObject({ date: "2026-03-31", repeat: null });
+    });
+});
@@ -0,0 +1,319 @@
+import { describe, it, expect } from "vitest";
+
+import tasksReducer, {
+    addTask,
+    addTasks,
+    editTask,
+    updateTask,
+    updateTasks,
+    shiftTasks,
+    removeTasks,
+    removeTask,
+    addDependency,
+    removeDependency,
+    addSubtask,
+    editSubtask,
+    toggleSubtask,
+    removeSubtask,
+    moveSubtask,
+    setWorkflow,
+} from "../../features/tasks/tasksSlice";
+import { DEFAULT_WORKFLOW } from "../../features/tasks/status";
+
+const task = (overrides = {}) => ({
+    id: "t1",
+    name: "Release",
+    description: "",
+    date: "2025-11-10",
+    project: "",
+    progress: 0,
+    subtasks: [],
+    ...overrides,
+});
+
+const run = (state, ...actions) => actions.reduce(tasksReducer, state);
+
+describe("tasksSlice - subtasks", () => {
+
+    // Test 1: Progress follows the checklist
+    it("derives progress from the share of completed subtasks", () => {
+        let state = run(
+            { tasks: [task()] },
+            addSubtask({ taskId: "t1", title: "Write notes" }),
+            addSubtask({ taskId: "t1", title: "Tag build" }),
+            addSubtask({ taskId: "t1", title: "  " }), // blank titles are ignored
+            addSubtask({ taskId: "t1", title: "Announce" }),
+            addSubtask({ taskId: "t1", title: "Deploy" }),
+        );
+        const [a, b] = state.tasks[0].subtasks;
+        expect(state.tasks[0].subtasks).toHaveLength(4);
+        expect(state.tasks[0].progress).toBe(0);
+
+        state = run(state, toggleSubtask({ taskId: "t1", subtaskId: a.id }));
+        expect(state.tasks[0].progress).toBe(25);
+
+        state = run(state, toggleSubtask({ taskId: "t1", subtaskId: b.id }));
+        expect(state.tasks[0].progress).toBe(50);
+
+        // Removing an unfinished item changes the share
+        const d = state.tasks[0].subtasks[3];
+        state = run(state, removeSubtask({ taskId: "t1", subtaskId: d.id }));
+        expect(state.tasks[0].progress).toBe(67);
+    });
+
+    // Test 2: Hand-typed progress is ignored while there's a checklist
+    it("ignores progress edits on a task with subtasks", () => {
+        let state = run({ tasks: [task({ progress: 40 })] }, editTask({ id: "t1", field: "progress", value: 90 }));
+        expect(state.tasks[0].progress).toBe(90);
+
+        state = run(state, addSubtask({ taskId: "t1", title: "Only item" }));
+        expect(state.tasks[0].progress).toBe(0);
+
+        state = run(state, editTask({ id: "t1", field: "progress", value: 90 }));
+        expect(state.tasks[0].progress).toBe(0);
+    });
+
+    // Test 3: Rename + reorder
+    it("renames and reorders subtasks", () => {
+        const subtasks = [
+            { id: "s1", title: "One", done: false },
+            { id: "s2", title: "Two", done: false },
+            { id: "s3", title: "Three", done: false },
+        ];
+        let state = run(
+            { tasks: [task({ subtasks })] },
+            editSubtask({ taskId: "t1", subtaskId: "s2", title: "Second" }),
+            moveSubtask({ taskId: "t1", from: 2, to: 0 }),
+        );
+        expect(state.tasks[0].subtasks.map((s) => s.title)).toEqual(["Three", "One", "Second"]);
+
+        // Out of range moves do nothing
+        state = run(state, moveSubtask({ taskId: "t1", from: 0, to: 5 }));
+        expect(state.tasks[0].subtasks.map((s) => s.id)).toEqual(["s3", "s1", "s2"]);
+    });
+});
+
+describe("tasksSlice - recurring tasks", () => {
+    const weekly = { freq: "weekly", interval: 1, weekdays: [1], monthDay: null, until: "", count: null };
+
+    // Test 4: addTask normalises the rule against the task's date
+    it("stores a normalised repeat rule on new tasks", () => {
+        const state = run({ tasks: [] }, addTask({ name: "Stand-up prep", date: "2025-11-03", project: "", repeat: { freq: "weekly" } }));
+        expect(state.tasks[0].repeat).toEqual(weekly);
+
+        // No date, nothing to repeat from
+        const undated = run({ tasks: [] }, addTask({ name: "Someday", date: "", project: "", repeat: { freq: "daily" } }));
+        expect(undated.tasks[0].repeat).toBeNull();
+    });
+
+    // Test 5: Completing an occurrence keeps a done copy and moves the series on
+    it("rolls the series on to the next occurrence when one is completed", () => {
+        const state = run(
+            { tasks: [task({ date: "2025-11-03", repeat: { ...weekly, count: 2 } })] },
+            editTask({ id: "t1", field: "progress", value: 100 }),
+        );
+
+        const [series, done] = state.tasks;
+        expect(series).toMatchObject({ id: "t1", date: "2025-11-10", progress: 0 });
+        expect(series.repeat.count).toBe(1);
+        expect(done).toMatchObject({ date: "2025-11-03", progress: 100, repeat: null, seriesId: "t1" });
+
+        // Last one - no more copies, the series just ends complete
+        const finished = run(state, editTask({ id: "t1", field: "progress", value: 100 }));
+        expect(finished.tasks).toHaveLength(2);
+        expect(finished.tasks[0]).toMatchObject({ progress: 100, repeat: null });
+    });
+
+    // Test 6: "This occurrence" vs "the whole series"
+    it("edits a single occurrence or the whole series", () => {
+        const start = { tasks: [task({ date: "2025-11-03", repeat: weekly })] };
+
+        const single = run(start, editTask({ id: "t1", field: "name", value: "Moved stand-up", scope: "occurrence" }));
+        expect(single.tasks).toHaveLength(2);
+        expect(single.tasks[0]).toMatchObject({ name: "Release", date: "2025-11-10" });
+        expect(single.tasks[1]).toMatchObject({ name: "Moved stand-up", date: "2025-11-03", repeat: null });
+
+        const series = run(start, editTask({ id: "t1", field: "name", value: "Renamed", scope: "series" }));
+        expect(series.tasks).toHaveLength(1);
+        expect(series.tasks[0]).toMatchObject({ name: "Renamed", date: "2025-11-03", repeat: weekly });
+    });
+});
+
+describe("tasksSlice - times", () => {
+
+    // Test 7: Times are dropped from all-day tasks and tidied on timed ones
+    it("normalises start / end times", () => {
+        let state = run(
+            { tasks: [] },
+            addTask({ name: "Call", date: "2025-11-10", project: "", allDay: false, startTime: "09:00", endTime: "08:00" }),
+            addTask({ name: "Errand", date: "2025-11-10", project: "", allDay: true, startTime: "09:00", endTime: "10:00" }),
+        );
+        // An end before the start is meaningless - keep just the start
+        expect(state.tasks[0]).toMatchObject({ allDay: false, startTime: "09:00", endTime: "" });
+        expect(state.tasks[1]).toMatchObject({ allDay: true, startTime: "", endTime: "" });
+
+        // Clearing the start time makes it all-day again
+        state = run(state, editTask({ id: state.tasks[0].id, field: "startTime", value: "" }));
+        expect(state.tasks[0]).toMatchObject({ allDay: true, startTime: "", endTime: "" });
+    });
+
+    // Test 8: updateTask applies several fields as one change
+    it("moves date and times together with updateTask", () => {
+        const state = run(
+            { tasks: [task()] },
+            updateTask({ id: "t1", changes: { date: "2025-11-12", allDay: false, startTime: "14:00", endTime: "15:30" } }),
+        );
+        expect(state.tasks[0]).toMatchObject({ date: "2025-11-12", allDay: false, startTime: "14:00", endTime: "15:30" });
+    });
+});
+
+describe("tasksSlice - status workflow", () => {
+
+    // Test 9: Status follows progress until it's set by hand
+    it("keeps status and progress in step", () => {
+        let state = run({ tasks: [task()] }, editTask({ id: "t1", field: "progress", value: 30 }));
+        expect(state.tasks[0].status).toBe("ongoing");
+
+        // Started at 0% - progress stays put
+        state = run({ tasks: [task({ status: "todo" })] }, editTask({ id: "t1", field: "status", value: "blocked" }));
+        expect(state.tasks[0]).toMatchObject({ status: "blocked", progress: 0 });
+
+        // Completing by status fills progress, dropping progress reopens it
+        state = run(state, editTask({ id: "t1", field: "status", value: "ongoing" }), editTask({ id: "t1", field: "status", value: "complete" }));
+        expect(state.tasks[0]).toMatchObject({ status: "complete", progress: 100 });
+        state = run(state, editTask({ id: "t1", field: "progress", value: 60 }));
+        expect(state.tasks[0].status).toBe("ongoing");
+    });
+
+    // Test 10: Moves outside the workflow are ignored
+    it("only allows the workflow's transitions", () => {
+        const state = run({ tasks: [task({ status: "todo" })] }, editTask({ id: "t1", field: "status", value: "review" }));
+        expect(state.tasks[0].status).toBe("todo");
+    });
+
+    // Test 11: Removing a status from the workflow re-homes its tasks
+    it("moves tasks off statuses removed from the workflow", () => {
+        const workflow = {
+            statuses: DEFAULT_WORKFLOW.statuses.filter((s) => s.id !== "blocked"),
+            transitions: DEFAULT_WORKFLOW.transitions,
+        };
+        const state = run({ tasks: [task({ status: "blocked", progress: 20 })], workflow: DEFAULT_WORKFLOW }, setWorkflow(workflow));
+        expect(state.workflow).toBe(workflow);
+        expect(state.tasks[0].status).toBe("ongoing");
+
+        // A workflow without a "done" status is refused
+        const broken = { ...workflow, statuses: workflow.statuses.filter((s) => s.category !== "done") };
+        expect(run(state, setWorkflow(broken)).workflow).toBe(workflow);
+    });
+
+    // Test 12: Cancelling an occurrence also moves a recurring series on
+    it("rolls a recurring series on when an occurrence is cancelled", () => {
+        const weekly = { freq: "weekly", interval: 1, weekdays: [1], monthDay: null, until: "", count: null };
+        const state = run(
+            { tasks: [task({ date: "2025-11-03", status: "todo", repeat: weekly })] },
+            editTask({ id: "t1", field: "status", value: "cancelled" }),
+        );
+        expect(state.tasks[0]).toMatchObject({ date: "2025-11-10", status: "todo" });
+        expect(state.tasks[1]).toMatchObject({ date: "2025-11-03", status: "cancelled", repeat: null });
+    });
+});
+
+describe("tasksSlice - bulk actions", () => {
+    const three = () => ({
+        tasks: [
+            task({ id: "a", date: "2025-11-10" }),
+            task({ id: "b", date: "" }),
+            task({ id: "c", date: "2025-11-30", status: "todo" }),
+        ],
+    });
+
+    // Test 13: One action updates every selected task, following the usual rules
+    it("updates several tasks at once", () => {
+        const state = run(three(), updateTasks({ ids: ["a", "c"], changes: { project: "p9", status: "complete" } }));
+        expect(state.tasks.map((t) => t.project)).toEqual(["p9", "", "p9"]);
+        expect(state.tasks[2]).toMatchObject({ status: "complete", progress: 100 });
+    });
+
+    // Test 14: Shifting dates skips undated tasks and crosses month ends
+    it("shifts dated tasks by a number of days", () => {
+        const state = run(three(), shiftTasks({ ids: ["a", "b", "c"], days: 3 }));
+        expect(state.tasks.map((t) => t.date)).toEqual(["2025-11-13", "", "2025-12-03"]);
+    });
+
+    // Test 15: Bulk delete
+    it("removes several tasks at once", () => {
+        const state = run(three(), removeTasks(["a", "c"]));
+        expect(state.tasks.map((t) => t.id)).toEqual(["b"]);
+    });
+});
+
+describe("tasksSlice - start dates", () => {
+
+    // Test 16: A start date only sticks when it's before the due date, and moves with the task
+    it("keeps start dates before the due date and shifts them too", () => {
+        let state = run({ tasks: [task({ id: "a", date: "2025-11-10" })] }, updateTask({ id: "a", changes: { startDate: "2025-11-05" } }));
+        expect(state.tasks[0].startDate).toBe("2025-11-05");
+
+        state = run(state, shiftTasks({ ids: ["a"], days: 2 }));
+        expect(state.tasks[0]).toMatchObject({ startDate: "2025-11-07", date: "2025-11-12" });
+
+        state = run(state, updateTask({ id: "a", changes: { startDate: "2025-11-20" } }));
+        expect(state.tasks[0].startDate).toBe("");
+    });
+
+    // Test 17: Recurring tasks keep the same lead time on their next occurrence
+    it("moves the start date along with a recurring task", () => {
+        const weekly = task({
+            id: "r",
+            date: "2025-11-10",
+            startDate: "2025-11-08",
+            status: "todo",
+            repeat: { freq: "weekly", interval: 1, weekdays: [1], monthDay: null, until: "", count: null },
+        });
+        const state = run({ tasks: [weekly] }, editTask({ id: "r", field: "status", value: "complete" }));
+        const series = state.tasks.find((t) => t.id === "r");
+        expect(series).toMatchObject({ date: "2025-11-17", startDate: "2025-11-15" });
+    });
+});
+
+describe("tasksSlice - dependencies", () => {
+
+    // Test 18: Blockers can be added and removed, but not twice, missing or in a loop
+    it("adds dependencies unless they would create a cycle", () => {
+        const start = { tasks: [task({ id: "a", blockedBy: [] }), task({ id: "b", blockedBy: [] }), task({ id: "c", blockedBy: [] })] };
+        let state = run(start, addDependency({ id: "b", blockerId: "a" }), addDependency({ id: "c", blockerId: "b" }));
+        expect(state.tasks.map((t) => t.blockedBy)).toEqual([[], ["a"], ["b"]]);
+
+        const same = run(
+            state,
+            addDependency({ id: "a", blockerId: "c" }),
+            addDependency({ id: "a", blockerId: "a" }),
+            addDependency({ id: "b", blockerId: "a" }),
+            addDependency({ id: "b", blockerId: "missing" })
+        );
+        expect(same).toBe(state);
+
+        state = run(state, removeDependency({ id: "c", blockerId: "b" }));
+        expect(state.tasks[2].blockedBy).toEqual([]);
+    });
+
+    // Test 19: Deleting a task removes it from everything it was blocking
+    it("drops deleted tasks from blockedBy lists", () => {
+        const start = { tasks: [task({ id: "a" }), task({ id: "b" }), task({ id: "c", blockedBy: ["a", "b"] })] };
+        expect(run(start, removeTask("a")).tasks[1].blockedBy).toEqual(["b"]);
+        expect(run(start, removeTasks(["a", "b"])).tasks[0].blockedBy).toEqual([]);
+    });
+
+    // Test 20: Bulk add fills in the same defaults as adding one task
+    it("adds several tasks at once", () => {
+        const state = run(
+            { tasks: [], workflow: DEFAULT_WORKFLOW },
+            addTasks([{ name: "Plan", date: "2026-03-01", project: "p1" }, { name: "Ship", date: "", project: "", progress: 100 }])
+        );
+        expect(state.tasks.map((t) => [t.name, t.project, t.status, t.subtasks, t.blockedBy])).toEqual([
+            ["Plan", "p1", "todo", [], []],
+            ["Ship", "", "complete", [], []],
+        ]);
+        expect(new Set(state.tasks.map((t) => t.id)).size).toBe(2);
+    });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+
+import { rescheduleTask, taskSpan, timelineRange, timelineTicks } from "../../features/projects/timeline";
+
+const TASKS = [
+    { id: "a", startDate: "2026-03-02", date: "2026-03-06" },
+    { id: "b", startDate: "", date: "2026-03-12" },
+];
+
+describe("timeline layout", () => {
+
+    // Test 1: The range covers the bars, today and the deadline, snapped to the zoom unit
+    it("works out the visible range for each zoom", () => {
+        const options = { deadline: "2026-03-20", today: "2026-03-04" };
+
+        expect(timelineRange(TASKS, { ...options, zoom: "day" })).toEqual({ start: "2026-02-27", end: "2026-03-23" });
+        // Week view starts on a Monday
+        expect(timelineRange(TASKS, { ...options, zoom: "week" })).toEqual({ start: "2026-02-23", end: "2026-03-27" });
+        expect(timelineRange(TASKS, { ...options, zoom: "month" }).start).toBe("2026-02-01");
+        expect(timelineRange(TASKS, { today: "2026-04-01", zoom: "day" }).end).toBe("2026-04-04");
+    });
+
+    // Test 2: Ticks fall on days, Mondays or the 1st of the month
+    it("labels the header for each zoom", () => {
+        const range = { start: "2026-02-23", end: "2026-03-15" };
+
+        expect(timelineTicks(range, "day")).toHaveLength(21);
+        expect(timelineTicks(range, "week").map((t) => t.key)).toEqual(["2026-02-23", "2026-03-02", "2026-03-09"]);
+        expect(timelineTicks(range, "month").map((t) => [t.key, t.offset])).toEqual([["2026-03-01", 6]]);
+    });
+
+    // Test 3: Moving keeps the length, dragging an edge changes one end and edges can't cross
+    it("reschedules by moving or resizing", () => {
+        expect(taskSpan(TASKS[1])).toEqual({ start: "2026-03-12", end: "2026-03-12" });
+
+        expect(rescheduleTask(TASKS[0], "move", 3)).toEqual({ startDate: "2026-03-05", date: "2026-03-09" });
+        expect(rescheduleTask(TASKS[0], "start", -2)).toEqual({ startDate: "2026-02-28", date: "2026-03-06" });
+        expect(rescheduleTask(TASKS[0], "start", 10)).toEqual({ startDate: "", date: "2026-03-06" });
+        expect(rescheduleTask(TASKS[0], "end", -10)).toEqual({ startDate: "", date: "2026-03-02" });
+        // Stretching a one-day task gives it a start date
+        expect(rescheduleTask(TASKS[1], "end", 2)).toEqual({ startDate: "2026-03-12", date: "2026-03-14" });
+    });
+
+    // Test 4: The due date stops at the project's deadline; late tasks can still move earlier
+    it("keeps drags inside the deadline", () => {
+        expect(rescheduleTask(TASKS[0], "move", 10, "2026-03-08")).toEqual({ startDate: "2026-03-04", date: "2026-03-08" });
+        expect(rescheduleTask(TASKS[0], "end", 10, "2026-03-08")).toEqual({ startDate: "2026-03-02", date: "2026-03-08" });
+        expect(rescheduleTask(TASKS[0], "start", 2, "2026-03-08")).toEqual({ startDate: "2026-03-04", date: "2026-03-06" });
+
+        // Build is already past a 2026-03-10 deadline
+        expect(rescheduleTask(TASKS[1], "move", 3, "2026-03-10")).toEqual({ startDate: "", date: "2026-03-12" });
+        expect(rescheduleTask(TASKS[1], "move", -3, "2026-03-10")).toEqual({ startDate: "", date: "2026-03-09" });
+    });
+});
@@ -0,0 +1,69 @@
+// Minimal RFC 4180 CSV reading / writing: comma separated, fields with commas, quotes or
+// line breaks are wrapped in double quotes, and "" inside quotes is a literal quote.
+
+import { downloadFile } from "./files";
+
+// Spreadsheets run cells starting with these as formulas - prefix them with ' so an exported
+// task called "=HYPERLINK(...)" stays text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+    let text = value == null ? "" : String(value);
+    if (FORMULA_START.test(text) && !/^-?\d/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undoes escapeCell's ' prefix, so re-importing our own export gives back "@home", not "'@home"
+export const unescapeCell = (text) => text.replace(/^'(?=[=+\-@\t\r])/, "");
+
+// rows: array of arrays of cells. Uses CRLF like Excel does
+export const toCsv = (rows) => rows.map((row) => row.map(escapeCell).join(",")).join("\r\n");
+
+// The BOM makes Excel read the file as UTF-8 (parseCsv strips it again)
+export const downloadCsv = (filename, csv) => downloadFile(filename, `\uFEFF${csv}`, "text/csv;charset=utf-8");
+
+// Text -> array of rows (arrays of strings). Blank lines are skipped
+export function parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, ""); // Excel's UTF-8 BOM
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+
+    const endCell = () => {
+        row.push(cell);
+        cell = "";
+    };
+    const endRow = () => {
+        endCell();
+        if (row.length > 1 || row[0] !== "") rows.push(row);
+        row = [];
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+
+        if (quoted) {
+            if (ch === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"' && cell === "") {
+            quoted = true;
+        } else if (ch === ",") {
+            endCell();
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && input[i + 1] === "\n") i++;
+            endRow();
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== "" || row.length > 0) endRow();
+
+    return rows;
+}
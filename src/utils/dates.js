@@ -0,0 +1,51 @@
+// Task dates are stored as plain "YYYY-MM-DD" keys (no time, no timezone).
+// `new Date("2025-11-20")` parses that as UTC midnight, which is the previous day
+// anywhere west of Greenwich - so always go through these helpers instead.
+
+const pad = (n) => String(n).padStart(2, "0");
+
+export function toDateKey(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// "YYYY-MM-DD" -> Date at local midnight (null for empty / invalid input)
+export function parseDateKey(key) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(key ?? "");
+    if (!m) return null;
+    const date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export function addDays(key, days) {
+    const date = parseDateKey(key);
+    date.setDate(date.getDate() + days);
+    return toDateKey(date);
+}
+
+// Whole days from one key to another (negative when `to` is earlier). Rounded so DST changes don't matter
+export function daysBetween(from, to) {
+    return Math.round((parseDateKey(to) - parseDateKey(from)) / 86400000);
+}
+
+// Monday of the week `key` falls in
+export function startOfWeek(key) {
+    const day = parseDateKey(key).getDay();
+    return addDays(key, day === 0 ? -6 : 1 - day);
+}
+
+export function daysInMonth(year, month) {
+    return new Date(year, month + 1, 0).getDate();
+}
+
+export const todayKey = () => toDateKey(new Date());
+
+// Date -> "HH:mm" (local wall-clock time)
+export function toTimeKey(date) {
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// "09:00–10:30", "09:00" or "" for all-day tasks
+export function formatTimeRange(task) {
+    if (task.allDay !== false || !task.startTime) return "";
+    return task.endTime ? `${task.startTime}–${task.endTime}` : task.startTime;
+}
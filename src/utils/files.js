@@ -0,0 +1,24 @@
+// Saves `content` as a file through a temporary object URL + <a download>
+export function downloadFile(filename, content, type = "text/plain") {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    // Some browsers start the download after click() returns - give them a moment before cleaning up
+    setTimeout(() => {
+        link.remove();
+        URL.revokeObjectURL(url);
+    }, 0);
+}
+
+// File from an <input type="file"> -> its text (FileReader, so it also works where File.text() doesn't)
+export function readTextFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
@@ -0,0 +1,52 @@
+// Small fuzzy matcher for search boxes.
+// Every character of the query has to appear in the text, in order ("rfsb" finds "Refactor SearchBar").
+// Plain substrings always rank above scattered matches; within each, matches at the start of
+// the text / of a word and runs of consecutive characters score higher.
+// Returns { score, indices } (indices = matched character positions, for highlighting) or null.
+
+const isWordStart = (text, i) => i === 0 || /[\s\-_/.:]/.test(text[i - 1]);
+
+export function fuzzyMatch(query, text = "") {
+    const q = query.trim().toLowerCase();
+    const t = (text ?? "").toLowerCase();
+    if (!q || !t) return null;
+
+    const at = t.indexOf(q);
+    if (at !== -1) {
+        const score = 1000 + (at === 0 ? 200 : 0) + (isWordStart(t, at) ? 100 : 0) - at - t.length / 100;
+        return { score, indices: Array.from(q, (_, i) => at + i) };
+    }
+
+    // Scattered match - spaces in the query are just separators here
+    const chars = q.replace(/\s+/g, "");
+    const indices = [];
+    let score = 0;
+    let from = 0;
+    for (const ch of chars) {
+        const i = t.indexOf(ch, from);
+        if (i === -1) return null;
+
+        const prev = indices[indices.length - 1];
+        score += 1;
+        if (prev !== undefined && i === prev + 1) score += 5;
+        if (isWordStart(t, i)) score += 3;
+        if (prev !== undefined) score -= Math.min(i - prev - 1, 5) / 2;
+
+        indices.push(i);
+        from = i + 1;
+    }
+    return { score, indices };
+}
+
+// Splits text into [{ text, match }] runs so callers can wrap matched parts in <mark>
+export function highlightParts(text = "", indices = []) {
+    const hit = new Set(indices);
+    const parts = [];
+    for (let i = 0; i < text.length; i++) {
+        const match = hit.has(i);
+        const last = parts[parts.length - 1];
+        if (last && last.match === match) last.text += text[i];
+        else parts.push({ text: text[i], match });
+    }
+    return parts;
+}
@@ -0,0 +1,118 @@
+// Minimal iCalendar (RFC 5545) reading / writing - enough for VEVENT / VTODO entries.
+// Components are plain objects: { type: "VEVENT", props: [{ name, params, value }], children: [] }
+// where `value` is still in its raw (escaped) iCalendar form - see escapeText / unescapeText.
+
+import { downloadFile } from "./files";
+
+const encoder = new TextEncoder();
+
+// Text values escape backslashes, semicolons, commas and line breaks
+export const escapeText = (text) =>
+    String(text ?? "")
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+
+export const unescapeText = (text) =>
+    text.replace(/\\([\\;,nN])/g, (_, ch) => (ch === "n" || ch === "N" ? "\n" : ch));
+
+// Lines longer than 75 bytes are folded: CRLF + a space, never splitting a UTF-8 character
+export function foldLine(line) {
+    const parts = [];
+    let current = "";
+    let bytes = 0;
+    for (const ch of line) {
+        const size = encoder.encode(ch).length;
+        // Continuation lines lose one byte to the leading space
+        if (bytes + size > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = "";
+            bytes = 0;
+        }
+        current += ch;
+        bytes += size;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+}
+
+// { name: "DTSTART", params: { VALUE: "DATE" }, value: "20260301" } -> "DTSTART;VALUE=DATE:20260301"
+const formatProp = ({ name, params = {}, value }) => {
+    const paramText = Object.entries(params)
+        .map(([key, v]) => `;${key}=${/[;:,]/.test(v) ? `"${v}"` : v}`)
+        .join("");
+    return foldLine(`${name}${paramText}:${value}`);
+};
+
+const formatComponent = ({ type, props, children = [] }) => [
+    `BEGIN:${type}`,
+    ...props.filter((p) => p.value !== undefined && p.value !== "").map(formatProp),
+    ...children.flatMap(formatComponent),
+    `END:${type}`,
+];
+
+// Wraps components in a VCALENDAR. `name` shows up as the calendar's title in most clients
+export function toIcs(components, { name } = {}) {
+    const calendar = {
+        type: "VCALENDAR",
+        props: [
+            { name: "VERSION", value: "2.0" },
+            { name: "PRODID", value: "-//SimpliTask//SimpliTask//EN" },
+            { name: "CALSCALE", value: "GREGORIAN" },
+            { name: "X-WR-CALNAME", value: name && escapeText(name) },
+        ],
+        children: components,
+    };
+    return `${formatComponent(calendar).join("\r\n")}\r\n`;
+}
+
+export const downloadIcs = (filename, ics) => downloadFile(filename, ics, "text/calendar;charset=utf-8");
+
+// "DTSTART;TZID=Europe/London:20260301T090000" -> { name, params, value }; null for junk lines
+function parseProp(line) {
+    const match = /^([A-Za-z0-9-]+)((?:;[^:;=]+=(?:"[^"]*"|[^:;"]*))*):(.*)$/.exec(line);
+    if (!match) return null;
+
+    const params = {};
+    for (const [, key, value] of match[2].matchAll(/;([^=;]+)=("[^"]*"|[^;]*)/g)) {
+        params[key.toUpperCase()] = value.replace(/^"|"$/g, "");
+    }
+    return { name: match[1].toUpperCase(), params, value: match[3] };
+}
+
+// Text -> the top-level components (usually one VCALENDAR), each with nested children
+export function parseIcs(text) {
+    const lines = text
+        .replace(/^\uFEFF/, "") // BOM
+        .replace(/\r?\n[ \t]/g, "") // Unfold
+        .split(/\r?\n/);
+
+    const root = { type: "ROOT", props: [], children: [] };
+    const stack = [root];
+
+    lines.forEach((line) => {
+        const prop = parseProp(line);
+        if (!prop) return;
+        const top = stack[stack.length - 1];
+
+        if (prop.name === "BEGIN") {
+            const component = { type: prop.value.toUpperCase(), props: [], children: [] };
+            top.children.push(component);
+            stack.push(component);
+        } else if (prop.name === "END") {
+            if (stack.length > 1) stack.pop();
+        } else {
+            top.props.push(prop);
+        }
+    });
+
+    return root.children;
+}
+
+// Every component of one of `types`, however deeply it's nested
+export const findComponents = (components, types) =>
+    components.flatMap((c) => [...(types.includes(c.type) ? [c] : []), ...findComponents(c.children, types)]);
+
+// First property called `name` on a component
+export const getProp = (component, name) => component.props.find((p) => p.name === name);
@@ -0,0 +1,11 @@
+import { marked } from "marked";
+import DOMPurify from "dompurify";
+
+marked.setOptions({ gfm: true, breaks: true });
+
+// Markdown -> sanitised HTML. Everything user-written goes through DOMPurify
+// before it's put into the page, so <script>, onclick=... etc. are stripped.
+export function renderMarkdown(text = "") {
+    if (!text.trim()) return "";
+    return DOMPurify.sanitize(marked.parse(text));
+}